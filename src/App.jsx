@@ -1,97 +1,300 @@
-import React, { useState } from 'react';
-import UseStateExamples from './components/UseStateExamples';
-import UseEffectExamples from './components/UseEffectExamples';
-import UseRefExamples from './components/UseRefExamples';
-import UseContextExamples from './components/UseContextExamples';
-import UseReducerExamples from './components/UseReducerExamples';
-import UseMemoExamples from './components/UseMemoExamples';
-import UseCallbackExamples from './components/UseCallbackExamples';
-import CustomHooksExamples from './components/CustomHooksExamples';
-import PropsExamples from './components/PropsExamples';
-import EventHandlingExamples from './components/EventHandlingExamples';
-import ConditionalRenderingExamples from './components/ConditionalRenderingExamples';
-import ListRenderingExamples from './components/ListRenderingExamples';
-import FormHandlingExamples from './components/FormHandlingExamples';
-import LifecycleExamples from './components/LifecycleExamples';
-import ErrorBoundaryExamples from './components/ErrorBoundaryExamples';
-import PortalsExamples from './components/PortalsExamples';
-import ForwardRefExamples from './components/ForwardRefExamples';
-import FragmentsExamples from './components/FragmentsExamples';
-import MemoExamples from './components/MemoExamples';
-import TimeoutIntervalExamples from './components/TimeoutIntervalExamples';
-import DebounceThrottleExamples from './components/DebounceThrottleExamples';
-import AnimationExamples from './components/AnimationExamples';
-import PollingExamples from './components/PollingExamples';
+import { lazy, Suspense, useContext, useEffect, useRef, useState } from 'react';
+import CommandPalette from './components/CommandPalette';
+import ErrorLogPage from './components/ErrorLogPage';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import Link from './components/Link';
+import MissingTranslations from './components/MissingTranslations';
+import MockApiPanel from './components/MockApiPanel';
+import NetworkPanel from './components/NetworkPanel';
+import NextTopic from './components/NextTopic';
+import NotesPage from './components/NotesPage';
+import NotFound from './components/NotFound';
+import ProgressControls from './components/ProgressControls';
+import SectionErrorBoundary from './components/SectionErrorBoundary';
+import SectionMeta from './components/SectionMeta';
+import SectionNav from './components/SectionNav';
+import SectionSkeleton from './components/SectionSkeleton';
+import ShortcutHelp from './components/ShortcutHelp';
+import ShortcutKeys from './components/ShortcutKeys';
+import ThemeSwitcher from './components/ThemeSwitcher';
+import UpdatePrompt from './components/UpdatePrompt';
+import SectionContext from './context/SectionContext';
+import ThemeContext from './context/ThemeContext';
+import { useErrorLog } from './hooks/useErrorLog';
+import { useFlashcards } from './hooks/useFlashcards';
+import { useKeymap, useShortcuts } from './hooks/useKeymap';
+import { useNetwork } from './hooks/useNetwork';
+import { useNotes } from './hooks/useNotes';
+import { useProfilerEnabled } from './hooks/useRenderProfiler';
+import { navigate, useRoute } from './hooks/useRoute';
+import { useTranslation } from './hooks/useTranslation';
+import sections from './sections';
+import { keyToSlug } from './utils/slug';
+
+const DEFAULT_SECTION = 'useState';
+
+const sectionKeyBySlug = Object.fromEntries(
+  Object.keys(sections).map((key) => [keyToSlug(key), key])
+);
+
+// The quiz (with its question bank) and the flashcard review are only downloaded once
+// someone opens them, with the same retry-after-chunk-error handling as the sections
+function lazyPage(load) {
+  const page = {
+    load,
+    component: lazy(load),
+    reload() {
+      page.component = lazy(load);
+    },
+  };
+  return page;
+}
+const quizPage = lazyPage(() => import('./components/quiz/QuizPage'));
+const reviewPage = lazyPage(() => import('./components/review/ReviewPage'));
+const comparePage = lazyPage(() => import('./components/compare/ComparePage'));
+const QUIZ_PATH = /^quiz(?:\/([^/]+))?$/;
+const COMPARE_PATH = /^compare(?:\/|$)/;
+
+const sectionKeys = Object.keys(sections);
+
+// The example the reader is looking at: the last one whose top has scrolled past the upper fifth.
+// `current` is undefined while the page is still above the first example.
+const currentExample = () => {
+  const examples = [...document.querySelectorAll('.example')];
+  const current = examples.filter((example) => example.getBoundingClientRect().top <= window.innerHeight / 5).pop();
+  return { examples, current };
+};
 
 function App() {
-  const [activeSection, setActiveSection] = useState('useState');
-
-  const sections = {
-    useState: { title: 'useState Hook', component: UseStateExamples },
-    useEffect: { title: 'useEffect Hook', component: UseEffectExamples },
-    useRef: { title: 'useRef Hook', component: UseRefExamples },
-    useContext: { title: 'useContext Hook', component: UseContextExamples },
-    useReducer: { title: 'useReducer Hook', component: UseReducerExamples },
-    useMemo: { title: 'useMemo Hook', component: UseMemoExamples },
-    useCallback: { title: 'useCallback Hook', component: UseCallbackExamples },
-    customHooks: { title: 'Custom Hooks', component: CustomHooksExamples },
-    props: { title: 'Props', component: PropsExamples },
-    eventHandling: { title: 'Event Handling', component: EventHandlingExamples },
-    conditionalRendering: { title: 'Conditional Rendering', component: ConditionalRenderingExamples },
-    listRendering: { title: 'List Rendering', component: ListRenderingExamples },
-    formHandling: { title: 'Form Handling', component: FormHandlingExamples },
-    lifecycle: { title: 'Component Lifecycle', component: LifecycleExamples },
-    errorBoundary: { title: 'Error Boundaries', component: ErrorBoundaryExamples },
-    portals: { title: 'Portals', component: PortalsExamples },
-    forwardRef: { title: 'Forwarding Refs', component: ForwardRefExamples },
-    fragments: { title: 'Fragments', component: FragmentsExamples },
-    memo: { title: 'React.memo', component: MemoExamples },
-    timeoutInterval: { title: 'Timeout & Intervals', component: TimeoutIntervalExamples },
-    debounceThrottle: { title: 'Debounce & Throttle', component: DebounceThrottleExamples },
-    animation: { title: 'Animations', component: AnimationExamples },
-    polling: { title: 'Polling & Real-time', component: PollingExamples }
+  const { path, hash } = useRoute();
+  const quizMatch = path.match(QUIZ_PATH);
+  const isCompare = COMPARE_PATH.test(path);
+  const activeSection = path === '' ? DEFAULT_SECTION : sectionKeyBySlug[path];
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [profilerEnabled, setProfilerEnabled] = useProfilerEnabled();
+  const { errors } = useErrorLog();
+  const { dueCount } = useFlashcards();
+  const { noteCount } = useNotes();
+  const { t } = useTranslation();
+
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [mockPanelOpen, setMockPanelOpen] = useState(false);
+  const [networkPanelOpen, setNetworkPanelOpen] = useState(false);
+  const { settings: networkSettings } = useNetwork();
+  const { theme, setPreference } = useContext(ThemeContext);
+  const { keymap } = useKeymap();
+  const headingRef = useRef(null);
+  const previousPathRef = useRef(path);
+
+  // Move focus to the new page's heading, so keyboard and screen reader users start from the top
+  useEffect(() => {
+    if (previousPathRef.current === path) return;
+    previousPathRef.current = path;
+    headingRef.current.focus({ preventScroll: true });
+  }, [path]);
+
+  const goToSection = (offset) => {
+    const index = sectionKeys.indexOf(activeSection);
+    const next = index === -1 ? 0 : (index + offset + sectionKeys.length) % sectionKeys.length;
+    navigate(`/${keyToSlug(sectionKeys[next])}`);
+    window.scrollTo({ top: 0 });
   };
 
+  const goToExample = (offset) => {
+    const { examples, current } = currentExample();
+    const target = examples[examples.indexOf(current) + offset];
+    if (!target) return;
+    // activeSection is undefined off a section page (/quiz, /errors, /compare...); the ones with examples
+    // (compare, notes) have no URL for them, so only scroll
+    if (sections[activeSection]) navigate(`/${keyToSlug(activeSection)}#${target.id}`);
+    // Same hash as before means no route change, so scroll explicitly
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  useShortcuts(keymap, {
+    nextSection: () => goToSection(1),
+    prevSection: () => goToSection(-1),
+    nextExample: () => goToExample(1),
+    prevExample: () => goToExample(-1),
+    toggleCode: () => {
+      const { examples, current = examples[0] } = currentExample();
+      const toggle = current && current.querySelector('.example-source-toggle');
+      if (toggle) toggle.click();
+    },
+    search: () => setPaletteOpen((open) => !open),
+    toggleTheme: () => setPreference(theme === 'dark' ? 'light' : 'dark'),
+    help: () => setHelpOpen((open) => !open),
+  });
+
   const showEntries = () =>{
     console.log("choco");
     console.log("values -> ", Object.values(sections));
     console.log("entries -> ", Object.entries(sections));
   }
 
-  const ActiveComponent = sections[activeSection].component;
+  const active = sections[activeSection];
+  const ActiveComponent = active && active.component;
+
+  const QuizPage = quizPage.component;
+  const ReviewPage = reviewPage.component;
+  const ComparePage = comparePage.component;
+
+  const retrySection = () => {
+    (quizMatch ? quizPage : path === 'review' ? reviewPage : isCompare ? comparePage : active).reload();
+    setLoadAttempt((attempt) => attempt + 1);
+  };
 
   return (
     <div className="container">
       <nav className="nav">
-        <h1>🎯 React.js Learning Project - Ace Your Frontend Interview!</h1>
-        <p style={{ color: '#bdc3c7', textAlign: 'center', marginTop: '0.5rem' }}>
-          Comprehensive examples for every React concept with JavaScript explanations
+        <h1>{t('app.title')}</h1>
+        <p style={{ color: 'var(--color-nav-muted)', textAlign: 'center', marginTop: '0.5rem' }}>
+          {t('app.subtitle')}
         </p>
+        <ThemeSwitcher />
+        <LanguageSwitcher />
       </nav>
 
       <div className="section">
         <button onClick={showEntries} className='button'>entries </button>
-        <h2>📚 Navigation</h2>
-        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
-          {Object.entries(sections).map(([key, { title }]) => (
-            <button
-              key={key}
-              className="button"
-              style={{
-                background: activeSection === key ? '#e74c3c' : '#3498db'
+        <h2>{t('nav.heading')}</h2>
+        <button onClick={() => setPaletteOpen(true)} className="button">
+          {t('nav.search')} {keymap.search && <ShortcutKeys shortcut={keymap.search} />}
+        </button>
+        <button onClick={() => setHelpOpen(true)} className="button" title={t('nav.shortcutsTitle')}>
+          {t('nav.shortcuts')} {keymap.help && <ShortcutKeys shortcut={keymap.help} />}
+        </button>
+        <Link
+          to="/quiz"
+          className="button"
+          aria-current={quizMatch ? 'page' : undefined}
+          onMouseEnter={quizPage.load}
+          onFocus={quizPage.load}
+        >
+          {t('nav.quiz')}
+        </Link>
+        <Link
+          to="/review"
+          className="button"
+          aria-current={path === 'review' ? 'page' : undefined}
+          onMouseEnter={reviewPage.load}
+          onFocus={reviewPage.load}
+        >
+          {dueCount > 0 ? t('nav.flashcardsDue', { count: dueCount }) : t('nav.flashcards')}
+        </Link>
+        <Link
+          to="/compare"
+          className="button"
+          aria-current={isCompare ? 'page' : undefined}
+          onMouseEnter={comparePage.load}
+          onFocus={comparePage.load}
+        >
+          {t('nav.compare')}
+        </Link>
+        <button
+          onClick={() => setProfilerEnabled((enabled) => !enabled)}
+          className="button"
+          aria-pressed={profilerEnabled}
+          title={t('nav.profilerTitle')}
+        >
+          {profilerEnabled ? t('nav.hideProfiler') : t('nav.showProfiler')}
+        </button>
+        <button onClick={() => setNetworkPanelOpen((open) => !open)} className="button" aria-expanded={networkPanelOpen}>
+          {t('nav.network', { profile: t(`network.profiles.${networkSettings.profile}`) })}
+        </button>
+        {import.meta.env.DEV && (
+          <button onClick={() => setMockPanelOpen((open) => !open)} className="button" aria-expanded={mockPanelOpen}>
+            {t('nav.mockApi')}
+          </button>
+        )}
+        <Link to="/notes" className="button" aria-current={path === 'notes' ? 'page' : undefined}>
+          {noteCount > 0 ? t('nav.notesCount', { count: noteCount }) : t('nav.notes')}
+        </Link>
+        <Link to="/errors" className="button" aria-current={path === 'errors' ? 'page' : undefined}>
+          {errors.length > 0 ? t('nav.errorLogCount', { count: errors.length }) : t('nav.errorLog')}
+        </Link>
+        <ProgressControls sections={sections} />
+        <SectionNav sections={sections} activeSection={activeSection} />
+      </div>
+
+      {quizMatch ? (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>{t('pages.quiz')}</h2>
+          <SectionErrorBoundary key={`quiz-${loadAttempt}`} label={t('pages.quiz')} onRetry={retrySection}>
+            <Suspense fallback={<SectionSkeleton />}>
+              <QuizPage key={path} sections={sections} sectionKey={quizMatch[1] && sectionKeyBySlug[quizMatch[1]]} />
+            </Suspense>
+          </SectionErrorBoundary>
+        </div>
+      ) : path === 'review' ? (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>{t('pages.review')}</h2>
+          <SectionErrorBoundary key={`review-${loadAttempt}`} label={t('pages.review')} onRetry={retrySection}>
+            <Suspense fallback={<SectionSkeleton />}>
+              <ReviewPage sections={sections} />
+            </Suspense>
+          </SectionErrorBoundary>
+        </div>
+      ) : isCompare ? (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>{t('pages.compare')}</h2>
+          <SectionErrorBoundary key={`compare-${loadAttempt}`} label={t('pages.compare')} onRetry={retrySection}>
+            <Suspense fallback={<SectionSkeleton />}>
+              <ComparePage sections={sections} params={path.split('/').slice(1)} />
+            </Suspense>
+          </SectionErrorBoundary>
+        </div>
+      ) : path === 'notes' ? (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>{t('pages.notes')}</h2>
+          <NotesPage sections={sections} />
+        </div>
+      ) : path === 'errors' ? (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>{t('pages.errors')}</h2>
+          <ErrorLogPage sections={sections} />
+        </div>
+      ) : (
+        <div className="section">
+          <h2 ref={headingRef} tabIndex={-1}>📖 {active ? t(`sections.${activeSection}`) : t('pages.notFound')}</h2>
+          {active ? (
+            <SectionContext.Provider
+              value={{
+                sectionKey: activeSection,
+                slug: keyToSlug(activeSection),
+                file: active.file,
+                loadSource: active.loadSource,
+                hash,
               }}
-              onClick={() => setActiveSection(key)}
             >
-              {title}
-            </button>
-          ))}
+              <SectionMeta sections={sections} sectionKey={activeSection} />
+              <Link to={`/quiz/${keyToSlug(activeSection)}`} className="quiz-link">
+                {t('pages.quizLink')}
+              </Link>
+              <SectionErrorBoundary
+                key={`${activeSection}-${loadAttempt}`}
+                sectionKey={activeSection}
+                label={active.title}
+                onRetry={retrySection}
+              >
+                <Suspense fallback={<SectionSkeleton />}>
+                  <ActiveComponent />
+                </Suspense>
+              </SectionErrorBoundary>
+              <NextTopic sections={sections} sectionKey={activeSection} />
+            </SectionContext.Provider>
+          ) : (
+            <NotFound path={path} sections={sections} />
+          )}
         </div>
-      </div>
-
-      <div className="section">
-        <h2>📖 {sections[activeSection].title}</h2>
-        <ActiveComponent />
-      </div>
+      )}
+      <CommandPalette sections={sections} open={paletteOpen} onClose={() => setPaletteOpen(false)} />
+      <ShortcutHelp open={helpOpen} onClose={() => setHelpOpen(false)} />
+      {import.meta.env.DEV && <MissingTranslations />}
+      {import.meta.env.DEV && mockPanelOpen && <MockApiPanel onClose={() => setMockPanelOpen(false)} />}
+      {networkPanelOpen && <NetworkPanel onClose={() => setNetworkPanelOpen(false)} />}
+      <UpdatePrompt />
     </div>
   );
 }
@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const AnimationExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Animation & Transitions Overview</h3>
       <p>Creating smooth animations and transitions in React using CSS, timing functions, and state management for dynamic effects.</p>
-      <div className="code-block">
-{`// CSS Transitions
+      <CodeBlock highlight="2, 5-8">
+        {`// CSS Transitions
 transition: all 0.3s ease-in-out;
 
 // CSS Animations
@@ -20,28 +22,23 @@ transition: all 0.3s ease-in-out;
 // 2. CSS-in-JS - Dynamic styles
 // 3. State management - Animation states
 // 4. useEffect - Animation lifecycle`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: CSS Transitions</h3>
+    <Example title="Example 1: CSS Transitions" source={['CSSTransitions']}>
       <CSSTransitions />
-    </div>
-    <div className="example">
-      <h3>Example 2: Keyframe Animations</h3>
+    </Example>
+    <Example title="Example 2: Keyframe Animations" source={['KeyframeAnimations']}>
       <KeyframeAnimations />
-    </div>
-    <div className="example">
-      <h3>Example 3: Staggered Animations</h3>
+    </Example>
+    <Example title="Example 3: Staggered Animations" source={['StaggeredAnimations']}>
       <StaggeredAnimations />
-    </div>
-    <div className="example">
-      <h3>Example 4: Timing Functions</h3>
+    </Example>
+    <Example title="Example 4: Timing Functions" source={['TimingFunctions']}>
       <TimingFunctions />
-    </div>
-    <div className="example">
-      <h3>Example 5: Animation with JavaScript</h3>
+    </Example>
+    <Example title="Example 5: Animation with JavaScript" source={['JSAnimations']}>
       <JSAnimations />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Animations:</h3>
       <ul>
@@ -66,14 +63,14 @@ function CSSTransitions() {
         style={{
           width: isExpanded ? '300px' : '100px',
           height: '100px',
-          backgroundColor: isExpanded ? '#3498db' : '#e74c3c',
+          backgroundColor: isExpanded ? 'var(--color-primary)' : 'var(--color-accent)',
           transition: 'all 0.5s ease-in-out',
           margin: '1rem 0',
           borderRadius: '8px',
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center',
-          color: 'white',
+          color: 'var(--color-on-primary)',
           cursor: 'pointer'
         }}
         onClick={() => setIsExpanded(!isExpanded)}
@@ -91,7 +88,7 @@ function CSSTransitions() {
           transform: isVisible ? 'translateY(0)' : 'translateY(-20px)',
           transition: 'opacity 0.3s ease, transform 0.3s ease',
           padding: '1rem',
-          backgroundColor: '#f8f9fa',
+          backgroundColor: 'var(--color-surface-alt)',
           borderRadius: '4px',
           marginTop: '1rem'
         }}
@@ -153,13 +150,13 @@ function KeyframeAnimations() {
           style={{
             width: '100px',
             height: '100px',
-            backgroundColor: '#e74c3c',
+            backgroundColor: 'var(--color-accent)',
             borderRadius: '50%',
             animation: isAnimating ? 'bounce 1s infinite' : 'none',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            color: 'white'
+            color: 'var(--color-on-primary)'
           }}
         >
           Bounce
@@ -169,13 +166,13 @@ function KeyframeAnimations() {
           style={{
             width: '100px',
             height: '100px',
-            backgroundColor: '#3498db',
+            backgroundColor: 'var(--color-primary)',
             borderRadius: '8px',
             animation: isAnimating ? 'rotate 2s linear infinite' : 'none',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            color: 'white'
+            color: 'var(--color-on-primary)'
           }}
         >
           Rotate
@@ -185,13 +182,13 @@ function KeyframeAnimations() {
           style={{
             width: '100px',
             height: '100px',
-            backgroundColor: '#27ae60',
+            backgroundColor: 'var(--color-success)',
             borderRadius: '8px',
             animation: isAnimating ? 'pulse 1.5s ease-in-out infinite' : 'none',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            color: 'white'
+            color: 'var(--color-on-primary)'
           }}
         >
           Pulse
@@ -285,14 +282,14 @@ function TimingFunctions() {
         style={{
           width: isAnimating ? '300px' : '50px',
           height: '50px',
-          backgroundColor: '#9b59b6',
+          backgroundColor: 'var(--color-highlight)',
           transition: `width 2s ${selectedFunction}`,
           margin: '2rem 0',
           borderRadius: '8px',
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center',
-          color: 'white',
+          color: 'var(--color-on-primary)',
           fontSize: '12px'
         }}
       >
@@ -354,7 +351,7 @@ function JSAnimations() {
           style={{
             width: '50px',
             height: '50px',
-            backgroundColor: '#f39c12',
+            backgroundColor: 'var(--color-warning)',
             borderRadius: '50%',
             position: 'absolute',
             left: `${position}px`,
@@ -363,7 +360,7 @@ function JSAnimations() {
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            color: 'white',
+            color: 'var(--color-on-primary)',
             fontSize: '12px'
           }}
         >
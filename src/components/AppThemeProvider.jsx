@@ -0,0 +1,32 @@
+import { useLayoutEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import ThemeContext from '../context/ThemeContext';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+
+export const THEME_STORAGE_KEY = 'react-learning:theme';
+
+// Applies the palette by setting data-theme on <html>; index.css maps each value to CSS variables.
+// index.html runs the same lookup inline before the bundle loads, so there is no light flash.
+function AppThemeProvider({ children }) {
+  const [preference, setPreference] = useLocalStorage(THEME_STORAGE_KEY, 'system');
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const prefersContrast = useMediaQuery('(prefers-contrast: more)');
+
+  const systemTheme = prefersContrast ? 'high-contrast' : prefersDark ? 'dark' : 'light';
+  const theme = preference === 'system' ? systemTheme : preference;
+
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const value = useMemo(() => ({ preference, theme, setPreference }), [preference, theme, setPreference]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+AppThemeProvider.propTypes = {
+  children: PropTypes.node,
+};
+
+export default AppThemeProvider;
@@ -0,0 +1,108 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../hooks/useTranslation';
+import { parseLineRanges, tokenize } from '../utils/highlight';
+
+const COLLAPSE_AFTER = 20;
+
+const copyText = async (text) => {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Fallback for plain http and older browsers
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  if (!copied) throw new Error('Copy command was rejected');
+};
+
+// Syntax-highlighted snippet with line numbers, a copy button and optional highlighted lines.
+// `highlight` uses the displayed line numbers ("2, 5-7"), which start at `startLine`.
+// Snippets longer than `collapseAfter` lines start collapsed.
+function CodeBlock({ children, title, highlight, startLine = 1, collapseAfter = COLLAPSE_AFTER }) {
+  const code = String(children).replace(/^\n+|\s+$/g, '');
+  const lines = useMemo(() => tokenize(code), [code]);
+  const highlighted = useMemo(() => parseLineRanges(highlight), [highlight]);
+  const collapsible = lines.length > collapseAfter + 2;
+  const [expanded, setExpanded] = useState(false);
+  const [copyState, setCopyState] = useState('idle');
+  const resetRef = useRef(null);
+  const { t } = useTranslation();
+
+  useEffect(() => () => clearTimeout(resetRef.current), []);
+
+  const handleCopy = async () => {
+    try {
+      await copyText(code);
+      setCopyState('copied');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      setCopyState('failed');
+    }
+    clearTimeout(resetRef.current);
+    resetRef.current = setTimeout(() => setCopyState('idle'), 1500);
+  };
+
+  const visibleLines = collapsible && !expanded ? lines.slice(0, collapseAfter) : lines;
+
+  return (
+    <div className={`code-block code-block-highlighted${collapsible && !expanded ? ' collapsed' : ''}`}>
+      <div className="code-block-toolbar">
+        {title && <span className="code-block-title">{title}</span>}
+        <button type="button" className="code-block-copy" onClick={handleCopy}>
+          {copyState === 'copied'
+            ? t('codeBlock.copied')
+            : copyState === 'failed'
+              ? t('codeBlock.copyFailed')
+              : t('codeBlock.copy')}
+        </button>
+      </div>
+      <pre>
+        <code>
+          {visibleLines.map((tokens, index) => {
+            const lineNumber = startLine + index;
+            return (
+              <span key={lineNumber} className={highlighted.has(lineNumber) ? 'code-line highlighted' : 'code-line'}>
+                <span className="line-number" aria-hidden="true">
+                  {lineNumber}
+                </span>
+                {tokens.map((token, tokenIndex) =>
+                  token.type === 'plain' ? (
+                    token.value
+                  ) : (
+                    <span key={tokenIndex} className={`token ${token.type}`}>
+                      {token.value}
+                    </span>
+                  )
+                )}
+                {'\n'}
+              </span>
+            );
+          })}
+        </code>
+      </pre>
+      {collapsible && (
+        <button type="button" className="code-block-toggle" onClick={() => setExpanded((value) => !value)}>
+          {expanded ? t('codeBlock.showLess') : t('codeBlock.showAll', { count: lines.length })}
+        </button>
+      )}
+    </div>
+  );
+}
+
+CodeBlock.propTypes = {
+  children: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  highlight: PropTypes.string,
+  startLine: PropTypes.number,
+  collapseAfter: PropTypes.number,
+};
+
+export default CodeBlock;
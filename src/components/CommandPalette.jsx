@@ -0,0 +1,142 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { navigate } from '../hooks/useRoute';
+import { useTranslation } from '../hooks/useTranslation';
+import { loadSearchIndex, searchIndex } from '../utils/searchIndex';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+
+const TYPE_ICONS = { section: '📖', example: '🧪', concept: '💡', code: '🧾' };
+
+function Highlighted({ text, indices = [] }) {
+  if (!indices.length) return text;
+  const marked = new Set(indices);
+  return [...text].map((char, i) => (marked.has(i) ? <mark key={i}>{char}</mark> : char));
+}
+
+Highlighted.propTypes = {
+  text: PropTypes.string.isRequired,
+  indices: PropTypes.arrayOf(PropTypes.number),
+};
+
+function CommandPalette({ sections, open, onClose }) {
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    if (!open) return;
+    setQuery('');
+    setSelected(0);
+    inputRef.current.focus();
+    loadSearchIndex(sections).then(setIndex, setError);
+  }, [open, sections]);
+
+  useEffect(() => {
+    const item = listRef.current && listRef.current.children[selected];
+    if (item) item.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  if (!open) return null;
+
+  const results = index ? searchIndex(index, query) : [];
+
+  const choose = (result) => {
+    onClose();
+    navigate(result.to);
+    if (result.hash) {
+      // Same URL as before means no route change, so scroll explicitly
+      const target = document.getElementById(result.hash);
+      if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((current) => Math.min(current + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((current) => Math.max(current - 1, 0));
+    } else if (e.key === 'Enter' && results[selected]) {
+      e.preventDefault();
+      choose(results[selected]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return createPortal(
+    <div className="palette-backdrop" onMouseDown={onClose}>
+      <div
+        className="palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('palette.label')}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          className="input palette-input"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={t('palette.placeholder')}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[selected] ? `palette-result-${selected}` : undefined}
+        />
+        {error && <p className="palette-empty">{t('palette.indexFailed', { message: error.message })}</p>}
+        {!index && !error && <p className="palette-empty">{t('palette.indexing')}</p>}
+        {index && results.length === 0 && <p className="palette-empty">{t('palette.noMatches', { query })}</p>}
+        <ul id="palette-results" ref={listRef} className="palette-results" role="listbox">
+          {results.map((result, i) => (
+            <li
+              key={`${result.type}-${result.to}-${result.label}-${i}`}
+              id={`palette-result-${i}`}
+              role="option"
+              aria-selected={i === selected}
+              className={i === selected ? 'palette-result selected' : 'palette-result'}
+              onMouseMove={() => setSelected(i)}
+              onClick={() => choose(result)}
+            >
+              <span aria-hidden="true">{TYPE_ICONS[result.type]}</span>
+              <div>
+                <div>
+                  <Highlighted text={result.label} indices={result.indices} />
+                </div>
+                <small>
+                  {result.type === 'section' ? t('palette.section') : t(`sections.${result.sectionKey}`)}
+                  {result.context && <code> — {result.context}</code>}
+                </small>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <div className="palette-footer">
+          <span>{t('palette.move')}</span>
+          <span>{t('palette.open')}</span>
+          <span>{t('palette.close')}</span>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+CommandPalette.propTypes = {
+  sections: sectionsPropType.isRequired,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CommandPalette;
@@ -1,12 +1,14 @@
 import React, { useState , useRef } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const ConditionalRenderingExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Conditional Rendering Overview</h3>
       <p>React supports conditional rendering using if/else, ternary, &&, switch, and enums. Show/hide UI based on state or props.</p>
-      <div className="code-block">
-{`{isLoggedIn ? <Dashboard /> : <Login />}
+      <CodeBlock highlight="1-3">
+        {`{isLoggedIn ? <Dashboard /> : <Login />}
 {count > 0 && <p>Count is positive</p>}
 {status === 'loading' ? <Spinner /> : <Content />}
 
@@ -15,24 +17,20 @@ const ConditionalRenderingExamples = () => (
 // 2. Logical && - condition && value
 // 3. Switch Statements - Multiple cases
 // 4. Enums/Constants - Status values`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Ternary Operator</h3>
+    <Example title="Example 1: Ternary Operator" source={['TernaryExample']}>
       <TernaryExample />
-    </div>
-    <div className="example">
-      <h3>Example 2: Logical && Operator</h3>
+    </Example>
+    <Example title="Example 2: Logical && Operator" source={['LogicalAndExample']}>
       <LogicalAndExample />
-    </div>
-    <div className="example">
-      <h3>Example 3: Switch Statement</h3>
+    </Example>
+    <Example title="Example 3: Switch Statement" source={['SwitchExample']}>
       <SwitchExample />
-    </div>
-    <div className="example">
-      <h3>Example 4: Enum/Constant Status</h3>
+    </Example>
+    <Example title="Example 4: Enum/Constant Status" source={['EnumExample']}>
       <EnumExample />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Conditional Rendering:</h3>
       <ul>
@@ -83,7 +81,7 @@ function SwitchExample() {
       contentRef.current = <p>Data loaded successfully!</p>;
       break;
     case 'error':
-      contentRef.current = <p style={{ color: '#e74c3c' }}>Error loading data.</p>;
+      contentRef.current = <p style={{ color: 'var(--color-accent)' }}>Error loading data.</p>;
       break;
     default:
       contentRef.current = <p>Idle state.</p>;
@@ -114,7 +112,7 @@ function EnumExample() {
       <p>Status: {status}</p>
       {status === Status.LOADING && <p>Loading spinner...</p>}
       {status === Status.SUCCESS && <p>🎉 Success!</p>}
-      {status === Status.ERROR && <p style={{ color: '#e74c3c' }}>❌ Error occurred.</p>}
+      {status === Status.ERROR && <p style={{ color: 'var(--color-accent)' }}>❌ Error occurred.</p>}
       <div>
         {Object.values(Status).map(s => (
           <button key={s} onClick={() => setStatus(s)} className="button">{s}</button>
@@ -1,4 +1,7 @@
 import React, { useState, useEffect, useCallback } from "react";
+import { simulateRequest } from "../utils/network";
+import CodeBlock from "./CodeBlock";
+import Example from "./Example";
 
 const CustomHooksExamples = () => {
   return (
@@ -11,7 +14,7 @@ const CustomHooksExamples = () => {
           component logic into reusable functions, making your code more modular
           and easier to test.
         </p>
-        <div className="code-block">
+        <CodeBlock highlight="2, 7">
           {`// Custom Hook Pattern
 function useCustomHook(initialValue) {
   const [state, setState] = useState(initialValue);
@@ -26,218 +29,65 @@ function useCustomHook(initialValue) {
 // 2. State Management - Managing local state
 // 3. Side Effects - Handling external interactions
 // 4. Return Values - Providing data and functions to components`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: useLocalStorage Hook */}
-      <div className="example">
-        <h3>Example 1: useLocalStorage Hook</h3>
+      <Example title="Example 1: useLocalStorage Hook" source={["LocalStorageExample", "useLocalStorage"]}>
         <p>Custom hook for managing state that persists in localStorage.</p>
         <LocalStorageExample />
-        <div className="code-block">
-          {`function useLocalStorage(key, initialValue) {
-  // Get from localStorage or use initial value
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error('Error reading from localStorage:', error);
-      return initialValue;
-    }
-  });
-  
-  // Update localStorage when state changes
-  const setValue = useCallback((value) => {
-    try {
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      console.error('Error setting localStorage:', error);
-    }
-  }, [key, storedValue]);
-  
-  return [storedValue, setValue];
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - localStorage API: getItem, setItem
 // - JSON.parse/stringify: Serializing data
 // - Try/Catch: Error handling
 // - Function instanceof: Checking function types`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: useFetch Hook */}
-      <div className="example">
-        <h3>Example 2: useFetch Hook</h3>
+      <Example title="Example 2: useFetch Hook" source={["FetchExample", "useFetch"]}>
         <p>Custom hook for making API calls with loading and error states.</p>
         <FetchExample />
-        <div className="code-block">
-          {`function useFetch(url, options = {}) {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  
-  const fetchData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        throw new Error(\`HTTP error! status: \${response.status}\`);
-      }
-      
-      const result = await response.json();
-      setData(result);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  }, [url, JSON.stringify(options)]);
-  
-  useEffect(() => {
-    fetchData();
-  }, [fetchData]);
-  
-  return { data, loading, error, refetch: fetchData };
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Async/Await: Handling asynchronous operations
 // - Fetch API: Making HTTP requests
 // - Error Handling: Try/catch blocks
 // - Response.ok: Checking HTTP status`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: useWindowSize Hook */}
-      <div className="example">
-        <h3>Example 3: useWindowSize Hook</h3>
+      <Example title="Example 3: useWindowSize Hook" source={["WindowSizeExample", "useWindowSize"]}>
         <p>
           Custom hook for tracking window dimensions with debounced updates.
         </p>
         <WindowSizeExample />
-        <div className="code-block">
-          {`function useWindowSize() {
-  const [windowSize, setWindowSize] = useState({
-    width: window.innerWidth,
-    height: window.innerHeight
-  });
-  
-  useEffect(() => {
-    let timeoutId = null;
-    
-    const handleResize = () => {
-      // Debounce the resize event
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        setWindowSize({
-          width: window.innerWidth,
-          height: window.innerHeight
-        });
-      }, 100);
-    };
-    
-    window.addEventListener('resize', handleResize);
-    
-    return () => {
-      window.removeEventListener('resize', handleResize);
-      clearTimeout(timeoutId);
-    };
-  }, []);
-  
-  return windowSize;
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Event Listeners: addEventListener, removeEventListener
 // - setTimeout/clearTimeout: Debouncing
 // - Window API: innerWidth, innerHeight
 // - Cleanup Functions: Preventing memory leaks`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: useForm Hook */}
-      <div className="example">
-        <h3>Example 4: useForm Hook</h3>
+      <Example title="Example 4: useForm Hook" source={["FormExample", "useForm"]}>
         <p>
           Custom hook for form management with validation and submission
           handling.
         </p>
         <FormExample />
-        <div className="code-block">
-          {`function useForm(initialValues = {}, validationRules = {}) {
-  const [values, setValues] = useState(initialValues);
-  const [errors, setErrors] = useState({});
-  const [touched, setTouched] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  
-  const handleChange = useCallback((name, value) => {
-    setValues(prev => ({ ...prev, [name]: value }));
-    
-    // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: '' }));
-    }
-  }, [errors]);
-  
-  const handleBlur = useCallback((name) => {
-    setTouched(prev => ({ ...prev, [name]: true }));
-    
-    // Validate on blur
-    if (validationRules[name]) {
-      const error = validationRules[name](values[name]);
-      setErrors(prev => ({ ...prev, [name]: error }));
-    }
-  }, [validationRules, values]);
-  
-  const validateForm = useCallback(() => {
-    const newErrors = {};
-    Object.keys(validationRules).forEach(field => {
-      const error = validationRules[field](values[field]);
-      if (error) newErrors[field] = error;
-    });
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
-  }, [validationRules, values]);
-  
-  const handleSubmit = useCallback(async (onSubmit) => {
-    setIsSubmitting(true);
-    
-    if (validateForm()) {
-      try {
-        await onSubmit(values);
-      } catch (error) {
-        console.error('Form submission error:', error);
-      }
-    }
-    
-    setIsSubmitting(false);
-  }, [validateForm, values]);
-  
-  return {
-    values,
-    errors,
-    touched,
-    isSubmitting,
-    handleChange,
-    handleBlur,
-    handleSubmit,
-    setValues
-  };
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object.keys(): Getting object property names
 // - Async Functions: Handling form submission
 // - Computed Properties: Dynamic property names
 // - Conditional Logic: Form validation`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in Custom Hooks:</h3>
@@ -538,12 +388,12 @@ function FetchExample() {
       </button>
 
       {loading && <p>Loading...</p>}
-      {error && <p style={{ color: "#e74c3c" }}>Error: {error}</p>}
+      {error && <p style={{ color: "var(--color-accent)" }}>Error: {error}</p>}
       {data && (
         <div
           style={{
             padding: "1rem",
-            border: "1px solid #ddd",
+            border: "1px solid var(--color-border)",
             marginTop: "1rem",
           }}
         >
@@ -567,9 +417,9 @@ function WindowSizeExample() {
       <div
         style={{
           padding: "1rem",
-          border: "1px solid #ddd",
+          border: "1px solid var(--color-border)",
           marginTop: "1rem",
-          backgroundColor: "#f8f9fa",
+          backgroundColor: "var(--color-surface-alt)",
         }}
       >
         <p>
@@ -606,8 +456,8 @@ function FormExample() {
   } = useForm({ name: "", email: "", password: "" }, validationRules);
 
   const onSubmit = async (formData) => {
-    // Simulate API call
-    await new Promise((resolve) => setTimeout(resolve, 1000));
+    // Simulated API call; a failed request lands in useForm's catch
+    await simulateRequest("POST /signup", { serverTime: 1000 });
     console.log("Form submitted:", formData);
     alert("Form submitted successfully!");
   };
@@ -632,7 +482,7 @@ function FormExample() {
             className="input"
           />
           {touched.name && errors.name && (
-            <p style={{ color: "#e74c3c", fontSize: "0.8rem" }}>
+            <p style={{ color: "var(--color-accent)", fontSize: "0.8rem" }}>
               {errors.name}
             </p>
           )}
@@ -648,7 +498,7 @@ function FormExample() {
             className="input"
           />
           {touched.email && errors.email && (
-            <p style={{ color: "#e74c3c", fontSize: "0.8rem" }}>
+            <p style={{ color: "var(--color-accent)", fontSize: "0.8rem" }}>
               {errors.email}
             </p>
           )}
@@ -664,7 +514,7 @@ function FormExample() {
             className="input"
           />
           {touched.password && errors.password && (
-            <p style={{ color: "#e74c3c", fontSize: "0.8rem" }}>
+            <p style={{ color: "var(--color-accent)", fontSize: "0.8rem" }}>
               {errors.password}
             </p>
           )}
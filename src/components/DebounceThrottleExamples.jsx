@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const DebounceThrottleExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Debouncing & Throttling Overview</h3>
       <p>Debouncing delays execution until after a pause, throttling limits execution to once per time period. Both optimize performance for frequent events.</p>
-      <div className="code-block">
-{`// Debounce: Wait for pause in events
+      <CodeBlock highlight="2, 5">
+        {`// Debounce: Wait for pause in events
 const debouncedFunction = debounce(callback, delay);
 
 // Throttle: Execute once per time period
@@ -17,28 +19,23 @@ const throttledFunction = throttle(callback, delay);
 // 2. useCallback - Memoizing functions
 // 3. useEffect - Managing side effects
 // 4. Event handling - Input, scroll, resize`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Debounced Search Input</h3>
+    <Example title="Example 1: Debounced Search Input" source={['DebouncedSearch', 'useDebounce']}>
       <DebouncedSearch />
-    </div>
-    <div className="example">
-      <h3>Example 2: Throttled Scroll Events</h3>
+    </Example>
+    <Example title="Example 2: Throttled Scroll Events" source={['ThrottledScroll', 'useThrottle']}>
       <ThrottledScroll />
-    </div>
-    <div className="example">
-      <h3>Example 3: Debounced Button Clicks</h3>
+    </Example>
+    <Example title="Example 3: Debounced Button Clicks" source={['DebouncedButton']}>
       <DebouncedButton />
-    </div>
-    <div className="example">
-      <h3>Example 4: Throttled Window Resize</h3>
+    </Example>
+    <Example title="Example 4: Throttled Window Resize" source={['ThrottledResize', 'useThrottle']}>
       <ThrottledResize />
-    </div>
-    <div className="example">
-      <h3>Example 5: Custom Hook Implementation</h3>
+    </Example>
+    <Example title="Example 5: Custom Hook Implementation" source={['CustomHookExample', 'useDebounce', 'useThrottle']}>
       <CustomHookExample />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Debouncing & Throttling:</h3>
       <ul>
@@ -114,7 +111,7 @@ function DebouncedSearch() {
       <p>Debounced input: {debouncedSearchTerm}</p>
       <div>
         {searchResults.map((result, index) => (
-          <p key={index} style={{ color: '#27ae60' }}>{result}</p>
+          <p key={index} style={{ color: 'var(--color-success)' }}>{result}</p>
         ))}
       </div>
     </div>
@@ -140,11 +137,11 @@ function ThrottledScroll() {
   }, [throttledScrollHandler]);
 
   return (
-    <div style={{ height: '200px', overflow: 'auto', border: '1px solid #ddd', padding: '1rem' }}>
+    <div style={{ height: '200px', overflow: 'auto', border: '1px solid var(--color-border)', padding: '1rem' }}>
       <h4>Scroll Events</h4>
       <p>Total scroll events: {scrollCount}</p>
       <p>Throttled events (1 per second): {throttledCount}</p>
-      <div style={{ height: '1000px', background: 'linear-gradient(to bottom, #f0f0f0, #e0e0e0)' }}>
+      <div style={{ height: '1000px', background: 'linear-gradient(to bottom, var(--color-skeleton-shine), var(--color-skeleton))' }}>
         Scroll this content to see throttling in action...
       </div>
     </div>
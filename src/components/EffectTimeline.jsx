@@ -0,0 +1,117 @@
+import { useEffectTimeline } from '../hooks/useEffectTimeline';
+import { clearEffectTimeline, remountEffectDemos, setEffectStrictMode } from '../utils/effectTimeline';
+
+const MAX_COLUMNS = 40;
+
+const EVENT_LABELS = { mount: 'mount', effect: 'run', cleanup: 'cleanup', unmount: 'unmount' };
+
+const formatValue = (value) => {
+  const text = JSON.stringify(value);
+  return text === undefined ? String(value) : text;
+};
+
+const describe = ({ type, changes, strict }) => {
+  if (strict) {
+    return {
+      mount: 'StrictMode mounts it again (development only)',
+      unmount: 'StrictMode simulates an unmount (development only): the cleanups run next',
+      effect: 'StrictMode runs the effect a second time (development only)',
+      cleanup: 'StrictMode cleans up before running the effect again',
+    }[type];
+  }
+  if (type === 'mount') return 'Mounted';
+  if (type === 'unmount') return 'Unmounting: its effect cleanups run next';
+  if (type === 'cleanup') return 'Cleanup before the next run, or on unmount';
+  if (changes === null) return 'First run after mounting';
+  if (changes === 'every-render') return 'No dependency array: runs after every render';
+  return changes.map(({ name, from, to }) => `${name}: ${formatValue(from)} → ${formatValue(to)}`).join(', ');
+};
+
+// The useEffect demos' lifecycle events, one lane per component and one column per event in the order
+// they happened, plus the StrictMode switch for the roots those demos are rendered in
+function EffectTimeline() {
+  const { events, strictMode } = useEffectTimeline();
+  const origin = events.length > 0 ? events[0].time : 0;
+  const shown = events.slice(-MAX_COLUMNS);
+  const lanes = [...new Set(events.map((event) => event.lane))];
+
+  return (
+    <div className="effect-timeline">
+      <div className="effect-timeline-controls">
+        <label>
+          <input type="checkbox" checked={strictMode} onChange={(e) => setEffectStrictMode(e.target.checked)} /> Render
+          the demos inside &lt;React.StrictMode&gt;
+        </label>
+        <button type="button" className="button" onClick={remountEffectDemos}>
+          Remount demos
+        </button>
+        <button type="button" className="button" onClick={clearEffectTimeline} disabled={events.length === 0}>
+          Clear
+        </button>
+      </div>
+      {!import.meta.env.DEV && (
+        <p className="effect-timeline-note">
+          This is a production build: StrictMode only runs effects twice in development (npm run dev).
+        </p>
+      )}
+
+      {events.length === 0 ? (
+        <p className="effect-timeline-note">Use the demos above: their effects show up here.</p>
+      ) : (
+        <>
+          <div className="effect-timeline-lanes" style={{ gridTemplateColumns: `9rem repeat(${shown.length}, auto)` }}>
+            <span />
+            {shown.map((event) => (
+              <span key={event.id} className="effect-timeline-time">
+                +{Math.round(event.time - origin)}
+              </span>
+            ))}
+            {lanes.map((lane) => [
+              <strong key={lane} className="effect-timeline-lane">
+                {lane}
+              </strong>,
+              ...shown.map((event) => (
+                <span key={`${lane}-${event.id}`} className="effect-timeline-cell">
+                  {event.lane === lane && (
+                    <span
+                      className={`effect-event effect-event-${event.type}${event.strict ? ' effect-event-strict' : ''}`}
+                      title={describe(event)}
+                    >
+                      {EVENT_LABELS[event.type]}
+                    </span>
+                  )}
+                </span>
+              )),
+            ])}
+          </div>
+
+          <details className="effect-timeline-log">
+            <summary>Event log ({events.length})</summary>
+            <table>
+              <thead>
+                <tr>
+                  <th>Time (ms)</th>
+                  <th>Component</th>
+                  <th>Event</th>
+                  <th>Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event.id} className={event.strict ? 'effect-event-strict-row' : undefined}>
+                    <td>+{(event.time - origin).toFixed(1)}</td>
+                    <td>{event.lane}</td>
+                    <td>{EVENT_LABELS[event.type]}</td>
+                    <td>{describe(event)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EffectTimeline;
@@ -0,0 +1,65 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// The ErrorBoundary from the Error Boundaries section, generalized for app-wide use:
+// - `fallback({ error, componentStack, reset })` replaces the default "Something went wrong!" box
+// - `onError(error, info)` receives every caught error (logging, reporting)
+// - a change in any of `resetKeys` clears the error, e.g. when new code is compiled
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null, componentStack: '' };
+  }
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+  componentDidCatch(error, info) {
+    this.setState({ componentStack: info.componentStack || '' });
+    if (this.props.onError) this.props.onError(error, info);
+  }
+  componentDidUpdate(prevProps) {
+    const { resetKeys = [] } = this.props;
+    const prevKeys = prevProps.resetKeys || [];
+    if (
+      this.state.hasError &&
+      (resetKeys.length !== prevKeys.length || resetKeys.some((key, index) => !Object.is(key, prevKeys[index])))
+    ) {
+      this.handleReset();
+    }
+  }
+  handleReset = () => {
+    this.setState({ hasError: false, error: null, componentStack: '' });
+    if (this.props.onReset) this.props.onReset();
+  };
+  render() {
+    const { hasError, error, componentStack } = this.state;
+    if (!hasError) return this.props.children;
+
+    if (this.props.fallback) {
+      return this.props.fallback({ error, componentStack, reset: this.handleReset });
+    }
+    return (
+      <div className="error-fallback">
+        <h3>Something went wrong!</h3>
+        <p>{error?.toString()}</p>
+        {componentStack && (
+          <details>
+            <summary>Component stack</summary>
+            <pre>{componentStack.trim()}</pre>
+          </details>
+        )}
+        <button onClick={this.handleReset} className="button">Try Again</button>
+      </div>
+    );
+  }
+}
+
+ErrorBoundary.propTypes = {
+  children: PropTypes.node,
+  fallback: PropTypes.func,
+  onError: PropTypes.func,
+  onReset: PropTypes.func,
+  resetKeys: PropTypes.array,
+};
+
+export default ErrorBoundary;
@@ -1,39 +1,19 @@
 import React from 'react';
-
-class ErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
-  }
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
-  }
-  componentDidCatch(error, info) {
-    // You can log error info here
-    if (this.props.onError) this.props.onError(error, info);
-  }
-  handleReset = () => this.setState({ hasError: false, error: null });
-  render() {
-    if (this.state.hasError) {
-      return (
-        <div style={{ background: '#fff3cd', padding: '1rem', borderRadius: '8px' }}>
-          <h3>Something went wrong!</h3>
-          <p>{this.state.error?.toString()}</p>
-          <button onClick={this.handleReset} className="button">Try Again</button>
-        </div>
-      );
-    }
-    return this.props.children;
-  }
-}
+import CodeBlock from './CodeBlock';
+import ErrorBoundary from './ErrorBoundary';
+import Example from './Example';
 
 const ErrorBoundaryExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Error Boundaries Overview</h3>
       <p>Error boundaries catch JavaScript errors in child components and display a fallback UI instead of crashing the app.</p>
-      <div className="code-block">
-{`class ErrorBoundary extends React.Component {
+      <p>
+        The <code>ErrorBoundary</code> used below is the same one that wraps every example in this app, so a crashing
+        demo only replaces itself and shows up in the error log.
+      </p>
+      <CodeBlock highlight="2-3">
+        {`class ErrorBoundary extends React.Component {
   static getDerivedStateFromError(error) { ... }
   componentDidCatch(error, info) { ... }
   render() { ... }
@@ -44,32 +24,28 @@ const ErrorBoundaryExamples = () => (
 // 2. Error Handling - try/catch, error objects
 // 3. Fallback UI - Displaying alternative content
 // 4. State Management - hasError flag`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Basic Error Boundary</h3>
+    <Example title="Example 1: Basic Error Boundary" source={['ErrorThrower', 'ErrorBoundary']}>
       <ErrorBoundary>
         <ErrorThrower />
       </ErrorBoundary>
-    </div>
-    <div className="example">
-      <h3>Example 2: Fallback UI and Reset</h3>
+    </Example>
+    <Example title="Example 2: Fallback UI and Reset" source={['ErrorThrowerWithReset', 'ErrorBoundary']}>
       <ErrorBoundary>
         <ErrorThrowerWithReset />
       </ErrorBoundary>
-    </div>
-    <div className="example">
-      <h3>Example 3: Logging Errors</h3>
+    </Example>
+    <Example title="Example 3: Logging Errors" source={['ErrorThrowerWithLog', 'ErrorBoundary']}>
       <ErrorBoundary onError={(error, info) => alert('Logged: ' + error)}>
         <ErrorThrowerWithLog />
       </ErrorBoundary>
-    </div>
-    <div className="example">
-      <h3>Example 4: Error in Child Component</h3>
+    </Example>
+    <Example title="Example 4: Error in Child Component" source={['ChildErrorDemo', 'ErrorChild', 'ErrorBoundary']}>
       <ErrorBoundary>
         <ChildErrorDemo />
       </ErrorBoundary>
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Error Boundaries:</h3>
       <ul>
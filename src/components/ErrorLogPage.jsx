@@ -0,0 +1,81 @@
+import { useErrorLog } from '../hooks/useErrorLog';
+import { useTranslation } from '../hooks/useTranslation';
+import { downloadJson } from '../utils/download';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+
+function ErrorLogPage({ sections }) {
+  const { errors, clearErrors } = useErrorLog();
+  const { t, locale } = useTranslation();
+
+  const handleClear = () => {
+    if (window.confirm(t('errorLog.confirmClear', { count: errors.length }))) clearErrors();
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(`react-learning-errors-${date}.json`, errors);
+  };
+
+  const locationLink = ({ sectionKey, exampleId }) => {
+    if (!sectionKey || !sections[sectionKey]) return null;
+    const to = `/${keyToSlug(sectionKey)}${exampleId ? `#${exampleId}` : ''}`;
+    return <Link to={to}>{t(`sections.${sectionKey}`)}</Link>;
+  };
+
+  return (
+    <div>
+      <div className="explanation">
+        <h3>{t('errorLog.heading')}</h3>
+        <p>{t('errorLog.intro', { component: <code>ErrorBoundary</code> })}</p>
+      </div>
+
+      {errors.length === 0 ? (
+        <p>{t('errorLog.empty')}</p>
+      ) : (
+        <>
+          <div className="quiz-setup-actions">
+            <button onClick={handleExport} className="button">
+              {t('errorLog.export')}
+            </button>
+            <button onClick={handleClear} className="button">
+              {t('errorLog.clear')}
+            </button>
+          </div>
+          <ul className="error-log">
+            {errors.map((entry) => (
+              <li key={entry.id} className="example">
+                <div className="error-log-meta">
+                  <span>{t(`errorLog.origins.${entry.origin}`)}</span>
+                  <span>{entry.label}</span>
+                  {locationLink(entry)}
+                  <time dateTime={entry.time}>{new Date(entry.time).toLocaleString(locale)}</time>
+                </div>
+                <p className="error-log-message">{entry.message}</p>
+                {entry.componentStack && (
+                  <details>
+                    <summary>{t('errorLog.componentStack')}</summary>
+                    <pre>{entry.componentStack}</pre>
+                  </details>
+                )}
+                {entry.stack && (
+                  <details>
+                    <summary>{t('errorLog.jsStack')}</summary>
+                    <pre>{entry.stack}</pre>
+                  </details>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+ErrorLogPage.propTypes = {
+  sections: sectionsPropType.isRequired,
+};
+
+export default ErrorLogPage;
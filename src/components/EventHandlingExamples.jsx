@@ -1,4 +1,6 @@
 import React, {useEffect, useState} from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const EventHandlingExamples = () => (
   <div>
@@ -7,7 +9,7 @@ const EventHandlingExamples = () => (
       <p>
         React handles events using camelCase syntax and passes a synthetic event object to handlers. You can handle clicks, input, keyboard, mouse, and custom events.
       </p>
-      <div className="code-block">
+      <CodeBlock highlight="1-4">
         {`<button onClick={handleClick}>Click Me</button>
 <input onChange={handleChange} />
 <div onMouseEnter={handleMouseEnter} />
@@ -18,28 +20,23 @@ const EventHandlingExamples = () => (
 // 2. Arrow Functions - Inline event handlers
 // 3. State Updates - setState in handlers
 // 4. Custom Functions - Passing arguments`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Button Click Event</h3>
+    <Example title="Example 1: Button Click Event" source={['ButtonClick']}>
       <ButtonClick />
-    </div>
-    <div className="example">
-      <h3>Example 2: Input Change Event</h3>
+    </Example>
+    <Example title="Example 2: Input Change Event" source={['InputChange']}>
       <InputChange />
-    </div>
-    <div className="example">
-      <h3>Example 3: Keyboard Event</h3>
+    </Example>
+    <Example title="Example 3: Keyboard Event" source={['KeyboardEvent']}>
       <KeyboardEvent />
-    </div>
-    <div className="example">
-      <h3>Example 4: Mouse Events</h3>
+    </Example>
+    <Example title="Example 4: Mouse Events" source={['MouseEvents']}>
       <MouseEvents />
-    </div>
-    <div className="example">
-      <h3>Example 5: Passing Arguments to Handlers</h3>
+    </Example>
+    <Example title="Example 5: Passing Arguments to Handlers" source={['PassingArguments']}>
       <PassingArguments />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Event Handling:</h3>
       <ul>
@@ -105,9 +102,9 @@ function MouseEvents () {
       onMouseLeave={() => setHovered (false)}
       style={{
         padding: '1rem',
-        border: '1px solid #ddd',
+        border: '1px solid var(--color-border)',
         borderRadius: '4px',
-        background: hovered ? '#e8f4fd' : '#fff',
+        background: hovered ? 'var(--color-info-soft)' : 'var(--color-surface)',
       }}
     >
       {hovered ? 'Mouse is over me!' : 'Hover over this box.'}
@@ -0,0 +1,136 @@
+import { Profiler, useContext, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import IsolatedExampleContext from '../context/IsolatedExampleContext';
+import ProfilerContext from '../context/ProfilerContext';
+import SectionContext from '../context/SectionContext';
+import { useCodeSelection } from '../hooks/useCodeSelection';
+import { useErrorLog } from '../hooks/useErrorLog';
+import { useNotes } from '../hooks/useNotes';
+import { useProgress } from '../hooks/useProgress';
+import { useProfilerEnabled } from '../hooks/useRenderProfiler';
+import { useTranslation } from '../hooks/useTranslation';
+import { recordCommit } from '../utils/profilerStore';
+import { exampleNumber, exampleSlug } from '../utils/slug';
+import ErrorBoundary from './ErrorBoundary';
+import Link from './Link';
+import NoteDrawer from './NoteDrawer';
+import Playground from './Playground';
+import ProfilerOverlay from './ProfilerOverlay';
+import SourceView from './SourceView';
+
+// `source` lists the module's top-level declarations behind this demo, entry component first
+function Example({ title, source, children }) {
+  const { sectionKey, slug, hash } = useContext(SectionContext);
+  const { isComplete, setComplete } = useProgress();
+  const ref = useRef(null);
+  const [showSource, setShowSource] = useState(false);
+  const [showPlayground, setShowPlayground] = useState(false);
+  const [profilerEnabled] = useProfilerEnabled();
+  const { logError } = useErrorLog();
+  const { getNote, saveNote } = useNotes();
+  const [showNotes, setShowNotes] = useState(false);
+  const { selection, clear: clearSelection } = useCodeSelection(ref);
+  const isolated = useContext(IsolatedExampleContext);
+  const { t } = useTranslation();
+
+  const id = exampleSlug(title);
+  const isTarget = hash !== '' && (hash === id || hash === `example-${exampleNumber(title)}`);
+  const understood = isComplete(sectionKey, id);
+  const profilerKey = `${sectionKey}/${id}`;
+  const note = getNote(sectionKey, id);
+
+  const addSelectionToNote = () => {
+    const quote = '```\n' + selection.text + '\n```';
+    saveNote(sectionKey, id, title, note ? `${note.text.trimEnd()}\n\n${quote}\n` : `${quote}\n`);
+    clearSelection();
+    setShowNotes(true);
+  };
+
+  useEffect(() => {
+    if (isTarget) {
+      ref.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [isTarget]);
+
+  if (isolated !== null && isolated !== id) return null;
+
+  return (
+    <div ref={ref} id={id} className={isTarget ? 'example example-targeted' : 'example'}>
+      <label className="example-complete">
+        <input
+          type="checkbox"
+          checked={understood}
+          onChange={(e) => setComplete(sectionKey, id, e.target.checked)}
+        />
+        {understood ? t('example.understood') : t('example.markUnderstood')}
+      </label>
+      <h3>
+        {title}
+        <Link
+          to={`/${slug}#${id}`}
+          className="example-anchor"
+          title={t('example.link')}
+          onClick={() => ref.current.scrollIntoView({ behavior: 'smooth', block: 'start' })}
+        >
+          #
+        </Link>
+      </h3>
+      {profilerEnabled && <ProfilerOverlay profilerKey={profilerKey} />}
+      <ProfilerContext.Provider value={profilerKey}>
+        <Profiler id={profilerKey} onRender={recordCommit}>
+          {/* A demo that throws only takes itself down, not the section */}
+          <ErrorBoundary onError={(error, info) => logError({ origin: 'example', sectionKey, exampleId: id, label: title }, error, info)}>
+            <div className="example-demo">{children}</div>
+          </ErrorBoundary>
+        </Profiler>
+      </ProfilerContext.Provider>
+      {source && (
+        <>
+          <button
+            onClick={() => setShowSource((shown) => !shown)}
+            className="button example-source-toggle"
+            aria-expanded={showSource}
+          >
+            {showSource ? t('example.hideSource') : t('example.showSource')}
+          </button>
+          <button
+            onClick={() => setShowPlayground((shown) => !shown)}
+            className="button"
+            aria-expanded={showPlayground}
+          >
+            {showPlayground ? t('example.closePlayground') : t('example.editLive')}
+          </button>
+          {showSource && <SourceView names={source} />}
+          {showPlayground && <Playground names={source} />}
+        </>
+      )}
+      <button onClick={() => setShowNotes((shown) => !shown)} className="button" aria-expanded={showNotes}>
+        {showNotes ? t('example.hideNotes') : note ? t('example.myNotes') : t('example.addNote')}
+      </button>
+      {isolated === null && (
+        <Link to={`/compare/${slug}:${id}`} className="button" title={t('example.compareTitle')}>
+          {t('example.compare')}
+        </Link>
+      )}
+      {showNotes && <NoteDrawer sectionKey={sectionKey} exampleId={id} title={title} onClose={() => setShowNotes(false)} />}
+      {selection && (
+        <button
+          className="button note-from-selection"
+          style={{ top: selection.rect.bottom + 6, left: selection.rect.left }}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={addSelectionToNote}
+        >
+          {t('example.addToNote')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+Example.propTypes = {
+  title: PropTypes.string.isRequired,
+  source: PropTypes.arrayOf(PropTypes.string),
+  children: PropTypes.node,
+};
+
+export default Example;
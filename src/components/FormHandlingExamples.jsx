@@ -1,13 +1,14 @@
 import React, { useState, useRef } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const FormHandlingExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Form Handling Overview</h3>
       <p>React forms can be controlled (state-driven) or uncontrolled (ref-driven). You can validate, handle multiple fields, and manage submission.</p>
-      <div className="code-block">
-
-{`<input value={value} onChange={handleChange} /> // Controlled
+      <CodeBlock highlight="1-3">
+        {`<input value={value} onChange={handleChange} /> // Controlled
 <input ref={inputRef} /> // Uncontrolled
 <form onSubmit={handleSubmit} />
 
@@ -16,24 +17,20 @@ const FormHandlingExamples = () => (
 // 2. Refs - Uncontrolled components
 // 3. Validation - Checking input values
 // 4. Event Handling - onChange, onSubmit`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Controlled Input</h3>
+    <Example title="Example 1: Controlled Input" source={['ControlledInput']}>
       <ControlledInput />
-    </div>
-    <div className="example">
-      <h3>Example 2: Uncontrolled Input</h3>
+    </Example>
+    <Example title="Example 2: Uncontrolled Input" source={['UncontrolledInput']}>
       <UncontrolledInput />
-    </div>
-    <div className="example">
-      <h3>Example 3: Multi-Field Form</h3>
+    </Example>
+    <Example title="Example 3: Multi-Field Form" source={['MultiFieldForm']}>
       <MultiFieldForm />
-    </div>
-    <div className="example">
-      <h3>Example 4: Validation and Submit</h3>
+    </Example>
+    <Example title="Example 4: Validation and Submit" source={['ValidationForm']}>
       <ValidationForm />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Form Handling:</h3>
       <ul>
@@ -107,7 +104,7 @@ function ValidationForm() {
       <input name="username" value={form.username} onChange={handleChange} className="input" placeholder="Username" />
       <input name="password" type="password" value={form.password} onChange={handleChange} className="input" placeholder="Password" />
       <button type="submit" className="button">Submit</button>
-      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {error && <p style={{ color: 'var(--color-accent)' }}>{error}</p>}
     </form>
   );
 }
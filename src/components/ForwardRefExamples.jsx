@@ -1,36 +1,34 @@
 import React, { useRef, forwardRef, useImperativeHandle } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const ForwardRefExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Forwarding Refs Overview</h3>
       <p>Forwarding refs lets parent components access child DOM nodes or methods. Useful for focus, animations, or imperative actions.</p>
-      <div className="code-block">
-{`const FancyInput = forwardRef((props, ref) => <input ref={ref} {...props} />);
+      <CodeBlock highlight="1">
+        {`const FancyInput = forwardRef((props, ref) => <input ref={ref} {...props} />);
 
 // JavaScript Concepts:
 // 1. forwardRef - Passing refs to children
 // 2. useImperativeHandle - Customizing ref values
 // 3. Callback Refs - Function refs
 // 4. HOC - Higher-order components with refs`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Focus Input with Forwarded Ref</h3>
+    <Example title="Example 1: Focus Input with Forwarded Ref" source={['FocusInputExample', 'FancyInput']}>
       <FocusInputExample />
-    </div>
-    <div className="example">
-      <h3>Example 2: Parent Access to Child Methods</h3>
+    </Example>
+    <Example title="Example 2: Parent Access to Child Methods" source={['ParentAccessExample', 'ImperativeInput']}>
       <ParentAccessExample />
-    </div>
-    <div className="example">
-      <h3>Example 3: Callback Ref</h3>
+    </Example>
+    <Example title="Example 3: Callback Ref" source={['CallbackRefExample']}>
       <CallbackRefExample />
-    </div>
-    <div className="example">
-      <h3>Example 4: HOC with Forwarded Ref</h3>
+    </Example>
+    <Example title="Example 4: HOC with Forwarded Ref" source={['HOCForwardRefExample', 'withForwardedRef', 'InputWithRef']}>
       <HOCForwardRefExample />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Forwarding Refs:</h3>
       <ul>
@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const FragmentsExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Fragments Overview</h3>
       <p>Fragments let you group multiple elements without adding extra nodes to the DOM. Use &lt;&gt;...&lt;/&gt; or &lt;React.Fragment&gt;...&lt;/React.Fragment&gt;.</p>
-      <div className="code-block">
-{`<>
+      <CodeBlock highlight="1, 4">
+        {`<>
   <Child1 />
   <Child2 />
 </>
@@ -16,24 +18,20 @@ const FragmentsExamples = () => (
 // 2. Table Rows - <tr> with fragments
 // 3. Conditional Fragments - Grouping conditionally
 // 4. Grouping - No extra DOM nodes`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Basic Fragment</h3>
+    <Example title="Example 1: Basic Fragment" source={['BasicFragment']}>
       <BasicFragment />
-    </div>
-    <div className="example">
-      <h3>Example 2: Keyed Fragments in Lists</h3>
+    </Example>
+    <Example title="Example 2: Keyed Fragments in Lists" source={['KeyedFragments']}>
       <KeyedFragments />
-    </div>
-    <div className="example">
-      <h3>Example 3: Table Rows with Fragments</h3>
+    </Example>
+    <Example title="Example 3: Table Rows with Fragments" source={['TableRows']}>
       <TableRows />
-    </div>
-    <div className="example">
-      <h3>Example 4: Conditional Fragments</h3>
+    </Example>
+    <Example title="Example 4: Conditional Fragments" source={['ConditionalFragments']}>
       <ConditionalFragments />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Fragments:</h3>
       <ul>
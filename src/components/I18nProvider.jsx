@@ -0,0 +1,82 @@
+import { cloneElement, isValidElement, useCallback, useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import I18nContext from '../context/I18nContext';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import en from '../locales/en';
+import { DEFAULT_LOCALE, formatMessage, localeDir, LOCALES, lookup, reportMissing } from '../utils/i18n';
+
+export const LOCALE_STORAGE_KEY = 'react-learning:locale';
+
+// English ships with the app; every other catalog is its own chunk, fetched when picked
+const loaders = import.meta.glob(['../locales/*.js', '!../locales/en.js'], { import: 'default' });
+const catalogs = { en };
+
+const loadCatalog = async (locale) => {
+  if (!catalogs[locale]) catalogs[locale] = await loaders[`../locales/${locale}.js`]();
+  return catalogs[locale];
+};
+
+const browserLocale = () => {
+  const languages = navigator.languages || [navigator.language];
+  const match = languages.map((language) => language.slice(0, 2)).find((code) => LOCALES.some((locale) => locale.code === code));
+  return match || DEFAULT_LOCALE;
+};
+
+// Sets lang/dir on <html> (index.html does the same inline before the first paint).
+// The previous catalog stays active until the next one has loaded, so text never flashes as keys.
+function I18nProvider({ children }) {
+  const [preference, setLocale] = useLocalStorage(LOCALE_STORAGE_KEY, browserLocale());
+  const [locale, setActiveLocale] = useState(() => (catalogs[preference] ? preference : null));
+
+  useEffect(() => {
+    let ignore = false;
+    loadCatalog(preference).then(
+      () => {
+        if (!ignore) setActiveLocale(preference);
+      },
+      (error) => {
+        console.error(`Could not load the "${preference}" translations:`, error);
+        if (!ignore) setActiveLocale((current) => current || DEFAULT_LOCALE);
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [preference]);
+
+  useLayoutEffect(() => {
+    if (!locale) return;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = localeDir(locale);
+  }, [locale]);
+
+  const t = useCallback(
+    (key, params) => {
+      let message = lookup(catalogs[locale], key);
+      if (message === undefined) {
+        reportMissing(locale, key);
+        message = lookup(en, key) ?? key;
+      }
+      const parts = formatMessage(message, params, locale);
+      if (parts.every((part) => typeof part === 'string')) return parts.join('');
+      return parts.map((part, index) => (isValidElement(part) ? cloneElement(part, { key: index }) : part));
+    },
+    [locale]
+  );
+
+  const value = useMemo(
+    () => ({ locale, preference, dir: localeDir(locale), setLocale, t }),
+    [locale, preference, setLocale, t]
+  );
+
+  // Only on a first visit in a non-English locale, for the moment its catalog takes to load
+  if (!locale) return null;
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+I18nProvider.propTypes = {
+  children: PropTypes.node,
+};
+
+export default I18nProvider;
@@ -0,0 +1,21 @@
+import { useTranslation } from '../hooks/useTranslation';
+import { LOCALES } from '../utils/i18n';
+
+function LanguageSwitcher() {
+  const { preference, setLocale, t } = useTranslation();
+
+  return (
+    <label className="theme-switcher">
+      {t('app.language')}{' '}
+      <select value={preference} onChange={(e) => setLocale(e.target.value)}>
+        {LOCALES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSwitcher;
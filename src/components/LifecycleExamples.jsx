@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const LifecycleExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Component Lifecycle Overview</h3>
       <p>React components have a lifecycle: mount, update, and unmount. useEffect can mimic lifecycle methods in function components.</p>
-      <div className="code-block">
-{`useEffect(() => {
+      <CodeBlock highlight="3-6">
+        {`useEffect(() => {
   // Mount (componentDidMount)
   return () => {
     // Unmount (componentWillUnmount)
@@ -18,24 +20,20 @@ const LifecycleExamples = () => (
 // 2. Cleanup Functions - Removing listeners, timers
 // 3. Dependency Arrays - Controlling effect runs
 // 4. Class vs. Function - Lifecycle methods`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Mount and Unmount</h3>
+    <Example title="Example 1: Mount and Unmount" source={['MountUnmount', 'Child']}>
       <MountUnmount />
-    </div>
-    <div className="example">
-      <h3>Example 2: Update Effect</h3>
+    </Example>
+    <Example title="Example 2: Update Effect" source={['UpdateEffect']}>
       <UpdateEffect />
-    </div>
-    <div className="example">
-      <h3>Example 3: Cleanup Effect</h3>
+    </Example>
+    <Example title="Example 3: Cleanup Effect" source={['CleanupEffect']}>
       <CleanupEffect />
-    </div>
-    <div className="example">
-      <h3>Example 4: Class vs. Function Lifecycle</h3>
+    </Example>
+    <Example title="Example 4: Class vs. Function Lifecycle" source={['ClassVsFunction']}>
       <ClassVsFunction />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Lifecycle:</h3>
       <ul>
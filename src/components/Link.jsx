@@ -0,0 +1,28 @@
+import PropTypes from 'prop-types';
+import { navigate } from '../hooks/useRoute';
+
+// Plain <a> so links can be copied or opened in a new tab, with in-app navigation on a normal click
+function Link({ to, onClick, children, ...rest }) {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
+
+Link.propTypes = {
+  to: PropTypes.string.isRequired,
+  onClick: PropTypes.func,
+  children: PropTypes.node,
+};
+
+export default Link;
@@ -1,4 +1,6 @@
 import React, {useState} from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const ListRenderingExamples = () => (
   <div>
@@ -7,7 +9,7 @@ const ListRenderingExamples = () => (
       <p>
         Render lists in React using map(), unique keys, and dynamic/nested lists. Keys help React identify which items have changed.
       </p>
-      <div className="code-block">
+      <CodeBlock highlight="1">
         {`{items.map(item => <li key={item.id}>{item.name}</li>)}
 
 // JavaScript Concepts:
@@ -15,25 +17,20 @@ const ListRenderingExamples = () => (
 // 2. Unique Keys - Required for list items
 // 3. Dynamic Lists - Adding/removing items
 // 4. Nested Lists - Rendering lists inside lists`}
-
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Basic List Rendering</h3>
+    <Example title="Example 1: Basic List Rendering" source={['BasicList']}>
       <BasicList />
-    </div>
-    <div className="example">
-      <h3>Example 2: Dynamic List (Add/Remove)</h3>
+    </Example>
+    <Example title="Example 2: Dynamic List (Add/Remove)" source={['DynamicList']}>
       <DynamicList />
-    </div>
-    <div className="example">
-      <h3>Example 3: Nested Lists</h3>
+    </Example>
+    <Example title="Example 3: Nested Lists" source={['NestedList']}>
       <NestedList />
-    </div>
-    <div className="example">
-      <h3>Example 4: Unique Keys</h3>
+    </Example>
+    <Example title="Example 4: Unique Keys" source={['UniqueKeys']}>
       <UniqueKeys />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in List Rendering:</h3>
       <ul>
@@ -0,0 +1,83 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { parseInline, parseMarkdown } from '../utils/markdownLite';
+import CodeBlock from './CodeBlock';
+
+function Inline({ text }) {
+  return parseInline(text).map((token, i) => {
+    switch (token.type) {
+      case 'bold':
+        return <strong key={i}>{token.value}</strong>;
+      case 'italic':
+        return <em key={i}>{token.value}</em>;
+      case 'code':
+        return <code key={i}>{token.value}</code>;
+      case 'link':
+        return (
+          <a key={i} href={token.href} target="_blank" rel="noreferrer">
+            {token.value}
+          </a>
+        );
+      default:
+        return token.value;
+    }
+  });
+}
+
+// Renders a note written in the markdown subset described in utils/markdownLite
+function MarkdownLite({ children }) {
+  const blocks = useMemo(() => parseMarkdown(children || ''), [children]);
+
+  return (
+    <div className="markdown-lite">
+      {blocks.map((block, i) => {
+        switch (block.type) {
+          case 'heading': {
+            const Heading = `h${block.level + 3}`;
+            return (
+              <Heading key={i}>
+                <Inline text={block.text} />
+              </Heading>
+            );
+          }
+          case 'code':
+            return (
+              <CodeBlock key={i} collapseAfter={12}>
+                {block.code}
+              </CodeBlock>
+            );
+          case 'quote':
+            return (
+              <blockquote key={i}>
+                <Inline text={block.text} />
+              </blockquote>
+            );
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+              <List key={i}>
+                {block.items.map((item, j) => (
+                  <li key={j}>
+                    <Inline text={item} />
+                  </li>
+                ))}
+              </List>
+            );
+          }
+          default:
+            return (
+              <p key={i}>
+                <Inline text={block.text} />
+              </p>
+            );
+        }
+      })}
+    </div>
+  );
+}
+
+MarkdownLite.propTypes = {
+  children: PropTypes.string.isRequired,
+};
+
+export default MarkdownLite;
@@ -1,36 +1,35 @@
 import React, { useState, memo, useEffect } from 'react';
+import { useTrackRender } from '../hooks/useRenderProfiler';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const MemoExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 React.memo & Memoization Overview</h3>
       <p>React.memo is a higher order component that memoizes a component, preventing unnecessary re-renders if props don't change.</p>
-      <div className="code-block">
-{`const MemoizedComponent = React.memo(Component);
+      <CodeBlock highlight="1">
+        {`const MemoizedComponent = React.memo(Component);
 
 // JavaScript Concepts:
 // 1. Pure Components - Only re-render on prop change
 // 2. Shallow Comparison - React.memo uses shallow props check
 // 3. Expensive Renders - Avoiding unnecessary work
 // 4. Child Optimization - Memoizing children`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Pure Component with React.memo</h3>
+    <Example title="Example 1: Pure Component with React.memo" source={['PureMemoExample', 'PureComponent']}>
       <PureMemoExample />
-    </div>
-    <div className="example">
-      <h3>Example 2: Props Change Optimization</h3>
+    </Example>
+    <Example title="Example 2: Props Change Optimization" source={['PropsChangeExample']}>
       <PropsChangeExample />
-    </div>
-    <div className="example">
-      <h3>Example 3: Child Component Optimization</h3>
+    </Example>
+    <Example title="Example 3: Child Component Optimization" source={['ChildOptimizationExample', 'Child']}>
       <ChildOptimizationExample />
-    </div>
-    <div className="example">
-      <h3>Example 4: Expensive Render Avoidance</h3>
+    </Example>
+    <Example title="Example 4: Expensive Render Avoidance" source={['ExpensiveRenderExample', 'Expensive']}>
       <ExpensiveRenderExample />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Memoization:</h3>
       <ul>
@@ -45,10 +44,12 @@ const MemoExamples = () => (
 );
 
 const PureComponent = memo(({ value }) => {
+  useTrackRender('PureComponent');
   console.log('PureComponent rendered');
   return <div>PureComponent value: {value}</div>;
 });
 function PureMemoExample() {
+  useTrackRender('PureMemoExample');
   const [value, setValue] = useState(0);
   const [otherValue, setOtherValue] = useState(0);
   return (
@@ -60,14 +61,16 @@ function PureMemoExample() {
 
       <p> <b>Note :</b> Only increasing "value" , pure component is rendered, (because prop value has change, that is passed ) </p>
       <p> <b>but</b> increasing "other Value" , not re-rendring the pure component </p>
-      <p>Check console</p>
+      <p>Check the console, or turn on the render profiler to see it on screen</p>
     </div>
   );
 }
 function PropsChangeExample() {
+  useTrackRender('PropsChangeExample');
   const [count, setCount] = useState(0);
   const [text, setText] = useState('');
   const MemoChild = memo(({ count }) => {
+    useTrackRender('MemoChild');
     console.log('MemoChild rendered');
     return <div>MemoChild count: {count}</div>;
   });
@@ -81,6 +84,7 @@ function PropsChangeExample() {
 }
 
 const Child = memo(({ count }) => {
+  useTrackRender('Child');
 
   useEffect(()=>{
     console.log("Child rendered");
@@ -90,6 +94,7 @@ const Child = memo(({ count }) => {
 });
 
 function ChildOptimizationExample() {
+  useTrackRender('ChildOptimizationExample');
   const [parentCount, setParentCount] = useState(0);
   const [childCount, setChildCount] = useState(0);
 
@@ -109,6 +114,7 @@ function ChildOptimizationExample() {
 }
 
 const Expensive = memo(() => {
+  useTrackRender('Expensive');
   console.log('Expensive rendered');
   let total = 0;
   for (let i = 0; i < 1e7; i++) total += i;
@@ -116,6 +122,7 @@ const Expensive = memo(() => {
 });
 
 function ExpensiveRenderExample() {
+  useTrackRender('ExpensiveRenderExample');
   const [count, setCount] = useState(0);
   return (
     <div>
@@ -0,0 +1,42 @@
+import { useState, useSyncExternalStore } from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { getMissingKeys, getMissingVersion, subscribeMissing } from '../utils/i18n';
+
+// Dev-only corner badge listing the keys the active catalog lacks (they fall back to English)
+function MissingTranslations() {
+  const { locale, t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  useSyncExternalStore(subscribeMissing, getMissingVersion);
+  const keys = getMissingKeys(locale);
+
+  if (keys.length === 0) return null;
+
+  const handleCopy = () => {
+    const skeleton = Object.fromEntries(keys.map((key) => [key, '']));
+    navigator.clipboard.writeText(JSON.stringify(skeleton, null, 2)).catch((error) => console.error('Copy failed:', error));
+  };
+
+  return (
+    <div className="missing-translations">
+      <button type="button" className="button" onClick={() => setOpen((shown) => !shown)} aria-expanded={open}>
+        🌐 {t('i18n.missingTitle', { count: keys.length, locale })}
+      </button>
+      {open && (
+        <>
+          <ul>
+            {keys.map((key) => (
+              <li key={key}>
+                <code>{key}</code>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="button" onClick={handleCopy}>
+            {t('i18n.copy')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MissingTranslations;
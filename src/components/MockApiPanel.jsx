@@ -0,0 +1,79 @@
+import PropTypes from 'prop-types';
+import { useMockApi } from '../hooks/useMockApi';
+import { useTranslation } from '../hooks/useTranslation';
+import { ERROR_STATUSES, MOCK_ORIGIN, resetMockStats, updateMockSettings } from '../utils/mockServer';
+
+// Controls for the in-app mock of jsonplaceholder (see utils/mockServer.js)
+function MockApiPanel({ onClose }) {
+  const { settings, requests, failures } = useMockApi();
+  const { t } = useTranslation();
+
+  return (
+    <div className="mock-api-panel" role="region" aria-label={t('mockApi.title')}>
+      <div className="dev-panel-header">
+        <strong>{t('mockApi.title')}</strong>
+        <button type="button" className="button" onClick={onClose}>
+          {t('mockApi.close')}
+        </button>
+      </div>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => updateMockSettings({ enabled: e.target.checked })}
+        />
+        {t('mockApi.enabled', { origin: <code key="origin">{new URL(MOCK_ORIGIN).host}</code> })}
+      </label>
+      <fieldset disabled={!settings.enabled}>
+        <label>
+          {t('mockApi.latency', { ms: settings.latency })}
+          <input
+            type="range"
+            min="0"
+            max="3000"
+            step="100"
+            value={settings.latency}
+            onChange={(e) => updateMockSettings({ latency: Number(e.target.value) })}
+          />
+        </label>
+        <label>
+          {t('mockApi.errorRate', { percent: Math.round(settings.errorRate * 100) })}
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={Math.round(settings.errorRate * 100)}
+            onChange={(e) => updateMockSettings({ errorRate: Number(e.target.value) / 100 })}
+          />
+        </label>
+        <label>
+          {t('mockApi.failWith')}
+          <select
+            className="input"
+            value={settings.errorStatus}
+            onChange={(e) => updateMockSettings({ errorStatus: Number(e.target.value) })}
+          >
+            {ERROR_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status === 0 ? t('mockApi.networkError') : t(`mockApi.statuses.${status}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </fieldset>
+      <p className="mock-api-stats">
+        {t('mockApi.stats', { count: requests, failures })}
+        <button type="button" className="button" onClick={resetMockStats}>
+          {t('mockApi.resetStats')}
+        </button>
+      </p>
+    </div>
+  );
+}
+
+MockApiPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+export default MockApiPanel;
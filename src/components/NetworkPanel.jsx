@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useNetwork } from '../hooks/useNetwork';
+import { useTranslation } from '../hooks/useTranslation';
+import { clearNetworkLog, NETWORK_PROFILES, updateNetworkSettings } from '../utils/network';
+
+// Conditions for the simulated network (see utils/network.js) and a log of the requests made
+// over it, drawn as a waterfall on one shared time axis
+function NetworkPanel({ onClose }) {
+  const { settings, log } = useNetwork();
+  const { t } = useTranslation();
+  const [now, setNow] = useState(() => performance.now());
+  const pending = log.some((entry) => entry.status === 'pending');
+
+  // Pending bars keep growing until their request settles
+  useEffect(() => {
+    if (!pending) return undefined;
+    const timer = setInterval(() => setNow(performance.now()), 100);
+    return () => clearInterval(timer);
+  }, [pending]);
+
+  const ends = log.map((entry) => (entry.end === null ? now : entry.end));
+  const axisStart = log.length > 0 ? log[0].start : 0;
+  const span = Math.max(1, ...ends.map((end) => end - axisStart));
+
+  return (
+    <div className="network-panel" role="region" aria-label={t('network.title')}>
+      <div className="dev-panel-header">
+        <strong>{t('network.title')}</strong>
+        <button type="button" className="button" onClick={onClose}>
+          {t('network.close')}
+        </button>
+      </div>
+
+      <div className="network-settings">
+        <div className="tag-filter" role="group" aria-label={t('network.profile')}>
+          {Object.keys(NETWORK_PROFILES).map((profile) => (
+            <button
+              key={profile}
+              type="button"
+              className="tag"
+              aria-pressed={settings.profile === profile}
+              title={t(`network.profileHints.${profile}`)}
+              onClick={() => updateNetworkSettings({ profile })}
+            >
+              {t(`network.profiles.${profile}`)}
+            </button>
+          ))}
+        </div>
+        <fieldset disabled={settings.profile === 'offline'}>
+          <label>
+            {t('network.failures', { percent: Math.round(settings.failureRate * 100) })}
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(settings.failureRate * 100)}
+              onChange={(e) => updateNetworkSettings({ failureRate: Number(e.target.value) / 100 })}
+            />
+          </label>
+          <label>
+            {t('network.timeouts', { percent: Math.round(settings.timeoutRate * 100) })}
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(settings.timeoutRate * 100)}
+              onChange={(e) => updateNetworkSettings({ timeoutRate: Number(e.target.value) / 100 })}
+            />
+          </label>
+          <label>
+            {t('network.timeout', { seconds: settings.timeout / 1000 })}
+            <input
+              type="range"
+              min="1000"
+              max="10000"
+              step="500"
+              value={settings.timeout}
+              onChange={(e) => updateNetworkSettings({ timeout: Number(e.target.value) })}
+            />
+          </label>
+        </fieldset>
+      </div>
+
+      <div className="dev-panel-header">
+        <strong>{t('network.log')}</strong>
+        <button type="button" className="button" onClick={clearNetworkLog} disabled={log.length === 0}>
+          {t('network.clear')}
+        </button>
+      </div>
+      {log.length === 0 ? (
+        <p className="network-empty">{t('network.empty')}</p>
+      ) : (
+        <div className="network-log">
+          <table>
+            <thead>
+              <tr>
+                <th>{t('network.columns.request')}</th>
+                <th>{t('network.columns.status')}</th>
+                <th>{t('network.columns.time')}</th>
+                <th>{t('network.columns.waterfall')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.map((entry, index) => (
+                <tr key={entry.id} className={`network-${entry.status}`} title={entry.error || undefined}>
+                  <td>
+                    <code>{entry.label}</code>
+                  </td>
+                  <td>{entry.code !== null ? entry.code : t(`network.statuses.${entry.status}`)}</td>
+                  <td>{t('network.ms', { ms: Math.round(ends[index] - entry.start) })}</td>
+                  <td className="network-waterfall">
+                    <span
+                      className="network-bar"
+                      style={{
+                        insetInlineStart: `${((entry.start - axisStart) / span) * 100}%`,
+                        width: `${Math.max(0.5, ((ends[index] - entry.start) / span) * 100)}%`,
+                      }}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+NetworkPanel.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+export default NetworkPanel;
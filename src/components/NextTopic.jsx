@@ -0,0 +1,57 @@
+import PropTypes from 'prop-types';
+import { useProgress } from '../hooks/useProgress';
+import { useTranslation } from '../hooks/useTranslation';
+import { recommendNext } from '../utils/sectionMeta';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+
+// "Next recommended topic" card at the bottom of a section
+function NextTopic({ sections, sectionKey }) {
+  const { completedCount } = useProgress();
+  const { t } = useTranslation();
+  const isDone = (key) => completedCount(key) >= sections[key].examples;
+  const next = recommendNext(sections, sectionKey, isDone);
+  const related = sections[sectionKey].related.filter((key) => key !== next?.key);
+
+  if (!next) {
+    return (
+      <div className="next-topic">
+        <strong>{t('next.allDone')}</strong> {t('next.tryQuiz', { quiz: <Link to="/quiz">{t('next.quiz')}</Link> })}
+      </div>
+    );
+  }
+
+  const { level, minutes, preload } = sections[next.key];
+  return (
+    <div className="next-topic">
+      <span style={{ color: 'var(--color-muted)' }}>
+        {t('next.heading', { reason: t(`next.${next.reason}`, { topic: t(`sections.${sectionKey}`) }) })}
+      </span>
+      <Link to={`/${keyToSlug(next.key)}`} className="button" onMouseEnter={preload} onFocus={preload}>
+        {t(`sections.${next.key}`)} →
+      </Link>
+      <small style={{ color: 'var(--color-muted)' }}>
+        {t('sectionNav.studyTime', { level: t(`levels.${level}`), minutes })}
+      </small>
+      {related.length > 0 && (
+        <p>
+          {t('next.relatedTopics')}{' '}
+          {related.map((key, index) => (
+            <span key={key}>
+              {index > 0 && ', '}
+              <Link to={`/${keyToSlug(key)}`}>{t(`sections.${key}`)}</Link>
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+}
+
+NextTopic.propTypes = {
+  sections: sectionsPropType.isRequired,
+  sectionKey: PropTypes.string.isRequired,
+};
+
+export default NextTopic;
@@ -0,0 +1,34 @@
+import PropTypes from 'prop-types';
+import { useTranslation } from '../hooks/useTranslation';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+
+function NotFound({ path, sections }) {
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      <div className="explanation">
+        <h3>{t('notFound.title', { path })}</h3>
+        <p>{t('notFound.body')}</p>
+      </div>
+      <ul style={{ listStyle: 'none', display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+        {Object.keys(sections).map((key) => (
+          <li key={key}>
+            <Link to={`/${keyToSlug(key)}`} className="button">
+              {t(`sections.${key}`)}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+NotFound.propTypes = {
+  path: PropTypes.string.isRequired,
+  sections: sectionsPropType.isRequired,
+};
+
+export default NotFound;
@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useNotes } from '../hooks/useNotes';
+import { useTranslation } from '../hooks/useTranslation';
+import MarkdownLite from './MarkdownLite';
+
+const SAVE_DELAY = 400;
+
+// Notes for one example, saved shortly after typing stops
+function NoteDrawer({ sectionKey, exampleId, title, onClose }) {
+  const { getNote, saveNote } = useNotes();
+  const { t } = useTranslation();
+  const storedText = (getNote(sectionKey, exampleId) || {}).text || '';
+  const [draft, setDraft] = useState(storedText);
+  const [preview, setPreview] = useState(false);
+  const savedRef = useRef(storedText);
+  const textareaRef = useRef(null);
+
+  // Text appended from outside (highlight-to-note, another tab) replaces the draft
+  useEffect(() => {
+    if (storedText !== savedRef.current) {
+      savedRef.current = storedText;
+      setDraft(storedText);
+    }
+  }, [storedText]);
+
+  useEffect(() => {
+    if (draft === savedRef.current) return;
+    const timer = setTimeout(() => {
+      savedRef.current = draft;
+      saveNote(sectionKey, exampleId, title, draft);
+    }, SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [draft, sectionKey, exampleId, title, saveNote]);
+
+  useEffect(() => {
+    if (textareaRef.current) textareaRef.current.focus();
+  }, []);
+
+  const handleDelete = () => {
+    if (!window.confirm(t('notes.confirmDelete'))) return;
+    savedRef.current = '';
+    setDraft('');
+    saveNote(sectionKey, exampleId, title, '');
+  };
+
+  return (
+    <div className="note-drawer">
+      <div className="note-drawer-toolbar">
+        <strong>{t('notes.title')}</strong>
+        <button type="button" className="button" onClick={() => setPreview((shown) => !shown)} aria-pressed={preview}>
+          {preview ? t('notes.edit') : t('notes.preview')}
+        </button>
+        <button type="button" className="button" onClick={handleDelete} disabled={!draft}>
+          {t('notes.delete')}
+        </button>
+        <button type="button" className="button" onClick={onClose}>
+          {t('notes.close')}
+        </button>
+      </div>
+      {preview ? (
+        draft.trim() ? (
+          <MarkdownLite>{draft}</MarkdownLite>
+        ) : (
+          <p style={{ color: 'var(--color-muted)' }}>{t('notes.empty')}</p>
+        )
+      ) : (
+        <>
+          <textarea
+            ref={textareaRef}
+            className="input note-editor"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={6}
+            placeholder={t('notes.placeholder')}
+            aria-label={t('notes.editor', { title })}
+          />
+          <small style={{ color: 'var(--color-muted)' }}>
+            {t('notes.syntax')} {draft !== savedRef.current ? t('notes.saving') : draft && t('notes.saved')}
+          </small>
+        </>
+      )}
+    </div>
+  );
+}
+
+NoteDrawer.propTypes = {
+  sectionKey: PropTypes.string.isRequired,
+  exampleId: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default NoteDrawer;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { useNotes } from '../hooks/useNotes';
+import { useTranslation } from '../hooks/useTranslation';
+import { downloadJson } from '../utils/download';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+import MarkdownLite from './MarkdownLite';
+
+// Every note across all sections, in nav order, newest first within a section
+function NotesPage({ sections }) {
+  const { notes, saveNote, clearNotes, noteCount } = useNotes();
+  const [query, setQuery] = useState('');
+  const { t, locale } = useTranslation();
+  const lowered = query.trim().toLowerCase();
+
+  const groups = Object.keys(sections)
+    .map((sectionKey) => ({
+      sectionKey,
+      entries: Object.entries(notes[sectionKey] || {})
+        .filter(([, { title, text }]) => !lowered || `${title}\n${text}`.toLowerCase().includes(lowered))
+        .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt)),
+    }))
+    .filter(({ entries }) => entries.length > 0);
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(`react-learning-notes-${date}.json`, { version: 1, exportedAt: new Date().toISOString(), notes });
+  };
+
+  const handleClear = () => {
+    if (window.confirm(t('notes.confirmDeleteAll', { count: noteCount }))) clearNotes();
+  };
+
+  return (
+    <div>
+      <div className="explanation">
+        <h3>{t('notes.heading')}</h3>
+        <p>{t('notes.intro')}</p>
+      </div>
+
+      {noteCount === 0 ? (
+        <p>{t('notes.none', { button: t('example.addNote') })}</p>
+      ) : (
+        <>
+          <div className="quiz-setup-actions">
+            <input
+              className="input"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('notes.search')}
+              aria-label={t('notes.searchLabel')}
+            />
+            <button onClick={handleExport} className="button">
+              {t('notes.export')}
+            </button>
+            <button onClick={handleClear} className="button">
+              {t('notes.deleteAll')}
+            </button>
+          </div>
+          {groups.length === 0 && <p>{t('notes.noMatches', { query })}</p>}
+          {groups.map(({ sectionKey, entries }) => (
+            <section key={sectionKey}>
+              <h3>{t(`sections.${sectionKey}`)}</h3>
+              {entries.map(([exampleId, { title, text, updatedAt }]) => (
+                <div key={exampleId} className="example note-entry">
+                  <div className="error-log-meta">
+                    <Link to={`/${keyToSlug(sectionKey)}#${exampleId}`}>{title}</Link>
+                    <time dateTime={updatedAt}>{new Date(updatedAt).toLocaleString(locale)}</time>
+                    <button
+                      className="button"
+                      onClick={() =>
+                        window.confirm(t('notes.confirmDeleteEntry', { title })) && saveNote(sectionKey, exampleId, title, '')
+                      }
+                    >
+                      {t('notes.deleteEntry')}
+                    </button>
+                  </div>
+                  <MarkdownLite>{text}</MarkdownLite>
+                </div>
+              ))}
+            </section>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+NotesPage.propTypes = {
+  sections: sectionsPropType.isRequired,
+};
+
+export default NotesPage;
@@ -0,0 +1,121 @@
+import { useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import SectionContext from '../context/SectionContext';
+import { useErrorLog } from '../hooks/useErrorLog';
+import { useSectionSource } from '../hooks/useSectionSource';
+import { useTranslation } from '../hooks/useTranslation';
+import { compileExample } from '../utils/compileExample';
+import { extractExampleSource } from '../utils/sharedSources';
+import ErrorBoundary from './ErrorBoundary';
+
+// Editable copy of an example's source; recompiles shortly after typing stops
+function Playground({ names }) {
+  const { sectionKey, file } = useContext(SectionContext);
+  const { source, error: sourceError } = useSectionSource();
+  const { logError } = useErrorLog();
+  const { t } = useTranslation();
+  const [original, setOriginal] = useState(null);
+  const [code, setCode] = useState('');
+  const [compiled, setCompiled] = useState({ Component: null, error: null, version: 0 });
+  const entry = names[0];
+  const namesKey = names.join(',');
+
+  useEffect(() => {
+    if (source === null) return;
+    const text = extractExampleSource(source, file, namesKey.split(','))
+      .map((declaration) => declaration.code)
+      .join('\n\n');
+    setOriginal(text);
+    setCode(text);
+  }, [source, file, namesKey]);
+
+  useEffect(() => {
+    if (!code) return;
+    let ignore = false;
+    const timer = setTimeout(() => {
+      compileExample(code, entry).then(
+        (Component) => {
+          if (!ignore) setCompiled((prev) => ({ Component, error: null, version: prev.version + 1 }));
+        },
+        (error) => {
+          if (!ignore) setCompiled((prev) => ({ ...prev, error }));
+        }
+      );
+    }, 400);
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [code, entry]);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd, value } = e.target;
+    setCode(value.slice(0, selectionStart) + '  ' + value.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  if (sourceError) {
+    return <p style={{ color: 'var(--color-accent)' }}>{t('source.loadFailed', { message: sourceError.message })}</p>;
+  }
+  if (original === null) {
+    return <div className="code-block">{t('playground.loading')}</div>;
+  }
+
+  const { Component, error, version } = compiled;
+
+  return (
+    <div className="playground">
+      <div className="playground-toolbar">
+        <strong>{t('playground.title')}</strong>
+        <span style={{ color: 'var(--color-muted)' }}>{t('playground.hint')}</span>
+        <button onClick={() => setCode(original)} className="button" disabled={code === original}>
+          {t('playground.reset')}
+        </button>
+      </div>
+      <div className="playground-panes">
+        <textarea
+          className="playground-editor"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+          aria-label={t('playground.editor', { entry })}
+        />
+        <div className="playground-preview">
+          {Component ? (
+            <ErrorBoundary
+              resetKeys={[version]}
+              onError={(runtimeError, info) =>
+                logError({ origin: 'playground', sectionKey, label: `Playground: ${entry}` }, runtimeError, info)
+              }
+              fallback={({ error: runtimeError }) => (
+                <div className="playground-error">
+                  <strong>{t('playground.runtimeError')}</strong> {runtimeError.toString()}
+                </div>
+              )}
+            >
+              <Component />
+            </ErrorBoundary>
+          ) : (
+            !error && <p>{t('playground.compiling')}</p>
+          )}
+        </div>
+      </div>
+      {error && (
+        <div className="playground-error">
+          <strong>{t('playground.compileError')}</strong> {error.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+Playground.propTypes = {
+  names: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default Playground;
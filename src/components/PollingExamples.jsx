@@ -1,12 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { simulateRequest } from '../utils/network';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const PollingExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Polling & Real-time Updates Overview</h3>
       <p>Implementing polling mechanisms to fetch data at regular intervals, check status updates, and maintain real-time synchronization.</p>
-      <div className="code-block">
-{`// Basic polling with setInterval
+      <CodeBlock highlight="3, 7">
+        {`// Basic polling with setInterval
 useEffect(() => {
   const interval = setInterval(() => {
     fetchData();
@@ -20,28 +23,23 @@ useEffect(() => {
 // 2. fetch API - Data fetching
 // 3. useEffect cleanup - Preventing memory leaks
 // 4. State management - Updating data`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Basic API Polling</h3>
+    <Example title="Example 1: Basic API Polling" source={['BasicAPIPolling']}>
       <BasicAPIPolling />
-    </div>
-    <div className="example">
-      <h3>Example 2: Status Checking</h3>
+    </Example>
+    <Example title="Example 2: Status Checking" source={['StatusChecking']}>
       <StatusChecking />
-    </div>
-    <div className="example">
-      <h3>Example 3: Real-time Counter</h3>
+    </Example>
+    <Example title="Example 3: Real-time Counter" source={['RealTimeCounter']}>
       <RealTimeCounter />
-    </div>
-    <div className="example">
-      <h3>Example 4: Conditional Polling</h3>
+    </Example>
+    <Example title="Example 4: Conditional Polling" source={['ConditionalPolling']}>
       <ConditionalPolling />
-    </div>
-    <div className="example">
-      <h3>Example 5: Data Synchronization</h3>
+    </Example>
+    <Example title="Example 5: Data Synchronization" source={['DataSynchronization']}>
       <DataSynchronization />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Polling:</h3>
       <ul>
@@ -67,8 +65,8 @@ function BasicAPIPolling() {
       setLoading(true);
       setError(null);
       
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 500));
+      // Simulated API call (the network panel controls latency and failures)
+      await simulateRequest('GET /data', { serverTime: 500 });
       
       const mockData = {
         timestamp: new Date().toLocaleTimeString(),
@@ -98,10 +96,10 @@ function BasicAPIPolling() {
   return (
     <div>
       <h4>API Polling (every 3 seconds)</h4>
-      {loading && <p style={{ color: '#f39c12' }}>Loading...</p>}
-      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {loading && <p style={{ color: 'var(--color-warning)' }}>Loading...</p>}
+      {error && <p style={{ color: 'var(--color-accent)' }}>{error}</p>}
       {data && (
-        <div style={{ backgroundColor: '#f8f9fa', padding: '1rem', borderRadius: '4px' }}>
+        <div style={{ backgroundColor: 'var(--color-surface-alt)', padding: '1rem', borderRadius: '4px' }}>
           <p><strong>Timestamp:</strong> {data.timestamp}</p>
           <p><strong>Value:</strong> {data.value}</p>
           <p><strong>Poll Count:</strong> {data.pollCount}</p>
@@ -118,8 +116,8 @@ function StatusChecking() {
 
   const checkStatus = async () => {
     try {
-      // Simulate status check
-      await new Promise(resolve => setTimeout(resolve, 500));
+      // Simulated status check
+      await simulateRequest('GET /status', { serverTime: 500 });
       
       const statuses = ['idle', 'processing', 'completed', 'failed'];
       const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
@@ -139,12 +137,12 @@ function StatusChecking() {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'idle': return '#95a5a6';
-      case 'processing': return '#f39c12';
-      case 'completed': return '#27ae60';
-      case 'failed': return '#e74c3c';
-      case 'error': return '#e74c3c';
-      default: return '#95a5a6';
+      case 'idle': return 'var(--color-muted)';
+      case 'processing': return 'var(--color-warning)';
+      case 'completed': return 'var(--color-success)';
+      case 'failed': return 'var(--color-accent)';
+      case 'error': return 'var(--color-accent)';
+      default: return 'var(--color-muted)';
     }
   };
 
@@ -217,7 +215,7 @@ function RealTimeCounter() {
       <button 
         onClick={() => setIsRunning(!isRunning)} 
         className="button"
-        style={{ backgroundColor: isRunning ? '#e74c3c' : '#27ae60' }}
+        style={{ backgroundColor: isRunning ? 'var(--color-accent)' : 'var(--color-success)' }}
       >
         {isRunning ? 'Stop' : 'Start'} Counter
       </button>
@@ -234,8 +232,8 @@ function ConditionalPolling() {
 
   const fetchData = async () => {
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 300));
+      // Simulated API call
+      await simulateRequest('GET /items/latest', { serverTime: 300 });
       
       const newItem = {
         id: Date.now(),
@@ -312,9 +310,9 @@ function ConditionalPolling() {
         <p><strong>Status:</strong> {isPolling ? 'Polling...' : 'Stopped'}</p>
         <p><strong>Items collected:</strong> {data.length}/{threshold}</p>
         
-        <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid #ddd', padding: '0.5rem' }}>
+        <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid var(--color-border)', padding: '0.5rem' }}>
           {data.map(item => (
-            <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: '#f8f9fa' }}>
+            <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: 'var(--color-surface-alt)' }}>
               <strong>Value:</strong> {item.value} | <strong>Time:</strong> {item.timestamp}
             </div>
           ))}
@@ -334,8 +332,8 @@ function DataSynchronization() {
     try {
       setSyncStatus('syncing');
       
-      // Simulate server API call
-      await new Promise(resolve => setTimeout(resolve, 800));
+      // Simulated server API call
+      await simulateRequest('GET /sync', { serverTime: 800 });
       
       const mockServerData = Array.from({ length: 3 }, (_, i) => ({
         id: Date.now() + i,
@@ -373,11 +371,11 @@ function DataSynchronization() {
 
   const getSyncStatusColor = (status) => {
     switch (status) {
-      case 'idle': return '#95a5a6';
-      case 'syncing': return '#f39c12';
-      case 'synced': return '#27ae60';
-      case 'error': return '#e74c3c';
-      default: return '#95a5a6';
+      case 'idle': return 'var(--color-muted)';
+      case 'syncing': return 'var(--color-warning)';
+      case 'synced': return 'var(--color-success)';
+      case 'error': return 'var(--color-accent)';
+      default: return 'var(--color-muted)';
     }
   };
 
@@ -406,9 +404,9 @@ function DataSynchronization() {
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2rem', marginTop: '2rem' }}>
         <div>
           <h5>Local Data ({localData.length})</h5>
-          <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid #ddd', padding: '0.5rem' }}>
+          <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid var(--color-border)', padding: '0.5rem' }}>
             {localData.map(item => (
-              <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: '#e8f4fd' }}>
+              <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: 'var(--color-info-soft)' }}>
                 <strong>Value:</strong> {item.value} | <strong>Time:</strong> {item.timestamp}
               </div>
             ))}
@@ -417,9 +415,9 @@ function DataSynchronization() {
         
         <div>
           <h5>Server Data ({serverData.length})</h5>
-          <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid #ddd', padding: '0.5rem' }}>
+          <div style={{ maxHeight: '200px', overflow: 'auto', border: '1px solid var(--color-border)', padding: '0.5rem' }}>
             {serverData.map(item => (
-              <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: '#f0f8f0' }}>
+              <div key={item.id} style={{ marginBottom: '0.5rem', padding: '0.5rem', backgroundColor: 'var(--color-success-soft)' }}>
                 <strong>Value:</strong> {item.value} | <strong>Time:</strong> {item.timestamp}
               </div>
             ))}
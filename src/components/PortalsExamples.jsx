@@ -1,5 +1,7 @@
 import React, {useState, useEffect} from 'react';
 import {createPortal} from 'react-dom';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const PortalsExamples = () => (
   <div>
@@ -8,7 +10,7 @@ const PortalsExamples = () => (
       <p>
         Portals let you render children into a DOM node outside the parent component hierarchy. Useful for modals, tooltips, notifications, etc.
       </p>
-      <div className="code-block">
+      <CodeBlock highlight="1">
         {`createPortal(child, container)
 
 // JavaScript Concepts:
@@ -16,24 +18,20 @@ const PortalsExamples = () => (
 // 2. Event Bubbling - Events propagate through portal
 // 3. Conditional Rendering - Show/hide portal content
 // 4. useEffect - Cleanup on unmount`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Modal with Portal</h3>
+    <Example title="Example 1: Modal with Portal" source={['ModalPortalExample', 'Modal']}>
       <ModalPortalExample />
-    </div>
-    <div className="example">
-      <h3>Example 2: Tooltip with Portal</h3>
+    </Example>
+    <Example title="Example 2: Tooltip with Portal" source={['TooltipPortalExample']}>
       <TooltipPortalExample />
-    </div>
-    <div className="example">
-      <h3>Example 3: Context Menu with Portal</h3>
+    </Example>
+    <Example title="Example 3: Context Menu with Portal" source={['ContextMenuPortalExample']}>
       <ContextMenuPortalExample />
-    </div>
-    <div className="example">
-      <h3>Example 4: Notification with Portal</h3>
+    </Example>
+    <Example title="Example 4: Notification with Portal" source={['NotificationPortalExample']}>
       <NotificationPortalExample />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Portals:</h3>
       <ul>
@@ -78,7 +76,7 @@ function Modal({children, onClose}) {
         left: 0,
         right: 0,
         bottom: 0,
-        background: 'rgba(0, 0, 0, 0.71)',
+        background: 'var(--color-overlay)',
         display: 'flex',
         alignItems: 'center',
         justifyContent: 'center',
@@ -87,7 +85,7 @@ function Modal({children, onClose}) {
     >
       <div
         style={{
-          background: 'white',
+          background: 'var(--color-surface)',
           padding: '2rem',
           borderRadius: '8px',
           minWidth: '300px',
@@ -119,8 +117,8 @@ function TooltipPortalExample () {
               position: 'fixed',
               top: 200,
               left: 200,
-              background: '#333',
-              color: '#fff',
+              background: 'var(--color-text)',
+              color: 'var(--color-surface)',
               padding: '0.5rem 1rem',
               borderRadius: '4px',
               zIndex: 1001,
@@ -143,7 +141,7 @@ function ContextMenuPortalExample () {
   return (
     <div
       onContextMenu={handleContextMenu}
-      style={{border: '1px solid #ddd', padding: '2rem', borderRadius: '8px'}}
+      style={{border: '1px solid var(--color-border)', padding: '2rem', borderRadius: '8px'}}
     >
       Right-click inside this box
       {pos &&
@@ -153,8 +151,8 @@ function ContextMenuPortalExample () {
               position: 'fixed',
               top: pos.y,
               left: pos.x,
-              background: '#fff',
-              border: '1px solid #333',
+              background: 'var(--color-surface)',
+              border: '1px solid var(--color-text)',
               borderRadius: '4px',
               padding: '0.5rem',
               zIndex: 1002,
@@ -191,8 +189,8 @@ function NotificationPortalExample () {
               position: 'fixed',
               top: 20,
               right: 20,
-              background: '#27ae60',
-              color: '#fff',
+              background: 'var(--color-success)',
+              color: 'var(--color-on-primary)',
               padding: '1rem',
               borderRadius: '4px',
               zIndex: 1003,
@@ -0,0 +1,53 @@
+import PropTypes from 'prop-types';
+import { useProfilerStats } from '../hooks/useRenderProfiler';
+import { useTranslation } from '../hooks/useTranslation';
+import { resetStats } from '../utils/profilerStore';
+
+function ProfilerOverlay({ profilerKey }) {
+  const stats = useProfilerStats(profilerKey);
+  const components = Object.entries(stats.components);
+  const average = stats.commits ? stats.totalDuration / stats.commits : 0;
+  const { t } = useTranslation();
+  const formatMs = (ms) => t('profiler.ms', { ms: ms.toFixed(2) });
+
+  return (
+    <div className="profiler-overlay" aria-live="polite">
+      <div className="profiler-summary">
+        <span>
+          {t('profiler.commits', {
+            count: stats.commits,
+            commits: <strong>{stats.commits}</strong>,
+            mounts: stats.mounts,
+            updates: stats.commits - stats.mounts,
+          })}
+        </span>
+        <span>{t('profiler.last', { duration: formatMs(stats.lastDuration) })}</span>
+        <span>{t('profiler.average', { duration: formatMs(average) })}</span>
+        <span title={t('profiler.baseTitle')}>{t('profiler.base', { duration: formatMs(stats.lastBaseDuration) })}</span>
+        <button type="button" onClick={() => resetStats(profilerKey)}>
+          {t('profiler.reset')}
+        </button>
+      </div>
+      {components.length > 0 && (
+        <ul className="profiler-components">
+          {components.map(([name, count]) => (
+            <li
+              // Re-keyed per commit so the flash animation replays for components that just rendered
+              key={stats.lastRendered.includes(name) ? `${name}-${stats.commits}` : name}
+              className={stats.lastRendered.includes(name) ? 'rendered' : undefined}
+              title={stats.lastRendered.includes(name) ? t('profiler.rendered') : t('profiler.skipped')}
+            >
+              {name} <strong>×{count}</strong>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ProfilerOverlay.propTypes = {
+  profilerKey: PropTypes.string.isRequired,
+};
+
+export default ProfilerOverlay;
@@ -0,0 +1,70 @@
+import { useRef } from 'react';
+import { useProgress } from '../hooks/useProgress';
+import { useTranslation } from '../hooks/useTranslation';
+import { downloadJson, readFileText } from '../utils/download';
+import { createProgressFile, parseProgressFile } from '../utils/progressFile';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+
+function ProgressControls({ sections }) {
+  const { completed, completedCount, replaceProgress } = useProgress();
+  const fileRef = useRef(null);
+  const { t, locale } = useTranslation();
+
+  const total = Object.values(sections).reduce((sum, section) => sum + section.examples, 0);
+  const done = Object.keys(sections).reduce(
+    (sum, key) => sum + Math.min(completedCount(key), sections[key].examples),
+    0
+  );
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(`react-learning-progress-${date}.json`, createProgressFile(completed));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = parseProgressFile(await readFileText(file), sections);
+    } catch {
+      imported = { error: 'unreadable' };
+    }
+    if (imported.error) {
+      const message = t(`progress.errors.${imported.error}`, imported.params);
+      alert(t('progress.importFailed', { file: file.name, message }));
+      return;
+    }
+
+    const exported = imported.exportedAt
+      ? t('progress.exportedAt', { date: new Date(imported.exportedAt).toLocaleString(locale) })
+      : '';
+    if (window.confirm(t('progress.confirmImport', { file: file.name, exported }))) {
+      replaceProgress(imported.completed);
+    }
+  };
+
+  return (
+    <div className="progress-controls">
+      <span>{t('progress.summary', { done: <strong>{done}</strong>, total })}</span>
+      <div className="progress-bar" role="progressbar" aria-valuemin={0} aria-valuemax={total} aria-valuenow={done}>
+        <span style={{ width: `${total ? (done / total) * 100 : 0}%` }} />
+      </div>
+      <button onClick={handleExport} className="button">
+        {t('progress.export')}
+      </button>
+      <button onClick={() => fileRef.current.click()} className="button">
+        {t('progress.import')}
+      </button>
+      <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+    </div>
+  );
+}
+
+ProgressControls.propTypes = {
+  sections: sectionsPropType.isRequired,
+};
+
+export default ProgressControls;
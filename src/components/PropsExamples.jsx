@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const PropsExamples = () => {
   return (
@@ -9,8 +11,8 @@ const PropsExamples = () => {
           <strong>Props</strong> (short for "properties") are a way to pass data from parent components to child components. 
           They are read-only and help make components reusable and configurable.
         </p>
-        <div className="code-block">
-{`// Props Pattern
+        <CodeBlock highlight="7">
+          {`// Props Pattern
 function ChildComponent(props) {
   return <div>{props.message}</div>;
 }
@@ -25,294 +27,60 @@ function ChildComponent({ message, count, onAction }) {
 // 2. Default Parameters - Providing fallback values
 // 3. Function Parameters - Receiving data from parent
 // 4. Conditional Rendering - Showing content based on props`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: Basic Props */}
-      <div className="example">
-        <h3>Example 1: Basic Props</h3>
+      <Example title="Example 1: Basic Props" source={['BasicProps', 'Greeting']}>
         <p>Simple props passing with different data types.</p>
         <BasicProps />
-        <div className="code-block">
-{`function BasicProps() {
-  const [count, setCount] = useState(0);
-  
-  return (
-    <div>
-      <Greeting 
-        name="John" 
-        age={25} 
-        isActive={true} 
-        hobbies={['reading', 'coding', 'gaming']}
-        onIncrement={() => setCount(count + 1)}
-      />
-      <p>Count: {count}</p>
-    </div>
-  );
-}
-
-function Greeting({ name, age, isActive, hobbies, onIncrement }) {
-  return (
-    <div>
-      <h3>Hello, {name}!</h3>
-      <p>Age: {age}</p>
-      <p>Status: {isActive ? 'Active' : 'Inactive'}</p>
-      <p>Hobbies: {hobbies.join(', ')}</p>
-      <button onClick={onIncrement}>Increment Count</button>
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object Destructuring: { name, age, isActive }
 // - Array Methods: join() for string conversion
 // - Ternary Operators: Conditional rendering
 // - Function Props: Passing callbacks`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: Props with Default Values */}
-      <div className="example">
-        <h3>Example 2: Props with Default Values</h3>
+      <Example title="Example 2: Props with Default Values" source={['DefaultProps', 'UserCard']}>
         <p>Using default parameters and conditional rendering with props.</p>
         <DefaultProps />
-        <div className="code-block">
-{`function DefaultProps() {
-  return (
-    <div>
-      <UserCard 
-        name="Alice"
-        role="Developer"
-        avatar="https://api.dicebear.com/9.x/adventurer/svg?seed=Eliza"
-      />
-      <UserCard 
-        name="Bob"
-        // role and avatar will use defaults
-      />
-      <UserCard 
-        name="Charlie"
-        role="Designer"
-        showDetails={true}
-      />
-    </div>
-  );
-}
-
-function UserCard({ 
-  name, 
-  role = 'User', 
-  avatar = 'https://api.dicebear.com/9.x/adventurer/svg?seed=Eliza',
-  showDetails = false 
-}) {
-  return (
-    <div style={{ 
-      border: '1px solid #ddd', 
-      padding: '1rem', 
-      margin: '1rem 0',
-      borderRadius: '8px'
-    }}>
-      <img src={avatar} alt={name} style={{ width: '50px', height: '50px', borderRadius: '50%' }} />
-      <h4>{name}</h4>
-      <p>Role: {role}</p>
-      {showDetails && (
-        <div>
-          <p>Email: {name.toLowerCase()}@example.com</p>
-          <p>Department: Engineering</p>
-        </div>
-      )}
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Default Parameters: role = 'User'
 // - Conditional Rendering: {showDetails && ...}
 // - Template Literals: String interpolation
 // - String Methods: toLowerCase()`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: Props with Children */}
-      <div className="example">
-        <h3>Example 3: Props with Children</h3>
+      <Example title="Example 3: Props with Children" source={['ChildrenProps', 'Card', 'Modal']}>
         <p>Using the children prop to create wrapper components.</p>
         <ChildrenProps />
-        <div className="code-block">
-{`function ChildrenProps() {
-  return (
-    <div>
-      <Card title="User Information">
-        <p>This is the content inside the card.</p>
-        <button>Action Button</button>
-      </Card>
-      
-      <Card title="Product Details" theme="dark">
-        <ul>
-          <li>Feature 1</li>
-          <li>Feature 2</li>
-          <li>Feature 3</li>
-        </ul>
-      </Card>
-      
-      <Modal isOpen={true} onClose={() => alert('Modal closed')}>
-        <h3>Modal Content</h3>
-        <p>This content is passed as children to the Modal component.</p>
-      </Modal>
-    </div>
-  );
-}
-
-function Card({ title, children, theme = 'light' }) {
-  return (
-    <div style={{
-      border: '1px solid #ddd',
-      borderRadius: '8px',
-      padding: '1rem',
-      margin: '1rem 0',
-      backgroundColor: theme === 'dark' ? '#333' : '#fff',
-      color: theme === 'dark' ? '#fff' : '#333'
-    }}>
-      <h3>{title}</h3>
-      <div>{children}</div>
-    </div>
-  );
-}
-
-function Modal({ isOpen, onClose, children }) {
-  if (!isOpen) return null;
-  
-  return (
-    <div style={{
-      position: 'fixed',
-      top: 0,
-      left: 0,
-      right: 0,
-      bottom: 0,
-      backgroundColor: 'rgba(0,0,0,0.5)',
-      display: 'flex',
-      justifyContent: 'center',
-      alignItems: 'center'
-    }}>
-      <div style={{
-        backgroundColor: 'white',
-        padding: '2rem',
-        borderRadius: '8px',
-        maxWidth: '500px'
-      }}>
-        {children}
-        <button onClick={onClose}>Close</button>
-      </div>
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Children Prop: React's special prop for nested content
 // - Conditional Rendering: if (!isOpen) return null
 // - CSS-in-JS: Inline styles for theming
 // - Event Handlers: onClick for user interactions`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: Props with Complex Data */}
-      <div className="example">
-        <h3>Example 4: Props with Complex Data</h3>
+      <Example title="Example 4: Props with Complex Data" source={['ComplexProps', 'UserProfile', 'PostList']}>
         <p>Passing complex objects and arrays as props with proper handling.</p>
         <ComplexProps />
-        <div className="code-block">
-{`function ComplexProps() {
-  const user = {
-    id: 1,
-    name: 'John Doe',
-    email: 'john@example.com',
-    profile: {
-      avatar: 'https://via.placeholder.com/150',
-      bio: 'Full-stack developer with 5 years of experience',
-      skills: ['React', 'Node.js', 'Python', 'MongoDB']
-    },
-    posts: [
-      { id: 1, title: 'Getting Started with React', likes: 42 },
-      { id: 2, title: 'Advanced JavaScript Patterns', likes: 28 },
-      { id: 3, title: 'CSS Grid Layout Guide', likes: 35 }
-    ]
-  };
-  
-  const theme = {
-    primary: '#3498db',
-    secondary: '#2ecc71',
-    background: '#f8f9fa',
-    text: '#2c3e50'
-  };
-  
-  return (
-    <div>
-      <UserProfile user={user} theme={theme} />
-      <PostList posts={user.posts} onLike={(postId) => console.log('Liked post:', postId)} />
-    </div>
-  );
-}
-
-function UserProfile({ user, theme }) {
-  const { name, email, profile } = user;
-  
-  return (
-    <div style={{
-      border: '1px solid #ddd',
-      borderRadius: '8px',
-      padding: '1rem',
-      margin: '1rem 0',
-      backgroundColor: theme.background
-    }}>
-      <img src={profile.avatar} alt={name} style={{ width: '100px', height: '100px', borderRadius: '50%' }} />
-      <h3 style={{ color: theme.text }}>{name}</h3>
-      <p style={{ color: theme.text }}>{email}</p>
-      <p>{profile.bio}</p>
-      <div>
-        <strong>Skills:</strong>
-        {profile.skills.map((skill, index) => (
-          <span key={index} style={{
-            backgroundColor: theme.primary,
-            color: 'white',
-            padding: '0.25rem 0.5rem',
-            margin: '0.25rem',
-            borderRadius: '4px',
-            fontSize: '0.8rem'
-          }}>
-            {skill}
-          </span>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function PostList({ posts, onLike }) {
-  return (
-    <div>
-      <h3>Posts</h3>
-      {posts.map(post => (
-        <div key={post.id} style={{
-          border: '1px solid #ddd',
-          padding: '1rem',
-          margin: '0.5rem 0',
-          borderRadius: '4px'
-        }}>
-          <h4>{post.title}</h4>
-          <p>Likes: {post.likes}</p>
-          <button onClick={() => onLike(post.id)}>Like</button>
-        </div>
-      ))}
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object Destructuring: { name, email, profile } = user
 // - Array Methods: map() for rendering lists
 // - Nested Objects: Accessing profile.avatar
 // - Key Prop: React's requirement for list items`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in Props:</h3>
@@ -360,7 +128,7 @@ function Greeting({ name, age, isActive, hobbies, onIncrement }) {
   return (
     <div style={{ 
       padding: '1rem', 
-      border: '1px solid #ddd', 
+      border: '1px solid var(--color-border)', 
       borderRadius: '8px',
       marginBottom: '1rem'
     }}>
@@ -405,7 +173,7 @@ function UserCard({
 }) {
   return (
     <div style={{ 
-      border: '1px solid #ddd', 
+      border: '1px solid var(--color-border)', 
       padding: '1rem', 
       margin: '1rem 0',
       borderRadius: '8px',
@@ -459,13 +227,12 @@ function ChildrenProps() {
 
 function Card({ title, children, theme = 'light' }) {
   return (
-    <div style={{
-      border: '1px solid #ddd',
+    <div data-theme={theme} style={{
+      border: '1px solid var(--color-border)',
       borderRadius: '8px',
       padding: '1rem',
       margin: '1rem 0',
-      backgroundColor: theme === 'dark' ? '#333' : '#fff',
-      color: theme === 'dark' ? '#fff' : '#333'
+      backgroundColor: 'var(--color-surface)'
     }}>
       <h3>{title}</h3>
       <div>{children}</div>
@@ -483,14 +250,14 @@ function Modal({ isOpen, children }) {
       left: 0,
       right: 0,
       bottom: 0,
-      backgroundColor: 'rgba(0, 0, 0, 0.66)',
+      backgroundColor: 'var(--color-overlay)',
       display: 'flex',
       justifyContent: 'center',
       alignItems: 'center',
       zIndex: 1000
     }}>
       <div style={{
-        backgroundColor: 'white',
+        backgroundColor: 'var(--color-surface)',
         padding: '2rem',
         borderRadius: '8px',
         maxWidth: '500px',
@@ -521,10 +288,10 @@ function ComplexProps() {
   };
   
   const theme = {
-    primary: '#3498db',
-    secondary: '#2ecc71',
-    background: '#f8f9fa',
-    text: '#2c3e50'
+    primary: 'var(--color-primary)',
+    secondary: 'var(--color-success)',
+    background: 'var(--color-surface-alt)',
+    text: 'var(--color-heading)'
   };
   
   return (
@@ -540,7 +307,7 @@ function UserProfile({ user, theme }) {
   
   return (
     <div style={{
-      border: '1px solid #ddd',
+      border: '1px solid var(--color-border)',
       borderRadius: '8px',
       padding: '1rem',
       margin: '1rem 0',
@@ -555,7 +322,7 @@ function UserProfile({ user, theme }) {
         {profile.skills.map((skill, index) => (
           <span key={index} style={{
             backgroundColor: theme.primary,
-            color: 'white',
+            color: 'var(--color-on-primary)',
             padding: '0.25rem 0.5rem',
             margin: '0.25rem',
             borderRadius: '4px',
@@ -576,7 +343,7 @@ function PostList({ posts, onLike }) {
       <h3>Posts</h3>
       {posts.map((post) => (
         <div key={post.id} style={{
-          border: '1px solid #ddd',
+          border: '1px solid var(--color-border)',
           padding: '1rem',
           margin: '0.5rem 0',
           borderRadius: '4px'
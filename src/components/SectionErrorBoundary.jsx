@@ -0,0 +1,55 @@
+import PropTypes from 'prop-types';
+import { useErrorLog } from '../hooks/useErrorLog';
+import { useTranslation } from '../hooks/useTranslation';
+import ErrorBoundary from './ErrorBoundary';
+
+const isChunkError = (error) =>
+  /dynamically imported module|Loading chunk|Importing a module script failed/i.test(error.message);
+
+// Catches a section chunk that failed to download (or a section that crashed while rendering)
+function SectionErrorBoundary({ sectionKey, label, onRetry, children }) {
+  const { logError } = useErrorLog();
+  const { t } = useTranslation();
+
+  const handleError = (error, info) => {
+    console.error('Section failed to load:', error, info.componentStack);
+    logError({ origin: 'section', sectionKey, label }, error, info);
+  };
+
+  return (
+    <ErrorBoundary
+      onError={handleError}
+      fallback={({ error, componentStack }) => (
+        <div className="error-fallback">
+          <h3>{isChunkError(error) ? t('sectionError.chunkTitle') : t('sectionError.crashTitle')}</h3>
+          <p>
+            {isChunkError(error) ? t('sectionError.chunkBody') : error.toString()}
+          </p>
+          {componentStack && !isChunkError(error) && (
+            <details>
+              <summary>{t('sectionError.componentStack')}</summary>
+              <pre>{componentStack.trim()}</pre>
+            </details>
+          )}
+          <button onClick={onRetry} className="button">
+            {t('sectionError.tryAgain')}
+          </button>
+          <button onClick={() => window.location.reload()} className="button">
+            {t('sectionError.reload')}
+          </button>
+        </div>
+      )}
+    >
+      {children}
+    </ErrorBoundary>
+  );
+}
+
+SectionErrorBoundary.propTypes = {
+  sectionKey: PropTypes.string,
+  label: PropTypes.string.isRequired,
+  onRetry: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
+
+export default SectionErrorBoundary;
@@ -0,0 +1,47 @@
+import PropTypes from 'prop-types';
+import { useProgress } from '../hooks/useProgress';
+import { useTranslation } from '../hooks/useTranslation';
+import { DEFAULT_LOCALE } from '../utils/i18n';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+
+// Difficulty, study time, tags and prerequisites shown under a section's heading
+function SectionMeta({ sections, sectionKey }) {
+  const { completedCount } = useProgress();
+  const { t, locale } = useTranslation();
+  const { level, minutes, tags, prerequisites } = sections[sectionKey];
+  const isDone = (key) => completedCount(key) >= sections[key].examples;
+
+  return (
+    <div className="section-meta">
+      <span className={`level-badge ${level}`}>{t(`levels.${level}`)}</span>
+      <span>{t('meta.minutes', { count: minutes })}</span>
+      {tags.map((tag) => (
+        <span key={tag} className="tag">
+          #{tag}
+        </span>
+      ))}
+      {prerequisites.length > 0 && (
+        <span>
+          {t('meta.before')}{' '}
+          {prerequisites.map((key, index) => (
+            <span key={key}>
+              {index > 0 && ', '}
+              <Link to={`/${keyToSlug(key)}`}>{t(`sections.${key}`)}</Link>
+              {isDone(key) && ' ✓'}
+            </span>
+          ))}
+        </span>
+      )}
+      {locale !== DEFAULT_LOCALE && <span className="content-language">{t('meta.contentLanguage')}</span>}
+    </div>
+  );
+}
+
+SectionMeta.propTypes = {
+  sections: sectionsPropType.isRequired,
+  sectionKey: PropTypes.string.isRequired,
+};
+
+export default SectionMeta;
@@ -0,0 +1,125 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useProgress } from '../hooks/useProgress';
+import { useTranslation } from '../hooks/useTranslation';
+import { ALL, collectTags, learningPath, LEVELS, matchesFilter } from '../utils/sectionMeta';
+import { sectionsPropType } from '../utils/sectionPropTypes';
+import { keyToSlug } from '../utils/slug';
+import Link from './Link';
+
+// Topic links with difficulty/tag filters; "Learning path" lists the same topics in study order
+function SectionNav({ sections, activeSection }) {
+  const { completedCount } = useProgress();
+  const { t } = useTranslation();
+  const [level, setLevel] = useState(ALL);
+  const [tag, setTag] = useState(ALL);
+  const [showPath, setShowPath] = useState(false);
+
+  const tags = useMemo(() => collectTags(sections), [sections]);
+  const path = useMemo(() => learningPath(sections), [sections]);
+
+  const keys = (showPath ? path : Object.keys(sections)).filter((key) => matchesFilter(sections[key], { level, tag }));
+  const filtered = level !== ALL || tag !== ALL;
+
+  const renderLink = (key) => {
+    const { level, examples, minutes, preload } = sections[key];
+    const done = Math.min(completedCount(key), examples);
+    return (
+      <Link
+        key={key}
+        to={`/${keyToSlug(key)}`}
+        className="button"
+        aria-current={activeSection === key ? 'page' : undefined}
+        onMouseEnter={preload}
+        onFocus={preload}
+        title={t('sectionNav.studyTime', { level: t(`levels.${level}`), minutes })}
+        style={{
+          background: activeSection === key ? 'var(--color-accent)' : 'var(--color-primary)'
+        }}
+      >
+        {t(`sections.${key}`)}
+        <span className="nav-progress" title={t('progress.sectionTitle', { done, count: examples })}>
+          <span style={{ width: `${(done / examples) * 100}%` }} />
+        </span>
+      </Link>
+    );
+  };
+
+  return (
+    <div className="section-nav">
+      <div className="section-filters">
+        <label>
+          {t('sectionNav.difficulty')}{' '}
+          <select value={level} onChange={(e) => setLevel(e.target.value)} className="input">
+            <option value={ALL}>{t('sectionNav.allLevels')}</option>
+            {LEVELS.map((value) => (
+              <option key={value} value={value}>
+                {t(`levels.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="tag-filter" role="group" aria-label={t('sectionNav.tagGroup')}>
+          {tags.map((value) => (
+            <button
+              key={value}
+              type="button"
+              className="tag"
+              aria-pressed={tag === value}
+              onClick={() => setTag(tag === value ? ALL : value)}
+            >
+              #{value}
+            </button>
+          ))}
+        </div>
+        <label>
+          <input type="checkbox" checked={showPath} onChange={(e) => setShowPath(e.target.checked)} />{' '}
+          {t('sectionNav.learningPath')}
+        </label>
+        {filtered && (
+          <button
+            type="button"
+            className="button"
+            onClick={() => {
+              setLevel(ALL);
+              setTag(ALL);
+            }}
+          >
+            {t('sectionNav.clearFilters')}
+          </button>
+        )}
+      </div>
+
+      {keys.length === 0 ? (
+        <p style={{ color: 'var(--color-muted)' }}>{t('sectionNav.noMatches')}</p>
+      ) : showPath ? (
+        <ol className="learning-path">
+          {keys.map((key) => (
+            <li key={key}>
+              <span className="learning-path-step">{path.indexOf(key) + 1}</span>
+              {renderLink(key)}
+              <small>
+                {t('sectionNav.studyTime', { level: t(`levels.${sections[key].level}`), minutes: sections[key].minutes })}
+                {sections[key].prerequisites.length > 0 &&
+                  t('sectionNav.after', {
+                    topics: sections[key].prerequisites.map((prerequisite) => t(`sections.${prerequisite}`)).join(', '),
+                  })}
+              </small>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+          {keys.map(renderLink)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+SectionNav.propTypes = {
+  sections: sectionsPropType.isRequired,
+  activeSection: PropTypes.string,
+};
+
+export default SectionNav;
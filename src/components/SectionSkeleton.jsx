@@ -0,0 +1,24 @@
+import { useTranslation } from '../hooks/useTranslation';
+
+// Placeholder shaped like a section (overview + two examples) while its chunk downloads
+function SectionSkeleton() {
+  const { t } = useTranslation();
+  return (
+    <div aria-busy="true" aria-label={t('skeleton.label')}>
+      <div className="explanation">
+        <div className="skeleton skeleton-heading" />
+        <div className="skeleton skeleton-line" />
+        <div className="skeleton skeleton-line" style={{ width: '80%' }} />
+      </div>
+      {[1, 2].map((n) => (
+        <div key={n} className="example">
+          <div className="skeleton skeleton-heading" />
+          <div className="skeleton skeleton-line" style={{ width: '60%' }} />
+          <div className="skeleton skeleton-block" />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SectionSkeleton;
@@ -0,0 +1,117 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { useKeymap } from '../hooks/useKeymap';
+import { useTranslation } from '../hooks/useTranslation';
+import { eventToShortcut, SHORTCUT_ACTIONS } from '../utils/keymap';
+import ShortcutKeys from './ShortcutKeys';
+
+// The "?" overlay: lists every shortcut and lets the user rebind them
+function ShortcutHelp({ open, onClose }) {
+  const { keymap, setShortcut, resetKeymap, customized } = useKeymap();
+  const [recording, setRecording] = useState(null);
+  const dialogRef = useRef(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    if (!open) return;
+    const previousFocus = document.activeElement;
+    dialogRef.current.focus();
+    return () => {
+      setRecording(null);
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+  }, [open]);
+
+  useEffect(() => {
+    if (!recording) return;
+
+    // Capture phase, so the key being recorded does not also trigger its current action
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+      const shortcut = eventToShortcut(e);
+      if (!shortcut) return;
+
+      const taken = SHORTCUT_ACTIONS.find(({ id }) => id !== recording && keymap[id] === shortcut);
+      if (taken) {
+        if (!window.confirm(t('shortcuts.confirmMove', { shortcut, action: t(`shortcuts.actions.${taken.id}`) }))) return;
+        setShortcut(taken.id, '');
+      }
+      setShortcut(recording, shortcut);
+      setRecording(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, keymap, setShortcut, t]);
+
+  if (!open) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return createPortal(
+    <div className="palette-backdrop" onMouseDown={onClose}>
+      <div
+        ref={dialogRef}
+        className="palette shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <h3 id="shortcut-help-title">{t('shortcuts.title')}</h3>
+        <table className="shortcut-table">
+          <tbody>
+            {SHORTCUT_ACTIONS.map(({ id, defaultKey }) => (
+              <tr key={id}>
+                <td>{t(`shortcuts.actions.${id}`)}</td>
+                <td>{recording === id ? <em>{t('shortcuts.recording')}</em> : <ShortcutKeys shortcut={keymap[id]} />}</td>
+                <td>
+                  <button type="button" className="button" onClick={() => setRecording(recording === id ? null : id)}>
+                    {recording === id ? t('shortcuts.cancel') : t('shortcuts.change')}
+                  </button>
+                  {keymap[id] !== defaultKey && (
+                    <button type="button" className="button" onClick={() => setShortcut(id, defaultKey)}>
+                      {t('shortcuts.default')}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p style={{ color: 'var(--color-muted)', fontSize: '0.85rem' }}>
+          {t('shortcuts.hint')}
+        </p>
+        <div className="palette-footer">
+          <button type="button" className="button" onClick={resetKeymap} disabled={!customized}>
+            {t('shortcuts.resetAll')}
+          </button>
+          <button type="button" className="button" onClick={onClose}>
+            {t('shortcuts.close')}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+ShortcutHelp.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,21 @@
+import PropTypes from 'prop-types';
+import { useTranslation } from '../hooks/useTranslation';
+import { shortcutKeys } from '../utils/keymap';
+
+// "Mod+K" rendered as <kbd>Ctrl</kbd>+<kbd>K</kbd>
+function ShortcutKeys({ shortcut }) {
+  const { t } = useTranslation();
+  if (!shortcut) return <span style={{ color: 'var(--color-muted)' }}>{t('shortcuts.notSet')}</span>;
+  return shortcutKeys(shortcut).map((key, i) => (
+    <span key={i}>
+      {i > 0 && '+'}
+      <kbd>{key}</kbd>
+    </span>
+  ));
+}
+
+ShortcutKeys.propTypes = {
+  shortcut: PropTypes.string,
+};
+
+export default ShortcutKeys;
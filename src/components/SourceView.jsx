@@ -0,0 +1,37 @@
+import { useContext } from 'react';
+import PropTypes from 'prop-types';
+import SectionContext from '../context/SectionContext';
+import { useSectionSource } from '../hooks/useSectionSource';
+import { useTranslation } from '../hooks/useTranslation';
+import { extractExampleSource } from '../utils/sharedSources';
+import CodeBlock from './CodeBlock';
+
+function SourceView({ names }) {
+  const { file } = useContext(SectionContext);
+  const { source, error } = useSectionSource();
+  const { t } = useTranslation();
+
+  if (error) {
+    return <p style={{ color: 'var(--color-accent)' }}>{t('source.loadFailed', { message: error.message })}</p>;
+  }
+  if (source === null) {
+    return <div className="code-block">{t('source.loading')}</div>;
+  }
+
+  // Line numbers match the file, so a snippet can be found again in the editor
+  return extractExampleSource(source, file, names).map(({ name, file: declaredIn, missing, start, end, code }) =>
+    missing ? (
+      <CodeBlock key={name}>{code}</CodeBlock>
+    ) : (
+      <CodeBlock key={name} title={t('source.location', { file: declaredIn, start, end })} startLine={start}>
+        {code}
+      </CodeBlock>
+    )
+  );
+}
+
+SourceView.propTypes = {
+  names: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default SourceView;
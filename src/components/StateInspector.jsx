@@ -0,0 +1,148 @@
+import { useStateInspector } from '../hooks/useInspectedState';
+import { clearTransitions, goLive, replay, travelTo } from '../utils/stateInspectorStore';
+
+const preview = (transition, value) => {
+  const shown = transition.format ? transition.format(value) : value;
+  const text = JSON.stringify(shown);
+  if (text === undefined) return String(shown);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+};
+
+// What happened to each state updated more than once in the same batch
+function explainBatch(updates) {
+  const byState = new Map();
+  updates.forEach((update) => byState.set(update.stateKey, [...(byState.get(update.stateKey) || []), update]));
+  const notes = [];
+
+  byState.forEach((queue) => {
+    if (queue.length < 2) return;
+    const { label } = queue[0];
+    const first = preview(queue[0], queue[0].snapshot);
+    const last = preview(queue[queue.length - 1], queue[queue.length - 1].after);
+    const lost = queue.filter((update, index) => index > 0 && update.kind === 'direct' && update.snapshot !== update.before);
+
+    if (lost.length > 0) {
+      notes.push(
+        `${queue.length} updates to "${label}" were batched into one render. The direct ones all computed from ` +
+          `the value this render saw (${first}), not from the update queued before them, so ${lost.length} ` +
+          `update${lost.length > 1 ? 's were' : ' was'} overwritten and "${label}" ended at ${last}. ` +
+          'A functional update, set(prev => ...), is handed the queued value instead.'
+      );
+    } else if (queue.every((update) => update.kind === 'functional')) {
+      notes.push(
+        `${queue.length} functional updates to "${label}" were batched into one render. Each received the ` +
+          `result of the one before it (${[first, ...queue.map((update) => preview(update, update.after))].join(' → ')}), ` +
+          'so none were lost.'
+      );
+    }
+  });
+
+  // Render numbers are counted per component, so only compare updates made in the same example
+  const renders = new Set(updates.map((update) => update.render));
+  if (byState.size > 1 && updates.every((update) => update.example === updates[0].example)) {
+    notes.push(
+      renders.size === 1
+        ? `${byState.size} different states were updated in the same event and rendered together, once.`
+        : `${updates.length} updates made in the same event were rendered separately (${renders.size} renders), ` +
+            'because flushSync made React render before returning.'
+    );
+  }
+  return notes;
+}
+
+// Every update made through useInspectedState() in this section, grouped by batch.
+// Clicking a row or moving the slider puts all the demos back to that point; Replay steps forward from there.
+function StateInspector() {
+  const { transitions, position, replaying } = useStateInspector();
+  const current = position === null ? transitions.length : position;
+
+  const batches = [];
+  transitions.forEach((transition, index) => {
+    const last = batches[batches.length - 1];
+    if (last && last.batch === transition.batch) {
+      last.updates.push({ ...transition, index });
+    } else {
+      batches.push({ batch: transition.batch, updates: [{ ...transition, index }] });
+    }
+  });
+
+  return (
+    <details className="state-inspector" open>
+      <summary>
+        🔬 State inspector: {transitions.length} transition{transitions.length === 1 ? '' : 's'}
+        {position !== null && ` (viewing step ${position})`}
+      </summary>
+
+      <div className="state-inspector-controls">
+        <input
+          type="range"
+          min="0"
+          max={transitions.length}
+          value={current}
+          aria-label="Scrub through state snapshots"
+          onChange={(e) => travelTo(Number(e.target.value))}
+          disabled={transitions.length === 0}
+        />
+        <button type="button" className="button" onClick={replay} disabled={transitions.length === 0 || replaying}>
+          ▶ Replay
+        </button>
+        <button type="button" className="button" onClick={goLive} disabled={position === null}>
+          ⏭ Live
+        </button>
+        <button type="button" className="button" onClick={clearTransitions} disabled={transitions.length === 0}>
+          Clear
+        </button>
+      </div>
+
+      {transitions.length === 0 ? (
+        <p className="state-inspector-empty">Use the examples above: every state update shows up here.</p>
+      ) : (
+        <div className="state-inspector-log">
+          <table>
+            <thead>
+              <tr>
+                <th>Render</th>
+                <th>State</th>
+                <th>Event</th>
+                <th>Update</th>
+                <th>Before → after</th>
+              </tr>
+            </thead>
+            {batches.map(({ batch, updates }) => {
+              const notes = explainBatch(updates);
+              return (
+                <tbody key={batch} className="state-inspector-batch">
+                  {updates.map((update) => (
+                    <tr
+                      key={update.id}
+                      className={update.index >= current ? 'state-inspector-future' : undefined}
+                      onClick={() => travelTo(update.index + 1)}
+                      title="Go back to the state right after this update"
+                    >
+                      <td>#{update.render}</td>
+                      <td>
+                        <code>{update.label}</code> <small>{update.example}</small>
+                      </td>
+                      <td>{update.event}</td>
+                      <td>{update.kind}</td>
+                      <td>
+                        <code>{preview(update, update.before)}</code> → <code>{preview(update, update.after)}</code>
+                      </td>
+                    </tr>
+                  ))}
+                  {notes.map((note) => (
+                    <tr key={note} className="state-inspector-note">
+                      <td colSpan="5">💡 {note}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              );
+            })}
+          </table>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default StateInspector;
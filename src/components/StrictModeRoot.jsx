@@ -0,0 +1,78 @@
+import { Profiler, StrictMode, useContext, useEffect, useRef, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import PropTypes from 'prop-types';
+import I18nContext from '../context/I18nContext';
+import ProfilerContext from '../context/ProfilerContext';
+import SectionContext from '../context/SectionContext';
+import ThemeContext from '../context/ThemeContext';
+import { recordCommit } from '../utils/profilerStore';
+import ErrorBoundary from './ErrorBoundary';
+
+// Renders `children` into a React root of its own, wrapped in <StrictMode> only when `strict` is set.
+// The app itself runs under StrictMode, which cannot be switched off for part of the tree, so a
+// demo that should show the difference needs a separate root. Context does not cross roots, so the
+// app's contexts are provided again inside it and its renders go to the enclosing example's Profiler;
+// an error it throws is thrown again here, where the enclosing ErrorBoundary catches it.
+function StrictModeRoot({ strict, children }) {
+  const theme = useContext(ThemeContext);
+  const i18n = useContext(I18nContext);
+  const section = useContext(SectionContext);
+  const profilerKey = useContext(ProfilerContext);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    // A fresh container each time: a container that had a root cannot be given another one
+    const container = document.createElement('div');
+    containerRef.current.appendChild(container);
+    const root = createRoot(container);
+    rootRef.current = root;
+    return () => {
+      rootRef.current = null;
+      // Not while the app is still committing, but before a replacement root renders: rendering
+      // from a passive effect is scheduled as a task, after this microtask
+      queueMicrotask(() => {
+        root.unmount();
+        container.remove();
+      });
+    };
+  }, []);
+
+  useEffect(() => {
+    let tree = (
+      <ErrorBoundary fallback={() => null} onError={setError}>
+        {children}
+      </ErrorBoundary>
+    );
+    if (profilerKey) {
+      tree = (
+        <Profiler id={profilerKey} onRender={recordCommit}>
+          {tree}
+        </Profiler>
+      );
+    }
+    rootRef.current.render(
+      <ThemeContext.Provider value={theme}>
+        <I18nContext.Provider value={i18n}>
+          <SectionContext.Provider value={section}>
+            <ProfilerContext.Provider value={profilerKey}>
+              {strict ? <StrictMode>{tree}</StrictMode> : tree}
+            </ProfilerContext.Provider>
+          </SectionContext.Provider>
+        </I18nContext.Provider>
+      </ThemeContext.Provider>
+    );
+  }, [strict, children, theme, i18n, section, profilerKey]);
+
+  if (error) throw error;
+
+  return <div ref={containerRef} />;
+}
+
+StrictModeRoot.propTypes = {
+  strict: PropTypes.bool.isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+export default StrictModeRoot;
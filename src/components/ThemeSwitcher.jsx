@@ -0,0 +1,24 @@
+import { useContext } from 'react';
+import ThemeContext, { THEME_OPTIONS } from '../context/ThemeContext';
+import { useTranslation } from '../hooks/useTranslation';
+
+function ThemeSwitcher() {
+  const { preference, theme, setPreference } = useContext(ThemeContext);
+  const { t } = useTranslation();
+
+  return (
+    <label className="theme-switcher">
+      {t('app.theme')}{' '}
+      <select value={preference} onChange={(e) => setPreference(e.target.value)}>
+        {THEME_OPTIONS.map((value) => (
+          <option key={value} value={value}>
+            {t(`themes.${value}`)}
+            {value === 'system' && preference === 'system' ? ` (${t(`themes.${theme}`)})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ThemeSwitcher;
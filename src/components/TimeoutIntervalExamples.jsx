@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const TimeoutIntervalExamples = () => (
   <div>
     <div className="explanation">
       <h3>🎯 Timeout & Interval Management Overview</h3>
       <p>Managing timeouts and intervals in React with proper cleanup to prevent memory leaks and unexpected behavior.</p>
-      <div className="code-block">
-{`useEffect(() => {
+      <CodeBlock highlight="5-8">
+        {`useEffect(() => {
   const timer = setTimeout(() => {}, 1000);
   const interval = setInterval(() => {}, 1000);
   
@@ -21,28 +23,23 @@ const TimeoutIntervalExamples = () => (
 // 2. clearTimeout/clearInterval - Cleanup functions
 // 3. useEffect cleanup - Preventing memory leaks
 // 4. useRef - Storing timer IDs`}
-      </div>
+      </CodeBlock>
     </div>
-    <div className="example">
-      <h3>Example 1: Basic Timeout</h3>
+    <Example title="Example 1: Basic Timeout" source={['BasicTimeout']}>
       <BasicTimeout />
-    </div>
-    <div className="example">
-      <h3>Example 2: Interval Counter</h3>
+    </Example>
+    <Example title="Example 2: Interval Counter" source={['IntervalCounter']}>
       <IntervalCounter />
-    </div>
-    <div className="example">
-      <h3>Example 3: Multiple Timers with Cleanup</h3>
+    </Example>
+    <Example title="Example 3: Multiple Timers with Cleanup" source={['MultipleTimers']}>
       <MultipleTimers />
-    </div>
-    <div className="example">
-      <h3>Example 4: Delayed Actions</h3>
+    </Example>
+    <Example title="Example 4: Delayed Actions" source={['DelayedActions']}>
       <DelayedActions />
-    </div>
-    <div className="example">
-      <h3>Example 5: Timer with useRef</h3>
+    </Example>
+    <Example title="Example 5: Timer with useRef" source={['TimerWithRef']}>
       <TimerWithRef />
-    </div>
+    </Example>
     <div className="js-concept">
       <h3>🔍 Key JavaScript Concepts Used in Timeouts & Intervals:</h3>
       <ul>
@@ -76,7 +73,7 @@ function BasicTimeout() {
       <button onClick={() => setShowTimeout(true)} className="button">
         Start 2 Second Timeout
       </button>
-      {message && <p style={{ color: '#27ae60' }}>{message}</p>}
+      {message && <p style={{ color: 'var(--color-success)' }}>{message}</p>}
       <button onClick={() => { setShowTimeout(false); setMessage(''); }} className="button">
         Reset
       </button>
@@ -146,7 +143,7 @@ function MultipleTimers() {
       <button onClick={() => setMessages([])} className="button">Clear Messages</button>
       <div style={{ marginTop: '1rem' }}>
         {messages.map((msg, index) => (
-          <p key={index} style={{ color: '#3498db' }}>{msg}</p>
+          <p key={index} style={{ color: 'var(--color-primary)' }}>{msg}</p>
         ))}
       </div>
     </div>
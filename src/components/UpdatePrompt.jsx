@@ -0,0 +1,47 @@
+import { useServiceWorker } from '../hooks/useServiceWorker';
+import { useTranslation } from '../hooks/useTranslation';
+import { applyUpdate, dismissStatus } from '../utils/serviceWorker';
+
+// Corner toast for the service worker: a new build is ready to load, the app now works
+// offline, or the connection dropped and network demos are showing bundled sample data
+function UpdatePrompt() {
+  const { status, online } = useServiceWorker();
+  const { t } = useTranslation();
+
+  if (status === 'update-available') {
+    return (
+      <div className="update-prompt" role="status">
+        <span>{t('offline.updateAvailable')}</span>
+        <button type="button" className="button" onClick={applyUpdate}>
+          {t('offline.reload')}
+        </button>
+        <button type="button" className="button" onClick={dismissStatus}>
+          {t('offline.later')}
+        </button>
+      </div>
+    );
+  }
+
+  if (status === 'offline-ready') {
+    return (
+      <div className="update-prompt" role="status">
+        <span>{t('offline.ready')}</span>
+        <button type="button" className="button" onClick={dismissStatus}>
+          {t('offline.dismiss')}
+        </button>
+      </div>
+    );
+  }
+
+  if (!online) {
+    return (
+      <div className="update-prompt offline" role="status">
+        <span>{t('offline.offline')}</span>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default UpdatePrompt;
@@ -1,4 +1,7 @@
 import React, { useState, useCallback, memo } from 'react';
+import { useTrackRender } from '../hooks/useRenderProfiler';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const UseCallbackExamples = () => {
   return (
@@ -10,8 +13,8 @@ const UseCallbackExamples = () => {
           It only changes when one of its dependencies has changed, which is useful for optimizing 
           performance by preventing unnecessary re-renders of child components that rely on callback props.
         </p>
-        <div className="code-block">
-{`const memoizedCallback = useCallback(() => {
+        <CodeBlock highlight="1, 3">
+          {`const memoizedCallback = useCallback(() => {
   doSomething(a, b);
 }, [a, b]);
 
@@ -20,229 +23,60 @@ const UseCallbackExamples = () => {
 // 2. Dependency Arrays - Controlling when to recreate functions
 // 3. Arrow Functions - Function expressions
 // 4. Performance Optimization - Preventing unnecessary re-renders`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: Basic useCallback with Counter */}
-      <div className="example">
-        <h3>Example 1: Basic useCallback with Counter</h3>
+      <Example title="Example 1: Basic useCallback with Counter" source={['BasicCallback', 'CounterButtons']}>
         <p>Using useCallback to memoize event handlers and prevent unnecessary re-renders.</p>
         <BasicCallback />
-        <div className="code-block">
-{`function BasicCallback() {
-  const [count, setCount] = useState(0);
-  const [otherState, setOtherState] = useState(0);
-  
-  // Memoized callback - only recreates when count changes
-  const incrementCount = useCallback(() => {
-    setCount(prevCount => prevCount + 1);
-  }, []); // Empty dependency array - never recreates
-  
-  const decrementCount = useCallback(() => {
-    setCount(prevCount => prevCount - 1);
-  }, []); // Empty dependency array - never recreates
-  
-  const resetCount = useCallback(() => {
-    setCount(0);
-  }, []); // Empty dependency array - never recreates
-  
-  return (
-    <div>
-      <p>Count: {count}</p>
-      <CounterButtons 
-        onIncrement={incrementCount}
-        onDecrement={decrementCount}
-        onReset={resetCount}
-      />
-      <p>Other state: {otherState}</p>
-      <button onClick={() => setOtherState(otherState + 1)}>
-        Update Other State
-      </button>
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Function References: Storing function references
 // - State Updates: Using functional updates
 // - Arrow Functions: Concise function syntax
 // - Dependency Arrays: Controlling function recreation`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: useCallback with Parameters */}
-      <div className="example">
-        <h3>Example 2: useCallback with Parameters</h3>
+      <Example title="Example 2: useCallback with Parameters" source={['ParameterCallback', 'ItemList']}>
         <p>Using useCallback with parameters and dependencies to create dynamic callbacks.</p>
         <ParameterCallback />
-        <div className="code-block">
-{`function ParameterCallback() {
-  const [items, setItems] = useState([]);
-  const [filter, setFilter] = useState('all');
-  
-  // Memoized callback with parameters
-  const addItem = useCallback((itemName) => {
-    setItems(prevItems => [
-      ...prevItems,
-      { id: Date.now(), name: itemName, completed: false }
-    ]);
-  }, []); // No dependencies - function never changes
-  
-  // Memoized callback that depends on filter
-  const toggleItem = useCallback((itemId) => {
-    setItems(prevItems =>
-      prevItems.map(item =>
-        item.id === itemId
-          ? { ...item, completed: !item.completed }
-          : item
-      )
-    );
-  }, []); // No dependencies - function never changes
-  
-  // Memoized callback that depends on filter
-  const getFilteredItems = useCallback(() => {
-    if (filter === 'completed') {
-      return items.filter(item => item.completed);
-    } else if (filter === 'active') {
-      return items.filter(item => !item.completed);
-    }
-    return items;
-  }, [items, filter]); // Depends on items and filter
-  
-  return (
-    <div>
-      <ItemManager 
-        onAddItem={addItem}
-        onToggleItem={toggleItem}
-        getFilteredItems={getFilteredItems}
-        filter={filter}
-        onFilterChange={setFilter}
-      />
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Array Methods: map(), filter(), spread operator
 // - Date.now(): Generating unique IDs
 // - Conditional Logic: if/else statements
 // - Object Spread: Immutable updates`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: useCallback with API Calls */}
-      <div className="example">
-        <h3>Example 3: useCallback with API Calls</h3>
+      <Example title="Example 3: useCallback with API Calls" source={['ApiCallback', 'UserDisplay']}>
         <p>Using useCallback to memoize API call functions and prevent unnecessary network requests.</p>
         <ApiCallback />
-        <div className="code-block">
-{`function ApiCallback() {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [userId, setUserId] = useState(1);
-  
-  // Memoized API call function
-  const fetchUserData = useCallback(async (id) => {
-    setLoading(true);
-    try {
-      const response = await fetch(\`https://jsonplaceholder.typicode.com/users/\${id}\`);
-      const userData = await response.json();
-      setData(userData);
-    } catch (error) {
-      console.error('Error fetching user:', error);
-      setData(null);
-    } finally {
-      setLoading(false);
-    }
-  }, []); // No dependencies - function never changes
-  
-  // Memoized function that depends on userId
-  const fetchCurrentUser = useCallback(() => {
-    fetchUserData(userId);
-  }, [userId, fetchUserData]); // Depends on userId and fetchUserData
-  
-  return (
-    <div>
-      <input
-        type="number"
-        value={userId}
-        onChange={(e) => setUserId(parseInt(e.target.value) || 1)}
-        min="1"
-        max="10"
-      />
-      <button onClick={fetchCurrentUser}>Fetch User</button>
-      <UserDisplay data={data} loading={loading} />
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Async/Await: Handling asynchronous operations
 // - Fetch API: Making HTTP requests
 // - Template Literals: String interpolation
 // - Try/Catch: Error handling`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: useCallback with Child Component Optimization */}
-      <div className="example">
-        <h3>Example 4: useCallback with Child Component Optimization</h3>
+      <Example title="Example 4: useCallback with Child Component Optimization" source={['OptimizedCallback', 'ExpensiveChild']}>
         <p>Using useCallback with React.memo to optimize child component re-renders.</p>
         <OptimizedCallback />
-        <div className="code-block">
-{`// Memoized child component
-const ExpensiveChild = memo(({ onAction, data, label }) => {
-  console.log(\`Rendering \${label} component\`);
-  
-  return (
-    <div style={{ padding: '1rem', border: '1px solid #ddd', margin: '0.5rem 0' }}>
-      <h4>{label}</h4>
-      <p>Data: {data}</p>
-      <button onClick={onAction}>Perform Action</button>
-    </div>
-  );
-});
-
-function OptimizedCallback() {
-  const [count1, setCount1] = useState(0);
-  const [count2, setCount2] = useState(0);
-  const [sharedData, setSharedData] = useState('Shared Value');
-  
-  // Memoized callbacks for each child
-  const handleAction1 = useCallback(() => {
-    setCount1(prev => prev + 1);
-    setSharedData('Updated by Component 1');
-  }, []); // No dependencies
-  
-  const handleAction2 = useCallback(() => {
-    setCount2(prev => prev + 1);
-    setSharedData('Updated by Component 2');
-  }, []); // No dependencies
-  
-  return (
-    <div>
-      <p>Shared Data: {sharedData}</p>
-      <ExpensiveChild 
-        onAction={handleAction1}
-        data={count1}
-        label="Component 1"
-      />
-      <ExpensiveChild 
-        onAction={handleAction2}
-        data={count2}
-        label="Component 2"
-      />
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - React.memo: Preventing unnecessary re-renders
 // - Console.log: Debugging component renders
 // - Template Literals: String interpolation
 // - Arrow Functions: Component definitions`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useCallback:</h3>
@@ -267,6 +101,7 @@ function OptimizedCallback() {
 
 // Component implementations
 function BasicCallback() {
+  useTrackRender('BasicCallback');
   const [count, setCount] = useState(0);
   const [otherState, setOtherState] = useState(0);
   
@@ -302,6 +137,7 @@ function BasicCallback() {
 }
 
 const CounterButtons = memo(({ onIncrement, onDecrement, onReset }) => {
+  useTrackRender('CounterButtons');
   console.log('Rendering CounterButtons component');
   
   return (
@@ -314,6 +150,7 @@ const CounterButtons = memo(({ onIncrement, onDecrement, onReset }) => {
 });
 
 function ParameterCallback() {
+  useTrackRender('ParameterCallback');
   const [items, setItems] = useState([]);
   const [filter, setFilter] = useState('all');
   const [newItemName, setNewItemName] = useState('');
@@ -381,6 +218,7 @@ function ParameterCallback() {
 }
 
 const ItemList = memo(({ items, onToggleItem }) => {
+  useTrackRender('ItemList');
   console.log('Rendering ItemList component');
   
   return (
@@ -390,7 +228,7 @@ const ItemList = memo(({ items, onToggleItem }) => {
           textDecoration: item.completed ? 'line-through' : 'none',
           margin: '0.5rem 0',
           padding: '0.5rem',
-          border: '1px solid #ddd',
+          border: '1px solid var(--color-border)',
           borderRadius: '4px'
         }}>
           <span onClick={() => onToggleItem(item.id)} style={{ cursor: 'pointer' }}>
@@ -403,6 +241,7 @@ const ItemList = memo(({ items, onToggleItem }) => {
 });
 
 function ApiCallback() {
+  useTrackRender('ApiCallback');
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [userId, setUserId] = useState(1);
@@ -444,13 +283,14 @@ function ApiCallback() {
 }
 
 const UserDisplay = memo(({ data, loading }) => {
+  useTrackRender('UserDisplay');
   console.log('Rendering UserDisplay component');
   
   if (loading) return <p>Loading...</p>;
   if (!data) return <p>No user data</p>;
   
   return (
-    <div style={{ padding: '1rem', border: '1px solid #ddd', marginTop: '1rem' }}>
+    <div style={{ padding: '1rem', border: '1px solid var(--color-border)', marginTop: '1rem' }}>
       <h4>{data.name}</h4>
       <p>Email: {data.email}</p>
       <p>Phone: {data.phone}</p>
@@ -460,6 +300,7 @@ const UserDisplay = memo(({ data, loading }) => {
 });
 
 function OptimizedCallback() {
+  useTrackRender('OptimizedCallback');
   const [count1, setCount1] = useState(0);
   const [count2, setCount2] = useState(0);
   const [sharedData, setSharedData] = useState('Shared Value');
@@ -494,10 +335,11 @@ function OptimizedCallback() {
 
 // Memoized child component
 const ExpensiveChild = memo(({ onAction, data, label }) => {
+  useTrackRender(`ExpensiveChild (${label})`);
   console.log(`Rendering ${label} component`);
   
   return (
-    <div style={{ padding: '1rem', border: '1px solid #ddd', margin: '0.5rem 0' }}>
+    <div style={{ padding: '1rem', border: '1px solid var(--color-border)', margin: '0.5rem 0' }}>
       <h4>{label}</h4>
       <p>Data: <strong>{data}</strong></p>
       <button onClick={onAction} className="button">Perform Action</button>
@@ -1,4 +1,7 @@
 import React, {createContext, useContext, useState} from 'react';
+import {simulateRequest} from '../utils/network';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const UseContextExamples = () => {
   return (
@@ -11,7 +14,7 @@ const UseContextExamples = () => {
           component tree without having to pass props down manually at every
           level.
         </p>
-        <div className="code-block">
+        <CodeBlock highlight="2, 5, 10">
           {`// Create a context
 const MyContext = createContext();
 
@@ -28,257 +31,61 @@ const value = useContext(MyContext);
 // 2. Provider Pattern - Providing data to child components
 // 3. Consumer Pattern - Consuming data from parent components
 // 4. Object Destructuring - Extracting values from context`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: Basic Theme Context */}
-      <div className="example">
-        <h3>Example 1: Basic Theme Context</h3>
+      <Example title="Example 1: Basic Theme Context" source={['ThemeContextExample', 'ThemeContext', 'ThemeProvider', 'ThemedButton']}>
         <p>Simple theme switching with light and dark modes.</p>
         <ThemeContextExample />
-        <div className="code-block">
-          {`// Create Theme Context
-const ThemeContext = createContext();
-
-// Theme Provider Component
-function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState('light');
-  
-  const toggleTheme = () => {
-    setTheme(prev => prev === 'light' ? 'dark' : 'light');
-  };
-  
-  return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
-      {children}
-    </ThemeContext.Provider>
-  );
-}
-
-// Consumer Component
-function ThemedButton() {
-  const { theme, toggleTheme } = useContext(ThemeContext);
-  
-  return (
-    <button 
-      onClick={toggleTheme}
-      style={{
-        backgroundColor: theme === 'light' ? '#333' : '#fff',
-        color: theme === 'light' ? '#fff' : '#333'
-      }}
-    >
-      Current Theme: {theme}
-    </button>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object Destructuring: { theme, toggleTheme }
 // - Ternary Operators: theme === 'light' ? 'dark' : 'light'
 // - Template Literals: String interpolation`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: User Authentication Context */}
-      <div className="example">
-        <h3>Example 2: User Authentication Context</h3>
+      <Example title="Example 2: User Authentication Context" source={['AuthContextExample', 'AuthContext', 'AuthProvider', 'LoginForm', 'UserInfo']}>
         <p>Managing user authentication state across the app.</p>
         <AuthContextExample />
-        <div className="code-block">
-          {`// Create Auth Context
-const AuthContext = createContext();
-
-// Auth Provider
-function AuthProvider({ children }) {
-  const [user, setUser] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  
-  const login = async (email, password) => {
-    setIsLoading(true);
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    setUser({ id: 1, email, name: 'John Doe' });
-    setIsLoading(false);
-  };
-  
-  const logout = () => {
-    setUser(null);
-  };
-  
-  return (
-    <AuthContext.Provider value={{ user, login, logout, isLoading }}>
-      {children}
-    </AuthContext.Provider>
-  );
-}
-
-// Login Component
-function LoginForm() {
-  const { login, isLoading } = useContext(AuthContext);
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    login(email, password);
-  };
-  
-  return (
-    <form onSubmit={handleSubmit}>
-      <input
-        type="email"
-        value={email}
-        onChange={(e) => setEmail(e.target.value)}
-        placeholder="Email"
-      />
-      <input
-        type="password"
-        value={password}
-        onChange={(e) => setPassword(e.target.value)}
-        placeholder="Password"
-      />
-      <button type="submit" disabled={isLoading}>
-        {isLoading ? 'Logging in...' : 'Login'}
-      </button>
-    </form>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Async/Await: Handling asynchronous operations
 // - Promise: Simulating API calls
 // - Event Handling: Form submission
 // - Conditional Rendering: Loading states`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: Shopping Cart Context */}
-      <div className="example">
-        <h3>Example 3: Shopping Cart Context</h3>
+      <Example title="Example 3: Shopping Cart Context" source={['CartContextExample', 'CartContext', 'CartProvider', 'ProductList', 'CartDisplay']}>
         <p>
           Managing shopping cart state with add, remove, and total calculation.
         </p>
         <CartContextExample />
-        <div className="code-block">
-          {`// Create Cart Context
-const CartContext = createContext();
-
-// Cart Provider
-function CartProvider({ children }) {
-  const [cart, setCart] = useState([]);
-  
-  const addToCart = (product) => {
-    setCart(prevCart => {
-      const existingItem = prevCart.find(item => item.id === product.id);
-      if (existingItem) {
-        return prevCart.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
-            : item
-        );
-      }
-      return [...prevCart, { ...product, quantity: 1 }];
-    });
-  };
-  
-  const removeFromCart = (productId) => {
-    setCart(prevCart => prevCart.filter(item => item.id !== productId));
-  };
-  
-  const updateQuantity = (productId, quantity) => {
-    setCart(prevCart =>
-      prevCart.map(item =>
-        item.id === productId
-          ? { ...item, quantity: Math.max(0, quantity) }
-          : item
-      ).filter(item => item.quantity > 0)
-    );
-  };
-  
-  const getTotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
-  };
-  
-  return (
-    <CartContext.Provider value={{ 
-      cart, 
-      addToCart, 
-      removeFromCart, 
-      updateQuantity, 
-      getTotal 
-    }}>
-      {children}
-    </CartContext.Provider>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Array Methods: find(), map(), filter(), reduce()
 // - Spread Operator: ...item for object copying
 // - Math.max(): Ensuring non-negative quantities
 // - Arrow Functions: Concise function syntax`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: Language/Localization Context */}
-      <div className="example">
-        <h3>Example 4: Language/Localization Context</h3>
+      <Example title="Example 4: Language/Localization Context" source={['LanguageContextExample', 'LanguageContext', 'LanguageProvider', 'LanguageSelector', 'TranslatedContent']}>
         <p>Managing multiple languages and translations across the app.</p>
         <LanguageContextExample />
-        <div className="code-block">
-          {`// Create Language Context
-const LanguageContext = createContext();
-
-// Translations object
-const translations = {
-  en: {
-    greeting: 'Hello',
-    welcome: 'Welcome to our app',
-    button: 'Click me',
-    language: 'Language'
-  },
-  es: {
-    greeting: 'Hola',
-    welcome: 'Bienvenido a nuestra aplicación',
-    button: 'Haz clic',
-    language: 'Idioma'
-  },
-  fr: {
-    greeting: 'Bonjour',
-    welcome: 'Bienvenue dans notre application',
-    button: 'Cliquez-moi',
-    language: 'Langue'
-  }
-};
-
-// Language Provider
-function LanguageProvider({ children }) {
-  const [language, setLanguage] = useState('en');
-  
-  const t = (key) => {
-    return translations[language][key] || key;
-  };
-  
-  const changeLanguage = (newLanguage) => {
-    if (translations[newLanguage]) {
-      setLanguage(newLanguage);
-    }
-  };
-  
-  return (
-    <LanguageContext.Provider value={{ language, t, changeLanguage }}>
-      {children}
-    </LanguageContext.Provider>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object Access: translations[language][key]
 // - Default Values: || key for fallback
 // - Object Properties: Accessing nested object properties
 // - Conditional Logic: if (translations[newLanguage])`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useContext:</h3>
@@ -344,10 +151,11 @@ function ThemeProvider({children}) {
 
   return (
     <ThemeContext.Provider value={{theme, toggleTheme}}>
+      {/* data-theme switches every CSS color variable for this subtree, not just one button */}
       <div
+        data-theme={theme}
         style={{
-          backgroundColor: theme === 'light' ? '#f5f5f5' : '#333',
-          color: theme === 'light' ? '#333' : '#fff',
+          backgroundColor: 'var(--color-bg)',
           padding: '20px',
           borderRadius: '8px',
           margin: '10px 0',
@@ -367,9 +175,9 @@ function ThemedButton () {
       onClick={toggleTheme}
       className="button"
       style={{
-        backgroundColor: theme === 'light' ? '#333' : '#fff',
-        color: theme === 'light' ? '#fff' : '#333',
-        border: '2px solid #333',
+        backgroundColor: 'var(--color-text)',
+        color: 'var(--color-bg)',
+        border: '2px solid var(--color-text)',
       }}
     >
       Current Theme: {theme}
@@ -381,13 +189,20 @@ function ThemedButton () {
 function AuthProvider({children}) {
   const [user, setUser] = useState (null);
   const [isLoading, setIsLoading] = useState (false);
+  const [error, setError] = useState (null);
 
   const login = async (email, password) => {
     setIsLoading (true);
-    // Simulate API call
-    await new Promise (resolve => setTimeout (resolve, 1000));
-    setUser ({id: 1, email, name: 'John Doe'});
-    setIsLoading (false);
+    setError (null);
+    try {
+      // Simulated API call (the network panel controls latency and failures)
+      await simulateRequest ('POST /login', {serverTime: 1000});
+      setUser ({id: 1, email, name: 'John Doe'});
+    } catch (err) {
+      setError (`Login failed: ${err.message}`);
+    } finally {
+      setIsLoading (false);
+    }
   };
 
   const logout = () => {
@@ -395,14 +210,14 @@ function AuthProvider({children}) {
   };
 
   return (
-    <AuthContext.Provider value={{user, login, logout, isLoading}}>
+    <AuthContext.Provider value={{user, login, logout, isLoading, error}}>
       {children}
     </AuthContext.Provider>
   );
 }
 
 function LoginForm () {
-  const {login, isLoading} = useContext (AuthContext);
+  const {login, isLoading, error} = useContext (AuthContext);
   const [email, setEmail] = useState ('');
   const [password, setPassword] = useState ('');
 
@@ -430,6 +245,7 @@ function LoginForm () {
       <button type="submit" disabled={isLoading} className="button">
         {isLoading ? 'Logging in...' : 'Login'}
       </button>
+      {error && <p style={{color: 'var(--color-accent)'}}>{error}</p>}
     </form>
   );
 }
@@ -523,7 +339,7 @@ function ProductList () {
           style={{
             margin: '10px 0',
             padding: '10px',
-            border: '1px solid #ddd',
+            border: '1px solid var(--color-border)',
           }}
         >
           <p>
@@ -552,7 +368,7 @@ function CartDisplay () {
           style={{
             margin: '10px 0',
             padding: '10px',
-            border: '1px solid #ddd',
+            border: '1px solid var(--color-border)',
           }}
         >
           <p>
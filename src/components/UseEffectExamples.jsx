@@ -1,4 +1,15 @@
-import React, {useState, useEffect} from 'react';
+import React, {useState, useEffect, useRef} from 'react';
+import PropTypes from 'prop-types';
+import CodeBlock from './CodeBlock';
+import EffectTimeline from './EffectTimeline';
+import Example from './Example';
+import StrictModeRoot from './StrictModeRoot';
+import {
+  useEffectTimeline,
+  useTracedEffect,
+  useTraceLifecycle,
+} from '../hooks/useEffectTimeline';
+import {simulateRequest} from '../utils/network';
 
 const UseEffectExamples = () => {
   return (
@@ -11,9 +22,8 @@ const UseEffectExamples = () => {
           be used for data fetching, subscriptions, or manually changing the
           DOM.
         </p>
-        <div className="code-block">
-          <pre>
-            {`
+        <CodeBlock highlight="4-6, 8">
+          {`
 useEffect (
   () => {
     // Side effect code
@@ -30,197 +40,128 @@ useEffect (
     // 2. Array Destructuring - Extracting values
     // 3. Closures - Function scope and access to variables
     // 4. Async/Await - For data fetching operations`}
-          </pre>
-        </div>
+        </CodeBlock>
+        <p>
+          Examples 1 to 3 use <code>useTracedEffect</code>, a{' '}
+          <code>useEffect</code> that also logs every run and cleanup, and
+          draw them on the lifecycle timeline in Example 5. They are rendered
+          in a React root of their own, so the timeline can switch
+          StrictMode on and off for them.
+        </p>
       </div>
 
       {/* Example 1: Basic useEffect with no dependencies */}
-      <div className="example">
-        <h3>Example 1: Basic useEffect (Runs after every render)</h3>
+      <Example title="Example 1: Basic useEffect (Runs after every render)" source={['BasicUseEffect']}>
         <p>Simple effect that runs after every render and logs to console.</p>
-        <BasicUseEffect />
-        <div className="code-block">
-          <pre>
-            {`
-  function BasicUseEffect() {
-    const [count, setCount] = useState(0);
-  
-    useEffect(() => {
-        console.log('Component rendered, count is:', count);
-        document.title = \`Count: \${count}\`;
-      }); // No dependency array = runs after every render
-    
-    return (
-      <div>
-         <p>Count: {count}</p>
-          <button onClick={() => setCount(count + 1)}>Increment</button>
-      </div>
-      );
-      }
-      
-      
-      // JavaScript Concepts:
-      // - Template Literals: \`Count: \${count}\`
-      // - Arrow Functions: () => { ... }
-      // - Document API: document.title`}
-          </pre>
-        </div>
-      </div>
+        <TracedDemo>
+          <BasicUseEffect />
+        </TracedDemo>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Template Literals: \`Count: \${count}\`
+// - Arrow Functions: () => { ... }
+// - Document API: document.title`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: useEffect with dependencies */}
-      <div className="example">
-        <h3>Example 2: useEffect with Dependencies</h3>
+      <Example title="Example 2: useEffect with Dependencies" source={['DependencyUseEffect']}>
         <p>Effect that only runs when specific values change.</p>
-        <DependencyUseEffect />
-        <div className="code-block">
-          <pre>
-            {`
-  function DependencyUseEffect() {
-  const [name, setName] = useState('');
-  const [age, setAge] = useState(0);
-  const [greeting, setGreeting] = useState('');
-  
-  useEffect(() => {
-    if (name && age) {
-        setGreeting(\`Hello \${name}, you are \${age} years old!\`);
-      }
-    }, [name, age]); // Only runs when name or age changes
-      
-      return (
-        <div>
-          <input
-           type="text"
-           placeholder="Name"
-           value={name}
-           onChange={(e) => setName(e.target.value)}
-         />
-
-         <input
-            type="number"
-            placeholder="Age"
-            value={age}
-            onChange={(e) => setAge(parseInt(e.target.value) || 0)}
-          />
-
-          <p>{greeting}</p>
-
-        </div>
-        );
-        }
-        
-        
-        // JavaScript Concepts:
-        // - Logical Operators: && for conditional rendering
-        // - parseInt(): Converting string to number
-        // - Template Literals: String interpolation`}
-          </pre>
-        </div>
-      </div>
+        <TracedDemo>
+          <DependencyUseEffect />
+        </TracedDemo>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Logical Operators: && for conditional rendering
+// - parseInt(): Converting string to number
+// - Template Literals: String interpolation`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: useEffect with cleanup */}
-      <div className="example">
-        <h3>Example 3: useEffect with Cleanup</h3>
+      <Example title="Example 3: useEffect with Cleanup" source={['CleanupUseEffect']}>
         <p>
           Effect that sets up and cleans up event listeners or subscriptions.
         </p>
-        <CleanupUseEffect />
-        <div className="code-block">
-          <pre>
-            {`
-  function CleanupUseEffect () {
-  const [windowSize, setWindowSize] = useState ({
-    width: window.innerWidth,
-    height: window.innerHeight,
-  });
-
-  useEffect (() => {
-    const handleResize = () => {
-      setWindowSize ({
-        width: window.innerWidth,
-        height: window.innerHeight,
-      });
-    };
-
-    window.addEventListener ('resize', handleResize);
-
-    // Cleanup function
-    return () => {
-      window.removeEventListener ('resize', handleResize);
-    };
-  }, []); // Empty dependency array = runs only once
-
-  return (
-    <div>
-      <p>Window size: {windowSize.width} x {windowSize.height}</p>
-    </div>
-  );
-}
-            
-      // JavaScript Concepts:
-      // - Event Listeners: addEventListener, removeEventListener
-      // - Window API: window.innerWidth, window.innerHeight
-      // - Object Literals: Creating objects with properties`}
-          </pre>
-        </div>
-      </div>
+        <TracedDemo>
+          <CleanupUseEffect />
+        </TracedDemo>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Event Listeners: addEventListener, removeEventListener
+// - Window API: window.innerWidth, window.innerHeight
+// - Object Literals: Creating objects with properties`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: useEffect for data fetching */}
-      <div className="example">
-        <h3>Example 4: useEffect for Data Fetching</h3>
-        <p>Effect that fetches data from an API and handles loading states.</p>
+      <Example
+        title="Example 4: useEffect for Data Fetching"
+        source={['DataFetchingUseEffect', 'FETCH_STRATEGIES']}
+      >
+        <p>
+          Effect that fetches the selected user from an API and handles
+          loading states. Each request spends a random time on the simulated
+          network (it shows up in the network panel), so responses can come
+          back in a different order than the requests went out. Switch users quickly without protection and an older
+          response can overwrite the user you picked last; the other
+          strategies make the effect discard or cancel the requests it no
+          longer needs.
+        </p>
         <DataFetchingUseEffect />
-        <div className="code-block">
-          <pre>
-            {`
-function DataFetchingUseEffect () {
-  const [posts, setPosts] = useState ([]);
-  const [loading, setLoading] = useState (false);
-  const [error, setError] = useState (null);
-
-  useEffect (() => {
-    const fetchPosts = async () => {
-      setLoading (true);
-      setError (null);
-
-      try {
-        const response = await fetch (
-          'https://jsonplaceholder.typicode.com/posts?_limit=5'
-        );
-        const data = await response.json ();
-        setPosts (data);
-      } catch (err) {
-        setError ('Failed to fetch posts');
-        console.error ('Error:', err);
-      } finally {
-        setLoading (false);
-      }
-    };
-
-    fetchPosts ();
-  }, []); // Empty array = fetch only once on mount
-
-  if (loading) return <p>Loading...</p>;
-  if (error) return <p>Error: {error}</p>;
-
-  return (
-    <div>
-      <h4>Posts:</h4>
-      <ul>
-        {posts.map (post => <li key={post.id}>{post.title}</li>)}
-      </ul>
-    </div>
-  );
-}
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Async/Await: Modern promise handling
+// - Try/Catch: Error handling
+// - Fetch API: Making HTTP requests
+// - Closures: each run's cleanup sets its own ignore flag
+// - AbortController: controller.abort() rejects fetch with an AbortError
+// - useRef(): the id of the latest request, shared by every run
+
+// Ignore flag
+useEffect(() => {
+  let ignore = false;
+  fetchUser(id).then((user) => { if (!ignore) setUser(user); });
+  return () => { ignore = true; };
+}, [id]);
+
+// AbortController
+useEffect(() => {
+  const controller = new AbortController();
+  fetch(url, { signal: controller.signal }).then(...);
+  return () => controller.abort();
+}, [id]);
+
+// Request id
+const latest = useRef(0);
+useEffect(() => {
+  const requestId = ++latest.current;
+  fetchUser(id).then((user) => {
+    if (requestId === latest.current) setUser(user);
+  });
+}, [id]);`}
+        </CodeBlock>
+      </Example>
 
-      
-      // JavaScript Concepts:
-      // - Async/Await: Modern promise handling
-      // - Try/Catch: Error handling
-      // - Fetch API: Making HTTP requests
-      // - Array Methods: map() for rendering lists`}
-          </pre>
-        </div>
-      </div>
+      {/* Example 5: Effect lifecycle timeline */}
+      <Example title="Example 5: Effect Lifecycle Timeline">
+        <p>
+          Every mount, effect run, cleanup and unmount of examples 1 to 3, in
+          the order they happened, with the dependencies that changed. Hover
+          an event to see why it happened. Under StrictMode, React mounts
+          each component, unmounts it and mounts it again in development, so
+          cleanups that do not undo their effect show up straight away:
+          those extra events have a dashed outline.
+        </p>
+        <EffectTimeline />
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Closures: each cleanup remembers the values of its own run
+// - Object.is(): how React compares dependencies
+// - Array.prototype.every(): comparing two dependency arrays item by item
+// - performance.now(): high-resolution timestamps`}
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useEffect:</h3>
@@ -265,11 +206,26 @@ function DataFetchingUseEffect () {
   );
 };
 
+// Examples 1 to 3 in a root of their own, under StrictMode when the timeline asks for it
+function TracedDemo({children}) {
+  const {strictMode, generation} = useEffectTimeline ();
+  return (
+    <StrictModeRoot key={generation} strict={strictMode}>
+      {children}
+    </StrictModeRoot>
+  );
+}
+
+TracedDemo.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
 // Component implementations
 function BasicUseEffect () {
   const [count, setCount] = useState (0);
+  useTraceLifecycle ('BasicUseEffect');
 
-  useEffect (() => {
+  useTracedEffect ('BasicUseEffect', () => {
     console.log ('Component rendered, count is:', count);
     document.title = `Count: ${count}`;
   }); // No dependency array = runs after every render
@@ -294,8 +250,10 @@ function DependencyUseEffect () {
   const [name, setName] = useState ('');
   const [age, setAge] = useState (0);
   const [greeting, setGreeting] = useState ('');
+  useTraceLifecycle ('DependencyUseEffect');
 
-  useEffect (
+  useTracedEffect (
+    'DependencyUseEffect',
     () => {
       if (name && age) {
         setGreeting (`Hello ${name}, you are ${age} years old!`);
@@ -303,7 +261,8 @@ function DependencyUseEffect () {
         setGreeting ('');
       }
     },
-    [name, age]
+    [name, age],
+    ['name', 'age']
   ); // Only runs when name or age changes
 
   return (
@@ -322,7 +281,7 @@ function DependencyUseEffect () {
         onChange={e => setAge (parseInt (e.target.value) || 0)}
         className="input"
       />
-      <p style={{color: '#27ae60', fontWeight: 'bold'}}>{greeting}</p>
+      <p style={{color: 'var(--color-success)', fontWeight: 'bold'}}>{greeting}</p>
     </div>
   );
 }
@@ -332,8 +291,9 @@ function CleanupUseEffect () {
     width: window.innerWidth,
     height: window.innerHeight,
   });
+  useTraceLifecycle ('CleanupUseEffect');
 
-  useEffect (() => {
+  useTracedEffect ('CleanupUseEffect', () => {
     const handleResize = () => {
       setWindowSize ({
         width: window.innerWidth,
@@ -348,10 +308,10 @@ function CleanupUseEffect () {
 
     // Cleanup function
     return () => {
-      window.removeEventListener ('mouse', handleResize);
+      window.removeEventListener ('resize', handleResize);
       console.log ('clean clean up -----');
     };
-  }, []); // Empty dependency array = runs only once
+  }, []); // No dependencies = runs only once
 
   return (
     <div>
@@ -366,78 +326,203 @@ function CleanupUseEffect () {
   );
 }
 
+const FETCH_STRATEGIES = {
+  none: 'No protection',
+  ignore: 'Ignore flag',
+  abort: 'AbortController',
+  sequence: 'Request id',
+};
+
+// Resolves after `ms`, or rejects like fetch does when `signal` aborts first
 function DataFetchingUseEffect () {
-  const [posts, setPosts] = useState ([]);
+  const [userId, setUserId] = useState (1);
+  const [strategy, setStrategy] = useState ('none');
+  const [user, setUser] = useState (null);
   const [loading, setLoading] = useState (false);
   const [error, setError] = useState (null);
+  const [log, setLog] = useState ([]);
+  const latestRequest = useRef (0);
+  const switchTimeouts = useRef ([]);
 
-  useEffect (() => {
-    const fetchPosts = async () => {
-      setLoading (true);
-      setError (null);
-
-      try {
-        const response = await fetch (
-          'https://jsonplaceholder.typicode.com/posts?_limit=5'
+  useEffect (
+    () => {
+      const requestId = ++latestRequest.current;
+      const delay = Math.round (200 + Math.random () * 1800);
+      let ignore = false;
+      const controller = strategy === 'abort' ? new AbortController () : null;
+      const signal = controller ? controller.signal : undefined;
+
+      // Whether the chosen strategy drops this request's result, whether it succeeded or failed
+      const isDiscarded = () =>
+        (strategy === 'ignore' && ignore) ||
+        (strategy === 'sequence' && requestId !== latestRequest.current);
+
+      const settle = outcome =>
+        setLog (prev =>
+          prev.map (entry => (entry.requestId === requestId ? {...entry, outcome} : entry))
         );
-        if (!response.ok) {
-          throw new Error ('Network response was not ok');
+      setLog (prev =>
+        [{requestId, userId, delay, outcome: 'pending'}, ...prev].slice (0, 10)
+      );
+
+      const fetchUser = async () => {
+        setLoading (true);
+        setError (null);
+
+        try {
+          // The request goes over the simulated network, taking `delay` ms on top of the fetch itself
+          const response = await simulateRequest (`GET /users/${userId}`, {
+            serverTime: delay,
+            signal,
+            respond: () =>
+              fetch (`https://jsonplaceholder.typicode.com/users/${userId}`, {
+                signal,
+              }),
+          });
+          if (!response.ok) {
+            throw new Error ('Network response was not ok');
+          }
+          const data = await response.json ();
+
+          if (isDiscarded ()) {
+            settle ('discarded');
+            return;
+          }
+          // Without protection, whichever response arrives last wins
+          settle (requestId === latestRequest.current ? 'applied' : 'stale');
+          setUser (data);
+          setLoading (false);
+        } catch (err) {
+          if (err.name === 'AbortError') {
+            settle ('aborted');
+            return;
+          }
+          if (isDiscarded ()) {
+            settle ('discarded');
+            return;
+          }
+          settle ('failed');
+          setError ('Failed to fetch user');
+          setLoading (false);
+          console.error ('Error:', err);
         }
-        const data = await response.json ();
-        setPosts (data);
-      } catch (err) {
-        setError ('Failed to fetch posts');
-        console.error ('Error:', err);
-      } finally {
-        // -------- below commented code is by -${Ash}--------
-
-        // const delay = (ms) =>  new Promise((resolve) => setTimeout(resolve,ms));
-
-        // async function run(){
-        //   console.log("start->", new Date().toLocaleTimeString());
-        //   await delay(6000);
-        //   console.log("end->", new Date().toLocaleTimeString());
-        // }
-
-        // await run();
-        setLoading (false);
-      }
-    };
+      };
 
-    fetchPosts ();
-  }, []); // Empty array = fetch only once on mount
+      fetchUser ();
 
-  if (loading) return <p>Loading posts...</p>;
-  if (error) return <p style={{color: '#e74c3c'}}>Error: {error}</p>;
+      return () => {
+        ignore = true;
+        if (controller) controller.abort ();
+      };
+    },
+    [userId, strategy]
+  ); // Runs again whenever the user or the strategy changes
+
+  // Switches still pending when the example unmounts must not set its state
+  useEffect (() => {
+    const timeouts = switchTimeouts.current;
+    return () => timeouts.forEach (clearTimeout);
+  }, []);
+
+  // Picks users 2 to 5 in quick succession, faster than the responses come back
+  const switchQuickly = () => {
+    const timeouts = switchTimeouts.current;
+    timeouts.forEach (clearTimeout);
+    timeouts.length = 0;
+    [2, 3, 4, 5].forEach ((id, index) => {
+      timeouts.push (setTimeout (() => setUserId (id), index * 150));
+    });
+  };
+
+  const outcomeColors = {
+    pending: 'var(--color-muted)',
+    applied: 'var(--color-success)',
+    stale: 'var(--color-accent)',
+    discarded: 'var(--color-subtle)',
+    aborted: 'var(--color-subtle)',
+    failed: 'var(--color-accent)',
+  };
 
   return (
     <div>
-      <h4>Posts from API:</h4>
-      <ul style={{listStyle: 'none', padding: 0}}>
-        {posts.map (post => (
-          <li
-            key={post.id}
+      <div>
+        {Object.entries (FETCH_STRATEGIES).map (([key, label]) => (
+          <label key={key} style={{marginRight: '1rem'}}>
+            <input
+              type="radio"
+              name="fetch-strategy"
+              value={key}
+              checked={strategy === key}
+              onChange={() => setStrategy (key)}
+            />{' '}
+            {label}
+          </label>
+        ))}
+      </div>
+      <div style={{margin: '0.5rem 0'}}>
+        {[1, 2, 3, 4, 5].map (id => (
+          <button
+            key={id}
+            onClick={() => setUserId (id)}
+            aria-pressed={userId === id}
+            className="button"
+          >
+            User {id}
+          </button>
+        ))}
+        <button onClick={switchQuickly} className="button">
+          ⚡ Switch quickly (2 → 5)
+        </button>
+      </div>
+
+      <p>
+        Selected: <strong>user {userId}</strong> · Showing:{' '}
+        <strong
+          style={{
+            color: user && user.id !== userId && !loading
+              ? 'var(--color-accent)'
+              : 'inherit',
+          }}
+        >
+          {user ? `user ${user.id}` : 'nobody yet'}
+        </strong>
+        {user && user.id !== userId && !loading && ' ⚠️ stale response'}
+      </p>
+      {loading && <p>Loading user...</p>}
+      {error && <p style={{color: 'var(--color-accent)'}}>Error: {error}</p>}
+      {user &&
+        <div
+          style={{
+            padding: '0.5rem',
+            margin: '0.5rem 0',
+            border: '1px solid var(--color-border)',
+            borderRadius: '4px',
+            backgroundColor: 'var(--color-surface-alt)',
+          }}
+        >
+          <strong>{user.name}</strong>
+          <p
             style={{
-              padding: '0.5rem',
-              margin: '0.5rem 0',
-              border: '1px solid #ddd',
-              borderRadius: '4px',
-              backgroundColor: '#f8f9fa',
+              margin: '0.5rem 0 0 0',
+              fontSize: '0.9rem',
+              color: 'var(--color-muted)',
             }}
           >
-            <strong>{post.title}</strong>
-            <p
-              style={{
-                margin: '0.5rem 0 0 0',
-                fontSize: '0.9rem',
-                color: '#666',
-              }}
-            >
-              {post.body.substring (0, 100)}...
-            </p>
+            {user.email} · {user.company && user.company.name}
+          </p>
+        </div>}
+
+      <h4>Responses:</h4>
+      <ol style={{listStyle: 'none', padding: 0, fontSize: '0.85rem'}}>
+        {log.map (entry => (
+          <li key={entry.requestId}>
+            #{entry.requestId} user {entry.userId} after {entry.delay} ms:{' '}
+            <strong style={{color: outcomeColors[entry.outcome]}}>
+              {entry.outcome}
+            </strong>
           </li>
         ))}
-      </ul>
+      </ol>
     </div>
   );
 }
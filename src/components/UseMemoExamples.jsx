@@ -1,4 +1,7 @@
 import React, { useState, useMemo } from 'react';
+import { useTrackRender } from '../hooks/useRenderProfiler';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const UseMemoExamples = () => {
   return (
@@ -10,8 +13,8 @@ const UseMemoExamples = () => {
           It only recalculates the memoized value when one of its dependencies has changed, 
           which can help optimize performance by avoiding expensive calculations on every render.
         </p>
-        <div className="code-block">
-{`const memoizedValue = useMemo(() => {
+        <CodeBlock highlight="1, 3">
+          {`const memoizedValue = useMemo(() => {
   return expensiveCalculation(a, b);
 }, [a, b]);
 
@@ -20,36 +23,32 @@ const UseMemoExamples = () => {
 // 2. Dependency Arrays - Controlling when to recalculate
 // 3. Arrow Functions - Function expressions
 // 4. Performance Optimization - Avoiding unnecessary computations`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: Expensive Calculation */}
-      <div className="example">
-        <h3>Example 1: Expensive Calculation Memoization</h3>
+      <Example title="Example 1: Expensive Calculation Memoization" source={['ExpensiveCalculation']}>
         <p>Memoizing a computationally expensive operation like factorial calculation.</p>
         <ExpensiveCalculation />
-      </div>
+      </Example>
 
       {/* Example 2: Filtered and Sorted Lists */}
-      <div className="example">
-        <h3>Example 2: Filtered and Sorted Lists</h3>
+      <Example title="Example 2: Filtered and Sorted Lists" source={['FilteredList', 'staticItems']}>
         <p>Memoizing filtered and sorted arrays to avoid recalculating on every render.</p>
         <FilteredList />
-      </div>
+      </Example>
 
       {/* Example 3: Complex Object Creation */}
-      <div className="example">
-        <h3>Example 3: Complex Object Creation</h3>
+      <Example title="Example 3: Complex Object Creation" source={['ComplexObject', 'UserProfile']}>
         <p>Memoizing complex object creation to prevent unnecessary re-renders of child components.</p>
         <ComplexObject />
-      </div>
+      </Example>
 
       {/* Example 4: API Data Transformation */}
-      <div className="example">
-        <h3>Example 4: API Data Transformation</h3>
+      <Example title="Example 4: API Data Transformation" source={['DataTransformation', 'staticApiData']}>
         <p>Memoizing data transformation operations for API responses.</p>
         <DataTransformation />
-      </div>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useMemo:</h3>
@@ -86,6 +85,7 @@ const staticApiData = [
 
 // Example 1: Expensive Calculation
 function ExpensiveCalculation() {
+  useTrackRender('ExpensiveCalculation');
   const [number, setNumber] = useState(5);
   const [otherState, setOtherState] = useState(0);
   
@@ -120,6 +120,7 @@ function ExpensiveCalculation() {
 
 // Example 2: Filtered and Sorted Lists
 function FilteredList() {
+  useTrackRender('FilteredList');
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('name');
   
@@ -162,7 +163,7 @@ function FilteredList() {
           <li key={item.id} style={{ 
             padding: '0.5rem', 
             margin: '0.5rem 0', 
-            border: '1px solid #ddd', 
+            border: '1px solid var(--color-border)', 
             borderRadius: '4px' 
           }}>
             <strong>{item.name}</strong> - ${item.price} ({item.category})
@@ -176,6 +177,7 @@ function FilteredList() {
 
 // Example 3: Complex Object Creation
 function ComplexObject() {
+  useTrackRender('ComplexObject');
   const [count, setCount] = useState(0);
   const [theme, setTheme] = useState('light');
   
@@ -219,14 +221,14 @@ function ComplexObject() {
 
 // UserProfile component for Example 3
 function UserProfile({ preferences }) {
+  useTrackRender('UserProfile');
   return (
-    <div style={{ 
+    <div data-theme={preferences.isDarkMode ? 'dark' : 'light'} style={{ 
       padding: '1rem', 
-      border: '1px solid #ddd', 
+      border: '1px solid var(--color-border)', 
       borderRadius: '4px', 
       marginTop: '1rem',
-      backgroundColor: preferences.isDarkMode ? '#333' : '#f9f9f9',
-      color: preferences.isDarkMode ? '#fff' : '#333'
+      backgroundColor: 'var(--color-surface-muted)'
     }}>
       <h4>{preferences.getGreeting()}</h4>
       <p>Theme: {preferences.theme}</p>
@@ -240,6 +242,7 @@ function UserProfile({ preferences }) {
 
 // Example 4: API Data Transformation
 function DataTransformation() {
+  useTrackRender('DataTransformation');
   const [filterCriteria, setFilterCriteria] = useState('all');
   
   const transformedData = useMemo(() => {
@@ -295,7 +298,7 @@ function DataTransformation() {
           <li key={user.id} style={{ 
             padding: '0.5rem', 
             margin: '0.5rem 0', 
-            border: '1px solid #ddd', 
+            border: '1px solid var(--color-border)', 
             borderRadius: '4px' 
           }}>
             <strong>{user.name}</strong> - {user.age} years old - {user.department} - ${user.salary}
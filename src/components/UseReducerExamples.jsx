@@ -1,4 +1,6 @@
 import React, {useReducer, useState} from 'react';
+import CodeBlock from './CodeBlock';
+import Example from './Example';
 
 const UseReducerExamples = () => {
   return (
@@ -12,7 +14,7 @@ const UseReducerExamples = () => {
           multiple sub-values or when the next state depends on the previous
           one.
         </p>
-        <div className="code-block">
+        <CodeBlock highlight="1, 4">
           {`const [state, dispatch] = useReducer(reducer, initialState);
 
 // Reducer function
@@ -32,219 +34,70 @@ function reducer(state, action) {
 // 2. Object Spread - Immutable state updates
 // 3. Action Objects - Standardized state changes
 // 4. Dispatch Function - Triggering state changes`}
-        </div>
+        </CodeBlock>
       </div>
 
       {/* Example 1: Basic Counter with useReducer */}
-      <div className="example">
-        <h3>Example 1: Basic Counter with useReducer</h3>
+      <Example title="Example 1: Basic Counter with useReducer" source={['BasicCounter', 'counterReducer']}>
         <p>
           Simple counter implementation using useReducer instead of useState.
         </p>
         <BasicCounter />
-        <div className="code-block">
-          {`function counterReducer(state, action) {
-  switch (action.type) {
-    case 'INCREMENT':
-      return { count: state.count + 1 };
-    case 'DECREMENT':
-      return { count: state.count - 1 };
-    case 'RESET':
-      return { count: 0 };
-    case 'SET_VALUE':
-      return { count: action.payload };
-    default:
-      return state;
-  }
-}
-
-function BasicCounter() {
-  const [state, dispatch] = useReducer(counterReducer, { count: 0 });
-  
-  return (
-    <div>
-      <p>Count: {state.count}</p>
-      <button onClick={() => dispatch({ type: 'INCREMENT' })}>+</button>
-      <button onClick={() => dispatch({ type: 'DECREMENT' })}>-</button>
-      <button onClick={() => dispatch({ type: 'RESET' })}>Reset</button>
-      <button onClick={() => dispatch({ type: 'SET_VALUE', payload: 10 })}>Set to 10</button>
-    </div>
-  );
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Switch Statements: Multiple action types
 // - Action Objects: { type: 'INCREMENT' }
 // - Payload: Passing data with actions
 // - Object Destructuring: Extracting state and dispatch`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: Todo List with useReducer */}
-      <div className="example">
-        <h3>Example 2: Todo List with useReducer</h3>
+      <Example title="Example 2: Todo List with useReducer" source={['TodoList', 'todoReducer']}>
         <p>
           Managing a todo list with add, toggle, delete, and filter operations.
         </p>
         <TodoList />
-        <div className="code-block">
-{`function todoReducer(state, action) {
-  switch (action.type) {
-    case 'ADD_TODO':
-      return {
-        ...state,
-        todos: [...state.todos, {
-          id: Date.now(),
-          text: action.payload,
-          completed: false
-        }]
-      };
-    case 'TOGGLE_TODO':
-      return {
-        ...state,
-        todos: state.todos.map(todo =>
-          todo.id === action.payload
-            ? { ...todo, completed: !todo.completed }
-            : todo
-        )
-      };
-    case 'DELETE_TODO':
-      return {
-        ...state,
-        todos: state.todos.filter(todo => todo.id !== action.payload)
-      };
-    case 'SET_FILTER':
-      return { ...state, filter: action.payload };
-    default:
-      return state;
-  }
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Array Methods: map(), filter(), spread operator
 // - Date.now(): Generating unique IDs
 // - Object Spread: Immutable updates
 // - Conditional Logic: Ternary operators`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: Shopping Cart with useReducer */}
-      <div className="example">
-        <h3>Example 3: Shopping Cart with useReducer</h3>
+      <Example title="Example 3: Shopping Cart with useReducer" source={['ShoppingCart', 'cartReducer']}>
         <p>
           Complex shopping cart management with products, quantities, and
           totals.
         </p>
         <ShoppingCart />
-        <div className="code-block">
-          {`function cartReducer(state, action) {
-  switch (action.type) {
-    case 'ADD_ITEM':
-      const existingItem = state.items.find(item => item.id === action.payload.id);
-      if (existingItem) {
-        return {
-          ...state,
-          items: state.items.map(item =>
-            item.id === action.payload.id
-              ? { ...item, quantity: item.quantity + 1 }
-              : item
-          )
-        };
-      }
-      return {
-        ...state,
-        items: [...state.items, { ...action.payload, quantity: 1 }]
-      };
-    case 'REMOVE_ITEM':
-      return {
-        ...state,
-        items: state.items.filter(item => item.id !== action.payload)
-      };
-    case 'UPDATE_QUANTITY':
-      return {
-        ...state,
-        items: state.items.map(item =>
-          item.id === action.payload.id
-            ? { ...item, quantity: Math.max(0, action.payload.quantity) }
-            : item
-        ).filter(item => item.quantity > 0)
-      };
-    case 'CLEAR_CART':
-      return { ...state, items: [] };
-    default:
-      return state;
-  }
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Array.find(): Finding existing items
 // - Math.max(): Ensuring non-negative quantities
 // - Complex State: Multiple properties in state object
 // - Nested Updates: Updating specific item properties`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: Form Validation with useReducer */}
-      <div className="example">
-        <h3>Example 4: Form Validation with useReducer</h3>
+      <Example title="Example 4: Form Validation with useReducer" source={['FormValidation', 'formReducer']}>
         <p>
           Managing form state and validation with multiple fields and error
           handling.
         </p>
         <FormValidation />
-        <div className="code-block">
-          {`function formReducer(state, action) {
-  switch (action.type) {
-    case 'UPDATE_FIELD':
-      return {
-        ...state,
-        values: {
-          ...state.values,
-          [action.payload.field]: action.payload.value
-        },
-        errors: {
-          ...state.errors,
-          [action.payload.field]: ''
-        }
-      };
-    case 'SET_ERROR':
-      return {
-        ...state,
-        errors: {
-          ...state.errors,
-          [action.payload.field]: action.payload.error
-        }
-      };
-    case 'VALIDATE_FORM':
-      const newErrors = {};
-      if (!state.values.name.trim()) {
-        newErrors.name = 'dName is require';
-      }
-      if (!state.values.email.includes('@')) {
-        newErrors.email = 'Valid email is required';
-      }
-      if (state.values.password.length < 6) {
-        newErrors.password = 'Password must be at least 6 characters';
-      }
-      return {
-        ...state,
-        errors: newErrors,
-        isValid: Object.keys(newErrors).length === 0
-      };
-    case 'RESET_FORM':
-      return initialState;
-    default:
-      return state;
-  }
-}
-
-// JavaScript Concepts:
+        <CodeBlock>
+          {`// JavaScript Concepts:
 // - Object.keys(): Getting object property names
 // - String Methods: trim(), includes(), length
 // - Computed Properties: [action.payload.field]
 // - Complex Validation: Multiple field validation`}
-        </div>
-      </div>
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useReducer:</h3>
@@ -511,7 +364,7 @@ function TodoList () {
         <button
           onClick={() => dispatch ({type: 'SET_FILTER', payload: 'all'})}
           className="button"
-          style={{background: state.filter === 'all' ? '#e74c3c' : '#3498db'}}
+          style={{background: state.filter === 'all' ? 'var(--color-accent)' : 'var(--color-primary)'}}
         >
           All
         </button>
@@ -519,7 +372,7 @@ function TodoList () {
           onClick={() => dispatch ({type: 'SET_FILTER', payload: 'active'})}
           className="button"
           style={{
-            background: state.filter === 'active' ? '#e74c3c' : '#3498db',
+            background: state.filter === 'active' ? 'var(--color-accent)' : 'var(--color-primary)',
           }}
         >
           Active
@@ -528,7 +381,7 @@ function TodoList () {
           onClick={() => dispatch ({type: 'SET_FILTER', payload: 'completed'})}
           className="button"
           style={{
-            background: state.filter === 'completed' ? '#e74c3c' : '#3498db',
+            background: state.filter === 'completed' ? 'var(--color-accent)' : 'var(--color-primary)',
           }}
         >
           Completed
@@ -543,7 +396,7 @@ function TodoList () {
               textDecoration: todo.completed ? 'line-through' : 'none',
               margin: '0.5rem 0',
               padding: '0.5rem',
-              border: '1px solid #ddd',
+              border: '1px solid var(--color-border)',
               borderRadius: '4px',
             }}
           >
@@ -593,7 +446,7 @@ function ShoppingCart () {
             style={{
               margin: '10px 0',
               padding: '10px',
-              border: '1px solid #ddd',
+              border: '1px solid var(--color-border)',
             }}
           >
             <p>
@@ -617,7 +470,7 @@ function ShoppingCart () {
             style={{
               margin: '10px 0',
               padding: '10px',
-              border: '1px solid #ddd',
+              border: '1px solid var(--color-border)',
             }}
           >
             <p>
@@ -692,7 +545,7 @@ function FormValidation () {
           className="input"
         />
         {state.errors.name &&
-          <p style={{color: '#e74c3c', fontSize: '0.8rem'}}>
+          <p style={{color: 'var(--color-accent)', fontSize: '0.8rem'}}>
             {state.errors.name}
           </p>}
       </div>
@@ -706,7 +559,7 @@ function FormValidation () {
           className="input"
         />
         {state.errors.email &&
-          <p style={{color: '#e74c3c', fontSize: '0.8rem'}}>
+          <p style={{color: 'var(--color-accent)', fontSize: '0.8rem'}}>
             {state.errors.email}
           </p>}
       </div>
@@ -720,7 +573,7 @@ function FormValidation () {
           className="input"
         />
         {state.errors.password &&
-          <p style={{color: '#e74c3c', fontSize: '0.8rem'}}>
+          <p style={{color: 'var(--color-accent)', fontSize: '0.8rem'}}>
             {state.errors.password}
           </p>}
       </div>
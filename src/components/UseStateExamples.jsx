@@ -1,4 +1,11 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import PropTypes from "prop-types";
+import CodeBlock from "./CodeBlock";
+import Example from "./Example";
+import StateInspector from "./StateInspector";
+import { useHistoryState, useUndoShortcuts } from "../hooks/useHistoryState";
+import { useInspectedState } from "../hooks/useInspectedState";
 
 const UseStateExamples = () => {
   return (
@@ -10,230 +17,127 @@ const UseStateExamples = () => {
           functional components. It returns an array with two elements: the
           current state value and a function to update it.
         </p>
-        <div className="code-block">
-          <pre>
-            {`const [state, setState] = useState(initialValue);
+        <CodeBlock highlight="1">
+          {`const [state, setState] = useState(initialValue);
 
 // JavaScript Concepts Used:
 // 1. Array Destructuring - Extracting values from arrays
 // 2. Arrow Functions - Modern function syntax
 // 3. Template Literals - String interpolation
 // 4. Ternary Operators - Conditional expressions`}
-          </pre>
-        </div>
+        </CodeBlock>
+        <p>
+          The examples below use <code>useInspectedState</code>, a drop-in
+          for <code>useState</code> that also reports every update to the
+          state inspector at the bottom of the page: the value before and
+          after, the event that caused it and the render it lands in. Drag
+          its slider to put the examples back to an earlier snapshot, then
+          replay the updates from there.
+        </p>
       </div>
 
       {/* Example 1: Basic Counter */}
-      <div className="example">
-        <h3>Example 1: Basic Counter</h3>
-        <p>Simple counter with increment and decrement functionality.</p>
+      <Example title="Example 1: Basic Counter" source={["BasicCounter"]}>
+        <p>
+          Simple counter with increment and decrement functionality. The two
+          +2 buttons each call the setter twice in one click: React batches
+          both calls into a single render, so only the functional version
+          really adds 2. Compare them in the state inspector.
+        </p>
         <BasicCounter />
-        <div className="code-block">
-          <pre>
-            {`
-function BasicCounter () {
-  const [count, setCount] = useState (0);
-
-  return (
-    <div>
-      <p>Count: {count}</p>
-      <button onClick={() => setCount (count + 1)}>Increment</button>
-      <button onClick={() => setCount (count - 1)}>Decrement</button>
-    </div>
-  );
-}
-
-    
-    // JavaScript Concepts:
-    // - Arrow Functions: () => setCount(count + 1)
-    // - Template Literals: \`Count: {count}\`
-    // - Event Handlers: onClick`}
-          </pre>
-        </div>
-      </div>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Arrow Functions: () => setCount(count + 1)
+// - Template Literals: \`Count: {count}\`
+// - Event Handlers: onClick
+// - Closures: count is the value this render saw, so
+//   setCount(count + 1) twice sets the same number twice
+// - Functional updates: setCount(c => c + 1) gets the queued value`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 2: Form Input with State */}
-      <div className="example">
-        <h3>Example 2: Form Input with State</h3>
+      <Example title="Example 2: Form Input with State" source={["FormInput"]}>
         <p>Managing form input state with controlled components.</p>
         <FormInput />
-        <div className="code-block">
-          <pre>
-            {`function FormInput() {
-  const [inputValue, setInputValue] = useState('');
-  const [isValid, setIsValid] = useState(false);
-  
-  const handleChange = (e) => {
-    const value = e.target.value;
-    setInputValue(value);
-    setIsValid(value.length >= 3);
-    };
-    
-    return (
-      <div>
-      <input 
-        type="text" 
-        value={inputValue}
-        onChange={handleChange}
-        placeholder="Enter text (min 3 chars)"
-        className="input"
-      />
-      <p>Input: {inputValue}</p>
-      <p>Valid: {isValid ? '✅' : '❌'}</p>
-      </div>
-      );
-      }
-      
-      // JavaScript Concepts:
-      // - Event Objects: e.target.value
-      // - Logical Operators: value.length >= 3
-      // - Ternary Operators: isValid ? '✅' : '❌'`}
-          </pre>
-        </div>
-      </div>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Event Objects: e.target.value
+// - Logical Operators: value.length >= 3
+// - Ternary Operators: isValid ? '✅' : '❌'`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 3: Object State Management */}
 
-      <div className="example">
-        <h3>Example 3: Object State Management</h3>
-        <p>Managing complex state with objects and spread operator.</p>
+      <Example
+        title="Example 3: Object State Management"
+        source={["ObjectState", "useHistoryState", "presentValue", "useUndoShortcuts", "HistoryTimeline"]}
+      >
+        <p>
+          Managing complex state with objects and spread operator. Every edit
+          is kept in a history: undo with Ctrl+Z, redo with Ctrl+Shift+Z, or
+          jump to any step on the timeline. Typing into one field is merged
+          into a single step.
+        </p>
         <ObjectState />
 
-        <div className="code-block">
-          <pre>
-            {`function ObjectState () {
-  const [user, setUser] = useState ({
-    name: '',
-    email: '',
-    age: 0,
-  });
-
-  const updateField = (field, value) => {
-    setUser (prevUser => ({
-      ...prevUser,
-      [field]: value,
-    }));
-  };
-
-  return (
-    <div>
-      <input
-        type="text"
-        placeholder="Name"
-        value={user.name}
-        onChange={e => updateField ('name', e.target.value)}
-        className="input"
-      />
-      <input
-        type="email"
-        placeholder="Email"
-        value={user.email}
-        onChange={e => updateField ('email', e.target.value)}
-        className="input"
-      />
-      <input
-        type="number"
-        placeholder="Age"
-        value={user.age}
-        onChange={e => updateField ('age', parseInt (e.target.value) || 0)}
-        className="input"
-      />
-      <pre>{JSON.stringify (user, null, 2)}</pre>
-    </div>
-  );
-}
-
-        
-        // JavaScript Concepts:
-        // - Spread Operator: ...prevUser
-        // - Computed Properties: [field]: value
-        // - parseInt(): Converting string to number
-        // - JSON.stringify(): Converting object to string`}
-          </pre>
-        </div>
-      </div>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Spread Operator: ...prevUser
+// - Computed Properties: [field]: value
+// - parseInt(): Converting string to number
+// - JSON.stringify(): Converting object to string
+// - Immutable updates: every past value is still intact, so undo is just
+//   moving between the past / present / future stacks`}
+        </CodeBlock>
+      </Example>
 
       {/* Example 4: Array State Management */}
-      <div className="example">
-        <h3>Example 4: Array State Management</h3>
+      <Example
+        title="Example 4: Array State Management"
+        source={["ArrayState", "useHistoryState", "presentValue", "useUndoShortcuts", "HistoryTimeline"]}
+      >
         <p>
           Managing arrays with state, including add, remove, and update
-          operations.
+          operations, with the same undo / redo history as the object example.
         </p>
         <ArrayState />
-        <div className="code-block">
-          <pre>
-            {`function ArrayState () {
-  const [todos, setTodos] = useState ([]);
-  const [newTodo, setNewTodo] = useState ('');
-
-  const addTodo = () => {
-    if (newTodo.trim ()) {
-      setTodos (prevTodos => [
-        ...prevTodos,
-        {id: Date.now (), text: newTodo, completed: false},
-      ]);
-      setNewTodo ('');
-    }
-  };
-
-  const toggleTodo = id => {
-    setTodos (prevTodos =>
-      prevTodos.map (
-        todo => (todo.id === id ? {...todo, completed: !todo.completed} : todo)
-      )
-    );
-  };
-
-  const removeTodo = id => {
-    setTodos (prevTodos => prevTodos.filter (todo => todo.id !== id));
-  };
-
-  return (
-    <div>
-      <input
-        type="text"
-        value={newTodo}
-        onChange={e => setNewTodo (e.target.value)}
-        placeholder="Add new todo"
-        className="input"
-      />
-      <button onClick={addTodo} className="button">Add Todo</button>
-
-      <ul>
-        {todos.map (todo => (
-          <li
-            key={todo.id}
-            style={{
-              textDecoration: todo.completed ? 'line-through' : 'none',
-              margin: '0.5rem 0',
-            }}
-          >
-            <span
-              onClick={() => toggleTodo (todo.id)}
-              style={{cursor: 'pointer'}}
-            >
-              {todo.text}
-            </span>
-            <button onClick={() => removeTodo (todo.id)} className="button">
-              Delete
-            </button>
-          </li>
-        ))}
-      </ul>
-    </div>
-  );
-}
-
-          
-  // JavaScript Concepts:
-  // - Array Methods: map(), filter(), spread operator
-  // - Date.now(): Getting current timestamp
-  // - trim(): Removing whitespace
-  // - Conditional Styling: ternary operator for styles`}
-          </pre>
-        </div>
-      </div>
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - Array Methods: map(), filter(), spread operator
+// - Date.now(): Getting current timestamp
+// - trim(): Removing whitespace
+// - Conditional Styling: ternary operator for styles
+// - slice(): Trimming the history to its newest entries`}
+        </CodeBlock>
+      </Example>
+
+      {/* Example 5: Batching & flushSync Lab */}
+      <Example
+        title="Example 5: Batching & flushSync Lab"
+        source={["BatchingLab", "BATCH_CONTEXTS", "useCommitCount", "RenderChart"]}
+      >
+        <p>
+          Each button makes the same three state updates, from a different
+          place: a React event handler, a timeout, a resolved promise and a
+          listener added with addEventListener. Since React 18 all four are
+          batched into one render. Turn on flushSync to force a render after
+          every update and compare the render counts in the chart.
+        </p>
+        <BatchingLab />
+        <CodeBlock>
+          {`// JavaScript Concepts:
+// - setTimeout() and Promise.then(): code that runs after the event is over
+// - addEventListener(): events React does not know about
+// - Higher-order functions: trigger(updateAll) decides when the updates run
+// - useRef(): counting commits without causing another render
+//
+// React 18 (createRoot) batches updates wherever they are made;
+// React 17 only batched inside its own event handlers.
+// flushSync(() => setA(...)) renders before returning, one update at a time.`}
+        </CodeBlock>
+      </Example>
 
       <div className="js-concept">
         <h3>🔍 Key JavaScript Concepts Used in useState:</h3>
@@ -266,13 +170,15 @@ function BasicCounter () {
           </li>
         </ul>
       </div>
+
+      <StateInspector />
     </div>
   );
 };
 
 // Component implementations
 function BasicCounter() {
-  const [count, setCount] = useState(0);
+  const [count, setCount] = useInspectedState(0, "count");
 
   return (
     <div>
@@ -286,13 +192,31 @@ function BasicCounter() {
       <button onClick={() => setCount(0)} className="button">
         Reset
       </button>
+      <button
+        onClick={() => {
+          setCount(count + 1);
+          setCount(count + 1);
+        }}
+        className="button"
+      >
+        +2 (direct)
+      </button>
+      <button
+        onClick={() => {
+          setCount((c) => c + 1);
+          setCount((c) => c + 1);
+        }}
+        className="button"
+      >
+        +2 (functional)
+      </button>
     </div>
   );
 }
 
 function FormInput() {
-  const [inputValue, setInputValue] = useState("");
-  const [isValid, setIsValid] = useState(false);
+  const [inputValue, setInputValue] = useInspectedState("", "inputValue");
+  const [isValid, setIsValid] = useInspectedState(false, "isValid");
 
   const handleChange = (e) => {
     const value = e.target.value;
@@ -316,22 +240,92 @@ function FormInput() {
   );
 }
 
+// Undo / redo buttons and every remembered step; click a step to jump straight to it
+function HistoryTimeline({ history }) {
+  const { undo, redo, jumpTo, canUndo, canRedo, timeline, step } = history;
+
+  return (
+    <div style={{ margin: "0.5rem 0" }}>
+      <button onClick={undo} disabled={!canUndo} className="button" title="Ctrl+Z">
+        ↶ Undo
+      </button>
+      <button onClick={redo} disabled={!canRedo} className="button" title="Ctrl+Shift+Z">
+        ↷ Redo
+      </button>
+      <ol
+        aria-label="History"
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.25rem",
+          listStyle: "none",
+          padding: 0,
+          margin: "0.5rem 0",
+        }}
+      >
+        {timeline.map((label, index) => (
+          <li key={index}>
+            <button
+              onClick={() => jumpTo(index)}
+              aria-current={index === step ? "step" : undefined}
+              style={{
+                padding: "0.15rem 0.5rem",
+                border: "1px solid var(--color-border)",
+                borderRadius: "999px",
+                cursor: "pointer",
+                fontSize: "0.8rem",
+                background:
+                  index === step ? "var(--color-primary)" : "var(--color-surface-muted)",
+                color:
+                  index === step ? "var(--color-on-primary)" : "var(--color-text)",
+                opacity: index > step ? 0.6 : 1,
+              }}
+            >
+              {index}. {label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+HistoryTimeline.propTypes = {
+  history: PropTypes.shape({
+    undo: PropTypes.func.isRequired,
+    redo: PropTypes.func.isRequired,
+    jumpTo: PropTypes.func.isRequired,
+    canUndo: PropTypes.bool.isRequired,
+    canRedo: PropTypes.bool.isRequired,
+    timeline: PropTypes.arrayOf(PropTypes.string).isRequired,
+    step: PropTypes.number.isRequired,
+  }).isRequired,
+};
+
 function ObjectState() {
-  const [user, setUser] = useState({
-    name: "",
-    email: "",
-    age: 0,
-  });
+  const [user, setUser, history] = useHistoryState(
+    {
+      name: "",
+      email: "",
+      age: 0,
+    },
+    { name: "user" }
+  );
+  const ref = useRef(null);
+  useUndoShortcuts(ref, history);
 
   const updateField = (field, value) => {
-    setUser((prevUser) => ({
-      ...prevUser,
-      [field]: value,
-    }));
+    setUser(
+      (prevUser) => ({
+        ...prevUser,
+        [field]: value,
+      }),
+      { label: `Edit ${field}`, coalesceKey: field }
+    );
   };
 
   return (
-    <div>
+    <div ref={ref}>
       <input
         type="text"
         placeholder="Name"
@@ -356,38 +350,49 @@ function ObjectState() {
       <div className="code-block">
         <pre>{JSON.stringify(user, null, 2)}</pre>
       </div>
+      <HistoryTimeline history={history} />
     </div>
   );
 }
 
 function ArrayState() {
-  const [todos, setTodos] = useState([]);
-  const [newTodo, setNewTodo] = useState("");
+  // The list has a history; the text being typed is a draft and does not
+  const [todos, setTodos, history] = useHistoryState([], { name: "todos" });
+  const [newTodo, setNewTodo] = useInspectedState("", "newTodo");
+  const ref = useRef(null);
+  useUndoShortcuts(ref, history);
 
   const addTodo = () => {
     if (newTodo.trim()) {
-      setTodos((prevTodos) => [
-        ...prevTodos,
-        { id: Date.now(), text: newTodo, completed: false },
-      ]);
+      setTodos(
+        (prevTodos) => [
+          ...prevTodos,
+          { id: Date.now(), text: newTodo, completed: false },
+        ],
+        { label: `Add "${newTodo}"` }
+      );
       setNewTodo("");
     }
   };
 
-  const toggleTodo = (id) => {
-    setTodos((prevTodos) =>
-      prevTodos.map((todo) =>
-        todo.id === id ? { ...todo, completed: !todo.completed } : todo
-      )
+  const toggleTodo = (todo) => {
+    setTodos(
+      (prevTodos) =>
+        prevTodos.map((item) =>
+          item.id === todo.id ? { ...item, completed: !item.completed } : item
+        ),
+      { label: `${todo.completed ? "Reopen" : "Complete"} "${todo.text}"` }
     );
   };
 
-  const removeTodo = (id) => {
-    setTodos((prevTodos) => prevTodos.filter((todo) => todo.id !== id));
+  const removeTodo = (todo) => {
+    setTodos((prevTodos) => prevTodos.filter((item) => item.id !== todo.id), {
+      label: `Delete "${todo.text}"`,
+    });
   };
 
   return (
-    <div>
+    <div ref={ref}>
       <input
         type="text"
         value={newTodo}
@@ -407,18 +412,18 @@ function ArrayState() {
               textDecoration: todo.completed ? "line-through" : "none",
               margin: "0.5rem 0",
               padding: "0.5rem",
-              border: "1px solid #ddd",
+              border: "1px solid var(--color-border)",
               borderRadius: "4px",
             }}
           >
             <span
-              onClick={() => toggleTodo(todo.id)}
+              onClick={() => toggleTodo(todo)}
               style={{ cursor: "pointer" }}
             >
               {todo.text}
             </span>
             <button
-              onClick={() => removeTodo(todo.id)}
+              onClick={() => removeTodo(todo)}
               className="button"
               style={{ float: "right" }}
             >
@@ -427,6 +432,152 @@ function ArrayState() {
           </li>
         ))}
       </ul>
+      <HistoryTimeline history={history} />
+    </div>
+  );
+}
+
+// Where the updates are made from, and how each one schedules them
+const BATCH_CONTEXTS = [
+  { id: "react", label: "React onClick", trigger: (updateAll) => updateAll() },
+  { id: "timeout", label: "setTimeout", trigger: (updateAll) => setTimeout(updateAll, 0) },
+  { id: "promise", label: "Promise.then", trigger: (updateAll) => Promise.resolve().then(updateAll) },
+  { id: "native", label: "addEventListener", trigger: (updateAll) => updateAll() },
+];
+
+// Counts this component's commits. A ref, so counting does not cause renders of its own;
+// the per-render token skips Strict Mode's re-run effects.
+function useCommitCount() {
+  const commits = useRef(0);
+  const lastRender = useRef(null);
+  const render = {};
+
+  useEffect(() => {
+    if (lastRender.current === render) return;
+    lastRender.current = render;
+    commits.current += 1;
+  });
+
+  return commits;
+}
+
+// One row per context: a bar for its last batched run and one for its last flushSync run
+function RenderChart({ results, max }) {
+  return (
+    <div style={{ margin: "0.75rem 0" }}>
+      {BATCH_CONTEXTS.map(({ id, label }) => (
+        <div key={id} style={{ marginBottom: "0.5rem" }}>
+          <strong style={{ fontSize: "0.85rem" }}>{label}</strong>
+          {["batched", "flushSync"].map((mode) => {
+            const renders = results[`${id}/${mode}`];
+            return (
+              <div
+                key={mode}
+                style={{ display: "flex", alignItems: "center", gap: "0.5rem", fontSize: "0.8rem" }}
+              >
+                <span style={{ width: "5rem", color: "var(--color-muted)" }}>{mode}</span>
+                <span
+                  style={{
+                    height: "0.8rem",
+                    width: `${renders === undefined ? 0 : (renders / max) * 60}%`,
+                    minWidth: renders ? "2px" : 0,
+                    background:
+                      mode === "batched" ? "var(--color-success)" : "var(--color-accent)",
+                    borderRadius: "2px",
+                  }}
+                />
+                <span>
+                  {renders === undefined
+                    ? "not run yet"
+                    : `${renders} render${renders === 1 ? "" : "s"}`}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+RenderChart.propTypes = {
+  results: PropTypes.objectOf(PropTypes.number).isRequired,
+  max: PropTypes.number.isRequired,
+};
+
+function BatchingLab() {
+  const [a, setA] = useInspectedState(0, "a");
+  const [b, setB] = useInspectedState(0, "b");
+  const [c, setC] = useInspectedState(0, "c");
+  const [flushEach, setFlushEach] = useState(false);
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const commits = useCommitCount();
+  const nativeButtonRef = useRef(null);
+
+  const run = (context) => {
+    const mode = flushEach ? "flushSync" : "batched";
+    let start;
+    const updateAll = () => {
+      // Counted from here: setRunning(true) below may already have rendered on its own
+      start = commits.current;
+      const apply = flushEach ? flushSync : (update) => update();
+      apply(() => setA((n) => n + 1));
+      apply(() => setB((n) => n + 1));
+      apply(() => setC((n) => n + 1));
+    };
+
+    setRunning(true);
+    context.trigger(updateAll);
+    // Read the count once everything has settled; this setState renders again, but after the reading
+    setTimeout(() => {
+      setResults((prev) => ({ ...prev, [`${context.id}/${mode}`]: commits.current - start }));
+      setRunning(false);
+    }, 100);
+  };
+
+  // The latest run() sees the current toggle, while the listener is only added once
+  const runRef = useRef(run);
+  runRef.current = run;
+
+  useEffect(() => {
+    const button = nativeButtonRef.current;
+    const handleClick = () => runRef.current(BATCH_CONTEXTS[3]);
+    button.addEventListener("click", handleClick);
+    return () => button.removeEventListener("click", handleClick);
+  }, []);
+
+  return (
+    <div>
+      <p>
+        a: {a}, b: {b}, c: {c} (3 updates per run)
+      </p>
+      <label style={{ display: "block", margin: "0.5rem 0" }}>
+        <input
+          type="checkbox"
+          checked={flushEach}
+          onChange={(e) => setFlushEach(e.target.checked)}
+        />{" "}
+        Wrap each update in flushSync
+      </label>
+      {BATCH_CONTEXTS.slice(0, 3).map((context) => (
+        <button
+          key={context.id}
+          onClick={() => run(context)}
+          disabled={running}
+          className="button"
+        >
+          {context.label}
+        </button>
+      ))}
+      {/* No onClick: this one is wired up with addEventListener in the effect above */}
+      <button ref={nativeButtonRef} disabled={running} className="button">
+        {BATCH_CONTEXTS[3].label}
+      </button>
+      <RenderChart results={results} max={3} />
+      <button onClick={() => setResults({})} className="button">
+        Clear chart
+      </button>
     </div>
   );
 }
@@ -0,0 +1,127 @@
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useParsedSection } from '../../hooks/useParsedSection';
+import { navigate } from '../../hooks/useRoute';
+import { useSyncedInputs } from '../../hooks/useSyncedInputs';
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { extractExampleSource } from '../../utils/sharedSources';
+import { keyToSlug } from '../../utils/slug';
+import ComparePane from './ComparePane';
+import SourceDiff from './SourceDiff';
+
+// Pairs that are easiest to tell apart when they run next to each other: [sectionKey, exampleId].
+// Labels are in the locale catalogs (compare.presets.<id>).
+const PRESETS = [
+  { id: 'debounceThrottle', left: ['debounceThrottle', 'debounced-search-input'], right: ['debounceThrottle', 'throttled-scroll-events'] },
+  { id: 'memoCallback', left: ['useMemo', 'expensive-calculation-memoization'], right: ['useCallback', 'usecallback-with-child-component-optimization'] },
+  { id: 'callbackMemo', left: ['useCallback', 'usecallback-with-child-component-optimization'], right: ['memo', 'child-component-optimization'] },
+  { id: 'pollingIntervals', left: ['polling', 'basic-api-polling'], right: ['timeoutInterval', 'interval-counter'] },
+];
+
+// Each side is one path segment: "<section-slug>:<example-id>", "<section-slug>" (its first example) or "-"
+const parseSide = (sections, segment = '-') => {
+  const [slug, exampleId = ''] = segment.split(':');
+  const sectionKey = Object.keys(sections).find((key) => keyToSlug(key) === slug) || null;
+  return { sectionKey, exampleId };
+};
+
+const formatSide = ([sectionKey, exampleId]) =>
+  sectionKey ? `${keyToSlug(sectionKey)}${exampleId ? `:${exampleId}` : ''}` : '-';
+
+const sourceOf = (source, example) =>
+  extractExampleSource(source, '', example.names)
+    .map(({ code }) => code)
+    .join('\n\n');
+
+// /compare/<a>/<b>: two examples from any sections mounted side by side, with their inputs
+// mirrored into each other and a diff of their source
+function ComparePage({ sections, params }) {
+  const left = parseSide(sections, params[0]);
+  const right = parseSide(sections, params[1]);
+  const leftData = useParsedSection(sections[left.sectionKey]);
+  const rightData = useParsedSection(sections[right.sectionKey]);
+  const gridRef = useRef(null);
+  const [synced, setSynced] = useState(true);
+  const { t } = useTranslation();
+
+  const pick = ({ examples }, { exampleId }) =>
+    examples && (examples.find(({ id }) => id === exampleId) || examples[0]);
+  const leftExample = pick(leftData, left);
+  const rightExample = pick(rightData, right);
+
+  // Only the demos themselves are mirrored, not the example's checkbox or note editor
+  useSyncedInputs(gridRef, '.example-demo', synced);
+
+  const show = (nextLeft, nextRight) => navigate(`/compare/${formatSide(nextLeft)}/${formatSide(nextRight)}`);
+  const leftPair = [left.sectionKey, leftExample ? leftExample.id : left.exampleId];
+  const rightPair = [right.sectionKey, rightExample ? rightExample.id : right.exampleId];
+
+  return (
+    <div>
+      <div className="explanation">
+        <h3>{t('compare.heading')}</h3>
+        <p>{t('compare.intro')}</p>
+      </div>
+
+      <div className="quiz-setup-actions">
+        {PRESETS.map(({ id, left: presetLeft, right: presetRight }) => (
+          <button key={id} type="button" className="button" onClick={() => show(presetLeft, presetRight)}>
+            {t(`compare.presets.${id}`)}
+          </button>
+        ))}
+      </div>
+      <div className="quiz-setup-actions">
+        <button type="button" className="button" onClick={() => show(rightPair, leftPair)}>
+          {t('compare.swap')}
+        </button>
+        <label className="compare-sync">
+          <input type="checkbox" checked={synced} onChange={(e) => setSynced(e.target.checked)} />
+          {t('compare.sync')}
+        </label>
+      </div>
+
+      <div ref={gridRef} className="compare-grid">
+        <ComparePane
+          key={`left-${leftPair.join('/')}`}
+          label="A"
+          sections={sections}
+          sectionKey={left.sectionKey}
+          example={leftExample}
+          examples={leftData.examples}
+          error={leftData.error}
+          onChange={(sectionKey, exampleId) => show([sectionKey, exampleId], rightPair)}
+        />
+        <ComparePane
+          key={`right-${rightPair.join('/')}`}
+          label="B"
+          sections={sections}
+          sectionKey={right.sectionKey}
+          example={rightExample}
+          examples={rightData.examples}
+          error={rightData.error}
+          onChange={(sectionKey, exampleId) => show(leftPair, [sectionKey, exampleId])}
+        />
+      </div>
+
+      {leftExample && rightExample && (
+        <>
+          <h3>{t('compare.diff')}</h3>
+          <SourceDiff
+            leftTitle={leftExample.title}
+            leftCode={sourceOf(leftData.source, leftExample)}
+            rightTitle={rightExample.title}
+            rightCode={sourceOf(rightData.source, rightExample)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+ComparePage.propTypes = {
+  sections: sectionsPropType.isRequired,
+  params: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default ComparePage;
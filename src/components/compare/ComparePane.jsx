@@ -0,0 +1,96 @@
+import { Suspense, useState } from 'react';
+import PropTypes from 'prop-types';
+import IsolatedExampleContext from '../../context/IsolatedExampleContext';
+import SectionContext from '../../context/SectionContext';
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { keyToSlug } from '../../utils/slug';
+import SectionErrorBoundary from '../SectionErrorBoundary';
+import SectionSkeleton from '../SectionSkeleton';
+
+// An <Example> as parseSection() lists it
+const exampleShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+});
+
+// One side of the comparison: section and example pickers above the picked example, mounted on its own
+// by rendering its section with every other <Example> switched off
+function ComparePane({ label, sections, sectionKey, example, examples, error, onChange }) {
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const { t } = useTranslation();
+  const section = sections[sectionKey];
+  const SectionComponent = section && section.component;
+
+  const retry = () => {
+    section.reload();
+    setLoadAttempt((attempt) => attempt + 1);
+  };
+
+  return (
+    <div className="compare-pane">
+      <div className="compare-pickers">
+        <strong>{label}</strong>
+        <select
+          className="input"
+          value={sectionKey || ''}
+          onChange={(e) => onChange(e.target.value, '')}
+          aria-label={t('compare.sectionPicker', { pane: label })}
+        >
+          <option value="" disabled>
+            {t('compare.pickSection')}
+          </option>
+          {Object.keys(sections).map((key) => (
+            <option key={key} value={key}>
+              {t(`sections.${key}`)}
+            </option>
+          ))}
+        </select>
+        {examples && examples.length > 0 && (
+          <select
+            className="input"
+            value={example.id}
+            onChange={(e) => onChange(sectionKey, e.target.value)}
+            aria-label={t('compare.examplePicker', { pane: label })}
+          >
+            {examples.map(({ id, title }) => (
+              <option key={id} value={id}>
+                {title}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <p style={{ color: 'var(--color-accent)' }}>{t('compare.readFailed', { message: error.message })}</p>}
+      {section && !example && !error && <SectionSkeleton />}
+      <div className="compare-pane-body">
+        {example && (
+          <SectionContext.Provider
+            value={{ sectionKey, slug: keyToSlug(sectionKey), file: section.file, loadSource: section.loadSource, hash: '' }}
+          >
+            <IsolatedExampleContext.Provider value={example.id}>
+              <SectionErrorBoundary key={`${sectionKey}-${loadAttempt}`} sectionKey={sectionKey} label={section.title} onRetry={retry}>
+                <Suspense fallback={<SectionSkeleton />}>
+                  <SectionComponent />
+                </Suspense>
+              </SectionErrorBoundary>
+            </IsolatedExampleContext.Provider>
+          </SectionContext.Provider>
+        )}
+      </div>
+    </div>
+  );
+}
+
+ComparePane.propTypes = {
+  label: PropTypes.string.isRequired,
+  sections: sectionsPropType.isRequired,
+  sectionKey: PropTypes.string,
+  example: exampleShape,
+  examples: PropTypes.arrayOf(exampleShape),
+  error: PropTypes.instanceOf(Error),
+  onChange: PropTypes.func.isRequired,
+};
+
+export default ComparePane;
@@ -0,0 +1,92 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { tokenize } from '../../utils/highlight';
+import { diffLines, foldUnchanged } from '../../utils/lineDiff';
+
+function DiffCell({ index, lines, marker }) {
+  if (index === null) return <td colSpan={2} className="source-diff-empty" />;
+  return (
+    <>
+      <td className="line-number">{index + 1}</td>
+      <td>
+        <span className="source-diff-marker" aria-hidden="true">
+          {marker}
+        </span>
+        {lines[index].map((token, tokenIndex) =>
+          token.type === 'plain' ? (
+            token.value
+          ) : (
+            <span key={tokenIndex} className={`token ${token.type}`}>
+              {token.value}
+            </span>
+          )
+        )}
+      </td>
+    </>
+  );
+}
+
+DiffCell.propTypes = {
+  index: PropTypes.number,
+  lines: PropTypes.arrayOf(PropTypes.array).isRequired,
+  marker: PropTypes.string.isRequired,
+};
+
+// Side-by-side line diff of the two examples' source, unchanged stretches folded by default
+function SourceDiff({ leftTitle, leftCode, rightTitle, rightCode }) {
+  const [showAll, setShowAll] = useState(false);
+  const { t } = useTranslation();
+  const rows = useMemo(() => diffLines(leftCode, rightCode), [leftCode, rightCode]);
+  const leftLines = useMemo(() => tokenize(leftCode), [leftCode]);
+  const rightLines = useMemo(() => tokenize(rightCode), [rightCode]);
+
+  const shared = rows.filter((row) => row.type === 'same').length;
+  const onlyLeft = rows.filter((row) => row.left !== null && row.type !== 'same').length;
+  const onlyRight = rows.filter((row) => row.right !== null && row.type !== 'same').length;
+  const visibleRows = showAll ? rows : foldUnchanged(rows);
+
+  return (
+    <div className="source-diff">
+      <div className="quiz-setup-actions">
+        <span>{t('compare.summary', { shared, left: onlyLeft, right: onlyRight })}</span>
+        <button type="button" className="button" onClick={() => setShowAll((all) => !all)} aria-pressed={showAll}>
+          {showAll ? t('compare.fold') : t('compare.unfold')}
+        </button>
+      </div>
+      <div className="code-block code-block-highlighted">
+        <table>
+          <thead>
+            <tr>
+              <th colSpan={2}>A: {leftTitle}</th>
+              <th colSpan={2}>B: {rightTitle}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row, index) =>
+              row.type === 'fold' ? (
+                <tr key={index} className="source-diff-fold">
+                  <td colSpan={4}>{t('compare.folded', { count: row.count })}</td>
+                </tr>
+              ) : (
+                <tr key={index} className={`source-diff-${row.type}`}>
+                  <DiffCell index={row.left} lines={leftLines} marker={row.type === 'same' ? ' ' : '-'} />
+                  <DiffCell index={row.right} lines={rightLines} marker={row.type === 'same' ? ' ' : '+'} />
+                </tr>
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+SourceDiff.propTypes = {
+  leftTitle: PropTypes.string.isRequired,
+  leftCode: PropTypes.string.isRequired,
+  rightTitle: PropTypes.string.isRequired,
+  rightCode: PropTypes.string.isRequired,
+};
+
+export default SourceDiff;
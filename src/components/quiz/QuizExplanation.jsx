@@ -0,0 +1,26 @@
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { keyToSlug } from '../../utils/slug';
+import Link from '../Link';
+import { questionShape } from './quizPropTypes';
+
+function QuizExplanation({ question, sections }) {
+  const { t } = useTranslation();
+  const section = sections[question.sectionKey];
+
+  return (
+    <div className="quiz-explanation">
+      <p>{question.explanation}</p>
+      <Link to={`/${keyToSlug(question.sectionKey)}#${question.example}`}>
+        {t('quiz.reviewExample', { section: section ? t(`sections.${question.sectionKey}`) : question.sectionKey })}
+      </Link>
+    </div>
+  );
+}
+
+QuizExplanation.propTypes = {
+  question: questionShape.isRequired,
+  sections: sectionsPropType.isRequired,
+};
+
+export default QuizExplanation;
@@ -0,0 +1,112 @@
+import { useCallback, useState } from 'react';
+import PropTypes from 'prop-types';
+import quizBank from '../../data/quizBank';
+import { useQuizHistory } from '../../hooks/useQuizHistory';
+import { useTranslation } from '../../hooks/useTranslation';
+import { buildQuiz, scoreQuiz } from '../../utils/quiz';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import QuizQuestion from './QuizQuestion';
+import QuizResults from './QuizResults';
+import QuizSetup from './QuizSetup';
+
+const DEFAULT_SETTINGS = { sectionKeys: [], count: 10, timed: false };
+
+// /quiz starts with every topic selected, /quiz/<section-slug> with just that one
+function QuizPage({ sections, sectionKey }) {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_SETTINGS,
+    sectionKeys: sectionKey ? [sectionKey] : Object.keys(sections),
+  }));
+  const [questions, setQuestions] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [answers, setAnswers] = useState([]);
+  const { history, addResult, clearHistory, bestPercent } = useQuizHistory();
+  const { t } = useTranslation();
+
+  const start = (nextSettings) => {
+    setSettings(nextSettings);
+    setQuestions(buildQuiz(quizBank, nextSettings.sectionKeys, nextSettings.count));
+    setCurrent(0);
+    setAnswers([]);
+  };
+
+  const question = questions && questions[current];
+
+  const handleAnswer = useCallback(
+    (choice, timedOut) => {
+      setAnswers((previous) => [
+        ...previous,
+        {
+          questionId: question.id,
+          sectionKey: question.sectionKey,
+          choice,
+          correct: choice === question.answer,
+          timedOut,
+        },
+      ]);
+    },
+    [question]
+  );
+
+  const handleNext = () => {
+    if (current + 1 < questions.length) {
+      setCurrent(current + 1);
+      return;
+    }
+
+    const { correct, total, percent } = scoreQuiz(answers);
+    addResult({ correct, total, percent, sectionKeys: settings.sectionKeys, timed: settings.timed });
+    setCurrent(questions.length);
+  };
+
+  if (!questions) {
+    return (
+      <>
+        {history.length > 0 && (
+          <p>{t('quiz.best', { count: history.length, percent: <strong>{bestPercent}%</strong> })}</p>
+        )}
+        <QuizSetup
+          key={sectionKey || 'all'}
+          sections={sections}
+          initialSectionKeys={settings.sectionKeys}
+          initialSettings={settings}
+          onStart={start}
+        />
+      </>
+    );
+  }
+
+  if (question) {
+    return (
+      <QuizQuestion
+        key={`${question.id}-${current}`}
+        question={question}
+        number={current + 1}
+        total={questions.length}
+        timed={settings.timed}
+        sections={sections}
+        onAnswer={handleAnswer}
+        onNext={handleNext}
+      />
+    );
+  }
+
+  return (
+    <QuizResults
+      questions={questions}
+      answers={answers}
+      sections={sections}
+      history={history}
+      onRetry={() => start(settings)}
+      onNewQuiz={() => setQuestions(null)}
+      onClearHistory={clearHistory}
+    />
+  );
+}
+
+QuizPage.propTypes = {
+  sections: sectionsPropType.isRequired,
+  sectionKey: PropTypes.string,
+};
+
+export default QuizPage;
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { QUESTION_TYPES, SECONDS_PER_QUESTION } from '../../utils/quiz';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import CodeBlock from '../CodeBlock';
+import QuizExplanation from './QuizExplanation';
+import { questionShape } from './quizPropTypes';
+
+// Rendered with key={question.id}, so choice and timer start fresh for every question
+function QuizQuestion({ question, number, total, timed, sections, onAnswer, onNext }) {
+  const [choice, setChoice] = useState(null);
+  const [timedOut, setTimedOut] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(SECONDS_PER_QUESTION);
+  const answered = choice !== null || timedOut;
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    if (!timed || answered) return;
+
+    const intervalId = setInterval(() => {
+      setSecondsLeft((seconds) => Math.max(seconds - 1, 0));
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [timed, answered]);
+
+  useEffect(() => {
+    if (timed && !answered && secondsLeft === 0) {
+      setTimedOut(true);
+      onAnswer(null, true);
+    }
+  }, [timed, answered, secondsLeft, onAnswer]);
+
+  const choose = (index) => {
+    if (answered) return;
+    setChoice(index);
+    onAnswer(index, false);
+  };
+
+  const optionClass = (index) => {
+    if (!answered) return 'quiz-option';
+    if (index === question.answer) return 'quiz-option correct';
+    if (index === choice) return 'quiz-option wrong';
+    return 'quiz-option';
+  };
+
+  const type = QUESTION_TYPES[question.type];
+
+  return (
+    <div className="example quiz-question">
+      <div className="quiz-question-header">
+        <span>
+          {t('quiz.progress', { number, total })} · {type.icon} {t(`quiz.types.${question.type}`)} ·{' '}
+          {t(`sections.${question.sectionKey}`)}
+        </span>
+        {timed && (
+          <span className={`quiz-timer${secondsLeft <= 10 ? ' urgent' : ''}`} aria-live="polite">
+            {t('quiz.secondsLeft', { seconds: secondsLeft })}
+          </span>
+        )}
+      </div>
+      <h3>{question.prompt}</h3>
+      {question.code && (
+        <CodeBlock>{question.code}</CodeBlock>
+      )}
+
+      <ol className="quiz-options-list">
+        {question.options.map((option, index) => (
+          <li key={index}>
+            <button className={optionClass(index)} onClick={() => choose(index)} disabled={answered}>
+              {option}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {answered && (
+        <>
+          <p className={choice === question.answer ? 'quiz-verdict correct' : 'quiz-verdict wrong'}>
+            {choice === question.answer ? t('quiz.correct') : timedOut ? t('quiz.timeUp') : t('quiz.wrong')}
+          </p>
+          <QuizExplanation question={question} sections={sections} />
+          <button className="button" onClick={onNext} autoFocus>
+            {number === total ? t('quiz.seeResults') : t('quiz.next')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+QuizQuestion.propTypes = {
+  question: questionShape.isRequired,
+  number: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  timed: PropTypes.bool.isRequired,
+  sections: sectionsPropType.isRequired,
+  onAnswer: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+};
+
+export default QuizQuestion;
@@ -0,0 +1,121 @@
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { scoreQuiz } from '../../utils/quiz';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import CodeBlock from '../CodeBlock';
+import QuizExplanation from './QuizExplanation';
+import { answerShape, historyEntryShape, questionShape } from './quizPropTypes';
+
+function QuizResults({ questions, answers, sections, history, onRetry, onNewQuiz, onClearHistory }) {
+  const { t, locale } = useTranslation();
+  const score = scoreQuiz(answers);
+  const missed = questions.filter((question, index) => !answers[index].correct);
+
+  const handleClearHistory = () => {
+    if (window.confirm(t('quiz.confirmClearHistory'))) onClearHistory();
+  };
+
+  return (
+    <div className="quiz-results">
+      <div className="explanation">
+        <h3>{t('quiz.score', score)}</h3>
+        <p>
+          {score.percent === 100
+            ? t('quiz.perfect')
+            : score.percent >= 70
+              ? t('quiz.solid')
+              : t('quiz.keepPracticing')}
+        </p>
+      </div>
+
+      <h3>{t('quiz.byTopic')}</h3>
+      <ul className="quiz-breakdown">
+        {Object.entries(score.bySection).map(([sectionKey, { correct, total }]) => (
+          <li key={sectionKey}>
+            <span>{t(`sections.${sectionKey}`)}</span>
+            <div className="progress-bar">
+              <span style={{ width: `${(correct / total) * 100}%` }} />
+            </div>
+            <span>
+              {correct} / {total}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {missed.length > 0 && (
+        <>
+          <h3>{t('quiz.missed')}</h3>
+          {missed.map((question) => {
+            const answer = answers[questions.indexOf(question)];
+            return (
+              <div key={question.id} className="example">
+                <h4>{question.prompt}</h4>
+                {question.code && (
+                  <CodeBlock>{question.code}</CodeBlock>
+                )}
+                <p>
+                  {t('quiz.yourAnswer')}{' '}
+                  <strong>{answer.timedOut ? t('quiz.noAnswer') : question.options[answer.choice]}</strong>
+                  <br />
+                  {t('quiz.correctAnswer')} <strong>{question.options[question.answer]}</strong>
+                </p>
+                <QuizExplanation question={question} sections={sections} />
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      <div className="quiz-setup-actions">
+        <button className="button" onClick={onRetry}>
+          {t('quiz.retry')}
+        </button>
+        <button className="button" onClick={onNewQuiz}>
+          {t('quiz.changeTopics')}
+        </button>
+      </div>
+
+      {history.length > 0 && (
+        <>
+          <h3>{t('quiz.history')}</h3>
+          <table className="quiz-history">
+            <thead>
+              <tr>
+                <th>{t('quiz.columns.date')}</th>
+                <th>{t('quiz.columns.score')}</th>
+                <th>{t('quiz.columns.topics')}</th>
+                <th>{t('quiz.columns.mode')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.slice(0, 10).map((entry) => (
+                <tr key={entry.finishedAt}>
+                  <td>{new Date(entry.finishedAt).toLocaleString(locale)}</td>
+                  <td>{t('quiz.result', entry)}</td>
+                  <td>{entry.sectionKeys.map((key) => (sections[key] ? t(`sections.${key}`) : key)).join(', ')}</td>
+                  <td>{entry.timed ? t('quiz.timedMode') : t('quiz.untimed')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button className="button" onClick={handleClearHistory}>
+            {t('quiz.clearHistory')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+QuizResults.propTypes = {
+  questions: PropTypes.arrayOf(questionShape).isRequired,
+  answers: PropTypes.arrayOf(answerShape).isRequired,
+  sections: sectionsPropType.isRequired,
+  history: PropTypes.arrayOf(historyEntryShape).isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onNewQuiz: PropTypes.func.isRequired,
+  onClearHistory: PropTypes.func.isRequired,
+};
+
+export default QuizResults;
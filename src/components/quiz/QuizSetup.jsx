@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import quizBank from '../../data/quizBank';
+import { useTranslation } from '../../hooks/useTranslation';
+import { SECONDS_PER_QUESTION } from '../../utils/quiz';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { quizSettingsShape } from './quizPropTypes';
+
+const QUESTION_COUNTS = [5, 10, 15, 20];
+
+function QuizSetup({ sections, initialSectionKeys, initialSettings, onStart }) {
+  const quizSections = Object.keys(sections).filter((key) => quizBank[key] && quizBank[key].length);
+  const [selected, setSelected] = useState(() => initialSectionKeys.filter((key) => quizSections.includes(key)));
+  const [count, setCount] = useState(initialSettings.count);
+  const [timed, setTimed] = useState(initialSettings.timed);
+  const { t } = useTranslation();
+
+  const available = selected.reduce((sum, key) => sum + quizBank[key].length, 0);
+
+  const toggleSection = (key) => {
+    setSelected((previous) =>
+      previous.includes(key) ? previous.filter((selectedKey) => selectedKey !== key) : [...previous, key]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onStart({ sectionKeys: selected, count, timed });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="quiz-setup">
+      <div className="explanation">
+        <h3>{t('quiz.setupTitle')}</h3>
+        <p>{t('quiz.setupIntro')}</p>
+      </div>
+
+      <fieldset>
+        <legend>{t('quiz.topics')}</legend>
+        <div className="quiz-setup-actions">
+          <button type="button" className="button" onClick={() => setSelected(quizSections)}>
+            {t('quiz.selectAll')}
+          </button>
+          <button type="button" className="button" onClick={() => setSelected([])}>
+            {t('quiz.clear')}
+          </button>
+        </div>
+        <div className="quiz-topics">
+          {quizSections.map((key) => (
+            <label key={key}>
+              <input type="checkbox" checked={selected.includes(key)} onChange={() => toggleSection(key)} />
+              {t(`sections.${key}`)} <small>({quizBank[key].length})</small>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="quiz-options">
+        <label>
+          {t('quiz.questions')}{' '}
+          <select value={count} onChange={(e) => setCount(Number(e.target.value))}>
+            {QUESTION_COUNTS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={timed} onChange={(e) => setTimed(e.target.checked)} />{' '}
+          {t('quiz.timed', { seconds: SECONDS_PER_QUESTION })}
+        </label>
+      </div>
+
+      <button type="submit" className="button" disabled={!selected.length}>
+        {t('quiz.start', { count: Math.min(count, available) })}
+      </button>
+    </form>
+  );
+}
+
+QuizSetup.propTypes = {
+  sections: sectionsPropType.isRequired,
+  initialSectionKeys: PropTypes.arrayOf(PropTypes.string).isRequired,
+  initialSettings: quizSettingsShape.isRequired,
+  onStart: PropTypes.func.isRequired,
+};
+
+export default QuizSetup;
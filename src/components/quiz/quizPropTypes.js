@@ -0,0 +1,37 @@
+import PropTypes from 'prop-types';
+import { QUESTION_TYPES } from '../../utils/quiz';
+
+// A question as built by buildQuiz(): a quizBank entry with its section key and shuffled options
+export const questionShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(Object.keys(QUESTION_TYPES)).isRequired,
+  prompt: PropTypes.string.isRequired,
+  code: PropTypes.string,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  answer: PropTypes.number.isRequired,
+  explanation: PropTypes.string.isRequired,
+  example: PropTypes.string,
+  sectionKey: PropTypes.string.isRequired,
+});
+
+export const answerShape = PropTypes.shape({
+  questionId: PropTypes.string.isRequired,
+  sectionKey: PropTypes.string.isRequired,
+  choice: PropTypes.number,
+  correct: PropTypes.bool.isRequired,
+  timedOut: PropTypes.bool,
+});
+
+export const historyEntryShape = PropTypes.shape({
+  finishedAt: PropTypes.string.isRequired,
+  correct: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  percent: PropTypes.number.isRequired,
+  sectionKeys: PropTypes.arrayOf(PropTypes.string),
+  timed: PropTypes.bool,
+});
+
+export const quizSettingsShape = PropTypes.shape({
+  count: PropTypes.number.isRequired,
+  timed: PropTypes.bool.isRequired,
+});
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+
+const EMPTY_CARD = { sectionKey: '', front: '', back: '' };
+
+function CardForm({ sections, onAdd }) {
+  const [card, setCard] = useState(EMPTY_CARD);
+  const { t } = useTranslation();
+
+  const update = (field) => (e) => setCard((previous) => ({ ...previous, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onAdd({ sectionKey: card.sectionKey || null, front: card.front.trim(), back: card.back.trim() });
+    setCard((previous) => ({ ...EMPTY_CARD, sectionKey: previous.sectionKey }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card-form">
+      <h3>{t('review.addTitle')}</h3>
+      <label>
+        {t('review.topic')}
+        <select value={card.sectionKey} onChange={update('sectionKey')} className="input">
+          <option value="">{t('review.general')}</option>
+          {Object.keys(sections).map((key) => (
+            <option key={key} value={key}>
+              {t(`sections.${key}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t('review.front')}
+        <input value={card.front} onChange={update('front')} className="input" required />
+      </label>
+      <label>
+        {t('review.back')}
+        <textarea value={card.back} onChange={update('back')} className="input" rows={3} required />
+      </label>
+      <button type="submit" className="button" disabled={!card.front.trim() || !card.back.trim()}>
+        {t('review.add')}
+      </button>
+    </form>
+  );
+}
+
+CardForm.propTypes = {
+  sections: sectionsPropType.isRequired,
+  onAdd: PropTypes.func.isRequired,
+};
+
+export default CardForm;
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { dayKey } from '../../utils/srs';
+import { cardShape, schedulesPropType } from './reviewPropTypes';
+
+const ALL = 'all';
+
+// Every card with its next review date; user cards can be deleted
+function DeckList({ cards, schedules, sections, onDelete }) {
+  const [sectionKey, setSectionKey] = useState(ALL);
+  const { t } = useTranslation();
+  const today = dayKey();
+  const shown = sectionKey === ALL ? cards : cards.filter((card) => card.sectionKey === sectionKey);
+
+  const handleDelete = (card) => {
+    if (window.confirm(t('review.confirmDelete', { front: card.front }))) onDelete(card.id);
+  };
+
+  return (
+    <div>
+      <label>
+        {t('review.show')}{' '}
+        <select value={sectionKey} onChange={(e) => setSectionKey(e.target.value)} className="input">
+          <option value={ALL}>{t('review.allTopics', { count: cards.length })}</option>
+          {Object.keys(sections).map((key) => (
+            <option key={key} value={key}>
+              {t('review.topicCount', {
+                topic: t(`sections.${key}`),
+                count: cards.filter((card) => card.sectionKey === key).length,
+              })}
+            </option>
+          ))}
+        </select>
+      </label>
+      <table className="quiz-history deck-list">
+        <thead>
+          <tr>
+            <th>{t('review.columns.card')}</th>
+            <th>{t('review.columns.topic')}</th>
+            <th>{t('review.columns.next')}</th>
+            <th>{t('review.columns.interval')}</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((card) => {
+            const schedule = schedules[card.id];
+            return (
+              <tr key={card.id}>
+                <td>
+                  <strong>{card.front}</strong>
+                  <br />
+                  <small>{card.back}</small>
+                </td>
+                <td>{sections[card.sectionKey] ? t(`sections.${card.sectionKey}`) : t('review.general')}</td>
+                <td>{!schedule ? t('review.new') : schedule.due <= today ? t('review.dueNow') : schedule.due}</td>
+                <td>{schedule ? t('review.interval', { count: schedule.interval }) : '—'}</td>
+                <td>
+                  {card.custom && (
+                    <button className="button" onClick={() => handleDelete(card)}>
+                      {t('review.delete')}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+DeckList.propTypes = {
+  cards: PropTypes.arrayOf(cardShape).isRequired,
+  schedules: schedulesPropType.isRequired,
+  sections: sectionsPropType.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default DeckList;
@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { GRADES } from '../../utils/srs';
+import { keyToSlug } from '../../utils/slug';
+import Link from '../Link';
+import { cardShape } from './reviewPropTypes';
+
+// Works through `cards` once; "Again" sends a card to the back of the queue for another go today
+function FlashcardSession({ cards, sections, onGrade, onFinish }) {
+  const [queue, setQueue] = useState(cards);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+  const card = queue[0];
+  const { t } = useTranslation();
+
+  const grade = (quality) => {
+    onGrade(card.id, quality);
+    setReviewed((count) => count + 1);
+    setRevealed(false);
+    setQueue((previous) => (quality < 3 ? [...previous.slice(1), previous[0]] : previous.slice(1)));
+  };
+
+  // Space flips the card, 1-4 grade it
+  useEffect(() => {
+    if (!card) return;
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === ' ' && !revealed) {
+        e.preventDefault();
+        setRevealed(true);
+      } else if (revealed && GRADES[Number(e.key) - 1]) {
+        grade(GRADES[Number(e.key) - 1].quality);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  if (!card) {
+    return (
+      <div className="explanation">
+        <h3>{t('review.doneTitle')}</h3>
+        <p>{t('review.doneBody', { count: reviewed })}</p>
+        <button className="button" onClick={onFinish}>
+          {t('review.backToDeck')}
+        </button>
+      </div>
+    );
+  }
+
+  const section = sections[card.sectionKey];
+  const sectionTitle = section && t(`sections.${card.sectionKey}`);
+
+  return (
+    <div className="flashcard-session">
+      <div className="quiz-question-header">
+        <span>{t('review.left', { count: queue.length })}</span>
+        <span>{section ? sectionTitle : t('review.general')}</span>
+      </div>
+      <div className={revealed ? 'flashcard revealed' : 'flashcard'}>
+        <div className="flashcard-front">{card.front}</div>
+        {revealed ? (
+          <div className="flashcard-back">
+            <p>{card.back}</p>
+            {section && <Link to={`/${keyToSlug(card.sectionKey)}`}>{t('review.revisit', { section: sectionTitle })}</Link>}
+          </div>
+        ) : (
+          <button className="button" onClick={() => setRevealed(true)}>
+            {t('review.showAnswer')} <kbd>Space</kbd>
+          </button>
+        )}
+      </div>
+      {revealed && (
+        <div className="flashcard-grades">
+          {GRADES.map(({ quality, key }, index) => (
+            <button
+              key={quality}
+              className={`button grade-${key}`}
+              onClick={() => grade(quality)}
+              title={t(`review.grades.${key}.hint`)}
+            >
+              {t(`review.grades.${key}.label`)} <kbd>{index + 1}</kbd>
+            </button>
+          ))}
+        </div>
+      )}
+      <button className="button" onClick={onFinish} style={{ marginTop: '1rem' }}>
+        {t('review.endSession')}
+      </button>
+    </div>
+  );
+}
+
+FlashcardSession.propTypes = {
+  cards: PropTypes.arrayOf(cardShape).isRequired,
+  sections: sectionsPropType.isRequired,
+  onGrade: PropTypes.func.isRequired,
+  onFinish: PropTypes.func.isRequired,
+};
+
+export default FlashcardSession;
@@ -0,0 +1,95 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useFlashcards } from '../../hooks/useFlashcards';
+import { useTranslation } from '../../hooks/useTranslation';
+import { loadConceptCards } from '../../utils/flashcards';
+import { sectionsPropType } from '../../utils/sectionPropTypes';
+import { dailyQueue, dayKey, NEW_CARDS_PER_DAY } from '../../utils/srs';
+import SectionSkeleton from '../SectionSkeleton';
+import CardForm from './CardForm';
+import DeckList from './DeckList';
+import FlashcardSession from './FlashcardSession';
+
+// /review: today's spaced-repetition session over the js-concept cards and the user's own cards
+function ReviewPage({ sections }) {
+  const [conceptCards, setConceptCards] = useState(null);
+  const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
+  const { schedules, customCards, recordReview, addCard, deleteCard, resetSchedules } = useFlashcards();
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    let ignore = false;
+    loadConceptCards(sections).then(
+      (cards) => {
+        if (!ignore) setConceptCards(cards);
+      },
+      (loadError) => {
+        if (!ignore) setError(loadError);
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [sections]);
+
+  const cards = useMemo(() => (conceptCards ? [...conceptCards, ...customCards] : []), [conceptCards, customCards]);
+
+  if (error) {
+    return <p style={{ color: 'var(--color-accent)' }}>{t('review.loadFailed', { message: error.message })}</p>;
+  }
+  if (!conceptCards) return <SectionSkeleton />;
+
+  if (session) {
+    return (
+      <FlashcardSession
+        cards={session}
+        sections={sections}
+        onGrade={recordReview}
+        onFinish={() => setSession(null)}
+      />
+    );
+  }
+
+  const queue = dailyQueue(cards, schedules, dayKey());
+  const dueCount = queue.filter((card) => schedules[card.id]).length;
+  const learned = cards.filter((card) => schedules[card.id]).length;
+
+  const handleReset = () => {
+    if (window.confirm(t('review.confirmReset'))) resetSchedules();
+  };
+
+  return (
+    <div>
+      <div className="explanation">
+        <h3>{t('review.heading')}</h3>
+        <p>{t('review.intro', { count: NEW_CARDS_PER_DAY })}</p>
+      </div>
+
+      <div className="review-stats">
+        <span>{t('review.due', { count: <strong>{dueCount}</strong> })}</span>
+        <span>{t('review.newToday', { count: <strong>{queue.length - dueCount}</strong> })}</span>
+        <span>{t('review.started', { count: <strong>{learned}</strong>, total: cards.length })}</span>
+      </div>
+
+      <div className="quiz-setup-actions">
+        <button className="button" onClick={() => setSession(queue)} disabled={queue.length === 0}>
+          {queue.length ? t('review.start', { count: queue.length }) : t('review.nothingLeft')}
+        </button>
+        <button className="button" onClick={handleReset} disabled={learned === 0}>
+          {t('review.reset')}
+        </button>
+      </div>
+
+      <CardForm sections={sections} onAdd={addCard} />
+
+      <h3>{t('review.deck')}</h3>
+      <DeckList cards={cards} schedules={schedules} sections={sections} onDelete={deleteCard} />
+    </div>
+  );
+}
+
+ReviewPage.propTypes = {
+  sections: sectionsPropType.isRequired,
+};
+
+export default ReviewPage;
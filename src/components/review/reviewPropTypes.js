@@ -0,0 +1,24 @@
+import PropTypes from 'prop-types';
+
+// A flashcard: one of loadConceptCards() or a custom card added with useFlashcards().addCard()
+// (whose sectionKey is null when filed under "General")
+export const cardShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  sectionKey: PropTypes.string,
+  front: PropTypes.string.isRequired,
+  back: PropTypes.string.isRequired,
+  custom: PropTypes.bool.isRequired,
+  createdAt: PropTypes.string,
+});
+
+// Card id -> SM-2 schedule from reviewCard()
+export const schedulesPropType = PropTypes.objectOf(
+  PropTypes.shape({
+    ease: PropTypes.number.isRequired,
+    interval: PropTypes.number.isRequired,
+    repetitions: PropTypes.number.isRequired,
+    due: PropTypes.string.isRequired,
+    reviewedAt: PropTypes.string,
+    firstReviewedAt: PropTypes.string,
+  })
+);
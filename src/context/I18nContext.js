@@ -0,0 +1,12 @@
+import { createContext } from 'react';
+import { DEFAULT_LOCALE } from '../utils/i18n';
+
+// `t(key, params)` returns a string, or an array of parts when a param is a React element
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: 'ltr',
+  setLocale: () => {},
+  t: (key) => key,
+});
+
+export default I18nContext;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Id of the one <Example> a mounted section should render (comparison panes); null renders them all
+const IsolatedExampleContext = createContext(null);
+
+export default IsolatedExampleContext;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Key of the example whose <Profiler> a component renders under ("section/example-id"), or null
+const ProfilerContext = createContext(null);
+
+export default ProfilerContext;
@@ -0,0 +1,12 @@
+import { createContext } from 'react';
+
+// Which section is mounted, where its source lives, and which example (if any) the URL hash targets
+const SectionContext = createContext({
+  sectionKey: null,
+  slug: '',
+  file: '',
+  loadSource: () => Promise.resolve(''),
+  hash: '',
+});
+
+export default SectionContext;
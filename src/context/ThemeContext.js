@@ -0,0 +1,13 @@
+import { createContext } from 'react';
+
+// Labels live in the locale catalogs under "themes"
+export const THEME_OPTIONS = ['system', 'light', 'dark', 'high-contrast'];
+
+// `preference` is what the user picked (possibly "system"), `theme` the palette actually applied
+const ThemeContext = createContext({
+  preference: 'system',
+  theme: 'light',
+  setPreference: () => {},
+});
+
+export default ThemeContext;
@@ -0,0 +1,63 @@
+// Copies of jsonplaceholder.typicode.com records: the data behind the in-app mock API
+// (utils/mockServer.js), and what the service worker serves when the real API is unreachable
+// (see src/sw.js). Only the first few records of each resource are kept.
+
+const users = [
+  ['Leanne Graham', 'Bret', 'Sincere@april.biz', '1-770-736-8031 x56442', 'Romaguera-Crona'],
+  ['Ervin Howell', 'Antonette', 'Shanna@melissa.tv', '010-692-6593 x09125', 'Deckow-Crist'],
+  ['Clementine Bauch', 'Samantha', 'Nathan@yesenia.net', '1-463-123-4447', 'Romaguera-Jacobson'],
+  ['Patricia Lebsack', 'Karianne', 'Julianne.OConner@kory.org', '493-170-9623 x156', 'Robel-Corkery'],
+  ['Chelsey Dietrich', 'Kamren', 'Lucio_Hettinger@annie.ca', '(254)954-1289', 'Keebler LLC'],
+  ['Mrs. Dennis Schulist', 'Leopoldo_Corkery', 'Karley_Dach@jasper.info', '1-477-935-8478 x6430', 'Considine-Lockman'],
+  ['Kurtis Weissnat', 'Elwyn.Skiles', 'Telly.Hoeger@billy.biz', '210.067.6132', 'Johns Group'],
+  ['Nicholas Runolfsdottir V', 'Maxime_Nienow', 'Sherwood@rosamond.me', '586.493.6943 x140', 'Abernathy Group'],
+  ['Glenna Reichert', 'Delphine', 'Chaim_McDermott@dana.io', '(775)976-6794 x41206', 'Yost and Sons'],
+  ['Clementina DuBuque', 'Moriah.Stanton', 'Rey.Padberg@karina.biz', '024-648-3804', 'Hoeger LLC'],
+].map(([name, username, email, phone, company], index) => ({
+  id: index + 1,
+  name,
+  username,
+  email,
+  phone,
+  company: { name: company },
+}));
+
+const posts = [
+  [
+    'sunt aut facere repellat provident occaecati excepturi optio reprehenderit',
+    'quia et suscipit suscipit recusandae consequuntur expedita et cum reprehenderit molestiae ut ut quas totam nostrum rerum est autem sunt rem eveniet architecto',
+  ],
+  [
+    'qui est esse',
+    'est rerum tempore vitae sequi sint nihil reprehenderit dolor beatae ea dolores neque fugiat blanditiis voluptate porro vel nihil molestiae ut reiciendis qui aperiam non debitis possimus qui neque nisi nulla',
+  ],
+  [
+    'ea molestias quasi exercitationem repellat qui ipsa sit aut',
+    'et iusto sed quo iure voluptatem occaecati omnis eligendi aut ad voluptatem doloribus vel accusantium quis pariatur molestiae porro eius odio et labore et velit aut',
+  ],
+  [
+    'eum et est occaecati',
+    'ullam et saepe reiciendis voluptatem adipisci sit amet autem assumenda provident rerum culpa quis hic commodi nesciunt rem tenetur doloremque ipsam iure quis sunt voluptatem rerum illo velit',
+  ],
+  [
+    'nesciunt quas odio',
+    'repudiandae veniam quaerat sunt sed alias aut fugiat sit autem sed est voluptatem omnis possimus esse voluptatibus quis est aut tenetur dolor neque',
+  ],
+].map(([title, body], index) => ({ userId: 1, id: index + 1, title, body }));
+
+const todos = [
+  ['delectus aut autem', false],
+  ['quis ut nam facilis et officia qui', false],
+  ['fugiat veniam minus', false],
+  ['et porro tempora', true],
+  ['laboriosam mollitia et enim quasi adipisci quia provident illum', false],
+  ['qui ullam ratione quibusdam voluptatem quia omnis', false],
+  ['illo expedita consequatur quia in', false],
+  ['quo adipisci enim quam ut ab', true],
+  ['molestiae perspiciatis ipsa', false],
+  ['illo est ratione doloremque quia maiores aut', true],
+].map(([title, completed], index) => ({ userId: 1, id: index + 1, title, completed }));
+
+const offlineFixtures = { users, posts, todos };
+
+export default offlineFixtures;
@@ -0,0 +1,1124 @@
+// Interview questions per section key. `answer` is the index of the correct option and
+// `example` is the id of the example that explains it (see Example titles in each section).
+//
+// Question types:
+// - choice:  plain multiple choice
+// - predict: predict what a snippet logs or renders
+// - bug:     spot the bug in a snippet (options usually name a line)
+
+const quizBank = {
+  useState: [
+    {
+      id: 'useState-stale-increment',
+      type: 'predict',
+      prompt: 'The button is clicked once. What does the counter show afterwards?',
+      code: `function Counter() {
+  const [count, setCount] = useState(0);
+  const handleClick = () => {
+    setCount(count + 1);
+    setCount(count + 1);
+    setCount(count + 1);
+  };
+  return <button onClick={handleClick}>{count}</button>;
+}`,
+      options: ['1', '3', '0', 'It throws an error'],
+      answer: 0,
+      explanation:
+        'Every call reads the same `count` captured by this render (0), so all three schedule 1. Use the functional form setCount(c => c + 1) to build on the previous update.',
+      example: 'basic-counter',
+    },
+    {
+      id: 'useState-object-merge',
+      type: 'bug',
+      prompt: 'Typing a name wipes out the email. Which line is the bug?',
+      code: `function Profile() {
+  const [user, setUser] = useState({ name: '', email: '' });
+  const updateName = (name) => {
+    setUser({ name });
+  };
+  return <input value={user.name} onChange={(e) => updateName(e.target.value)} />;
+}`,
+      options: [
+        'Line 2: objects cannot be used as state',
+        'Line 4: the setter replaces the object instead of spreading the previous fields',
+        'Line 6: value must be uncontrolled',
+        'Line 3: the handler must be wrapped in useCallback',
+      ],
+      answer: 1,
+      explanation:
+        'Unlike class setState, the useState setter does not merge. Copy the previous object: setUser(prev => ({ ...prev, name })).',
+      example: 'object-state-management',
+    },
+    {
+      id: 'useState-lazy-init',
+      type: 'choice',
+      prompt: 'Why pass a function to useState, as in useState(() => readFromStorage())?',
+      options: [
+        'It makes the state update synchronously',
+        'The initializer only runs on the first render instead of on every render',
+        'It is required when the initial value is an object',
+        'It memoizes the setter function',
+      ],
+      answer: 1,
+      explanation:
+        'useState(expensive()) evaluates expensive() on every render and throws the result away after the first. The lazy initializer runs once.',
+      example: 'basic-counter',
+    },
+  ],
+  useEffect: [
+    {
+      id: 'useEffect-order',
+      type: 'predict',
+      prompt: 'What is logged when this component mounts (outside StrictMode)?',
+      code: `function Demo() {
+  console.log('render');
+  useEffect(() => {
+    console.log('effect');
+    return () => console.log('cleanup');
+  }, []);
+  return null;
+}`,
+      options: ['render, effect', 'effect, render', 'render, cleanup, effect', 'render, effect, cleanup'],
+      answer: 0,
+      explanation: 'Effects run after the render is committed. The cleanup only runs before the next effect run or on unmount.',
+      example: 'basic-useeffect-runs-after-every-render',
+    },
+    {
+      id: 'useEffect-listener-cleanup',
+      type: 'bug',
+      prompt: 'This effect leaks a listener every time the component mounts. Which line is wrong?',
+      code: `useEffect(() => {
+  const handleResize = () => setWidth(window.innerWidth);
+  window.addEventListener('resize', handleResize);
+  return () => {
+    window.removeEventListener('mouse', handleResize);
+  };
+}, []);`,
+      options: [
+        'Line 2: the handler must be declared outside the effect',
+        'Line 3: addEventListener needs { passive: true }',
+        'Line 5: it removes a listener for a different event name than the one added',
+        'Line 7: the dependency array should be omitted',
+      ],
+      answer: 2,
+      explanation:
+        "removeEventListener only removes a listener registered with the same event type and function. 'mouse' never matches 'resize', so the resize listener stays attached.",
+      example: 'useeffect-with-cleanup',
+    },
+    {
+      id: 'useEffect-deps',
+      type: 'choice',
+      prompt: 'When does an effect with the dependency array [name, age] run?',
+      options: [
+        'Only once, after the first render',
+        'After every render',
+        'After the first render and after any render where name or age changed',
+        'Before the render whenever name or age changed',
+      ],
+      answer: 2,
+      explanation: 'React compares each dependency with Object.is against the previous render and re-runs the effect when one differs.',
+      example: 'useeffect-with-dependencies',
+    },
+  ],
+  useRef: [
+    {
+      id: 'useRef-no-rerender',
+      type: 'predict',
+      prompt: 'The button is clicked three times. What does the paragraph show?',
+      code: `function Clicks() {
+  const clicks = useRef(0);
+  return (
+    <>
+      <p>{clicks.current}</p>
+      <button onClick={() => { clicks.current += 1; }}>Click</button>
+    </>
+  );
+}`,
+      options: ['3', '0', '1', 'undefined'],
+      answer: 1,
+      explanation: 'Mutating ref.current does not trigger a render, so the paragraph keeps showing the value from the last render: 0.',
+      example: 'useref-for-storing-values-no-re-renders',
+    },
+    {
+      id: 'useRef-dom-timing',
+      type: 'choice',
+      prompt: 'When is inputRef.current set to the DOM node for <input ref={inputRef} />?',
+      options: [
+        'During the render, before JSX is returned',
+        'After React commits the DOM, before effects run',
+        'Only after the user focuses the input',
+        'When useRef is first called',
+      ],
+      answer: 1,
+      explanation: 'Refs are attached during the commit phase, so they are available in effects and event handlers but not while rendering.',
+      example: 'useref-for-dom-element-access',
+    },
+    {
+      id: 'useRef-interval-id',
+      type: 'bug',
+      prompt: 'Stop never stops the timer. Which line is the bug?',
+      code: `function Timer() {
+  const [seconds, setSeconds] = useState(0);
+  let intervalId = null;
+  const start = () => {
+    intervalId = setInterval(() => setSeconds((s) => s + 1), 1000);
+  };
+  const stop = () => clearInterval(intervalId);
+  return <button onClick={start}>Start</button>;
+}`,
+      options: [
+        'Line 3: a plain variable is reset to null on every render, so stop sees a different intervalId',
+        'Line 5: setInterval must be called inside useEffect',
+        'Line 7: clearInterval needs a second argument',
+        'Line 2: the initial state must be null',
+      ],
+      answer: 0,
+      explanation: 'Each render creates a fresh local variable. Keep the id in useRef so it survives re-renders.',
+      example: 'useref-for-managing-intervals-timeouts',
+    },
+  ],
+  useContext: [
+    {
+      id: 'useContext-no-provider',
+      type: 'predict',
+      prompt: 'What does Label render when there is no ThemeContext.Provider above it?',
+      code: `const ThemeContext = createContext('light');
+
+function Label() {
+  const theme = useContext(ThemeContext);
+  return <span>{theme}</span>;
+}`,
+      options: ['light', 'undefined', 'Nothing, it throws', 'An empty string'],
+      answer: 0,
+      explanation: 'Without a matching Provider, useContext returns the default value passed to createContext.',
+      example: 'basic-theme-context',
+    },
+    {
+      id: 'useContext-rerenders',
+      type: 'choice',
+      prompt: 'A Provider is given value={{ user, login }} written inline. What happens when its parent re-renders?',
+      options: [
+        'Nothing, context values are compared deeply',
+        'Every consumer re-renders because a new object is created each time',
+        'Only consumers using user re-render',
+        'React throws because the value is not memoized',
+      ],
+      answer: 1,
+      explanation: 'Context compares values by reference. Wrap the value in useMemo (and the functions in useCallback) to avoid waking every consumer.',
+      example: 'user-authentication-context',
+    },
+    {
+      id: 'useContext-custom-hook',
+      type: 'choice',
+      prompt: 'Why do many codebases wrap useContext(CartContext) in a useCart() hook that throws when the value is undefined?',
+      options: [
+        'Hooks cannot call useContext directly',
+        'It gives a clear error when a component is rendered outside its Provider',
+        'It makes the context value immutable',
+        'It prevents the Provider from re-rendering',
+      ],
+      answer: 1,
+      explanation: 'Without a Provider the default (often undefined) leaks through and fails later with a confusing error. The custom hook fails fast.',
+      example: 'shopping-cart-context',
+    },
+  ],
+  useReducer: [
+    {
+      id: 'useReducer-mutation',
+      type: 'bug',
+      prompt: 'Adding a todo does not re-render the list. Which line is the bug?',
+      code: `function todoReducer(state, action) {
+  switch (action.type) {
+    case 'ADD':
+      state.todos.push(action.todo);
+      return state;
+    default:
+      return state;
+  }
+}`,
+      options: [
+        'Line 2: reducers cannot use switch',
+        'Lines 4-5: the state is mutated and the same object is returned, so React sees no change',
+        'Line 7: the default case must throw',
+        'Line 1: reducers must be async',
+      ],
+      answer: 1,
+      explanation: 'React bails out when the reducer returns the same reference. Return a new object: { ...state, todos: [...state.todos, action.todo] }.',
+      example: 'todo-list-with-usereducer',
+    },
+    {
+      id: 'useReducer-dispatch-identity',
+      type: 'choice',
+      prompt: 'What is true about the dispatch function returned by useReducer?',
+      options: [
+        'It is recreated on every render',
+        'Its identity is stable, so it is safe to omit from dependency arrays and to pass to memoized children',
+        'It returns the new state synchronously',
+        'It can only be called inside useEffect',
+      ],
+      answer: 1,
+      explanation: 'React guarantees dispatch never changes between renders, which is one reason useReducer pairs well with context.',
+      example: 'basic-counter-with-usereducer',
+    },
+    {
+      id: 'useReducer-output',
+      type: 'predict',
+      prompt: 'What does the component render after one click?',
+      code: `function reducer(state, action) {
+  if (action.type === 'add') return { count: state.count + action.by };
+  return state;
+}
+function Counter() {
+  const [state, dispatch] = useReducer(reducer, { count: 1 });
+  const click = () => {
+    dispatch({ type: 'add', by: 2 });
+    dispatch({ type: 'add', by: 3 });
+  };
+  return <button onClick={click}>{state.count}</button>;
+}`,
+      options: ['6', '4', '3', '1'],
+      answer: 0,
+      explanation: 'Dispatched actions are queued and each one is reduced against the result of the previous: 1 + 2 + 3 = 6.',
+      example: 'basic-counter-with-usereducer',
+    },
+  ],
+  useMemo: [
+    {
+      id: 'useMemo-missing-dep',
+      type: 'bug',
+      prompt: 'Changing the filter text does not update the list. Which line is the bug?',
+      code: `function FilteredList({ items }) {
+  const [filter, setFilter] = useState('');
+  const visible = useMemo(
+    () => items.filter((item) => item.includes(filter)),
+    [items]
+  );
+  return <List items={visible} onFilter={setFilter} />;
+}`,
+      options: [
+        'Line 4: filter() cannot be used inside useMemo',
+        'Line 5: filter is missing from the dependency array',
+        'Line 2: the state must start as null',
+        'Line 7: visible must be spread into props',
+      ],
+      answer: 1,
+      explanation: 'useMemo only recomputes when a listed dependency changes. Every value read inside the callback belongs in the array.',
+      example: 'filtered-and-sorted-lists',
+    },
+    {
+      id: 'useMemo-purpose',
+      type: 'choice',
+      prompt: 'What does useMemo(fn, deps) cache?',
+      options: ['The function fn itself', 'The value returned by fn', 'The component output', 'The dependency array'],
+      answer: 1,
+      explanation: 'useMemo caches the result of calling fn; useCallback caches the function. useCallback(fn, deps) equals useMemo(() => fn, deps).',
+      example: 'expensive-calculation-memoization',
+    },
+    {
+      id: 'useMemo-guarantee',
+      type: 'choice',
+      prompt: 'Can you rely on useMemo to run a side effect exactly once?',
+      options: [
+        'Yes, it runs once per dependency change',
+        'No, React may discard the cache and recompute; use it only as a performance hint',
+        'Yes, as long as the dependency array is empty',
+        'Only in production builds',
+      ],
+      answer: 1,
+      explanation: 'useMemo is a performance optimization. React may recompute (for example in StrictMode or after offscreen re-mounts), so keep the callback pure.',
+      example: 'complex-object-creation',
+    },
+  ],
+  useCallback: [
+    {
+      id: 'useCallback-memo-child',
+      type: 'choice',
+      prompt: 'When does wrapping a handler in useCallback actually avoid work?',
+      options: [
+        'Always, it makes functions faster to call',
+        'When the function is passed to a child wrapped in React.memo (or used as an effect dependency)',
+        'When the component has no state',
+        'When the handler is async',
+      ],
+      answer: 1,
+      explanation: 'A stable function reference only helps if something compares it: a memoized child or a dependency array.',
+      example: 'usecallback-with-child-component-optimization',
+    },
+    {
+      id: 'useCallback-stale',
+      type: 'bug',
+      prompt: 'The alert always shows 0 no matter how many times you increment. Which line is the bug?',
+      code: `function Counter() {
+  const [count, setCount] = useState(0);
+  const report = useCallback(() => {
+    alert(count);
+  }, []);
+  return <Toolbar onReport={report} onIncrement={() => setCount((c) => c + 1)} />;
+}`,
+      options: [
+        'Line 3: useCallback cannot wrap functions that call alert',
+        'Line 5: count is missing from the dependency array, so the callback keeps the first render’s closure',
+        'Line 6: the increment handler must also use useCallback',
+        'Line 2: useState must be called after useCallback',
+      ],
+      answer: 1,
+      explanation: 'With [] the memoized function is created once and closes over count = 0 forever. List count as a dependency.',
+      example: 'basic-usecallback-with-counter',
+    },
+    {
+      id: 'useCallback-identity',
+      type: 'predict',
+      prompt: 'The parent re-renders because of unrelated state. What is logged?',
+      code: `const prev = useRef(null);
+const onSave = useCallback(() => save(id), [id]);
+useEffect(() => {
+  console.log(prev.current === onSave);
+  prev.current = onSave;
+});`,
+      options: ['true (id did not change)', 'false', 'It depends on the browser', 'undefined'],
+      answer: 0,
+      explanation: 'useCallback returns the same function as long as its dependencies are unchanged, so the identity check passes.',
+      example: 'usecallback-with-parameters',
+    },
+  ],
+  customHooks: [
+    {
+      id: 'customHooks-shared-state',
+      type: 'choice',
+      prompt: 'Two components call useWindowSize(). Do they share state?',
+      options: [
+        'Yes, custom hooks are singletons',
+        'No, each call gets its own state and effects; only the logic is shared',
+        'Only if they are siblings',
+        'Only when the hook uses useContext',
+      ],
+      answer: 1,
+      explanation: 'A custom hook is a function that calls hooks. Each component that calls it gets independent state.',
+      example: 'usewindowsize-hook',
+    },
+    {
+      id: 'customHooks-naming',
+      type: 'choice',
+      prompt: 'Why must custom hook names start with "use"?',
+      options: [
+        'React throws at runtime otherwise',
+        'So the Rules of Hooks lint checks (and readers) know the function may call hooks',
+        'It is required for tree-shaking',
+        'It makes the hook run before render',
+      ],
+      answer: 1,
+      explanation: 'The prefix is a convention the eslint-plugin-react-hooks rules rely on to verify hooks are called unconditionally.',
+      example: 'uselocalstorage-hook',
+    },
+    {
+      id: 'customHooks-fetch-race',
+      type: 'bug',
+      prompt: 'Switching URLs quickly sometimes shows data for the previous URL. Which change fixes it?',
+      code: `function useFetch(url) {
+  const [data, setData] = useState(null);
+  useEffect(() => {
+    fetch(url)
+      .then((response) => response.json())
+      .then(setData);
+  }, [url]);
+  return data;
+}`,
+      options: [
+        'Remove url from the dependency array',
+        'Ignore or abort the request in the effect cleanup so stale responses are never applied',
+        'Call fetch during render instead',
+        'Wrap setData in useCallback',
+      ],
+      answer: 1,
+      explanation: 'Responses can arrive out of order. Set an ignore flag or abort with AbortController in the cleanup.',
+      example: 'usefetch-hook',
+    },
+  ],
+  props: [
+    {
+      id: 'props-default',
+      type: 'predict',
+      prompt: 'What does <Badge label={undefined} /> render?',
+      code: `function Badge({ label = 'New' }) {
+  return <span>{label}</span>;
+}`,
+      options: ['New', 'undefined', 'Nothing', 'null'],
+      answer: 0,
+      explanation: 'Default parameters apply when the value is undefined, which is what a missing or explicitly undefined prop is. null would not use the default.',
+      example: 'props-with-default-values',
+    },
+    {
+      id: 'props-readonly',
+      type: 'bug',
+      prompt: 'Which line breaks a React rule?',
+      code: `function Greeting(props) {
+  if (!props.name) {
+    props.name = 'Guest';
+  }
+  return <h3>Hello, {props.name}</h3>;
+}`,
+      options: [
+        'Line 1: props must be destructured',
+        'Line 3: props are read-only; derive a local value instead of mutating them',
+        'Line 5: JSX cannot read from props',
+        'There is no bug',
+      ],
+      answer: 1,
+      explanation: 'Props belong to the parent. Use const name = props.name || "Guest" (or a default parameter).',
+      example: 'basic-props',
+    },
+    {
+      id: 'props-children',
+      type: 'choice',
+      prompt: 'In <Card title="Hi"><p>Body</p></Card>, how does Card access the paragraph?',
+      options: ['props.body', 'props.children', 'this.children', 'It cannot'],
+      answer: 1,
+      explanation: 'Nested JSX is passed to the component as the special children prop.',
+      example: 'props-with-children',
+    },
+  ],
+  eventHandling: [
+    {
+      id: 'eventHandling-call-vs-pass',
+      type: 'bug',
+      prompt: 'The alert fires on every render instead of on click. Which line is the bug?',
+      code: `function Buttons() {
+  const greet = (name) => alert('Hi ' + name);
+  return (
+    <button onClick={greet('Ada')}>Greet</button>
+  );
+}`,
+      options: [
+        'Line 2: arrow functions cannot call alert',
+        'Line 4: greet is called during render; pass () => greet("Ada") instead',
+        'Line 3: return needs parentheses removed',
+        'There is no bug',
+      ],
+      answer: 1,
+      explanation: 'onClick expects a function. greet("Ada") runs immediately and passes its return value (undefined).',
+      example: 'passing-arguments-to-handlers',
+    },
+    {
+      id: 'eventHandling-synthetic',
+      type: 'choice',
+      prompt: 'What is the e object passed to a React onClick handler?',
+      options: [
+        'The native MouseEvent',
+        'A SyntheticEvent that wraps the native event with a cross-browser interface',
+        'A plain object with x and y only',
+        'A Promise resolving to the event',
+      ],
+      answer: 1,
+      explanation: 'React normalizes events; the native event is still available as e.nativeEvent.',
+      example: 'button-click-event',
+    },
+    {
+      id: 'eventHandling-propagation',
+      type: 'predict',
+      prompt: 'The inner button is clicked. What is logged?',
+      code: `<div onClick={() => console.log('outer')}>
+  <button
+    onClick={(e) => {
+      e.stopPropagation();
+      console.log('inner');
+    }}
+  >
+    Click
+  </button>
+</div>`,
+      options: ['inner', 'inner, outer', 'outer, inner', 'outer'],
+      answer: 0,
+      explanation: 'stopPropagation prevents the event from bubbling to the parent handler.',
+      example: 'mouse-events',
+    },
+  ],
+  conditionalRendering: [
+    {
+      id: 'conditionalRendering-zero',
+      type: 'predict',
+      prompt: 'messages is an empty array. What renders?',
+      code: `<div>
+  {messages.length && <p>You have {messages.length} messages</p>}
+</div>`,
+      options: ['Nothing', 'The number 0', '"false"', 'You have 0 messages'],
+      answer: 1,
+      explanation: '0 && x evaluates to 0, and React renders numbers. Use messages.length > 0 && ... instead.',
+      example: 'logical-and-operator',
+    },
+    {
+      id: 'conditionalRendering-null',
+      type: 'choice',
+      prompt: 'How does a component render nothing?',
+      options: ['return undefined only', 'return null (or false)', 'throw an error', 'return an empty string only'],
+      answer: 1,
+      explanation: 'Returning null is the idiomatic way; the component still runs its hooks and effects.',
+      example: 'ternary-operator',
+    },
+    {
+      id: 'conditionalRendering-switch',
+      type: 'choice',
+      prompt: 'Why map statuses through an object like STATUS_VIEWS[status] instead of nested ternaries?',
+      options: [
+        'Objects render faster than ternaries',
+        'It keeps every case in one readable lookup and makes unknown statuses easy to handle',
+        'Ternaries are not allowed in JSX',
+        'It avoids re-renders',
+      ],
+      answer: 1,
+      explanation: 'A lookup table (or switch) scales better than chained ternaries and centralizes the fallback case.',
+      example: 'enum-constant-status',
+    },
+  ],
+  listRendering: [
+    {
+      id: 'listRendering-index-key',
+      type: 'bug',
+      prompt: 'After deleting the first row, the wrong input keeps its typed text. Which line is the bug?',
+      code: `function Rows({ rows, onDelete }) {
+  return rows.map((row, index) => (
+    <div key={index}>
+      <input defaultValue={row.label} />
+      <button onClick={() => onDelete(row.id)}>Delete</button>
+    </div>
+  ));
+}`,
+      options: [
+        'Line 3: using the index as key ties state to positions instead of items; use row.id',
+        'Line 4: defaultValue is not supported',
+        'Line 2: lists must use forEach',
+        'Line 5: onDelete needs useCallback',
+      ],
+      answer: 0,
+      explanation: 'When items shift, index keys make React reuse the wrong component instances. Use a stable id.',
+      example: 'unique-keys',
+    },
+    {
+      id: 'listRendering-key-scope',
+      type: 'choice',
+      prompt: 'Keys must be unique...',
+      options: ['Across the whole app', 'Among siblings in the same list', 'Across all lists on the page', 'Only in production'],
+      answer: 1,
+      explanation: 'Keys only need to be unique among siblings rendered by the same array.',
+      example: 'basic-list-rendering',
+    },
+    {
+      id: 'listRendering-key-prop',
+      type: 'predict',
+      prompt: 'What does Item render for <Item key="a" label="A" />?',
+      code: `function Item(props) {
+  return <li>{props.key ?? 'no key'}-{props.label}</li>;
+}`,
+      options: ['a-A', 'no key-A', 'undefined-A', 'It throws'],
+      answer: 1,
+      explanation: 'key is consumed by React and is not passed down as a prop. Pass the id separately if the child needs it.',
+      example: 'nested-lists',
+    },
+  ],
+  formHandling: [
+    {
+      id: 'formHandling-controlled-null',
+      type: 'bug',
+      prompt: 'React warns that an input switches from uncontrolled to controlled. Which line causes it?',
+      code: `function Email() {
+  const [email, setEmail] = useState();
+  return (
+    <input value={email} onChange={(e) => setEmail(e.target.value)} />
+  );
+}`,
+      options: [
+        'Line 2: the initial state is undefined, so the input starts uncontrolled; use an empty string',
+        'Line 4: onChange must be onInput',
+        'Line 4: value must be defaultValue',
+        'There is no bug',
+      ],
+      answer: 0,
+      explanation: 'value={undefined} means "uncontrolled". Initialize with useState("").',
+      example: 'controlled-input',
+    },
+    {
+      id: 'formHandling-submit',
+      type: 'choice',
+      prompt: 'Why call e.preventDefault() in a form onSubmit handler?',
+      options: [
+        'To stop the event bubbling',
+        'To stop the browser from navigating/reloading with a native form submission',
+        'To clear the inputs',
+        'To validate the form',
+      ],
+      answer: 1,
+      explanation: 'The default submit action reloads the page; SPAs handle submission in JavaScript instead.',
+      example: 'validation-and-submit',
+    },
+    {
+      id: 'formHandling-uncontrolled',
+      type: 'choice',
+      prompt: 'How do you read the value of an uncontrolled input?',
+      options: ['From state', 'Through a ref to the DOM node (ref.current.value)', 'From props.value', 'It cannot be read'],
+      answer: 1,
+      explanation: 'Uncontrolled inputs keep their value in the DOM; read it with a ref when needed.',
+      example: 'uncontrolled-input',
+    },
+  ],
+  lifecycle: [
+    {
+      id: 'lifecycle-unmount',
+      type: 'choice',
+      prompt: 'Which hook pattern replaces componentWillUnmount?',
+      options: [
+        'useEffect with a cleanup function and an empty dependency array',
+        'useLayoutEffect without dependencies',
+        'useMemo returning a function',
+        'useState with a function initializer',
+      ],
+      answer: 0,
+      explanation: 'The cleanup returned from an effect with [] runs when the component unmounts.',
+      example: 'mount-and-unmount',
+    },
+    {
+      id: 'lifecycle-update-order',
+      type: 'predict',
+      prompt: 'count changes from 1 to 2. What is logged?',
+      code: `useEffect(() => {
+  console.log('run', count);
+  return () => console.log('cleanup', count);
+}, [count]);`,
+      options: ['cleanup 1, run 2', 'run 2, cleanup 1', 'cleanup 2, run 2', 'run 2'],
+      answer: 0,
+      explanation: 'Before re-running, React calls the previous cleanup, which still sees the old count from its closure.',
+      example: 'update-effect',
+    },
+    {
+      id: 'lifecycle-class',
+      type: 'choice',
+      prompt: 'Which class method corresponds to useEffect(fn, [value])?',
+      options: [
+        'componentDidMount only',
+        'componentDidMount plus componentDidUpdate when value changed',
+        'render',
+        'getDerivedStateFromProps',
+      ],
+      answer: 1,
+      explanation: 'An effect with dependencies covers both mount and the relevant updates.',
+      example: 'class-vs-function-lifecycle',
+    },
+  ],
+  errorBoundary: [
+    {
+      id: 'errorBoundary-handlers',
+      type: 'choice',
+      prompt: 'Which error does an error boundary NOT catch?',
+      options: [
+        'An error thrown while rendering a child',
+        'An error thrown in a child’s useEffect',
+        'An error thrown inside an onClick handler',
+        'An error thrown in a child’s constructor',
+      ],
+      answer: 2,
+      explanation: 'Event handlers run outside rendering; catch those with try/catch and set state if you want the boundary to show.',
+      example: 'basic-error-boundary',
+    },
+    {
+      id: 'errorBoundary-methods',
+      type: 'choice',
+      prompt: 'Which pair of methods makes a class component an error boundary?',
+      options: [
+        'componentDidMount and componentWillUnmount',
+        'static getDerivedStateFromError and componentDidCatch',
+        'shouldComponentUpdate and render',
+        'getSnapshotBeforeUpdate and componentDidUpdate',
+      ],
+      answer: 1,
+      explanation: 'getDerivedStateFromError switches to the fallback UI; componentDidCatch is for logging.',
+      example: 'logging-errors',
+    },
+    {
+      id: 'errorBoundary-reset',
+      type: 'bug',
+      prompt: '"Try Again" shows the fallback again immediately. What is missing?',
+      code: `handleReset = () => this.setState({ hasError: false });
+
+render() {
+  if (this.state.hasError) {
+    return <button onClick={this.handleReset}>Try Again</button>;
+  }
+  return <AlwaysThrows />;
+}`,
+      options: [
+        'Nothing: the child still throws on render, so the boundary catches it again; the cause must change (e.g. reset keys or new props)',
+        'handleReset must be async',
+        'render must return null first',
+        'hasError must be a number',
+      ],
+      answer: 0,
+      explanation: 'Resetting only helps if the child will render differently the next time.',
+      example: 'fallback-ui-and-reset',
+    },
+  ],
+  portals: [
+    {
+      id: 'portals-bubbling',
+      type: 'predict',
+      prompt: 'A button inside a portal (rendered into document.body) is clicked. What is logged?',
+      code: `<div onClick={() => console.log('parent')}>
+  {createPortal(
+    <button onClick={() => console.log('button')}>Click</button>,
+    document.body
+  )}
+</div>`,
+      options: ['button', 'button, parent', 'parent, button', 'Nothing'],
+      answer: 1,
+      explanation: 'React events bubble through the React tree, not the DOM tree, so the parent handler still runs.',
+      example: 'modal-with-portal',
+    },
+    {
+      id: 'portals-context',
+      type: 'choice',
+      prompt: 'Does a component rendered through a portal see context from its React parents?',
+      options: ['No, portals start a new tree', 'Yes, context follows the React tree', 'Only for the theme context', 'Only if the container is inside #root'],
+      answer: 1,
+      explanation: 'Portals change where DOM nodes go, not the component hierarchy.',
+      example: 'context-menu-with-portal',
+    },
+    {
+      id: 'portals-why',
+      type: 'choice',
+      prompt: 'Why render modals and tooltips through a portal?',
+      options: [
+        'Portals render faster',
+        'To escape parent overflow: hidden, z-index and stacking contexts',
+        'So they are not affected by state',
+        'Portals are required for position: fixed',
+      ],
+      answer: 1,
+      explanation: 'Rendering into document.body keeps overlays from being clipped by ancestors.',
+      example: 'tooltip-with-portal',
+    },
+  ],
+  forwardRef: [
+    {
+      id: 'forwardRef-plain',
+      type: 'bug',
+      prompt: 'inputRef.current is always null. Which line is the bug?',
+      code: `function FancyInput(props) {
+  return <input className="fancy" {...props} />;
+}
+
+function Form() {
+  const inputRef = useRef(null);
+  return <FancyInput ref={inputRef} />;
+}`,
+      options: [
+        'Line 1: function components do not receive ref as a prop; wrap FancyInput in forwardRef',
+        'Line 6: useRef needs an initial DOM node',
+        'Line 2: spreading props is not allowed',
+        'There is no bug',
+      ],
+      answer: 0,
+      explanation: 'In React 18, ref is stripped from props. forwardRef((props, ref) => <input ref={ref} />) passes it through.',
+      example: 'focus-input-with-forwarded-ref',
+    },
+    {
+      id: 'forwardRef-imperative',
+      type: 'choice',
+      prompt: 'What does useImperativeHandle(ref, () => ({ focus })) do?',
+      options: [
+        'Gives the parent the raw DOM node',
+        'Exposes only the listed methods to the parent instead of the DOM node',
+        'Focuses the element on mount',
+        'Creates a new ref',
+      ],
+      answer: 1,
+      explanation: 'It customizes the instance value the parent sees, keeping the child’s DOM private.',
+      example: 'parent-access-to-child-methods',
+    },
+    {
+      id: 'forwardRef-callback',
+      type: 'predict',
+      prompt: 'The element mounts and later unmounts. What is logged?',
+      code: `<div ref={(node) => console.log(node ? 'attached' : 'detached')} />`,
+      options: ['attached, detached', 'attached', 'detached, attached', 'Nothing'],
+      answer: 0,
+      explanation: 'Callback refs are called with the node on mount and with null on unmount.',
+      example: 'callback-ref',
+    },
+  ],
+  fragments: [
+    {
+      id: 'fragments-key',
+      type: 'choice',
+      prompt: 'When must you use <Fragment key={...}> instead of <>...</>?',
+      options: ['Inside tables', 'When the fragment is returned from a list map and needs a key', 'Never', 'When it has more than two children'],
+      answer: 1,
+      explanation: 'The short syntax cannot take attributes; keyed fragments need the explicit form.',
+      example: 'keyed-fragments-in-lists',
+    },
+    {
+      id: 'fragments-table',
+      type: 'bug',
+      prompt: 'The browser warns about invalid DOM nesting. Which line is the bug?',
+      code: `function Columns() {
+  return (
+    <div>
+      <td>Name</td>
+      <td>Email</td>
+    </div>
+  );
+}`,
+      options: [
+        'Line 3: the wrapping div ends up inside <tr>; return a fragment instead',
+        'Line 4: td needs a key',
+        'Line 2: return needs an array',
+        'There is no bug',
+      ],
+      answer: 0,
+      explanation: 'A <tr> may only contain cells. Fragments group children without adding a DOM node.',
+      example: 'table-rows-with-fragments',
+    },
+    {
+      id: 'fragments-dom',
+      type: 'predict',
+      prompt: 'How many element children does the <section> have in the DOM?',
+      code: `<section>
+  <>
+    <h1>Title</h1>
+    <p>Body</p>
+  </>
+</section>`,
+      options: ['2', '1', '3', '0'],
+      answer: 0,
+      explanation: 'Fragments render no DOM node, so h1 and p are direct children of section.',
+      example: 'basic-fragment',
+    },
+  ],
+  memo: [
+    {
+      id: 'memo-inline-object',
+      type: 'bug',
+      prompt: 'Chart is wrapped in React.memo but re-renders on every parent render. Which line is the cause?',
+      code: `const Chart = memo(function Chart({ options }) {
+  return <canvas data-type={options.type} />;
+});
+
+function Dashboard() {
+  const [count, setCount] = useState(0);
+  return <Chart options={{ type: 'bar' }} />;
+}`,
+      options: [
+        'Line 7: a new options object is created each render, so the shallow prop comparison fails',
+        'Line 1: memo cannot wrap named functions',
+        'Line 6: the unused state causes all children to re-render',
+        'Line 2: canvas cannot be memoized',
+      ],
+      answer: 0,
+      explanation: 'memo compares props with Object.is. Hoist the constant or wrap it in useMemo.',
+      example: 'props-change-optimization',
+    },
+    {
+      id: 'memo-state',
+      type: 'choice',
+      prompt: 'A memoized component has its own useState. What happens when that state changes?',
+      options: ['It does not re-render because it is memoized', 'It re-renders; memo only skips renders caused by unchanged props from the parent', 'The parent re-renders too', 'React throws'],
+      answer: 1,
+      explanation: 'memo is about props. A component always re-renders for its own state or context changes.',
+      example: 'pure-component-with-react-memo',
+    },
+    {
+      id: 'memo-compare',
+      type: 'choice',
+      prompt: 'What does the second argument to React.memo do?',
+      options: [
+        'Sets a render timeout',
+        'A custom arePropsEqual(prev, next); returning true skips the render',
+        'Lists props to ignore',
+        'Forces a re-render',
+      ],
+      answer: 1,
+      explanation: 'Note that it returns true when props are equal, the opposite of shouldComponentUpdate.',
+      example: 'expensive-render-avoidance',
+    },
+  ],
+  timeoutInterval: [
+    {
+      id: 'timeoutInterval-stale-interval',
+      type: 'bug',
+      prompt: 'The counter goes from 0 to 1 and then stops. Which line is the bug?',
+      code: `function Ticker() {
+  const [count, setCount] = useState(0);
+  useEffect(() => {
+    const id = setInterval(() => setCount(count + 1), 1000);
+    return () => clearInterval(id);
+  }, []);
+  return <p>{count}</p>;
+}`,
+      options: [
+        'Line 4: the interval closes over count = 0; use setCount((c) => c + 1)',
+        'Line 5: clearInterval must not be in the cleanup',
+        'Line 6: the effect must run on every render',
+        'Line 2: count must be a ref',
+      ],
+      answer: 0,
+      explanation: 'With [] the callback keeps the first render’s count. The functional updater always reads the latest value.',
+      example: 'interval-counter',
+    },
+    {
+      id: 'timeoutInterval-order',
+      type: 'predict',
+      prompt: 'What is the order of the logs?',
+      code: `console.log('A');
+setTimeout(() => console.log('B'), 0);
+Promise.resolve().then(() => console.log('C'));
+console.log('D');`,
+      options: ['A, D, C, B', 'A, B, C, D', 'A, D, B, C', 'A, C, D, B'],
+      answer: 0,
+      explanation: 'Synchronous code first, then microtasks (promises), then macrotasks (timers).',
+      example: 'basic-timeout',
+    },
+    {
+      id: 'timeoutInterval-cleanup',
+      type: 'choice',
+      prompt: 'Why clear timers in the effect cleanup?',
+      options: [
+        'Timers are cleared automatically on unmount',
+        'So callbacks do not run after unmount (leaks and state updates on unmounted components)',
+        'It makes the timer more accurate',
+        'Required by the browser',
+      ],
+      answer: 1,
+      explanation: 'Pending timers keep closures alive and fire after the component is gone unless cleared.',
+      example: 'multiple-timers-with-cleanup',
+    },
+  ],
+  debounceThrottle: [
+    {
+      id: 'debounceThrottle-difference',
+      type: 'choice',
+      prompt: 'Typing "react" quickly into a search box with a 500ms debounce triggers how many searches?',
+      options: ['5', '1, after typing pauses for 500ms', '1 immediately', 'One every 500ms while typing'],
+      answer: 1,
+      explanation: 'Debounce waits for a pause; throttle would instead fire at most once per interval while typing continues.',
+      example: 'debounced-search-input',
+    },
+    {
+      id: 'debounceThrottle-recreated',
+      type: 'bug',
+      prompt: 'The debounced save fires on every keystroke. Which line is the bug?',
+      code: `function Editor() {
+  const [text, setText] = useState('');
+  const save = debounce((value) => api.save(value), 500);
+  return <textarea onChange={(e) => { setText(e.target.value); save(e.target.value); }} />;
+}`,
+      options: [
+        'Line 3: a new debounced function (with a new timer) is created on every render; keep it in useMemo/useRef',
+        'Line 4: setText must be called after save',
+        'Line 2: the state must start as null',
+        'Line 3: 500ms is too short',
+      ],
+      answer: 0,
+      explanation: 'Each render creates a fresh debounce with its own pending timer, so nothing is ever cancelled.',
+      example: 'custom-hook-implementation',
+    },
+    {
+      id: 'debounceThrottle-scroll',
+      type: 'choice',
+      prompt: 'Which technique fits updating a "scroll progress" indicator?',
+      options: ['Debounce, so it updates when scrolling stops', 'Throttle, so it updates regularly but not on every event', 'Neither, use setInterval', 'useMemo'],
+      answer: 1,
+      explanation: 'Throttling keeps feedback continuous while capping how often the handler runs.',
+      example: 'throttled-scroll-events',
+    },
+  ],
+  animation: [
+    {
+      id: 'animation-transition-trigger',
+      type: 'choice',
+      prompt: 'What triggers a CSS transition on an element?',
+      options: ['Mounting the element', 'A change to a transitioned property value', 'Calling requestAnimationFrame', 'Adding a key'],
+      answer: 1,
+      explanation: 'Transitions animate between two values of a property; an element that mounts with its final style does not transition.',
+      example: 'css-transitions',
+    },
+    {
+      id: 'animation-raf',
+      type: 'choice',
+      prompt: 'Why use requestAnimationFrame for JS animations instead of setInterval(fn, 16)?',
+      options: [
+        'It runs faster than 60fps',
+        'It syncs with the browser’s paint cycle and pauses in background tabs',
+        'setInterval cannot update styles',
+        'It works without a callback',
+      ],
+      answer: 1,
+      explanation: 'rAF is called right before paint and throttled when the tab is hidden.',
+      example: 'animation-with-javascript',
+    },
+    {
+      id: 'animation-raf-cleanup',
+      type: 'bug',
+      prompt: 'The animation keeps running after the component unmounts. What is missing?',
+      code: `useEffect(() => {
+  const step = () => {
+    setX((x) => x + 1);
+    requestAnimationFrame(step);
+  };
+  requestAnimationFrame(step);
+}, []);`,
+      options: [
+        'A cleanup that calls cancelAnimationFrame with the latest frame id',
+        'A dependency on x',
+        'Wrapping step in useCallback',
+        'Nothing, rAF stops on unmount',
+      ],
+      answer: 0,
+      explanation: 'Store the id returned by each requestAnimationFrame call and cancel it in the cleanup.',
+      example: 'staggered-animations',
+    },
+  ],
+  polling: [
+    {
+      id: 'polling-timeout-chain',
+      type: 'choice',
+      prompt: 'Why poll with a chained setTimeout (schedule the next request after the previous finishes) instead of setInterval?',
+      options: [
+        'setInterval is deprecated',
+        'Slow responses cannot pile up, because a new request only starts after the last one settled',
+        'setTimeout is more accurate',
+        'It uses less memory',
+      ],
+      answer: 1,
+      explanation: 'With setInterval, a slow API can have several overlapping requests in flight.',
+      example: 'basic-api-polling',
+    },
+    {
+      id: 'polling-stop-condition',
+      type: 'bug',
+      prompt: 'Polling continues after the job reports "done". Which line is the bug?',
+      code: `useEffect(() => {
+  const id = setInterval(async () => {
+    const job = await getJob();
+    setStatus(job.status);
+  }, 2000);
+  return () => clearInterval(id);
+}, []);`,
+      options: [
+        'The effect never stops the interval when status becomes "done"; depend on status or clear it when done',
+        'Line 3: await is not allowed in intervals',
+        'Line 6: the cleanup runs too early',
+        'Line 5: 2000ms is too fast',
+      ],
+      answer: 0,
+      explanation: 'Stop polling when a terminal state arrives, e.g. clear the interval once job.status === "done".',
+      example: 'conditional-polling',
+    },
+    {
+      id: 'polling-visibility',
+      type: 'choice',
+      prompt: 'A cheap way to reduce polling load from idle users is to...',
+      options: ['Poll faster', 'Pause while document.visibilityState is "hidden"', 'Use useMemo', 'Poll from a portal'],
+      answer: 1,
+      explanation: 'Listening to visibilitychange avoids requests from background tabs.',
+      example: 'status-checking',
+    },
+  ],
+};
+
+export default quizBank;
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+
+// Text the user has selected inside a .code-block within `ref`, with the selection's
+// on-screen rectangle for positioning a popup. `clear()` drops it (and the browser selection).
+export function useCodeSelection(ref) {
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    const handleSelectionChange = () => {
+      const current = window.getSelection();
+      const text = current ? current.toString().trim() : '';
+      if (!text || current.rangeCount === 0) {
+        setSelection(null);
+        return;
+      }
+      const range = current.getRangeAt(0);
+      const node = range.commonAncestorContainer;
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      const codeBlock = element && element.closest('.code-block');
+      if (!codeBlock || !ref.current || !ref.current.contains(codeBlock)) {
+        setSelection(null);
+        return;
+      }
+      // Line numbers are aria-hidden gutter text; leave them out of the quote
+      const fragment = range.cloneContents();
+      fragment.querySelectorAll('.line-number').forEach((number) => number.remove());
+      setSelection({ text: fragment.textContent.trim() || text, rect: range.getBoundingClientRect() });
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [ref]);
+
+  const clear = () => {
+    window.getSelection().removeAllRanges();
+    setSelection(null);
+  };
+
+  return { selection, clear };
+}
@@ -0,0 +1,74 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { getEffectTimeline, logEffectEvent, markStrict, subscribeEffectTimeline } from '../utils/effectTimeline';
+
+export function useEffectTimeline() {
+  return useSyncExternalStore(subscribeEffectTimeline, getEffectTimeline);
+}
+
+const sameDeps = (previous, deps) =>
+  previous.length === deps.length && deps.every((value, index) => Object.is(value, previous[index]));
+
+const diffDeps = (previous, deps, names) => {
+  if (!deps) return 'every-render';
+  if (!previous) return null;
+  return deps
+    .map((value, index) => ({ name: names[index] || `deps[${index}]`, from: previous[index], to: value }))
+    .filter(({ from, to }) => !Object.is(from, to));
+};
+
+// Logs the calling component's mount and unmount to its lane on the effect timeline.
+// A real remount is a new instance with new refs, so a mount that finds its refs already set can only be
+// StrictMode's simulated one.
+export function useTraceLifecycle(lane) {
+  const mounted = useRef(false);
+  const lastUnmount = useRef(null);
+
+  useEffect(() => {
+    const replayed = mounted.current;
+    mounted.current = true;
+    if (replayed && lastUnmount.current) markStrict(lastUnmount.current);
+    logEffectEvent({ lane, type: 'mount', strict: replayed });
+    return () => {
+      lastUnmount.current = logEffectEvent({ lane, type: 'unmount' });
+    };
+  }, [lane]);
+}
+
+// useEffect that logs each run and cleanup, with the dependencies that changed: `deps` is the same
+// array useEffect would take (left out to run after every render) and `names` labels its entries for
+// the timeline, e.g. useTracedEffect('Form', effect, [name, age], ['name', 'age']).
+// The caller's array is compared here, and the effect depends on a version bumped when it changes,
+// so its own dependency list stays one the lint rule can check. A run for a version that already ran
+// is StrictMode's extra run, since only a new render can change the dependencies.
+export function useTracedEffect(lane, effect, deps, names = []) {
+  const latest = useRef(null);
+  const version = useRef(0);
+  const lastRun = useRef(null);
+  const lastDeps = useRef(null);
+  const lastCleanup = useRef(null);
+
+  const previous = latest.current && latest.current.deps;
+  if (!deps || !previous || !sameDeps(previous, deps)) version.current += 1;
+  latest.current = { effect, deps, names };
+  const run = version.current;
+
+  useEffect(() => {
+    const { effect: current, deps: currentDeps, names: currentNames } = latest.current;
+    const replayed = lastRun.current === run;
+    lastRun.current = run;
+    if (replayed && lastCleanup.current) markStrict(lastCleanup.current);
+    logEffectEvent({
+      lane,
+      type: 'effect',
+      strict: replayed,
+      changes: replayed ? [] : diffDeps(lastDeps.current, currentDeps, currentNames),
+    });
+    lastDeps.current = currentDeps;
+
+    const cleanup = current();
+    return () => {
+      lastCleanup.current = logEffectEvent({ lane, type: 'cleanup' });
+      if (typeof cleanup === 'function') cleanup();
+    };
+  }, [lane, run]);
+}
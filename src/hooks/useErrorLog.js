@@ -0,0 +1,34 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+export const ERROR_LOG_STORAGE_KEY = 'react-learning:error-log';
+
+const MAX_ERRORS = 100;
+const NO_ERRORS = [];
+
+// Errors caught by the app's boundaries, newest first:
+// [{ id, time, origin: 'example' | 'section' | 'playground', sectionKey, exampleId, label, message, stack, componentStack }]
+export function useErrorLog() {
+  const [errors, setErrors, clearErrors] = useLocalStorage(ERROR_LOG_STORAGE_KEY, NO_ERRORS);
+
+  const logError = useCallback(
+    ({ origin, sectionKey = null, exampleId = null, label }, error, info = {}) => {
+      const time = new Date().toISOString();
+      const entry = {
+        id: `${time}-${Math.random().toString(36).slice(2, 8)}`,
+        time,
+        origin,
+        sectionKey,
+        exampleId,
+        label,
+        message: error ? `${error.name || 'Error'}: ${error.message}` : 'Unknown error',
+        stack: (error && error.stack) || '',
+        componentStack: (info.componentStack || '').trim(),
+      };
+      setErrors((previous) => [entry, ...previous].slice(0, MAX_ERRORS));
+    },
+    [setErrors]
+  );
+
+  return { errors, logError, clearErrors };
+}
@@ -0,0 +1,49 @@
+import { useCallback } from 'react';
+import { dayKey, isDue, reviewCard } from '../utils/srs';
+import { useLocalStorage } from './useLocalStorage';
+
+export const FLASHCARD_REVIEWS_STORAGE_KEY = 'react-learning:flashcard-reviews';
+export const CUSTOM_FLASHCARDS_STORAGE_KEY = 'react-learning:custom-flashcards';
+
+const NO_SCHEDULES = {};
+const NO_CARDS = [];
+
+// SM-2 schedules by card id, plus the user's own cards:
+// [{ id, sectionKey, front, back, custom: true, createdAt }]
+export function useFlashcards() {
+  const [schedules, setSchedules, resetSchedules] = useLocalStorage(FLASHCARD_REVIEWS_STORAGE_KEY, NO_SCHEDULES);
+  const [customCards, setCustomCards] = useLocalStorage(CUSTOM_FLASHCARDS_STORAGE_KEY, NO_CARDS);
+
+  const recordReview = useCallback(
+    (cardId, quality) => {
+      setSchedules((previous) => ({ ...previous, [cardId]: reviewCard(previous[cardId], quality) }));
+    },
+    [setSchedules]
+  );
+
+  const addCard = useCallback(
+    ({ sectionKey, front, back }) => {
+      const createdAt = new Date().toISOString();
+      const card = { id: `custom:${Date.now().toString(36)}`, sectionKey, front, back, custom: true, createdAt };
+      setCustomCards((previous) => [...previous, card]);
+    },
+    [setCustomCards]
+  );
+
+  const deleteCard = useCallback(
+    (cardId) => {
+      setCustomCards((previous) => previous.filter((card) => card.id !== cardId));
+      setSchedules((previous) => {
+        const next = { ...previous };
+        delete next[cardId];
+        return next;
+      });
+    },
+    [setCustomCards, setSchedules]
+  );
+
+  const today = dayKey();
+  const dueCount = Object.values(schedules).filter((schedule) => isDue(schedule, today)).length;
+
+  return { schedules, customCards, recordReview, addCard, deleteCard, resetSchedules, dueCount };
+}
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useInspectedState } from './useInspectedState';
+
+const presentValue = (history) => history.present.value;
+
+// useState with undo / redo: past and future stacks around the present value.
+// Works like useState, plus history controls as a third element. Edits passed the same
+// `coalesceKey` within `coalesceMs` merge into one step (typing a word is one undo, not one
+// per keystroke); beyond `maxHistory` steps the oldest ones are dropped.
+// `name` labels the state in the state inspector, which shows only the present value.
+export function useHistoryState(initialValue, { maxHistory = 50, coalesceMs = 1000, name = 'history' } = {}) {
+  const [history, setHistory] = useInspectedState(
+    () => ({
+      past: [],
+      present: { value: initialValue, label: 'Initial state' },
+      future: [],
+    }),
+    name,
+    { format: presentValue }
+  );
+  const lastEditRef = useRef({ key: null, time: 0 });
+
+  const setValue = useCallback(
+    (update, { label = 'Update', coalesceKey = null } = {}) => {
+      // Decided outside the updater, which React may call twice in Strict Mode
+      const now = Date.now();
+      const lastEdit = lastEditRef.current;
+      const coalesce = coalesceKey !== null && lastEdit.key === coalesceKey && now - lastEdit.time < coalesceMs;
+      lastEditRef.current = { key: coalesceKey, time: now };
+
+      setHistory((prev) => {
+        const value = typeof update === 'function' ? update(prev.present.value) : update;
+        if (Object.is(value, prev.present.value)) return prev;
+        return {
+          past: coalesce ? prev.past : [...prev.past, prev.present].slice(-maxHistory),
+          present: { value, label },
+          future: [],
+        };
+      });
+    },
+    [setHistory, maxHistory, coalesceMs]
+  );
+
+  // Moving through history ends any run of merged edits
+  const move = useCallback(
+    (change) => {
+      lastEditRef.current = { key: null, time: 0 };
+      setHistory(change);
+    },
+    [setHistory]
+  );
+
+  const undo = useCallback(
+    () =>
+      move((prev) =>
+        prev.past.length === 0
+          ? prev
+          : {
+              past: prev.past.slice(0, -1),
+              present: prev.past[prev.past.length - 1],
+              future: [prev.present, ...prev.future],
+            }
+      ),
+    [move]
+  );
+
+  const redo = useCallback(
+    () =>
+      move((prev) =>
+        prev.future.length === 0
+          ? prev
+          : {
+              past: [...prev.past, prev.present],
+              present: prev.future[0],
+              future: prev.future.slice(1),
+            }
+      ),
+    [move]
+  );
+
+  // `step` indexes the whole timeline: past steps, then the present, then future steps
+  const jumpTo = useCallback(
+    (step) =>
+      move((prev) => {
+        const timeline = [...prev.past, prev.present, ...prev.future];
+        if (step < 0 || step >= timeline.length) return prev;
+        return {
+          past: timeline.slice(0, step),
+          present: timeline[step],
+          future: timeline.slice(step + 1),
+        };
+      }),
+    [move]
+  );
+
+  const { past, present, future } = history;
+  return [
+    present.value,
+    setValue,
+    {
+      undo,
+      redo,
+      jumpTo,
+      canUndo: past.length > 0,
+      canRedo: future.length > 0,
+      timeline: [...past, present, ...future].map((entry) => entry.label),
+      step: past.length,
+    },
+  ];
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (⌘ on a Mac) for the demo last clicked or focused. Listening on the
+// window keeps the keys working after the focused element is gone (e.g. a deleted item's button).
+export function useUndoShortcuts(ref, { undo, redo }) {
+  const activeRef = useRef(false);
+
+  useEffect(() => {
+    const track = (e) => {
+      activeRef.current = ref.current !== null && ref.current.contains(e.target);
+    };
+    const handleKeyDown = (e) => {
+      if (!activeRef.current || !(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) redo();
+      else undo();
+    };
+
+    document.addEventListener('pointerdown', track);
+    document.addEventListener('focusin', track);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', track);
+      document.removeEventListener('focusin', track);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [ref, undo, redo]);
+}
@@ -0,0 +1,67 @@
+import { useCallback, useContext, useEffect, useId, useLayoutEffect, useRef, useState, useSyncExternalStore } from 'react';
+import ProfilerContext from '../context/ProfilerContext';
+import { getInspectorState, recordTransition, registerState, subscribeInspector } from '../utils/stateInspectorStore';
+
+const describeEvent = (event) => {
+  if (!event) return 'timer / effect';
+  const target = event.target instanceof Element ? event.target : null;
+  const name = target && (target.getAttribute('aria-label') || target.textContent.trim() || target.getAttribute('placeholder'));
+  return name ? `${event.type} · ${name.slice(0, 24)}` : event.type;
+};
+
+// useState that reports every update to the state inspector. The setter works out the value the
+// update will produce itself (calling functional updaters once more, which StrictMode requires to be
+// safe anyway) and still hands React the original update, so batching behaves exactly as with useState.
+// `format` picks what the inspector shows of a larger value.
+export function useInspectedState(initialValue, label, { format } = {}) {
+  const example = useContext(ProfilerContext);
+  const stateKey = `${example || 'playground'}:${label}:${useId()}`;
+  const [value, setValue] = useState(initialValue);
+  const committed = useRef(value);
+  const pending = useRef(value);
+  const renders = useRef(0);
+  const lastRender = useRef(null);
+  const render = {};
+
+  useLayoutEffect(() => {
+    committed.current = value;
+    pending.current = value;
+  });
+
+  // Same per-render token as useTrackRender, so StrictMode's re-run effects are not counted
+  useEffect(() => {
+    if (lastRender.current === render) return;
+    lastRender.current = render;
+    renders.current += 1;
+  });
+
+  useEffect(() => registerState(stateKey, committed.current, setValue), [stateKey]);
+
+  const setInspectedValue = useCallback(
+    (update) => {
+      const before = pending.current;
+      const after = typeof update === 'function' ? update(before) : update;
+      pending.current = after;
+      recordTransition({
+        stateKey,
+        example: example || 'playground',
+        label,
+        kind: typeof update === 'function' ? 'functional' : 'direct',
+        snapshot: committed.current,
+        before,
+        after,
+        event: describeEvent(window.event),
+        render: renders.current + 1,
+        format,
+      });
+      setValue(update);
+    },
+    [stateKey, example, label, format]
+  );
+
+  return [value, setInspectedValue];
+}
+
+export function useStateInspector() {
+  return useSyncExternalStore(subscribeInspector, getInspectorState);
+}
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_KEYMAP, eventToShortcut, isTypingTarget } from '../utils/keymap';
+import { useLocalStorage } from './useLocalStorage';
+
+export const KEYMAP_STORAGE_KEY = 'react-learning:keymap';
+
+const NO_OVERRIDES = {};
+
+// Only the user's changes are stored, so new default shortcuts still show up for them.
+// An empty string unassigns an action.
+export function useKeymap() {
+  const [overrides, setOverrides, resetKeymap] = useLocalStorage(KEYMAP_STORAGE_KEY, NO_OVERRIDES);
+  const keymap = useMemo(() => ({ ...DEFAULT_KEYMAP, ...overrides }), [overrides]);
+
+  const setShortcut = useCallback(
+    (actionId, shortcut) => {
+      setOverrides((previous) => {
+        const next = { ...previous };
+        if (shortcut === DEFAULT_KEYMAP[actionId]) {
+          delete next[actionId];
+        } else {
+          next[actionId] = shortcut;
+        }
+        return next;
+      });
+    },
+    [setOverrides]
+  );
+
+  return { keymap, setShortcut, resetKeymap, customized: Object.keys(overrides).length > 0 };
+}
+
+// Calls handlers[actionId] when its shortcut is pressed anywhere on the page
+export function useShortcuts(keymap, handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const actionByShortcut = Object.fromEntries(
+      Object.entries(keymap)
+        .filter(([, shortcut]) => shortcut)
+        .map(([actionId, shortcut]) => [shortcut, actionId])
+    );
+
+    const handleKeyDown = (e) => {
+      const shortcut = eventToShortcut(e);
+      const actionId = shortcut && actionByShortcut[shortcut];
+      if (!actionId || !handlersRef.current[actionId]) return;
+      if (isTypingTarget(e.target) && !shortcut.startsWith('Mod+')) return;
+      e.preventDefault();
+      handlersRef.current[actionId](e);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap]);
+}
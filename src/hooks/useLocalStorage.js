@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Same-tab updates; other tabs are covered by the browser's own "storage" event
+const LOCAL_STORAGE_EVENT = 'app:local-storage';
+
+const readValue = (key, initialValue) => {
+  try {
+    const item = window.localStorage.getItem(key);
+    return item ? JSON.parse(item) : initialValue;
+  } catch (error) {
+    console.error('Error reading from localStorage:', error);
+    return initialValue;
+  }
+};
+
+// The useLocalStorage hook from the Custom Hooks section, extended for app-wide state:
+// - functional updates always see the latest value (no stale closure over storedValue)
+// - every component using the same key stays in sync, in this tab and in other tabs
+// - removeValue() clears the key and falls back to initialValue
+export function useLocalStorage(key, initialValue) {
+  const [storedValue, setStoredValue] = useState(() => readValue(key, initialValue));
+  const valueRef = useRef(storedValue);
+  valueRef.current = storedValue;
+
+  const initialRef = useRef(initialValue);
+
+  const setValue = useCallback(
+    (value) => {
+      try {
+        const valueToStore = value instanceof Function ? value(valueRef.current) : value;
+        valueRef.current = valueToStore;
+        setStoredValue(valueToStore);
+        window.localStorage.setItem(key, JSON.stringify(valueToStore));
+        window.dispatchEvent(new CustomEvent(LOCAL_STORAGE_EVENT, { detail: { key, value: valueToStore } }));
+      } catch (error) {
+        console.error('Error setting localStorage:', error);
+      }
+    },
+    [key]
+  );
+
+  const removeValue = useCallback(() => {
+    try {
+      window.localStorage.removeItem(key);
+      valueRef.current = initialRef.current;
+      setStoredValue(initialRef.current);
+      window.dispatchEvent(new CustomEvent(LOCAL_STORAGE_EVENT, { detail: { key, value: initialRef.current } }));
+    } catch (error) {
+      console.error('Error removing from localStorage:', error);
+    }
+  }, [key]);
+
+  useEffect(() => {
+    const handleLocalChange = (e) => {
+      if (e.detail.key === key && e.detail.value !== valueRef.current) {
+        setStoredValue(e.detail.value);
+      }
+    };
+    const handleStorage = (e) => {
+      if (e.key === key) setStoredValue(readValue(key, initialRef.current));
+    };
+
+    window.addEventListener(LOCAL_STORAGE_EVENT, handleLocalChange);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(LOCAL_STORAGE_EVENT, handleLocalChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [key]);
+
+  return [storedValue, setValue, removeValue];
+}
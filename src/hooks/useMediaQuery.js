@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+
+const matches = (query) => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+
+export function useMediaQuery(query) {
+  const [isMatch, setIsMatch] = useState(() => matches(query));
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+
+    const mediaQuery = window.matchMedia(query);
+    const handleChange = () => setIsMatch(mediaQuery.matches);
+
+    handleChange();
+    mediaQuery.addEventListener('change', handleChange);
+    return () => mediaQuery.removeEventListener('change', handleChange);
+  }, [query]);
+
+  return isMatch;
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getMockState, subscribeMock } from '../utils/mockServer';
+
+export function useMockApi() {
+  return useSyncExternalStore(subscribeMock, getMockState);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getNetworkState, subscribeNetwork } from '../utils/network';
+
+export function useNetwork() {
+  return useSyncExternalStore(subscribeNetwork, getNetworkState);
+}
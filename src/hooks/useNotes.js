@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+export const NOTES_STORAGE_KEY = 'react-learning:notes';
+
+const NO_NOTES = {};
+
+// Notes per example: { [sectionKey]: { [exampleId]: { title, text, updatedAt } } }.
+// The example title is stored with the note so the notes page can list it without loading the section.
+export function useNotes() {
+  const [notes, setNotes, clearNotes] = useLocalStorage(NOTES_STORAGE_KEY, NO_NOTES);
+
+  const getNote = (sectionKey, exampleId) => (notes[sectionKey] && notes[sectionKey][exampleId]) || null;
+
+  const saveNote = useCallback(
+    (sectionKey, exampleId, title, text) => {
+      setNotes((previous) => {
+        const section = { ...previous[sectionKey] };
+        if (text.trim()) {
+          section[exampleId] = { title, text, updatedAt: new Date().toISOString() };
+        } else {
+          delete section[exampleId];
+        }
+        return { ...previous, [sectionKey]: section };
+      });
+    },
+    [setNotes]
+  );
+
+  const noteCount = Object.values(notes).reduce((sum, section) => sum + Object.keys(section).length, 0);
+
+  return { notes, getNote, saveNote, clearNotes, noteCount };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useMemo, useState } from 'react';
+import { parseSection } from '../utils/parseSection';
+
+// Raw source and parsed examples of any registry section, for pages that work across sections.
+// `section` may be undefined (nothing picked yet).
+export function useParsedSection(section) {
+  const [state, setState] = useState({ section: null, source: null, error: null });
+
+  useEffect(() => {
+    if (!section) return undefined;
+    let ignore = false;
+    section.loadSource().then(
+      (source) => {
+        if (!ignore) setState({ section, source, error: null });
+      },
+      (error) => {
+        if (!ignore) setState({ section, source: null, error });
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [section]);
+
+  // A result for the previously picked section is never shown for the new one
+  const current = state.section === section ? state : { source: null, error: null };
+  const parsed = useMemo(() => (current.source === null ? null : parseSection(current.source)), [current.source]);
+
+  return { source: current.source, error: current.error, examples: parsed ? parsed.examples : null };
+}
@@ -0,0 +1,32 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+export const PROGRESS_STORAGE_KEY = 'react-learning:progress';
+
+const NO_PROGRESS = {};
+
+// Completion state per example: { [sectionKey]: { [exampleId]: completedAt ISO string } }
+export function useProgress() {
+  const [completed, setCompleted] = useLocalStorage(PROGRESS_STORAGE_KEY, NO_PROGRESS);
+
+  const setComplete = useCallback(
+    (sectionKey, exampleId, done) => {
+      setCompleted((previous) => {
+        const section = { ...previous[sectionKey] };
+        if (done) {
+          section[exampleId] = new Date().toISOString();
+        } else {
+          delete section[exampleId];
+        }
+        return { ...previous, [sectionKey]: section };
+      });
+    },
+    [setCompleted]
+  );
+
+  const isComplete = (sectionKey, exampleId) => Boolean(completed[sectionKey] && completed[sectionKey][exampleId]);
+
+  const completedCount = (sectionKey) => Object.keys(completed[sectionKey] || {}).length;
+
+  return { completed, isComplete, setComplete, completedCount, replaceProgress: setCompleted };
+}
@@ -0,0 +1,23 @@
+import { useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+export const QUIZ_HISTORY_STORAGE_KEY = 'react-learning:quiz-history';
+
+const MAX_HISTORY = 50;
+const NO_HISTORY = [];
+
+// Finished quizzes, newest first: [{ finishedAt, correct, total, percent, sectionKeys, timed }]
+export function useQuizHistory() {
+  const [history, setHistory, clearHistory] = useLocalStorage(QUIZ_HISTORY_STORAGE_KEY, NO_HISTORY);
+
+  const addResult = useCallback(
+    (result) => {
+      setHistory((previous) => [{ finishedAt: new Date().toISOString(), ...result }, ...previous].slice(0, MAX_HISTORY));
+    },
+    [setHistory]
+  );
+
+  const bestPercent = history.reduce((best, entry) => Math.max(best, entry.percent), 0);
+
+  return { history, addResult, clearHistory, bestPercent };
+}
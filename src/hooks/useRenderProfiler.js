@@ -0,0 +1,31 @@
+import { useCallback, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
+import ProfilerContext from '../context/ProfilerContext';
+import { getStats, recordComponentRender, subscribe } from '../utils/profilerStore';
+import { useLocalStorage } from './useLocalStorage';
+
+export const PROFILER_STORAGE_KEY = 'react-learning:profiler-overlay';
+
+export function useProfilerEnabled() {
+  const [enabled, setEnabled] = useLocalStorage(PROFILER_STORAGE_KEY, false);
+  return [enabled, setEnabled];
+}
+
+export function useProfilerStats(key) {
+  const getSnapshot = useCallback(() => getStats(key), [key]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+// Reports each committed render of the calling component to the example's profiler overlay.
+// Effects (not the render body) do the reporting, so renders React throws away are not counted;
+// the per-render token skips StrictMode's simulated unmount/remount, which re-runs effects without rendering.
+export function useTrackRender(name) {
+  const key = useContext(ProfilerContext);
+  const lastRender = useRef(null);
+  const render = {};
+
+  useEffect(() => {
+    if (!key || lastRender.current === render) return;
+    lastRender.current = render;
+    recordComponentRender(key, name);
+  });
+}
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+
+// pushState does not fire popstate, so navigate() announces changes itself
+const NAVIGATE_EVENT = 'app:navigate';
+
+// A malformed escape (e.g. /%E0%A4%A) makes decodeURIComponent throw; keep such a segment as typed,
+// which then simply matches no route
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+export function getRoute() {
+  const path = decode(window.location.pathname).replace(/^\/+|\/+$/g, '');
+  const hash = decode(window.location.hash.slice(1));
+  return { path, hash };
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const url = new URL(to, window.location.href);
+  if (url.href === window.location.href && !replace) return;
+
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(getRoute);
+
+  useEffect(() => {
+    const update = () => setRoute(getRoute());
+
+    window.addEventListener('popstate', update);
+    window.addEventListener('hashchange', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener('hashchange', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return route;
+}
@@ -0,0 +1,25 @@
+import { useContext, useEffect, useState } from 'react';
+import SectionContext from '../context/SectionContext';
+
+// Raw source text of the mounted section module (fetched on first use, then cached by the bundler)
+export function useSectionSource() {
+  const { loadSource } = useContext(SectionContext);
+  const [state, setState] = useState({ source: null, error: null });
+
+  useEffect(() => {
+    let ignore = false;
+    loadSource().then(
+      (source) => {
+        if (!ignore) setState({ source, error: null });
+      },
+      (error) => {
+        if (!ignore) setState({ source: null, error });
+      }
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [loadSource]);
+
+  return state;
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getServiceWorkerState, subscribeServiceWorker } from '../utils/serviceWorker';
+
+export function useServiceWorker() {
+  return useSyncExternalStore(subscribeServiceWorker, getServiceWorkerState);
+}
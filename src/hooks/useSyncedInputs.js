@@ -0,0 +1,60 @@
+import { useEffect } from 'react';
+
+const FIELDS = 'input, textarea, select';
+const TEXT_TYPES = new Set(['text', 'search', 'email', 'url', 'tel', 'password']);
+
+const kindOf = (field) =>
+  field.tagName === 'INPUT' ? (TEXT_TYPES.has(field.type) ? 'text' : field.type) : field.tagName.toLowerCase();
+
+// React tracks the value it last rendered; going through the prototype's setter makes the
+// dispatched event register as a real change on a controlled input
+const setNativeValue = (field, value) => {
+  Object.getOwnPropertyDescriptor(Object.getPrototypeOf(field), 'value').set.call(field, value);
+};
+
+// Mirrors what is typed, picked or ticked in one pane (the `paneSelector` elements inside the ref)
+// into the matching control of the other panes: the nth text field into the nth text field, the nth
+// checkbox into the nth checkbox, and so on. Controls without a counterpart are left alone.
+// Listening on the container means panes and fields can mount and remount freely.
+export function useSyncedInputs(containerRef, paneSelector, enabled) {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container) return undefined;
+    let mirroring = false;
+
+    const handleChange = (event) => {
+      const field = event.target;
+      const source = field.closest && field.closest(paneSelector);
+      if (mirroring || !source || !field.matches(FIELDS)) return;
+
+      const kind = kindOf(field);
+      const sameKind = (pane) => [...pane.querySelectorAll(FIELDS)].filter((other) => kindOf(other) === kind);
+      const index = sameKind(source).indexOf(field);
+
+      mirroring = true;
+      try {
+        [...container.querySelectorAll(paneSelector)]
+          .filter((pane) => pane !== source)
+          .forEach((pane) => {
+            const counterpart = sameKind(pane)[index];
+            if (!counterpart || counterpart.disabled) return;
+            if (kind === 'checkbox' || kind === 'radio') {
+              if (counterpart.checked !== field.checked) counterpart.click();
+            } else if (counterpart.value !== field.value) {
+              setNativeValue(counterpart, field.value);
+              counterpart.dispatchEvent(new Event(kind === 'select' ? 'change' : 'input', { bubbles: true }));
+            }
+          });
+      } finally {
+        mirroring = false;
+      }
+    };
+
+    container.addEventListener('input', handleChange);
+    container.addEventListener('change', handleChange);
+    return () => {
+      container.removeEventListener('input', handleChange);
+      container.removeEventListener('change', handleChange);
+    };
+  }, [containerRef, paneSelector, enabled]);
+}
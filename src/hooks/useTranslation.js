@@ -0,0 +1,6 @@
+import { useContext } from 'react';
+import I18nContext from '../context/I18nContext';
+
+export function useTranslation() {
+  return useContext(I18nContext);
+}
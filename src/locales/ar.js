@@ -0,0 +1,483 @@
+// Arabic has six plural categories; messages only list the ones their wording needs
+const ar = {
+  app: {
+    title: '🎯 مشروع تعلّم React.js - تفوّق في مقابلة الواجهات الأمامية!',
+    subtitle: 'أمثلة شاملة لكل مفهوم في React مع شروح JavaScript',
+    theme: 'المظهر:',
+    language: 'اللغة:',
+  },
+  themes: {
+    system: '🖥️ حسب النظام',
+    light: '☀️ فاتح',
+    dark: '🌙 داكن',
+    'high-contrast': '◐ تباين عالٍ',
+  },
+  nav: {
+    heading: '📚 التنقّل',
+    search: '🔍 بحث',
+    shortcuts: '⌨️ الاختصارات',
+    shortcutsTitle: 'اختصارات لوحة المفاتيح',
+    quiz: '🎓 اختبار المقابلة',
+    flashcards: '🧠 البطاقات',
+    flashcardsDue: {
+      one: '🧠 البطاقات (بطاقة واحدة مستحقة)',
+      two: '🧠 البطاقات (بطاقتان مستحقتان)',
+      few: '🧠 البطاقات ({count} بطاقات مستحقة)',
+      other: '🧠 البطاقات ({count} بطاقة مستحقة)',
+    },
+    compare: '⚖️ مقارنة',
+    mockApi: '🧪 واجهة API وهمية',
+    network: '📶 الشبكة: {profile}',
+    showProfiler: '📊 إظهار محلّل العرض',
+    hideProfiler: '📊 إخفاء محلّل العرض',
+    profilerTitle: 'عرض عدد مرات العرض وأزمنة التثبيت لكل مثال',
+    notes: '📝 الملاحظات',
+    notesCount: '📝 الملاحظات ({count})',
+    errorLog: '🐞 سجل الأخطاء',
+    errorLogCount: '🐞 سجل الأخطاء ({count})',
+  },
+  pages: {
+    quiz: '🎓 اختبار المقابلة',
+    review: '🧠 مراجعة البطاقات',
+    compare: '⚖️ مقارنة الأمثلة',
+    notes: '📝 ملاحظاتي',
+    errors: '🐞 سجل الأخطاء',
+    notFound: 'الصفحة غير موجودة',
+    quizLink: '🎓 اختبرني في هذا القسم',
+  },
+  sections: {
+    useState: 'الخطاف useState',
+    useEffect: 'الخطاف useEffect',
+    useRef: 'الخطاف useRef',
+    useContext: 'الخطاف useContext',
+    useReducer: 'الخطاف useReducer',
+    useMemo: 'الخطاف useMemo',
+    useCallback: 'الخطاف useCallback',
+    customHooks: 'الخطافات المخصّصة',
+    props: 'الخصائص (Props)',
+    eventHandling: 'معالجة الأحداث',
+    conditionalRendering: 'العرض الشرطي',
+    listRendering: 'عرض القوائم',
+    formHandling: 'التعامل مع النماذج',
+    lifecycle: 'دورة حياة المكوّن',
+    errorBoundary: 'حدود الأخطاء',
+    portals: 'البوابات (Portals)',
+    forwardRef: 'تمرير المراجع',
+    fragments: 'الأجزاء (Fragments)',
+    memo: 'React.memo',
+    timeoutInterval: 'المؤقّتات والفواصل الزمنية',
+    debounceThrottle: 'Debounce و Throttle',
+    animation: 'الحركات',
+    polling: 'الاستطلاع والوقت الحقيقي',
+  },
+  levels: {
+    beginner: '🌱 مبتدئ',
+    intermediate: '🌿 متوسط',
+    advanced: '🌳 متقدّم',
+  },
+  progress: {
+    summary: 'التقدّم: {done} / {total} مثالًا مفهومًا',
+    sectionTitle: {
+      one: '{done} من مثال واحد',
+      two: '{done} من مثالين',
+      few: '{done} من {count} أمثلة',
+      other: '{done} من {count} مثالًا',
+    },
+    export: 'تصدير التقدّم',
+    import: 'استيراد التقدّم',
+    exportedAt: ' (صُدّر في {date})',
+    confirmImport: 'استبدال التقدّم في هذا المتصفح بالملف {file}{exported}؟',
+    importFailed: 'تعذّر استيراد {file}: {message}',
+    errors: {
+      unreadable: 'تعذّرت قراءة الملف.',
+      invalidJson: 'الملف ليس JSON صالحًا.',
+      wrongFormat: 'هذا الملف ليس تصديرًا للتقدّم من هذا التطبيق.',
+      newerVersion: 'يستخدم الملف الإصدار {version} من التنسيق؛ يقرأ هذا التطبيق حتى الإصدار {supported}.',
+      malformed: 'بيانات التقدّم في هذا الملف غير سليمة.',
+    },
+  },
+  sectionNav: {
+    difficulty: 'الصعوبة',
+    allLevels: 'كل المستويات',
+    tagGroup: 'التصفية حسب الوسم',
+    learningPath: 'مسار التعلّم المقترح',
+    clearFilters: 'مسح عوامل التصفية',
+    noMatches: 'لا توجد مواضيع تطابق عوامل التصفية هذه.',
+    after: ' · بعد {topics}',
+    studyTime: '{level} · ~{minutes} دقيقة',
+  },
+  meta: {
+    minutes: {
+      one: '⏱️ ~دقيقة واحدة',
+      two: '⏱️ ~دقيقتان',
+      few: '⏱️ ~{count} دقائق',
+      other: '⏱️ ~{count} دقيقة',
+    },
+    before: 'قبل هذا:',
+    contentLanguage: '📘 الدروس نفسها (الشروح والعروض والشيفرة) باللغة الإنجليزية.',
+  },
+  next: {
+    heading: 'الموضوع المقترح التالي ({reason}):',
+    buildsOn: 'يبني على {topic}',
+    related: 'مرتبط بـ {topic}',
+    path: 'التالي في مسار التعلّم',
+    relatedTopics: 'مواضيع ذات صلة:',
+    allDone: '🏆 لقد أنهيت جميع المواضيع!',
+    tryQuiz: 'جرّب {quiz} الآن.',
+    quiz: 'اختبار المقابلة',
+  },
+  notFound: {
+    title: '🤔 لا يوجد شيء في /{path}',
+    body: 'ربما يكون الرابط قديمًا أو مكتوبًا بشكل خاطئ. اختر أحد المواضيع أدناه.',
+  },
+  sectionError: {
+    chunkTitle: 'تعذّر تحميل هذا القسم',
+    crashTitle: 'تعطّل هذا القسم',
+    chunkBody: 'فشل تنزيل شيفرة هذا الموضوع. تحقّق من اتصالك وحاول مرة أخرى.',
+    componentStack: 'مكدّس المكوّنات',
+    tryAgain: 'إعادة المحاولة',
+    reload: 'إعادة تحميل الصفحة',
+  },
+  palette: {
+    label: 'البحث في الأقسام والأمثلة والشيفرة',
+    placeholder: 'ابحث في المواضيع والأمثلة والمفاهيم والشيفرة...',
+    indexFailed: 'تعذّر إنشاء فهرس البحث: {message}',
+    indexing: 'جارٍ فهرسة الأمثلة...',
+    noMatches: 'لا نتائج لـ «{query}»',
+    section: 'قسم',
+    move: '↑↓ للتنقّل',
+    open: 'Enter للفتح',
+    close: 'Esc للإغلاق',
+  },
+  shortcuts: {
+    title: '⌨️ اختصارات لوحة المفاتيح',
+    actions: {
+      nextSection: 'القسم التالي',
+      prevSection: 'القسم السابق',
+      nextExample: 'المثال التالي',
+      prevExample: 'المثال السابق',
+      toggleCode: 'إظهار / إخفاء شيفرة المثال الحالي',
+      search: 'فتح البحث',
+      toggleTheme: 'التبديل بين المظهر الفاتح والداكن',
+      help: 'عرض اختصارات لوحة المفاتيح',
+    },
+    notSet: 'غير معيّن',
+    recording: 'اضغط مفتاحًا... (Esc للإلغاء)',
+    change: 'تغيير',
+    cancel: 'إلغاء',
+    default: 'الافتراضي',
+    confirmMove: '{shortcut} مستخدم بالفعل لـ «{action}». هل تريد نقله إلى هنا؟',
+    hint: 'يتم تجاهل الاختصارات ذات المفتاح الواحد أثناء الكتابة في حقل نصي. تُحفظ اختصاراتك في هذا المتصفح.',
+    resetAll: 'إعادة الكل إلى الافتراضي',
+    close: 'إغلاق',
+  },
+  i18n: {
+    missingTitle: {
+      one: 'ترجمة واحدة ناقصة في «{locale}»',
+      two: 'ترجمتان ناقصتان في «{locale}»',
+      few: '{count} ترجمات ناقصة في «{locale}»',
+      other: '{count} ترجمة ناقصة في «{locale}»',
+    },
+    copy: 'نسخ بصيغة JSON',
+  },
+  mockApi: {
+    title: '🧪 واجهة API وهمية',
+    close: 'إغلاق',
+    enabled: 'الرد على طلبات {origin} داخل التطبيق',
+    latency: 'زمن الخادم: {ms} مللي ثانية',
+    errorRate: 'نسبة الأخطاء: {percent}٪',
+    failWith: 'تُرجع الطلبات الفاشلة:',
+    networkError: 'خطأ في الشبكة (يُرفض fetch)',
+    statuses: {
+      500: '500 خطأ داخلي في الخادم',
+      503: '503 الخدمة غير متاحة',
+      404: '404 غير موجود',
+      429: '429 طلبات كثيرة جدًا',
+      401: '401 غير مصرّح',
+    },
+    stats: {
+      zero: 'لا طلبات، {failures} فاشلة',
+      one: 'طلب واحد، {failures} فاشلة',
+      two: 'طلبان، {failures} فاشلة',
+      few: '{count} طلبات، {failures} فاشلة',
+      other: '{count} طلبًا، {failures} فاشلة',
+    },
+    resetStats: 'إعادة التعيين',
+  },
+  network: {
+    title: '📶 ظروف الشبكة',
+    close: 'إغلاق',
+    profile: 'ملف الشبكة',
+    profiles: { fast: '🚀 سريعة', '3g': '📱 3G', flaky: '🌩️ متقطّعة', offline: '📴 غير متصل' },
+    profileHints: {
+      fast: 'رحلات ذهاب وإياب من 20 إلى 80 مللي ثانية، دون فقدان أي طلب',
+      '3g': 'رحلات ذهاب وإياب من 0.3 إلى 1.5 ثانية، مع فقدان طلب من حين لآخر',
+      flaky: 'من فوري إلى 3 ثوانٍ، ويُفقد طلب من كل خمسة',
+      offline: 'تفشل كل الطلبات فورًا',
+    },
+    failures: 'إخفاقات عشوائية إضافية: {percent}٪',
+    timeouts: 'مهلات عشوائية: {percent}٪',
+    timeout: 'انتهاء المهلة بعد: {seconds} ث',
+    log: 'سجل الطلبات',
+    clear: 'مسح',
+    empty: 'لا توجد طلبات بعد. افتح مثالًا لجلب البيانات أو الاستطلاع أو تسجيل الدخول.',
+    columns: { request: 'الطلب', status: 'الحالة', time: 'الزمن', waterfall: 'المخطط الزمني' },
+    statuses: { pending: 'قيد الانتظار', ok: 'تم', failed: 'فشل', timeout: 'انتهت المهلة', aborted: 'أُلغي' },
+    ms: '{ms} مللي ثانية',
+  },
+  example: {
+    understood: 'مفهوم ✅',
+    markUnderstood: 'وضع علامة «مفهوم»',
+    link: 'رابط إلى هذا المثال',
+    showSource: 'عرض الشيفرة',
+    hideSource: 'إخفاء الشيفرة',
+    editLive: 'تحرير مباشر',
+    closePlayground: 'إغلاق المحرّر',
+    addNote: '📝 إضافة ملاحظة',
+    hideNotes: '📝 إخفاء الملاحظات',
+    myNotes: '📝 ملاحظاتي ✓',
+    compare: '⚖️ مقارنة',
+    compareTitle: 'تشغيل هذا المثال بجانب مثال آخر',
+    addToNote: '📝 إضافة إلى الملاحظة',
+  },
+  source: {
+    loadFailed: 'تعذّر تحميل الشيفرة: {message}',
+    loading: 'جارٍ تحميل الشيفرة...',
+    location: '{file}، الأسطر {start}-{end}',
+  },
+  playground: {
+    title: 'محرّر مباشر',
+    hint: 'تُترجَم التعديلات داخل المتصفح وتُعرض على الجانب الآخر.',
+    reset: 'استعادة الأصل',
+    loading: 'جارٍ تحميل المحرّر...',
+    editor: 'الشيفرة القابلة للتحرير لـ {entry}',
+    compiling: 'جارٍ الترجمة...',
+    runtimeError: 'خطأ أثناء التشغيل:',
+    compileError: 'خطأ في الترجمة:',
+  },
+  codeBlock: {
+    copy: 'نسخ',
+    copied: '✓ تم النسخ',
+    copyFailed: 'تعذّر النسخ',
+    showLess: 'عرض أقل',
+    showAll: {
+      one: 'عرض السطر الوحيد',
+      two: 'عرض السطرين',
+      few: 'عرض الأسطر الـ {count} كلها',
+      other: 'عرض الـ {count} سطرًا كلها',
+    },
+  },
+  profiler: {
+    commits: {
+      one: '⚛️ {commits} إيداع ({mounts} تركيب، {updates} تحديث)',
+      two: '⚛️ {commits} إيداع ({mounts} تركيب، {updates} تحديث)',
+      few: '⚛️ {commits} إيداعات ({mounts} تركيب، {updates} تحديث)',
+      other: '⚛️ {commits} إيداعًا ({mounts} تركيب، {updates} تحديث)',
+    },
+    last: 'الأخير {duration}',
+    average: 'المتوسط {duration}',
+    base: 'الأساس {duration}',
+    baseTitle: 'زمن تصيير الشجرة الفرعية كلها دون memoization',
+    ms: '{ms} مللي ثانية',
+    reset: 'إعادة التعيين',
+    rendered: 'أُعيد تصييره في الإيداع الأخير',
+    skipped: 'تم تخطّيه في الإيداع الأخير',
+  },
+  skeleton: {
+    label: 'جارٍ تحميل القسم',
+  },
+  notes: {
+    title: '📝 ملاحظاتي',
+    edit: 'تحرير',
+    preview: 'معاينة',
+    delete: 'حذف الملاحظة',
+    close: 'إغلاق',
+    confirmDelete: 'هل تريد حذف هذه الملاحظة؟',
+    empty: 'لم يُكتب شيء بعد.',
+    placeholder: 'اشرحه بكلماتك الخاصة...',
+    editor: 'ملاحظات حول {title}',
+    syntax:
+      '**عريض**، *مائل*، `شيفرة`، - قوائم، > اقتباسات، ``` كتل شيفرة. حدّد شيفرة في هذا المثال لاقتباسها ' +
+      'هنا.',
+    saving: 'جارٍ الحفظ...',
+    saved: 'محفوظة في هذا المتصفح.',
+    heading: '📝 ملاحظاتك الدراسية',
+    intro:
+      'تُكتب الملاحظات لكل مثال عبر الزر 📝 أسفل كل عرض، وتحديد شيفرة داخل مثال يقتبسها في ملاحظة ذلك ' +
+      'المثال. تُحفظ في هذا المتصفح؛ صدّرها للاحتفاظ بنسخة.',
+    none: 'لا توجد ملاحظات بعد. افتح أي مثال واضغط «{button}».',
+    search: 'البحث في الملاحظات...',
+    searchLabel: 'البحث في الملاحظات',
+    export: 'تصدير الملاحظات',
+    deleteAll: 'حذف كل الملاحظات',
+    confirmDeleteAll: {
+      one: 'هل تريد حذف ملاحظتك الوحيدة؟',
+      two: 'هل تريد حذف الملاحظتين؟',
+      few: 'هل تريد حذف الملاحظات الـ {count}؟',
+      other: 'هل تريد حذف الـ {count} ملاحظة؟',
+    },
+    noMatches: 'لا توجد ملاحظات تطابق «{query}».',
+    deleteEntry: 'حذف',
+    confirmDeleteEntry: 'هل تريد حذف الملاحظة حول «{title}»؟',
+  },
+  errorLog: {
+    heading: '🐞 الأخطاء التي التقطتها حدود الأخطاء في التطبيق',
+    intro:
+      'يُصيَّر كل مثال وقسم ومعاينة محرّر داخل {component}. عندما يرمي أحدها خطأً، يُستبدل ذلك الجزء وحده ' +
+      'بواجهة بديلة ويُسجَّل الخطأ هنا مع مكدّس المكوّنات الذي أبلغ عنه React. يُحفظ السجل في هذا المتصفح فقط.',
+    empty: 'لا أخطاء حتى الآن. 🎉',
+    export: 'تصدير السجل',
+    clear: 'مسح السجل',
+    confirmClear: {
+      one: 'هل تريد حذف الخطأ المسجّل؟',
+      two: 'هل تريد حذف الخطأين المسجّلين؟',
+      few: 'هل تريد حذف الأخطاء الـ {count} المسجّلة؟',
+      other: 'هل تريد حذف الـ {count} خطأً المسجّلة؟',
+    },
+    origins: { example: '🧪 مثال', section: '📖 قسم', playground: '✏️ محرّر' },
+    componentStack: 'مكدّس المكوّنات',
+    jsStack: 'مكدّس JavaScript',
+  },
+  quiz: {
+    best: {
+      one: 'أفضل نتيجة حتى الآن: {percent} في اختبار واحد',
+      two: 'أفضل نتيجة حتى الآن: {percent} في اختبارين',
+      few: 'أفضل نتيجة حتى الآن: {percent} في {count} اختبارات',
+      other: 'أفضل نتيجة حتى الآن: {percent} في {count} اختبارًا',
+    },
+    setupTitle: '🎓 اختبر نفسك كأنها المقابلة الحقيقية',
+    setupIntro:
+      'اختر المواضيع التي تريد الاختبار فيها. تُخلط الأسئلة والإجابات في كل مرة، وتأتي كل إجابة مع شرح يربط ' +
+      'بالمثال الذي يغطيها.',
+    topics: 'المواضيع',
+    selectAll: 'تحديد الكل',
+    clear: 'مسح',
+    questions: 'الأسئلة:',
+    timed: 'وضع مؤقّت ({seconds} ثانية لكل سؤال)',
+    start: {
+      one: 'ابدأ الاختبار (سؤال واحد)',
+      two: 'ابدأ الاختبار (سؤالان)',
+      few: 'ابدأ الاختبار ({count} أسئلة)',
+      other: 'ابدأ الاختبار ({count} سؤالًا)',
+    },
+    types: { choice: 'اختيار من متعدد', predict: 'توقّع الناتج', bug: 'اكتشف الخطأ' },
+    progress: 'السؤال {number} من {total}',
+    secondsLeft: '⏱ {seconds} ث',
+    correct: '✅ صحيح!',
+    timeUp: '⏰ انتهى الوقت!',
+    wrong: '❌ ليس تمامًا.',
+    seeResults: 'عرض النتائج',
+    next: 'السؤال التالي',
+    reviewExample: '📖 راجع المثال في {section}',
+    score: '🏁 نتيجتك {correct} / {total} ({percent}٪)',
+    perfect: 'نتيجة كاملة. أنت جاهز لهذا الجزء من المقابلة!',
+    solid: 'عمل جيد. راجع الأسئلة التي أخطأت فيها أدناه.',
+    keepPracticing: 'واصل التدريب. كل سؤال أخطأت فيه يربط بالمثال الذي يشرحه.',
+    byTopic: 'النتيجة حسب الموضوع',
+    missed: 'راجع ما أخطأت فيه',
+    yourAnswer: 'إجابتك:',
+    noAnswer: 'لا إجابة (انتهى الوقت)',
+    correctAnswer: 'الإجابة الصحيحة:',
+    retry: '🔁 إعادة المحاولة بأسئلة جديدة',
+    changeTopics: '⚙️ تغيير المواضيع',
+    history: 'سجل النتائج',
+    columns: { date: 'التاريخ', score: 'النتيجة', topics: 'المواضيع', mode: 'الوضع' },
+    result: '{correct} / {total} ({percent}٪)',
+    timedMode: '⏱ مؤقّت',
+    untimed: 'دون توقيت',
+    clearHistory: 'مسح السجل',
+    confirmClearHistory: 'هل تريد حذف كل نتائج الاختبارات المحفوظة؟',
+  },
+  review: {
+    loadFailed: 'تعذّر إنشاء مجموعة البطاقات: {message}',
+    heading: '🧠 المراجعة اليومية',
+    intro:
+      'كل نقطة في «Key JavaScript Concepts» هي بطاقة. قيّم مدى تذكّرك لكل إجابة، وتباعد خوارزمية SM-2 ' +
+      'المراجعة التالية: تعود البطاقات التي تعرفها بعد أيام أو أسابيع، والمتردّدة غدًا. تُقدَّم حتى {count} ' +
+      'بطاقات جديدة يوميًا.',
+    due: '{count} مستحقة',
+    newToday: '{count} جديدة اليوم',
+    started: '{count} / {total} بطاقة بدأت',
+    start: {
+      one: 'ابدأ المراجعة (بطاقة واحدة)',
+      two: 'ابدأ المراجعة (بطاقتان)',
+      few: 'ابدأ المراجعة ({count} بطاقات)',
+      other: 'ابدأ المراجعة ({count} بطاقة)',
+    },
+    nothingLeft: 'لم يبقَ شيء للمراجعة اليوم 🎉',
+    reset: 'إعادة تعيين سجل المراجعة',
+    confirmReset: 'هل تريد نسيان سجل المراجعة كله؟ ستصبح كل بطاقة جديدة من جديد.',
+    deck: 'مجموعة البطاقات',
+    doneTitle: '✅ انتهيت لهذا اليوم',
+    doneBody: {
+      one: 'راجعت بطاقة واحدة. عد غدًا للدفعة التالية.',
+      two: 'راجعت بطاقتين. عد غدًا للدفعة التالية.',
+      few: 'راجعت {count} بطاقات. عد غدًا للدفعة التالية.',
+      other: 'راجعت {count} بطاقة. عد غدًا للدفعة التالية.',
+    },
+    backToDeck: 'العودة إلى مجموعة البطاقات',
+    left: 'المتبقي في هذه الجلسة: {count}',
+    general: 'عام',
+    revisit: '← راجع {section}',
+    showAnswer: 'إظهار الإجابة',
+    endSession: 'إنهاء الجلسة',
+    grades: {
+      again: { label: 'مرة أخرى', hint: 'نسيتها' },
+      hard: { label: 'صعبة', hint: 'تذكّرتها بصعوبة' },
+      good: { label: 'جيدة', hint: 'تذكّرتها بعد لحظة' },
+      easy: { label: 'سهلة', hint: 'عرفتها فورًا' },
+    },
+    addTitle: '➕ أضف بطاقتك الخاصة',
+    topic: 'الموضوع',
+    front: 'السؤال / المصطلح',
+    back: 'الإجابة',
+    add: 'إضافة البطاقة',
+    show: 'عرض',
+    allTopics: 'كل المواضيع ({count})',
+    topicCount: '{topic} ({count})',
+    columns: { card: 'البطاقة', topic: 'الموضوع', next: 'المراجعة التالية', interval: 'الفاصل' },
+    new: 'جديدة',
+    dueNow: 'مستحقة',
+    interval: { one: 'يوم واحد', two: 'يومان', few: '{count} أيام', other: '{count} يومًا' },
+    delete: 'حذف',
+    confirmDelete: 'هل تريد حذف البطاقة «{front}»؟',
+  },
+  compare: {
+    heading: '⚖️ قارن بين مثالين',
+    intro:
+      'اختر أي مثالين لتشغيلهما جنبًا إلى جنب. ما دامت المدخلات متزامنة، فإن الكتابة في حقل على جانب تكتب في ' +
+      'الحقل المقابل على الجانب الآخر، فيستجيب العرضان للأحداث نفسها.',
+    presets: {
+      debounceThrottle: 'Debounce مقابل Throttle',
+      memoCallback: 'useMemo مقابل useCallback',
+      callbackMemo: 'useCallback مقابل React.memo',
+      pollingIntervals: 'الاستطلاع مقابل الفواصل الزمنية',
+    },
+    swap: '⇄ تبديل الجانبين',
+    sync: 'مزامنة المدخلات',
+    diff: 'الفروق في الشيفرة',
+    pickSection: 'اختر قسمًا...',
+    sectionPicker: '{pane}: القسم',
+    examplePicker: '{pane}: المثال',
+    readFailed: 'تعذّرت قراءة هذا القسم: {message}',
+    summary: '{shared} سطرًا مشتركًا · {left} في A فقط · {right} في B فقط',
+    fold: 'طيّ الأسطر غير المتغيّرة',
+    unfold: 'عرض الأسطر غير المتغيّرة',
+    folded: {
+      one: '⋯ سطر واحد دون تغيير',
+      two: '⋯ سطران دون تغيير',
+      few: '⋯ {count} أسطر دون تغيير',
+      other: '⋯ {count} سطرًا دون تغيير',
+    },
+  },
+  offline: {
+    updateAvailable: '✨ يتوفّر إصدار جديد من التطبيق.',
+    reload: 'إعادة التحميل',
+    later: 'لاحقًا',
+    ready: '📦 حُفظت جميع الأقسام للاستخدام دون اتصال.',
+    dismiss: 'حسنًا',
+    offline: '📴 أنت غير متصل. تعرض أمثلة الشبكة بيانات نموذجية مضمّنة.',
+  },
+};
+
+export default ar;
@@ -0,0 +1,417 @@
+// Source catalog: every key the UI uses lives here first. See utils/i18n.js for the format.
+const en = {
+  app: {
+    title: '🎯 React.js Learning Project - Ace Your Frontend Interview!',
+    subtitle: 'Comprehensive examples for every React concept with JavaScript explanations',
+    theme: 'Theme:',
+    language: 'Language:',
+  },
+  themes: {
+    system: '🖥️ System',
+    light: '☀️ Light',
+    dark: '🌙 Dark',
+    'high-contrast': '◐ High contrast',
+  },
+  nav: {
+    heading: '📚 Navigation',
+    search: '🔍 Search',
+    shortcuts: '⌨️ Shortcuts',
+    shortcutsTitle: 'Keyboard shortcuts',
+    quiz: '🎓 Interview Quiz',
+    flashcards: '🧠 Flashcards',
+    flashcardsDue: '🧠 Flashcards ({count} due)',
+    compare: '⚖️ Compare',
+    mockApi: '🧪 Mock API',
+    network: '📶 Network: {profile}',
+    showProfiler: '📊 Show render profiler',
+    hideProfiler: '📊 Hide render profiler',
+    profilerTitle: 'Show render counts and commit timings on every example',
+    notes: '📝 Notes',
+    notesCount: '📝 Notes ({count})',
+    errorLog: '🐞 Error log',
+    errorLogCount: '🐞 Error log ({count})',
+  },
+  pages: {
+    quiz: '🎓 Interview Quiz',
+    review: '🧠 Flashcard Review',
+    compare: '⚖️ Compare Examples',
+    notes: '📝 My Notes',
+    errors: '🐞 Error Log',
+    notFound: 'Page Not Found',
+    quizLink: '🎓 Quiz me on this section',
+  },
+  sections: {
+    useState: 'useState Hook',
+    useEffect: 'useEffect Hook',
+    useRef: 'useRef Hook',
+    useContext: 'useContext Hook',
+    useReducer: 'useReducer Hook',
+    useMemo: 'useMemo Hook',
+    useCallback: 'useCallback Hook',
+    customHooks: 'Custom Hooks',
+    props: 'Props',
+    eventHandling: 'Event Handling',
+    conditionalRendering: 'Conditional Rendering',
+    listRendering: 'List Rendering',
+    formHandling: 'Form Handling',
+    lifecycle: 'Component Lifecycle',
+    errorBoundary: 'Error Boundaries',
+    portals: 'Portals',
+    forwardRef: 'Forwarding Refs',
+    fragments: 'Fragments',
+    memo: 'React.memo',
+    timeoutInterval: 'Timeout & Intervals',
+    debounceThrottle: 'Debounce & Throttle',
+    animation: 'Animations',
+    polling: 'Polling & Real-time',
+  },
+  levels: {
+    beginner: '🌱 Beginner',
+    intermediate: '🌿 Intermediate',
+    advanced: '🌳 Advanced',
+  },
+  progress: {
+    summary: 'Progress: {done} / {total} examples understood',
+    sectionTitle: { one: '{done} of {count} example understood', other: '{done} of {count} examples understood' },
+    export: 'Export progress',
+    import: 'Import progress',
+    exportedAt: ' (exported {date})',
+    confirmImport: 'Replace the progress in this browser with {file}{exported}?',
+    importFailed: 'Could not import {file}: {message}',
+    errors: {
+      unreadable: 'the file could not be read.',
+      invalidJson: 'the file is not valid JSON.',
+      wrongFormat: 'this is not a progress export from this app.',
+      newerVersion: 'the file uses format version {version}; this app reads up to {supported}.',
+      malformed: 'the progress data in this file is malformed.',
+    },
+  },
+  sectionNav: {
+    difficulty: 'Difficulty',
+    allLevels: 'All levels',
+    tagGroup: 'Filter by tag',
+    learningPath: 'Suggested learning path',
+    clearFilters: 'Clear filters',
+    noMatches: 'No topics match these filters.',
+    after: ' · after {topics}',
+    studyTime: '{level} · ~{minutes} min',
+  },
+  meta: {
+    minutes: { one: '⏱️ ~{count} minute', other: '⏱️ ~{count} minutes' },
+    before: 'Before this:',
+    contentLanguage: '📘 The lessons themselves (explanations, demos and code) are in English.',
+  },
+  next: {
+    heading: 'Next recommended topic ({reason}):',
+    buildsOn: 'builds on {topic}',
+    related: 'related to {topic}',
+    path: 'next on the learning path',
+    relatedTopics: 'Related:',
+    allDone: '🏆 You have worked through every topic!',
+    tryQuiz: 'Try the {quiz} next.',
+    quiz: 'interview quiz',
+  },
+  notFound: {
+    title: '🤔 Nothing lives at /{path}',
+    body: 'The link may be outdated or mistyped. Pick one of the topics below instead.',
+  },
+  sectionError: {
+    chunkTitle: 'Could not load this section',
+    crashTitle: 'This section crashed',
+    chunkBody: 'The code for this topic failed to download. Check your connection and try again.',
+    componentStack: 'Component stack',
+    tryAgain: 'Try Again',
+    reload: 'Reload Page',
+  },
+  palette: {
+    label: 'Search sections, examples and code',
+    placeholder: 'Search topics, examples, concepts and code...',
+    indexFailed: 'Could not build the search index: {message}',
+    indexing: 'Indexing examples...',
+    noMatches: 'No matches for “{query}”',
+    section: 'Section',
+    move: '↑↓ to move',
+    open: 'Enter to open',
+    close: 'Esc to close',
+  },
+  shortcuts: {
+    title: '⌨️ Keyboard shortcuts',
+    actions: {
+      nextSection: 'Next section',
+      prevSection: 'Previous section',
+      nextExample: 'Next example',
+      prevExample: 'Previous example',
+      toggleCode: 'Show / hide source of the current example',
+      search: 'Open search',
+      toggleTheme: 'Switch between light and dark theme',
+      help: 'Show keyboard shortcuts',
+    },
+    notSet: 'not set',
+    recording: 'Press a key... (Esc to cancel)',
+    change: 'Change',
+    cancel: 'Cancel',
+    default: 'Default',
+    confirmMove: '{shortcut} is already used for "{action}". Move it here?',
+    hint: 'Single-key shortcuts are ignored while typing in a text field. Your keymap is saved in this browser.',
+    resetAll: 'Reset all to defaults',
+    close: 'Close',
+  },
+  i18n: {
+    missingTitle: { one: '{count} missing translation in "{locale}"', other: '{count} missing translations in "{locale}"' },
+    copy: 'Copy as JSON',
+  },
+  mockApi: {
+    title: '🧪 Mock API',
+    close: 'Close',
+    enabled: 'Answer {origin} requests in the app',
+    latency: 'Server time: {ms} ms',
+    errorRate: 'Error rate: {percent}%',
+    failWith: 'Failing requests return:',
+    networkError: 'Network error (fetch rejects)',
+    statuses: {
+      500: '500 Internal Server Error',
+      503: '503 Service Unavailable',
+      404: '404 Not Found',
+      429: '429 Too Many Requests',
+      401: '401 Unauthorized',
+    },
+    stats: { one: '{count} request, {failures} failed', other: '{count} requests, {failures} failed' },
+    resetStats: 'Reset',
+  },
+  network: {
+    title: '📶 Network conditions',
+    close: 'Close',
+    profile: 'Network profile',
+    profiles: { fast: '🚀 Fast', '3g': '📱 3G', flaky: '🌩️ Flaky', offline: '📴 Offline' },
+    profileHints: {
+      fast: '20-80 ms round trips, nothing dropped',
+      '3g': '0.3-1.5 s round trips, the odd dropped request',
+      flaky: 'Anything from instant to 3 s, one request in five dropped',
+      offline: 'Every request fails at once',
+    },
+    failures: 'Extra random failures: {percent}%',
+    timeouts: 'Random timeouts: {percent}%',
+    timeout: 'Time out after: {seconds} s',
+    log: 'Request log',
+    clear: 'Clear',
+    empty: 'No requests yet. Open a fetching, polling or login demo.',
+    columns: { request: 'Request', status: 'Status', time: 'Time', waterfall: 'Waterfall' },
+    statuses: { pending: 'pending', ok: 'ok', failed: 'failed', timeout: 'timed out', aborted: 'aborted' },
+    ms: '{ms} ms',
+  },
+  example: {
+    understood: 'Understood ✅',
+    markUnderstood: 'Mark as understood',
+    link: 'Link to this example',
+    showSource: 'Show source',
+    hideSource: 'Hide source',
+    editLive: 'Edit live',
+    closePlayground: 'Close playground',
+    addNote: '📝 Add note',
+    hideNotes: '📝 Hide notes',
+    myNotes: '📝 My notes ✓',
+    compare: '⚖️ Compare',
+    compareTitle: 'Run this example next to another one',
+    addToNote: '📝 Add to note',
+  },
+  source: {
+    loadFailed: 'Could not load the source: {message}',
+    loading: 'Loading source...',
+    location: '{file}, lines {start}-{end}',
+  },
+  playground: {
+    title: 'Live playground',
+    hint: 'Edits compile locally and re-render on the right.',
+    reset: 'Reset to original',
+    loading: 'Loading playground...',
+    editor: 'Editable source of {entry}',
+    compiling: 'Compiling...',
+    runtimeError: 'Runtime error:',
+    compileError: 'Compile error:',
+  },
+  codeBlock: {
+    copy: 'Copy',
+    copied: '✓ Copied',
+    copyFailed: 'Copy failed',
+    showLess: 'Show less',
+    showAll: { one: 'Show all {count} line', other: 'Show all {count} lines' },
+  },
+  profiler: {
+    commits: {
+      one: '⚛️ {commits} commit ({mounts} mount, {updates} update)',
+      other: '⚛️ {commits} commits ({mounts} mount, {updates} update)',
+    },
+    last: 'last {duration}',
+    average: 'avg {duration}',
+    base: 'base {duration}',
+    baseTitle: 'Time to render the whole subtree without memoization',
+    ms: '{ms} ms',
+    reset: 'Reset',
+    rendered: 'Re-rendered in the last commit',
+    skipped: 'Skipped in the last commit',
+  },
+  skeleton: {
+    label: 'Loading section',
+  },
+  notes: {
+    title: '📝 My notes',
+    edit: 'Edit',
+    preview: 'Preview',
+    delete: 'Delete note',
+    close: 'Close',
+    confirmDelete: 'Delete this note?',
+    empty: 'Nothing written yet.',
+    placeholder: 'Explain it in your own words...',
+    editor: 'Notes for {title}',
+    syntax: '**bold**, *italic*, `code`, - lists, > quotes, ``` code blocks. Select code in this example to quote it here.',
+    saving: 'Saving...',
+    saved: 'Saved in this browser.',
+    heading: '📝 Your study notes',
+    intro:
+      'Notes are written per example with the 📝 button under each demo, and selecting code inside an example ' +
+      "quotes it into that example's note. They are kept in this browser; export them to keep a copy.",
+    none: 'No notes yet. Open any example and press “{button}”.',
+    search: 'Search notes...',
+    searchLabel: 'Search notes',
+    export: 'Export notes',
+    deleteAll: 'Delete all notes',
+    confirmDeleteAll: { one: 'Delete your only note?', other: 'Delete all {count} notes?' },
+    noMatches: 'No notes match “{query}”.',
+    deleteEntry: 'Delete',
+    confirmDeleteEntry: 'Delete the note on "{title}"?',
+  },
+  errorLog: {
+    heading: "🐞 Errors caught by the app's error boundaries",
+    intro:
+      'Every example, section and playground preview renders inside an {component}. When one of them throws, ' +
+      'only that part is replaced by a fallback and the error is recorded here, with the component stack React ' +
+      'reported for it. The log is kept in this browser only.',
+    empty: 'No errors so far. 🎉',
+    export: 'Export log',
+    clear: 'Clear log',
+    confirmClear: { one: 'Delete the logged error?', other: 'Delete all {count} logged errors?' },
+    origins: { example: '🧪 Example', section: '📖 Section', playground: '✏️ Playground' },
+    componentStack: 'Component stack',
+    jsStack: 'JavaScript stack',
+  },
+  quiz: {
+    best: { one: 'Best score so far: {percent} over {count} quiz', other: 'Best score so far: {percent} over {count} quizzes' },
+    setupTitle: "🎓 Test yourself like it's the real interview",
+    setupIntro:
+      'Pick the topics to be quizzed on. Questions and answers are shuffled every time, and each answer comes ' +
+      'with an explanation linking back to the example that covers it.',
+    topics: 'Topics',
+    selectAll: 'Select all',
+    clear: 'Clear',
+    questions: 'Questions:',
+    timed: 'Timed mode ({seconds} seconds per question)',
+    start: { one: 'Start quiz ({count} question)', other: 'Start quiz ({count} questions)' },
+    types: { choice: 'Multiple choice', predict: 'Predict the output', bug: 'Spot the bug' },
+    progress: 'Question {number} of {total}',
+    secondsLeft: '⏱ {seconds}s',
+    correct: '✅ Correct!',
+    timeUp: "⏰ Time's up!",
+    wrong: '❌ Not quite.',
+    seeResults: 'See results',
+    next: 'Next question',
+    reviewExample: '📖 Review the example in {section}',
+    score: '🏁 You scored {correct} / {total} ({percent}%)',
+    perfect: 'Perfect score. You are ready for this part of the interview!',
+    solid: 'Solid work. Review the questions you missed below.',
+    keepPracticing: 'Keep practicing. Each missed question links to the example that explains it.',
+    byTopic: 'Score by topic',
+    missed: 'Review what you missed',
+    yourAnswer: 'Your answer:',
+    noAnswer: 'no answer (time ran out)',
+    correctAnswer: 'Correct answer:',
+    retry: '🔁 Retry with new questions',
+    changeTopics: '⚙️ Change topics',
+    history: 'Score history',
+    columns: { date: 'Date', score: 'Score', topics: 'Topics', mode: 'Mode' },
+    result: '{correct} / {total} ({percent}%)',
+    timedMode: '⏱ Timed',
+    untimed: 'Untimed',
+    clearHistory: 'Clear history',
+    confirmClearHistory: 'Delete all saved quiz scores?',
+  },
+  review: {
+    loadFailed: 'Could not build the deck: {message}',
+    heading: '🧠 Daily review',
+    intro:
+      'Every “Key JavaScript Concepts” bullet is a flashcard. Grade how well you remembered each answer and the ' +
+      'SM-2 algorithm spaces the next review: cards you know come back after days or weeks, shaky ones tomorrow. ' +
+      'Up to {count} new cards are introduced per day.',
+    due: '{count} due',
+    newToday: '{count} new today',
+    started: '{count} / {total} cards started',
+    start: { one: 'Start review ({count} card)', other: 'Start review ({count} cards)' },
+    nothingLeft: 'Nothing left to review today 🎉',
+    reset: 'Reset review history',
+    confirmReset: 'Forget all review history? Every card becomes new again.',
+    deck: 'Deck',
+    doneTitle: '✅ Done for today',
+    doneBody: {
+      one: 'You reviewed {count} card. Come back tomorrow for the next batch.',
+      other: 'You reviewed {count} cards. Come back tomorrow for the next batch.',
+    },
+    backToDeck: 'Back to the deck',
+    left: '{count} left in this session',
+    general: 'General',
+    revisit: 'Revisit {section} →',
+    showAnswer: 'Show answer',
+    endSession: 'End session',
+    grades: {
+      again: { label: 'Again', hint: 'Forgot it' },
+      hard: { label: 'Hard', hint: 'Recalled with effort' },
+      good: { label: 'Good', hint: 'Recalled after a moment' },
+      easy: { label: 'Easy', hint: 'Knew it instantly' },
+    },
+    addTitle: '➕ Add your own card',
+    topic: 'Topic',
+    front: 'Question / term',
+    back: 'Answer',
+    add: 'Add card',
+    show: 'Show',
+    allTopics: 'All topics ({count})',
+    topicCount: '{topic} ({count})',
+    columns: { card: 'Card', topic: 'Topic', next: 'Next review', interval: 'Interval' },
+    new: 'New',
+    dueNow: 'Due',
+    interval: { one: '{count} day', other: '{count} days' },
+    delete: 'Delete',
+    confirmDelete: 'Delete the card "{front}"?',
+  },
+  compare: {
+    heading: '⚖️ Compare two examples',
+    intro:
+      'Pick any two examples to run them next to each other. While inputs are synced, typing into a field on one ' +
+      'side types into the matching field on the other, so both demos react to the same events.',
+    presets: {
+      debounceThrottle: 'Debounce vs Throttle',
+      memoCallback: 'useMemo vs useCallback',
+      callbackMemo: 'useCallback vs React.memo',
+      pollingIntervals: 'Polling vs Intervals',
+    },
+    swap: '⇄ Swap sides',
+    sync: 'Sync inputs',
+    diff: 'Source diff',
+    pickSection: 'Pick a section...',
+    sectionPicker: '{pane}: section',
+    examplePicker: '{pane}: example',
+    readFailed: 'Could not read this section: {message}',
+    summary: '{shared} shared lines · {left} only in A · {right} only in B',
+    fold: 'Fold unchanged lines',
+    unfold: 'Show unchanged lines',
+    folded: { one: '⋯ {count} unchanged line', other: '⋯ {count} unchanged lines' },
+  },
+  offline: {
+    updateAvailable: '✨ A new version of the app is available.',
+    reload: 'Reload',
+    later: 'Later',
+    ready: '📦 Every section is saved for offline use.',
+    dismiss: 'OK',
+    offline: '📴 You are offline. Network demos are showing bundled sample data.',
+  },
+};
+
+export default en;
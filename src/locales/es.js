@@ -0,0 +1,422 @@
+const es = {
+  app: {
+    title: '🎯 Proyecto de aprendizaje de React.js - ¡Supera tu entrevista de frontend!',
+    subtitle: 'Ejemplos completos de cada concepto de React con explicaciones de JavaScript',
+    theme: 'Tema:',
+    language: 'Idioma:',
+  },
+  themes: {
+    system: '🖥️ Sistema',
+    light: '☀️ Claro',
+    dark: '🌙 Oscuro',
+    'high-contrast': '◐ Alto contraste',
+  },
+  nav: {
+    heading: '📚 Navegación',
+    search: '🔍 Buscar',
+    shortcuts: '⌨️ Atajos',
+    shortcutsTitle: 'Atajos de teclado',
+    quiz: '🎓 Cuestionario de entrevista',
+    flashcards: '🧠 Tarjetas',
+    flashcardsDue: { one: '🧠 Tarjetas ({count} pendiente)', other: '🧠 Tarjetas ({count} pendientes)' },
+    compare: '⚖️ Comparar',
+    mockApi: '🧪 API simulada',
+    network: '📶 Red: {profile}',
+    showProfiler: '📊 Mostrar perfilador de renderizado',
+    hideProfiler: '📊 Ocultar perfilador de renderizado',
+    profilerTitle: 'Muestra el número de renderizados y los tiempos de commit en cada ejemplo',
+    notes: '📝 Notas',
+    notesCount: '📝 Notas ({count})',
+    errorLog: '🐞 Registro de errores',
+    errorLogCount: '🐞 Registro de errores ({count})',
+  },
+  pages: {
+    quiz: '🎓 Cuestionario de entrevista',
+    review: '🧠 Repaso con tarjetas',
+    compare: '⚖️ Comparar ejemplos',
+    notes: '📝 Mis notas',
+    errors: '🐞 Registro de errores',
+    notFound: 'Página no encontrada',
+    quizLink: '🎓 Ponme a prueba con esta sección',
+  },
+  sections: {
+    useState: 'Hook useState',
+    useEffect: 'Hook useEffect',
+    useRef: 'Hook useRef',
+    useContext: 'Hook useContext',
+    useReducer: 'Hook useReducer',
+    useMemo: 'Hook useMemo',
+    useCallback: 'Hook useCallback',
+    customHooks: 'Hooks personalizados',
+    props: 'Props',
+    eventHandling: 'Manejo de eventos',
+    conditionalRendering: 'Renderizado condicional',
+    listRendering: 'Renderizado de listas',
+    formHandling: 'Manejo de formularios',
+    lifecycle: 'Ciclo de vida de componentes',
+    errorBoundary: 'Límites de error',
+    portals: 'Portales',
+    forwardRef: 'Reenvío de refs',
+    fragments: 'Fragmentos',
+    memo: 'React.memo',
+    timeoutInterval: 'Timeouts e intervalos',
+    debounceThrottle: 'Debounce y throttle',
+    animation: 'Animaciones',
+    polling: 'Polling y tiempo real',
+  },
+  levels: {
+    beginner: '🌱 Principiante',
+    intermediate: '🌿 Intermedio',
+    advanced: '🌳 Avanzado',
+  },
+  progress: {
+    summary: 'Progreso: {done} / {total} ejemplos comprendidos',
+    sectionTitle: { one: '{done} de {count} ejemplo comprendido', other: '{done} de {count} ejemplos comprendidos' },
+    export: 'Exportar progreso',
+    import: 'Importar progreso',
+    exportedAt: ' (exportado el {date})',
+    confirmImport: '¿Reemplazar el progreso de este navegador por {file}{exported}?',
+    importFailed: 'No se pudo importar {file}: {message}',
+    errors: {
+      unreadable: 'no se pudo leer el archivo.',
+      invalidJson: 'el archivo no es JSON válido.',
+      wrongFormat: 'no es una exportación de progreso de esta aplicación.',
+      newerVersion: 'el archivo usa la versión de formato {version}; esta aplicación lee hasta la {supported}.',
+      malformed: 'los datos de progreso de este archivo están mal formados.',
+    },
+  },
+  sectionNav: {
+    difficulty: 'Dificultad',
+    allLevels: 'Todos los niveles',
+    tagGroup: 'Filtrar por etiqueta',
+    learningPath: 'Ruta de aprendizaje sugerida',
+    clearFilters: 'Quitar filtros',
+    noMatches: 'Ningún tema coincide con estos filtros.',
+    after: ' · después de {topics}',
+    studyTime: '{level} · ~{minutes} min',
+  },
+  meta: {
+    minutes: { one: '⏱️ ~{count} minuto', other: '⏱️ ~{count} minutos' },
+    before: 'Antes de esto:',
+    contentLanguage: '📘 Las lecciones (explicaciones, demos y código) están en inglés.',
+  },
+  next: {
+    heading: 'Siguiente tema recomendado ({reason}):',
+    buildsOn: 'amplía {topic}',
+    related: 'relacionado con {topic}',
+    path: 'el siguiente en la ruta de aprendizaje',
+    relatedTopics: 'Relacionados:',
+    allDone: '🏆 ¡Has completado todos los temas!',
+    tryQuiz: 'Prueba ahora el {quiz}.',
+    quiz: 'cuestionario de entrevista',
+  },
+  notFound: {
+    title: '🤔 No hay nada en /{path}',
+    body: 'Puede que el enlace esté desactualizado o mal escrito. Elige uno de los temas de abajo.',
+  },
+  sectionError: {
+    chunkTitle: 'No se pudo cargar esta sección',
+    crashTitle: 'Esta sección ha fallado',
+    chunkBody: 'No se pudo descargar el código de este tema. Revisa tu conexión e inténtalo de nuevo.',
+    componentStack: 'Pila de componentes',
+    tryAgain: 'Reintentar',
+    reload: 'Recargar la página',
+  },
+  palette: {
+    label: 'Buscar secciones, ejemplos y código',
+    placeholder: 'Busca temas, ejemplos, conceptos y código...',
+    indexFailed: 'No se pudo crear el índice de búsqueda: {message}',
+    indexing: 'Indexando ejemplos...',
+    noMatches: 'Sin resultados para «{query}»',
+    section: 'Sección',
+    move: '↑↓ para moverte',
+    open: 'Intro para abrir',
+    close: 'Esc para cerrar',
+  },
+  shortcuts: {
+    title: '⌨️ Atajos de teclado',
+    actions: {
+      nextSection: 'Sección siguiente',
+      prevSection: 'Sección anterior',
+      nextExample: 'Ejemplo siguiente',
+      prevExample: 'Ejemplo anterior',
+      toggleCode: 'Mostrar / ocultar el código del ejemplo actual',
+      search: 'Abrir la búsqueda',
+      toggleTheme: 'Alternar entre tema claro y oscuro',
+      help: 'Mostrar los atajos de teclado',
+    },
+    notSet: 'sin asignar',
+    recording: 'Pulsa una tecla... (Esc para cancelar)',
+    change: 'Cambiar',
+    cancel: 'Cancelar',
+    default: 'Predeterminado',
+    confirmMove: '{shortcut} ya se usa para «{action}». ¿Moverlo aquí?',
+    hint: 'Los atajos de una sola tecla se ignoran mientras escribes en un campo de texto. Tu configuración se guarda en este navegador.',
+    resetAll: 'Restablecer todos',
+    close: 'Cerrar',
+  },
+  i18n: {
+    missingTitle: { one: 'Falta {count} traducción en «{locale}»', other: 'Faltan {count} traducciones en «{locale}»' },
+    copy: 'Copiar como JSON',
+  },
+  mockApi: {
+    title: '🧪 API simulada',
+    close: 'Cerrar',
+    enabled: 'Responder en la app a las peticiones a {origin}',
+    latency: 'Tiempo del servidor: {ms} ms',
+    errorRate: 'Tasa de errores: {percent} %',
+    failWith: 'Las peticiones fallidas devuelven:',
+    networkError: 'Error de red (fetch se rechaza)',
+    statuses: {
+      500: '500 Error interno del servidor',
+      503: '503 Servicio no disponible',
+      404: '404 No encontrado',
+      429: '429 Demasiadas peticiones',
+      401: '401 No autorizado',
+    },
+    stats: { one: '{count} petición, {failures} fallidas', other: '{count} peticiones, {failures} fallidas' },
+    resetStats: 'Reiniciar',
+  },
+  network: {
+    title: '📶 Condiciones de red',
+    close: 'Cerrar',
+    profile: 'Perfil de red',
+    profiles: { fast: '🚀 Rápida', '3g': '📱 3G', flaky: '🌩️ Inestable', offline: '📴 Sin conexión' },
+    profileHints: {
+      fast: 'Viajes de ida y vuelta de 20-80 ms, ninguna petición perdida',
+      '3g': 'Viajes de ida y vuelta de 0,3-1,5 s, alguna petición perdida',
+      flaky: 'Desde instantáneo hasta 3 s, se pierde una de cada cinco peticiones',
+      offline: 'Todas las peticiones fallan al instante',
+    },
+    failures: 'Fallos aleatorios extra: {percent} %',
+    timeouts: 'Timeouts aleatorios: {percent} %',
+    timeout: 'Timeout a los: {seconds} s',
+    log: 'Registro de peticiones',
+    clear: 'Vaciar',
+    empty: 'Aún no hay peticiones. Abre una demo de fetch, polling o inicio de sesión.',
+    columns: { request: 'Petición', status: 'Estado', time: 'Tiempo', waterfall: 'Cascada' },
+    statuses: { pending: 'pendiente', ok: 'ok', failed: 'fallida', timeout: 'timeout', aborted: 'cancelada' },
+    ms: '{ms} ms',
+  },
+  example: {
+    understood: 'Entendido ✅',
+    markUnderstood: 'Marcar como entendido',
+    link: 'Enlace a este ejemplo',
+    showSource: 'Ver código',
+    hideSource: 'Ocultar código',
+    editLive: 'Editar en vivo',
+    closePlayground: 'Cerrar editor',
+    addNote: '📝 Añadir nota',
+    hideNotes: '📝 Ocultar notas',
+    myNotes: '📝 Mis notas ✓',
+    compare: '⚖️ Comparar',
+    compareTitle: 'Ejecutar este ejemplo junto a otro',
+    addToNote: '📝 Añadir a la nota',
+  },
+  source: {
+    loadFailed: 'No se pudo cargar el código: {message}',
+    loading: 'Cargando código...',
+    location: '{file}, líneas {start}-{end}',
+  },
+  playground: {
+    title: 'Editor en vivo',
+    hint: 'Los cambios se compilan en el navegador y se muestran a la derecha.',
+    reset: 'Restaurar el original',
+    loading: 'Cargando editor...',
+    editor: 'Código editable de {entry}',
+    compiling: 'Compilando...',
+    runtimeError: 'Error de ejecución:',
+    compileError: 'Error de compilación:',
+  },
+  codeBlock: {
+    copy: 'Copiar',
+    copied: '✓ Copiado',
+    copyFailed: 'No se pudo copiar',
+    showLess: 'Mostrar menos',
+    showAll: { one: 'Mostrar {count} línea', other: 'Mostrar las {count} líneas' },
+  },
+  profiler: {
+    commits: {
+      one: '⚛️ {commits} commit ({mounts} de montaje, {updates} de actualización)',
+      other: '⚛️ {commits} commits ({mounts} de montaje, {updates} de actualización)',
+    },
+    last: 'último {duration}',
+    average: 'media {duration}',
+    base: 'base {duration}',
+    baseTitle: 'Tiempo para renderizar todo el subárbol sin memoización',
+    ms: '{ms} ms',
+    reset: 'Reiniciar',
+    rendered: 'Se volvió a renderizar en el último commit',
+    skipped: 'Se omitió en el último commit',
+  },
+  skeleton: {
+    label: 'Cargando sección',
+  },
+  notes: {
+    title: '📝 Mis notas',
+    edit: 'Editar',
+    preview: 'Vista previa',
+    delete: 'Borrar nota',
+    close: 'Cerrar',
+    confirmDelete: '¿Borrar esta nota?',
+    empty: 'Todavía no has escrito nada.',
+    placeholder: 'Explícalo con tus propias palabras...',
+    editor: 'Notas sobre {title}',
+    syntax:
+      '**negrita**, *cursiva*, `código`, - listas, > citas, ``` bloques de código. Selecciona código de este ' +
+      'ejemplo para citarlo aquí.',
+    saving: 'Guardando...',
+    saved: 'Guardado en este navegador.',
+    heading: '📝 Tus notas de estudio',
+    intro:
+      'Las notas se escriben por ejemplo con el botón 📝 bajo cada demo, y al seleccionar código dentro de un ' +
+      'ejemplo se cita en la nota de ese ejemplo. Se guardan en este navegador; expórtalas para tener una copia.',
+    none: 'Todavía no hay notas. Abre cualquier ejemplo y pulsa «{button}».',
+    search: 'Buscar en las notas...',
+    searchLabel: 'Buscar en las notas',
+    export: 'Exportar notas',
+    deleteAll: 'Borrar todas las notas',
+    confirmDeleteAll: { one: '¿Borrar tu única nota?', other: '¿Borrar las {count} notas?' },
+    noMatches: 'Ninguna nota coincide con «{query}».',
+    deleteEntry: 'Borrar',
+    confirmDeleteEntry: '¿Borrar la nota sobre «{title}»?',
+  },
+  errorLog: {
+    heading: '🐞 Errores capturados por los error boundaries de la app',
+    intro:
+      'Cada ejemplo, sección y vista previa del editor se renderiza dentro de un {component}. Cuando uno de ellos ' +
+      'lanza un error, solo esa parte se sustituye por una alternativa y el error se registra aquí, con la pila ' +
+      'de componentes que informó React. El registro se guarda solo en este navegador.',
+    empty: 'Ningún error por ahora. 🎉',
+    export: 'Exportar registro',
+    clear: 'Vaciar registro',
+    confirmClear: { one: '¿Borrar el error registrado?', other: '¿Borrar los {count} errores registrados?' },
+    origins: { example: '🧪 Ejemplo', section: '📖 Sección', playground: '✏️ Editor' },
+    componentStack: 'Pila de componentes',
+    jsStack: 'Pila de JavaScript',
+  },
+  quiz: {
+    best: {
+      one: 'Mejor puntuación hasta ahora: {percent} en {count} cuestionario',
+      other: 'Mejor puntuación hasta ahora: {percent} en {count} cuestionarios',
+    },
+    setupTitle: '🎓 Ponte a prueba como en una entrevista real',
+    setupIntro:
+      'Elige los temas del cuestionario. Las preguntas y respuestas se barajan cada vez, y cada respuesta trae ' +
+      'una explicación con un enlace al ejemplo que la trata.',
+    topics: 'Temas',
+    selectAll: 'Seleccionar todos',
+    clear: 'Ninguno',
+    questions: 'Preguntas:',
+    timed: 'Modo cronometrado ({seconds} segundos por pregunta)',
+    start: { one: 'Empezar ({count} pregunta)', other: 'Empezar ({count} preguntas)' },
+    types: { choice: 'Opción múltiple', predict: 'Predice el resultado', bug: 'Encuentra el error' },
+    progress: 'Pregunta {number} de {total}',
+    secondsLeft: '⏱ {seconds} s',
+    correct: '✅ ¡Correcto!',
+    timeUp: '⏰ ¡Se acabó el tiempo!',
+    wrong: '❌ No exactamente.',
+    seeResults: 'Ver resultados',
+    next: 'Siguiente pregunta',
+    reviewExample: '📖 Repasa el ejemplo en {section}',
+    score: '🏁 Has acertado {correct} / {total} ({percent} %)',
+    perfect: 'Puntuación perfecta. ¡Estás listo para esta parte de la entrevista!',
+    solid: 'Buen trabajo. Repasa abajo las preguntas que fallaste.',
+    keepPracticing: 'Sigue practicando. Cada pregunta fallada enlaza al ejemplo que la explica.',
+    byTopic: 'Puntuación por tema',
+    missed: 'Repasa lo que fallaste',
+    yourAnswer: 'Tu respuesta:',
+    noAnswer: 'sin respuesta (se acabó el tiempo)',
+    correctAnswer: 'Respuesta correcta:',
+    retry: '🔁 Reintentar con preguntas nuevas',
+    changeTopics: '⚙️ Cambiar temas',
+    history: 'Historial de puntuaciones',
+    columns: { date: 'Fecha', score: 'Puntuación', topics: 'Temas', mode: 'Modo' },
+    result: '{correct} / {total} ({percent} %)',
+    timedMode: '⏱ Cronometrado',
+    untimed: 'Sin tiempo',
+    clearHistory: 'Borrar historial',
+    confirmClearHistory: '¿Borrar todas las puntuaciones guardadas?',
+  },
+  review: {
+    loadFailed: 'No se pudo crear el mazo: {message}',
+    heading: '🧠 Repaso diario',
+    intro:
+      'Cada punto de «Key JavaScript Concepts» es una tarjeta. Valora lo bien que recordabas cada respuesta y el ' +
+      'algoritmo SM-2 espacia el siguiente repaso: las tarjetas que dominas vuelven en días o semanas, las dudosas ' +
+      'mañana. Cada día se introducen hasta {count} tarjetas nuevas.',
+    due: '{count} pendientes',
+    newToday: '{count} nuevas hoy',
+    started: '{count} / {total} tarjetas empezadas',
+    start: { one: 'Empezar repaso ({count} tarjeta)', other: 'Empezar repaso ({count} tarjetas)' },
+    nothingLeft: 'No queda nada por repasar hoy 🎉',
+    reset: 'Reiniciar historial de repaso',
+    confirmReset: '¿Olvidar todo el historial de repaso? Todas las tarjetas vuelven a ser nuevas.',
+    deck: 'Mazo',
+    doneTitle: '✅ Hecho por hoy',
+    doneBody: {
+      one: 'Has repasado {count} tarjeta. Vuelve mañana para la siguiente tanda.',
+      other: 'Has repasado {count} tarjetas. Vuelve mañana para la siguiente tanda.',
+    },
+    backToDeck: 'Volver al mazo',
+    left: 'Quedan {count} en esta sesión',
+    general: 'General',
+    revisit: 'Repasar {section} →',
+    showAnswer: 'Ver respuesta',
+    endSession: 'Terminar sesión',
+    grades: {
+      again: { label: 'Otra vez', hint: 'La olvidé' },
+      hard: { label: 'Difícil', hint: 'La recordé con esfuerzo' },
+      good: { label: 'Bien', hint: 'La recordé tras pensarlo un momento' },
+      easy: { label: 'Fácil', hint: 'La sabía al instante' },
+    },
+    addTitle: '➕ Añade tu propia tarjeta',
+    topic: 'Tema',
+    front: 'Pregunta / término',
+    back: 'Respuesta',
+    add: 'Añadir tarjeta',
+    show: 'Mostrar',
+    allTopics: 'Todos los temas ({count})',
+    topicCount: '{topic} ({count})',
+    columns: { card: 'Tarjeta', topic: 'Tema', next: 'Próximo repaso', interval: 'Intervalo' },
+    new: 'Nueva',
+    dueNow: 'Pendiente',
+    interval: { one: '{count} día', other: '{count} días' },
+    delete: 'Borrar',
+    confirmDelete: '¿Borrar la tarjeta «{front}»?',
+  },
+  compare: {
+    heading: '⚖️ Compara dos ejemplos',
+    intro:
+      'Elige dos ejemplos cualesquiera para ejecutarlos uno junto al otro. Mientras las entradas estén ' +
+      'sincronizadas, escribir en un campo de un lado escribe en el campo equivalente del otro, así ambas demos ' +
+      'reaccionan a los mismos eventos.',
+    presets: {
+      debounceThrottle: 'Debounce vs Throttle',
+      memoCallback: 'useMemo vs useCallback',
+      callbackMemo: 'useCallback vs React.memo',
+      pollingIntervals: 'Polling vs intervalos',
+    },
+    swap: '⇄ Intercambiar lados',
+    sync: 'Sincronizar entradas',
+    diff: 'Diferencias del código',
+    pickSection: 'Elige una sección...',
+    sectionPicker: '{pane}: sección',
+    examplePicker: '{pane}: ejemplo',
+    readFailed: 'No se pudo leer esta sección: {message}',
+    summary: '{shared} líneas en común · {left} solo en A · {right} solo en B',
+    fold: 'Plegar líneas sin cambios',
+    unfold: 'Mostrar líneas sin cambios',
+    folded: { one: '⋯ {count} línea sin cambios', other: '⋯ {count} líneas sin cambios' },
+  },
+  offline: {
+    updateAvailable: '✨ Hay una nueva versión de la aplicación.',
+    reload: 'Recargar',
+    later: 'Más tarde',
+    ready: '📦 Todas las secciones están guardadas para usarlas sin conexión.',
+    dismiss: 'Aceptar',
+    offline: '📴 Estás sin conexión. Las demos de red muestran datos de ejemplo incluidos.',
+  },
+};
+
+export default es;
@@ -1,10 +1,29 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AppThemeProvider from './components/AppThemeProvider.jsx'
+import I18nProvider from './components/I18nProvider.jsx'
+import { installMockServer } from './utils/mockServer.js'
+import { registerServiceWorker } from './utils/serviceWorker.js'
 import './index.css'
 
+// In development the data-fetching demos talk to an in-app jsonplaceholder, so they work offline and
+// their failures can be staged; the production build leaves fetch() alone
+if (import.meta.env.DEV) {
+  installMockServer()
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <AppThemeProvider>
+      <I18nProvider>
+        <App />
+      </I18nProvider>
+    </AppThemeProvider>
   </React.StrictMode>,
-) 
\ No newline at end of file
+) 
+
+// Only the production build emits sw.js; in development it would cache stale modules
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
@@ -0,0 +1,239 @@
+import { lazy } from 'react';
+
+const modules = import.meta.glob('./components/*Examples.jsx');
+const sources = import.meta.glob('./components/*Examples.jsx', { query: '?raw', import: 'default' });
+
+// Each topic is its own chunk: `preload` starts the download early (nav hover) and is safe to call
+// from an event handler, `component` suspends until it arrives, `reload` gives a failed chunk a fresh try.
+// `loadSource` fetches the module's own source text for "Show source".
+// `examples` is the number of <Example> blocks, used for progress before the chunk is loaded.
+// The rest is registry metadata for the nav filters and the learning path:
+// `level` is 'beginner' | 'intermediate' | 'advanced', `minutes` an estimated study time, and `prerequisites` /
+// `related` list other section keys.
+function lazySection(title, file, { examples, level, tags, minutes, prerequisites = [], related = [] }) {
+  const load = modules[`./components/${file}.jsx`];
+  let pending = null;
+
+  const preload = () => {
+    if (!pending) {
+      pending = load().catch((error) => {
+        pending = null;
+        throw error;
+      });
+    }
+    return pending;
+  };
+
+  // A failed download is retried and reported when the section actually renders (Suspense, then the
+  // section's error boundary), so an early attempt on hover or focus only logs it
+  const prefetch = () => {
+    preload().catch((error) => console.warn(`Could not preload ${file}:`, error));
+  };
+
+  const section = {
+    title,
+    file,
+    examples,
+    level,
+    tags,
+    minutes,
+    prerequisites,
+    related,
+    preload: prefetch,
+    loadSource: sources[`./components/${file}.jsx`],
+    component: lazy(preload),
+    reload() {
+      section.component = lazy(preload);
+    },
+  };
+  return section;
+}
+
+const sections = {
+  useState: lazySection('useState Hook', 'UseStateExamples', {
+    examples: 5,
+    level: 'beginner',
+    tags: ['hooks', 'state'],
+    minutes: 15,
+    prerequisites: [],
+    related: ['useReducer', 'formHandling'],
+  }),
+  useEffect: lazySection('useEffect Hook', 'UseEffectExamples', {
+    examples: 5,
+    level: 'beginner',
+    tags: ['hooks', 'async', 'lifecycle'],
+    minutes: 20,
+    prerequisites: ['useState'],
+    related: ['lifecycle', 'polling'],
+  }),
+  useRef: lazySection('useRef Hook', 'UseRefExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['hooks', 'dom'],
+    minutes: 15,
+    prerequisites: ['useState'],
+    related: ['forwardRef', 'timeoutInterval'],
+  }),
+  useContext: lazySection('useContext Hook', 'UseContextExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['hooks', 'state', 'patterns'],
+    minutes: 15,
+    prerequisites: ['props', 'useState'],
+    related: ['useReducer', 'customHooks'],
+  }),
+  useReducer: lazySection('useReducer Hook', 'UseReducerExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['hooks', 'state'],
+    minutes: 20,
+    prerequisites: ['useState'],
+    related: ['useContext', 'formHandling'],
+  }),
+  useMemo: lazySection('useMemo Hook', 'UseMemoExamples', {
+    examples: 4,
+    level: 'advanced',
+    tags: ['hooks', 'performance'],
+    minutes: 15,
+    prerequisites: ['useEffect'],
+    related: ['useCallback', 'memo'],
+  }),
+  useCallback: lazySection('useCallback Hook', 'UseCallbackExamples', {
+    examples: 4,
+    level: 'advanced',
+    tags: ['hooks', 'performance'],
+    minutes: 15,
+    prerequisites: ['useMemo'],
+    related: ['memo', 'debounceThrottle'],
+  }),
+  customHooks: lazySection('Custom Hooks', 'CustomHooksExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['hooks', 'patterns'],
+    minutes: 20,
+    prerequisites: ['useEffect'],
+    related: ['useRef', 'debounceThrottle'],
+  }),
+  props: lazySection('Props', 'PropsExamples', {
+    examples: 4,
+    level: 'beginner',
+    tags: ['components'],
+    minutes: 10,
+    prerequisites: [],
+    related: ['conditionalRendering', 'useContext'],
+  }),
+  eventHandling: lazySection('Event Handling', 'EventHandlingExamples', {
+    examples: 5,
+    level: 'beginner',
+    tags: ['events'],
+    minutes: 15,
+    prerequisites: ['useState'],
+    related: ['formHandling'],
+  }),
+  conditionalRendering: lazySection('Conditional Rendering', 'ConditionalRenderingExamples', {
+    examples: 4,
+    level: 'beginner',
+    tags: ['rendering'],
+    minutes: 10,
+    prerequisites: ['props'],
+    related: ['listRendering', 'fragments'],
+  }),
+  listRendering: lazySection('List Rendering', 'ListRenderingExamples', {
+    examples: 4,
+    level: 'beginner',
+    tags: ['rendering'],
+    minutes: 10,
+    prerequisites: ['props'],
+    related: ['fragments', 'memo'],
+  }),
+  formHandling: lazySection('Form Handling', 'FormHandlingExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['forms', 'events', 'state'],
+    minutes: 20,
+    prerequisites: ['eventHandling'],
+    related: ['useReducer', 'debounceThrottle'],
+  }),
+  lifecycle: lazySection('Component Lifecycle', 'LifecycleExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['components', 'lifecycle'],
+    minutes: 15,
+    prerequisites: ['useEffect'],
+    related: ['errorBoundary'],
+  }),
+  errorBoundary: lazySection('Error Boundaries', 'ErrorBoundaryExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['components', 'patterns'],
+    minutes: 10,
+    prerequisites: ['lifecycle'],
+    related: ['portals'],
+  }),
+  portals: lazySection('Portals', 'PortalsExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['dom', 'rendering'],
+    minutes: 10,
+    prerequisites: ['props'],
+    related: ['forwardRef', 'errorBoundary'],
+  }),
+  forwardRef: lazySection('Forwarding Refs', 'ForwardRefExamples', {
+    examples: 4,
+    level: 'intermediate',
+    tags: ['dom', 'components'],
+    minutes: 10,
+    prerequisites: ['useRef', 'props'],
+    related: ['portals'],
+  }),
+  fragments: lazySection('Fragments', 'FragmentsExamples', {
+    examples: 4,
+    level: 'beginner',
+    tags: ['rendering'],
+    minutes: 5,
+    prerequisites: ['props'],
+    related: ['listRendering'],
+  }),
+  memo: lazySection('React.memo', 'MemoExamples', {
+    examples: 4,
+    level: 'advanced',
+    tags: ['performance', 'components'],
+    minutes: 15,
+    prerequisites: ['useCallback'],
+    related: ['useMemo', 'listRendering'],
+  }),
+  timeoutInterval: lazySection('Timeout & Intervals', 'TimeoutIntervalExamples', {
+    examples: 5,
+    level: 'intermediate',
+    tags: ['async', 'timing'],
+    minutes: 15,
+    prerequisites: ['useRef'],
+    related: ['debounceThrottle', 'polling'],
+  }),
+  debounceThrottle: lazySection('Debounce & Throttle', 'DebounceThrottleExamples', {
+    examples: 5,
+    level: 'intermediate',
+    tags: ['async', 'timing', 'performance'],
+    minutes: 15,
+    prerequisites: ['timeoutInterval'],
+    related: ['customHooks', 'useCallback'],
+  }),
+  animation: lazySection('Animations', 'AnimationExamples', {
+    examples: 5,
+    level: 'intermediate',
+    tags: ['dom', 'rendering', 'timing'],
+    minutes: 20,
+    prerequisites: ['useRef'],
+    related: ['timeoutInterval'],
+  }),
+  polling: lazySection('Polling & Real-time', 'PollingExamples', {
+    examples: 5,
+    level: 'advanced',
+    tags: ['async', 'timing'],
+    minutes: 20,
+    prerequisites: ['timeoutInterval'],
+    related: ['useEffect', 'customHooks'],
+  }),
+};
+
+export default sections;
@@ -0,0 +1,90 @@
+/* global __CACHE_VERSION__, __PRECACHE_URLS__, __OFFLINE_FIXTURES__ */
+// Service worker template. The precacheServiceWorker plugin in vite.config.js copies it into
+// the build as /sw.js, replacing the three placeholders below.
+const CACHE_VERSION = __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const FIXTURES = __OFFLINE_FIXTURES__;
+
+const PRECACHE = `react-learning-${CACHE_VERSION}`;
+const RUNTIME = 'react-learning-runtime';
+const API_ORIGIN = 'https://jsonplaceholder.typicode.com';
+const AVATAR_ORIGIN = 'https://api.dicebear.com';
+
+// Everything the built app needs is cached up front, so every section works offline
+// without having been visited first. The new worker then waits for the page's go-ahead.
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== PRECACHE && key !== RUNTIME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const json = (data, status = 200) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'X-Offline-Fixture': 'true' },
+  });
+
+// The jsonplaceholder reads the demos make: /users, /posts and /todos, one record by id, or ?_limit=n
+function apiFixture(url) {
+  const match = /^\/(users|posts|todos)(?:\/(\d+))?$/.exec(url.pathname);
+  if (!match) return json({ error: 'Not available offline' }, 503);
+
+  const records = FIXTURES[match[1]];
+  if (match[2]) {
+    const record = records.find(({ id }) => id === Number(match[2]));
+    return record ? json(record) : json({}, 404);
+  }
+  const limit = Number(url.searchParams.get('_limit')) || records.length;
+  return json(records.slice(0, limit));
+}
+
+// Stand-in for a dicebear avatar: the seed's initial on a colour derived from the seed
+function avatarFixture(url) {
+  const seed = url.searchParams.get('seed') || '?';
+  const hue = [...seed].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" fill="hsl(${hue}, 60%, 55%)"/>
+  <text x="32" y="42" font-family="sans-serif" font-size="28" text-anchor="middle" fill="#fff">${seed[0].toUpperCase()}</text>
+</svg>`;
+  return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml', 'X-Offline-Fixture': 'true' } });
+}
+
+// Network first, so the demos show live data when they can; the last response, then the
+// bundled fixture, when they cannot
+async function networkThenFallback(request, fallback) {
+  const cache = await caches.open(RUNTIME);
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || fallback(new URL(request.url));
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === API_ORIGIN) {
+    event.respondWith(networkThenFallback(request, apiFixture));
+  } else if (url.origin === AVATAR_ORIGIN) {
+    event.respondWith(networkThenFallback(request, avatarFixture));
+  } else if (url.origin === self.location.origin) {
+    // Client-side routes (/use-state, /quiz/...) all load the same cached index.html
+    const cacheKey = request.mode === 'navigate' ? new URL('index.html', self.registration.scope).href : request;
+    event.respondWith(caches.match(cacheKey).then((cached) => cached || fetch(request)));
+  }
+});
@@ -0,0 +1,53 @@
+import * as React from 'react';
+import { createPortal, flushSync } from 'react-dom';
+import ErrorBoundary from '../components/ErrorBoundary';
+import { useTracedEffect, useTraceLifecycle } from '../hooks/useEffectTimeline';
+import { useHistoryState, useUndoShortcuts } from '../hooks/useHistoryState';
+import { useInspectedState } from '../hooks/useInspectedState';
+import { useTrackRender } from '../hooks/useRenderProfiler';
+import { findDeclarations } from './extractSource';
+import { simulateRequest } from './network';
+
+// Everything an example module imports, exposed as free variables to the edited code
+const scope = Object.fromEntries(
+  Object.entries({
+    ...React,
+    React,
+    createPortal,
+    flushSync,
+    useTrackRender,
+    useInspectedState,
+    useHistoryState,
+    useUndoShortcuts,
+    useTracedEffect,
+    useTraceLifecycle,
+    simulateRequest,
+    ErrorBoundary,
+  }).filter(([name]) => /^[A-Za-z_$][\w$]*$/.test(name) && name !== 'default' && !name.startsWith('__'))
+);
+
+// Compiles edited JSX in the browser and returns the component named `entry`.
+// Sucrase is loaded on demand so only people who open a playground download it.
+export async function compileExample(code, entry) {
+  const { transform } = await import('sucrase');
+  // Declarations shown from the app's own modules (see sharedSources.js) keep their `export`,
+  // which cannot appear inside the function the code is compiled into
+  const body = code.replace(/^export\s+(?:default\s+)?(?=(?:async\s+)?(?:function|class|const|let|var)\b)/gm, '');
+  const { code: compiled } = transform(body, {
+    transforms: ['jsx'],
+    jsxRuntime: 'classic',
+    production: true,
+  });
+
+  // Code that declares a name itself (the Error Boundaries examples include the ErrorBoundary class)
+  // shadows the import: a parameter of the same name would make the declaration a syntax error
+  const declared = new Set(findDeclarations(code).map((declaration) => declaration.name));
+  const names = Object.keys(scope).filter((name) => !declared.has(name));
+  const factory = new Function(...names, `"use strict";\n${compiled}\nreturn ${entry};`);
+  const component = factory(...names.map((name) => scope[name]));
+
+  if (typeof component !== 'function' && typeof component !== 'object') {
+    throw new TypeError(`${entry} is not a component`);
+  }
+  return component;
+}
@@ -0,0 +1,52 @@
+// Lifecycle events of the useEffect demos, reported by useTracedEffect() / useTraceLifecycle()
+// and drawn as one swimlane per component by the effect timeline.
+//
+// Event: { id, lane, type: 'mount' | 'effect' | 'cleanup' | 'unmount', time, changes, strict }.
+// `time` is a performance.now() timestamp. `changes` says why an effect ran: null for a first run,
+// 'every-render' without a dependency list, otherwise [{ name, from, to }] for the dependencies
+// that changed. `strict` marks the extra cleanup + run StrictMode adds in development.
+
+const MAX_EVENTS = 300;
+
+let state = { events: [], strictMode: false, generation: 0 };
+const listeners = new Set();
+let nextId = 1;
+
+const setState = (change) => {
+  state = { ...state, ...change };
+  listeners.forEach((listener) => listener());
+};
+
+export function getEffectTimeline() {
+  return state;
+}
+
+export function subscribeEffectTimeline(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function logEffectEvent({ lane, type, changes = null, strict = false }) {
+  const id = nextId++;
+  const event = { id, lane, type, time: performance.now(), changes, strict };
+  setState({ events: [...state.events, event].slice(-MAX_EVENTS) });
+  return id;
+}
+
+// StrictMode's simulated unmount is only recognisable once the effect has run again
+export function markStrict(id) {
+  setState({ events: state.events.map((event) => (event.id === id ? { ...event, strict: true } : event)) });
+}
+
+export function clearEffectTimeline() {
+  setState({ events: [] });
+}
+
+// Both remount the demos: a new root, so every lane starts again with a mount
+export function setEffectStrictMode(strictMode) {
+  setState({ strictMode, generation: state.generation + 1 });
+}
+
+export function remountEffectDemos() {
+  setState({ generation: state.generation + 1 });
+}
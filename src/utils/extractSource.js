@@ -0,0 +1,58 @@
+// Pulls top-level declarations (function, class, const/let) out of a module's raw source,
+// so "Show source" displays the code that actually runs instead of a hand-copied string.
+//
+// Declarations are found line by line: they start at column 0 and end at the next line that
+// starts with a closing bracket at column 0 (and does not open a new block, as in `}) {`). Lines inside multi-line template literals are
+// skipped, which keeps the code-block strings in the example modules from matching.
+
+const DECLARATION = /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?\s*|class\s+|(?:const|let|var)\s+)([A-Za-z_$][\w$]*)/;
+const CLOSING_LINE = /^[}\])]/;
+const OPENING_END = /[{([]\s*$/;
+
+const countBackticks = (line) => (line.match(/(?<!\\)`/g) || []).length;
+
+const isSingleLine = (line) => {
+  const opened = (line.match(/[{([]/g) || []).length;
+  const closed = (line.match(/[})\]]/g) || []).length;
+  return opened === closed && /;\s*$/.test(line);
+};
+
+export function findDeclarations(source) {
+  const lines = source.split('\n');
+  const declarations = new Map();
+  let inTemplate = false;
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const startsInTemplate = inTemplate;
+    if (countBackticks(line) % 2 === 1) inTemplate = !inTemplate;
+    if (startsInTemplate) return;
+
+    if (current) {
+      if (CLOSING_LINE.test(line) && !OPENING_END.test(line)) {
+        current.end = index;
+        current = null;
+      }
+      return;
+    }
+
+    const match = DECLARATION.exec(line);
+    if (!match || declarations.has(match[1])) return;
+
+    const declaration = { name: match[1], start: index, end: index };
+    declarations.set(declaration.name, declaration);
+    if (!isSingleLine(line)) current = declaration;
+  });
+
+  return [...declarations.values()].map(({ name, start, end }) => ({
+    name,
+    start: start + 1,
+    end: end + 1,
+    code: lines.slice(start, end + 1).join('\n'),
+  }));
+}
+
+export function extractDeclarations(source, names) {
+  const byName = new Map(findDeclarations(source).map((declaration) => [declaration.name, declaration]));
+  return names.map((name) => byName.get(name) || { name, missing: true, code: `// ${name} was not found in this module` });
+}
@@ -0,0 +1,31 @@
+import { parseSection } from './parseSection';
+import { slugify } from './slug';
+
+let pending = null;
+
+// One card per "**term:** explanation" bullet of every section's js-concept list.
+// Ids are derived from the term, so schedules survive edits to the explanation.
+export function loadConceptCards(sections) {
+  if (!pending) {
+    pending = Promise.all(
+      Object.entries(sections).map(async ([sectionKey, section]) => {
+        const { concepts } = parseSection(await section.loadSource());
+        const seen = new Set();
+        return concepts
+          .filter(({ term, explanation }) => term && explanation)
+          .map(({ term, explanation }) => ({
+            id: `${sectionKey}:${slugify(term)}`,
+            sectionKey,
+            front: term,
+            back: explanation,
+            custom: false,
+          }))
+          .filter((card) => !seen.has(card.id) && seen.add(card.id));
+      })
+    ).then((groups) => groups.flat(), (error) => {
+      pending = null;
+      throw error;
+    });
+  }
+  return pending;
+}
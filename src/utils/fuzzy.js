@@ -0,0 +1,27 @@
+// Subsequence fuzzy matching: every query character must appear in order.
+// Consecutive runs, word starts and early matches score higher. Returns null when there is no match.
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return { score: 0, indices: [] };
+
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let previous = -2;
+
+  for (let i = 0, j = 0; i < needle.length; i++, j++) {
+    j = haystack.indexOf(needle[i], j);
+    if (j === -1) return null;
+
+    const atWordStart = j === 0 || /[\s\-_:/.(]/.test(haystack[j - 1]) || /[a-z][A-Z]/.test(text.slice(j - 1, j + 1));
+    score += 1;
+    if (j === previous + 1) score += 5;
+    if (atWordStart) score += 3;
+    indices.push(j);
+    previous = j;
+  }
+
+  score -= indices[0] * 0.1;
+  score -= (text.length - needle.length) * 0.01;
+  return { score, indices };
+}
@@ -0,0 +1,198 @@
+// A small JS/JSX tokenizer for CodeBlock. It does not build a syntax tree; it only tracks
+// enough context (JS expression, JSX tag, JSX children) to tell `a < b` from `<Tag>` and
+// to keep apostrophes in JSX text from being read as strings.
+//
+// tokenize(code) returns one array of { type, value } tokens per line.
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'try', 'typeof', 'var', 'void', 'while', 'yield',
+]);
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+
+// After one of these, `<` starts a JSX element instead of a comparison
+const JSX_CAN_FOLLOW = new Set([null, '(', ',', '=', '[', '{', '?', ':', '&&', '||', '??', '=>', 'return', 'jsx']);
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?|\.\d+)/y;
+const OPERATOR = /(?:=>|\.\.\.|\?\?=?|\?\.|[=!]==?|&&=?|\|\|=?|\*\*=?|<<=?|>>>?=?|[-+*/%<>&|^~!?:]=?|=)/y;
+const WHITESPACE = /\s+/y;
+const TAG_NAME = /[A-Za-z][\w.:-]*/y;
+const ATTRIBUTE = /[A-Za-z_$][\w$:-]*/y;
+const JSX_TEXT = /[^<{]+/y;
+
+const matchAt = (pattern, code, index) => {
+  pattern.lastIndex = index;
+  const match = pattern.exec(code);
+  return match ? match[0] : null;
+};
+
+const readQuoted = (code, start, quote, multiline) => {
+  let i = start + 1;
+  while (i < code.length) {
+    if (code[i] === '\\') {
+      i += 2;
+    } else if (code[i] === quote) {
+      return code.slice(start, i + 1);
+    } else if (code[i] === '\n' && !multiline) {
+      return code.slice(start, i);
+    } else {
+      i += 1;
+    }
+  }
+  return code.slice(start);
+};
+
+const readComment = (code, start) => {
+  if (code.startsWith('//', start)) {
+    const end = code.indexOf('\n', start);
+    return code.slice(start, end === -1 ? code.length : end);
+  }
+  const end = code.indexOf('*/', start + 2);
+  return code.slice(start, end === -1 ? code.length : end + 2);
+};
+
+export function tokenize(code) {
+  const tokens = [];
+  const stack = [{ mode: 'js', depth: 0 }];
+  let i = 0;
+  let previous = null;
+
+  const push = (type, value, significant = true) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === 'plain') {
+      last.value += value;
+    } else {
+      tokens.push({ type, value });
+    }
+    i += value.length;
+    if (significant) previous = value;
+  };
+
+  const openTag = () => {
+    push('tag', '<');
+    if (code[i] === '>') {
+      push('tag', '>');
+      stack.push({ mode: 'children' });
+      return;
+    }
+    const name = matchAt(TAG_NAME, code, i);
+    if (name) push(/^[A-Z]/.test(name) ? 'type' : 'tag', name);
+    stack.push({ mode: 'tag' });
+  };
+
+  while (i < code.length) {
+    const frame = stack[stack.length - 1];
+    const char = code[i];
+
+    if (frame.mode === 'children') {
+      if (code.startsWith('</', i)) {
+        push('tag', '</');
+        const name = matchAt(TAG_NAME, code, i);
+        if (name) push(/^[A-Z]/.test(name) ? 'type' : 'tag', name);
+        const space = matchAt(WHITESPACE, code, i);
+        if (space) push('plain', space);
+        if (code[i] === '>') push('tag', '>');
+        stack.pop();
+        previous = 'jsx';
+      } else if (char === '<') {
+        openTag();
+      } else if (char === '{') {
+        push('punctuation', '{');
+        stack.push({ mode: 'js', depth: 0 });
+      } else {
+        push('text', matchAt(JSX_TEXT, code, i));
+      }
+      continue;
+    }
+
+    if (frame.mode === 'tag') {
+      const space = matchAt(WHITESPACE, code, i);
+      if (space) {
+        push('plain', space);
+      } else if (code.startsWith('/>', i)) {
+        push('tag', '/>');
+        stack.pop();
+        previous = 'jsx';
+      } else if (char === '>') {
+        push('tag', '>');
+        stack[stack.length - 1] = { mode: 'children' };
+      } else if (char === '{') {
+        push('punctuation', '{');
+        stack.push({ mode: 'js', depth: 0 });
+      } else if (char === '"' || char === "'") {
+        push('string', readQuoted(code, i, char, true));
+      } else if (char === '=') {
+        push('operator', '=');
+      } else {
+        push('attr', matchAt(ATTRIBUTE, code, i) || char);
+      }
+      continue;
+    }
+
+    const space = matchAt(WHITESPACE, code, i);
+    if (space) {
+      push('plain', space, false);
+      continue;
+    }
+
+    if (code.startsWith('//', i) || code.startsWith('/*', i)) {
+      push('comment', readComment(code, i), false);
+    } else if (char === '"' || char === "'" || char === '`') {
+      push('string', readQuoted(code, i, char, char === '`'));
+    } else if (char === '<' && JSX_CAN_FOLLOW.has(previous) && /[A-Za-z>]/.test(code[i + 1] || '')) {
+      openTag();
+    } else if (/[\d.]/.test(char) && matchAt(NUMBER, code, i)) {
+      push('number', matchAt(NUMBER, code, i));
+    } else if (matchAt(IDENTIFIER, code, i)) {
+      const word = matchAt(IDENTIFIER, code, i);
+      const next = code.slice(i + word.length).match(/^\s*(.)/);
+      let type = 'plain';
+      if (KEYWORDS.has(word)) type = 'keyword';
+      else if (LITERALS.has(word)) type = 'literal';
+      else if (/^[A-Z]/.test(word)) type = 'type';
+      else if (next && next[1] === '(') type = 'function';
+      push(type, word);
+    } else if (char === '{') {
+      frame.depth += 1;
+      push('punctuation', char);
+    } else if (char === '}') {
+      if (frame.depth === 0 && stack.length > 1) {
+        stack.pop();
+      } else {
+        frame.depth = Math.max(frame.depth - 1, 0);
+      }
+      push('punctuation', char);
+    } else if (/[()[\];,.]/.test(char)) {
+      push('punctuation', char);
+    } else {
+      push('operator', matchAt(OPERATOR, code, i) || char);
+    }
+  }
+
+  // Split multi-line tokens (comments, template strings, JSX text) across lines
+  const lines = [[]];
+  tokens.forEach(({ type, value }) => {
+    value.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, value: part });
+    });
+  });
+  return lines;
+}
+
+// "3, 5-7" -> Set {3, 5, 6, 7}; also accepts an array of numbers and "a-b" strings
+export function parseLineRanges(ranges) {
+  const lines = new Set();
+  if (!ranges) return lines;
+
+  const parts = Array.isArray(ranges) ? ranges : String(ranges).split(',');
+  parts.forEach((part) => {
+    const [from, to = from] = String(part).split('-').map((value) => Number(value.trim()));
+    if (!Number.isInteger(from) || !Number.isInteger(to)) return;
+    for (let line = from; line <= to; line++) lines.add(line);
+  });
+  return lines;
+}
@@ -0,0 +1,77 @@
+// Message lookup and formatting for the app's own UI strings: every page, panel and control outside
+// the lessons. The lessons themselves (the *Examples.jsx modules, quiz questions, flashcards built from
+// them) stay English, and section pages say so in other locales (meta.contentLanguage).
+// Catalogs live in src/locales/<locale>.js as nested objects; keys are dot paths ("nav.search").
+// A message is either a string with {placeholders} or, for pluralized messages, an object keyed
+// by Intl.PluralRules categories ({ one: '{count} card', other: '{count} cards' }) chosen by `count`.
+
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+export const localeDir = (code) => (LOCALES.find((locale) => locale.code === code) || LOCALES[0]).dir;
+
+export function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+const pluralRules = {};
+
+function selectPlural(message, locale, count) {
+  if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+  if (count === 0 && message.zero !== undefined) return message.zero;
+  return message[pluralRules[locale].select(count)] ?? message.other;
+}
+
+// Returns an array of parts: strings and any non-string params (e.g. React elements) unchanged,
+// so a translated sentence can wrap a <strong> or a <Link> without splitting the message.
+export function formatMessage(message, params = {}, locale = DEFAULT_LOCALE) {
+  const template =
+    message && typeof message === 'object' ? selectPlural(message, locale, Number(params.count)) : String(message);
+
+  return template.split(/(\{\w+\})/).flatMap((part) => {
+    const name = /^\{(\w+)\}$/.exec(part);
+    if (!name) return part ? [part] : [];
+    if (!(name[1] in params)) return [part];
+    const value = params[name[1]];
+    return [typeof value === 'number' ? value.toLocaleString(locale) : value];
+  });
+}
+
+// Dev-only record of keys the active catalog is missing, for the missing-key report
+const missing = new Map();
+const listeners = new Set();
+let version = 0;
+let notifyScheduled = false;
+
+export function reportMissing(locale, key) {
+  if (!import.meta.env.DEV) return;
+  if (!missing.has(locale)) missing.set(locale, new Set());
+  const keys = missing.get(locale);
+  if (keys.has(key)) return;
+  keys.add(key);
+  version += 1;
+  console.warn(`[i18n] Missing "${key}" in the "${locale}" catalog`);
+  // Keys are reported while components render, so listeners hear about them afterwards
+  if (!notifyScheduled) {
+    notifyScheduled = true;
+    queueMicrotask(() => {
+      notifyScheduled = false;
+      listeners.forEach((listener) => listener());
+    });
+  }
+}
+
+export const getMissingKeys = (locale) => [...(missing.get(locale) || [])].sort();
+
+// Changes whenever a key is added, as a cheap snapshot for useSyncExternalStore
+export const getMissingVersion = () => version;
+
+export function subscribeMissing(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,44 @@
+// Shortcut strings look like "N", "?", "Shift+N" or "Mod+K" (Ctrl, or ⌘ on a Mac).
+// Shift is only spelled out for letters and named keys; "?" already implies it.
+// Action labels live in the locale catalogs under "shortcuts.actions".
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'nextSection', defaultKey: 'N' },
+  { id: 'prevSection', defaultKey: 'P' },
+  { id: 'nextExample', defaultKey: 'J' },
+  { id: 'prevExample', defaultKey: 'K' },
+  { id: 'toggleCode', defaultKey: 'C' },
+  { id: 'search', defaultKey: 'Mod+K' },
+  { id: 'toggleTheme', defaultKey: 'T' },
+  { id: 'help', defaultKey: '?' },
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(SHORTCUT_ACTIONS.map(({ id, defaultKey }) => [id, defaultKey]));
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Shift', 'Alt', 'AltGraph', 'CapsLock'];
+
+const isMac = () => /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Returns null for a lone modifier press
+export function eventToShortcut(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey && (key.length > 1 || /[A-Z]/.test(key))) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+// "Mod+K" -> ['Ctrl', 'K'] (or ['⌘', 'K'] on a Mac), for rendering as <kbd>s
+export function shortcutKeys(shortcut) {
+  if (!shortcut) return [];
+  return shortcut.split(/\+(?!$)/).map((part) => (part === 'Mod' ? (isMac() ? '⌘' : 'Ctrl') : part));
+}
+
+// Plain-key shortcuts must not fire while someone is typing
+export function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
@@ -0,0 +1,67 @@
+// Line diff for the comparison view, by longest common subsequence. Lines are compared with
+// surrounding whitespace trimmed, so re-indented code still lines up.
+// Returns side-by-side rows: { type: 'same' | 'changed' | 'removed' | 'added', left, right },
+// where `left` / `right` are 0-based line indexes into each input (null when a side has no line).
+
+export function diffLines(leftCode, rightCode) {
+  const left = leftCode.split('\n').map((line) => line.trim());
+  const right = rightCode.split('\n').map((line) => line.trim());
+
+  // common[i][j]: length of the longest common subsequence of left[i..] and right[j..]
+  const common = Array.from({ length: left.length + 1 }, () => new Uint16Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      common[i][j] = left[i] === right[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  // A run of removed lines next to a run of added ones reads best as changed lines, row by row
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const type = k >= added.length ? 'removed' : k >= removed.length ? 'added' : 'changed';
+      rows.push({ type, left: k < removed.length ? removed[k] : null, right: k < added.length ? added[k] : null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      flush();
+      rows.push({ type: 'same', left: i++, right: j++ });
+    } else if (j === right.length || (i < left.length && common[i + 1][j] >= common[i][j + 1])) {
+      removed.push(i++);
+    } else {
+      added.push(j++);
+    }
+  }
+  flush();
+  return rows;
+}
+
+// Keeps `context` unchanged rows around each change and folds longer unchanged runs into
+// { type: 'fold', count } rows
+export function foldUnchanged(rows, context = 2) {
+  const keep = rows.map((row) => row.type !== 'same');
+  rows.forEach((row, index) => {
+    if (row.type === 'same') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(rows.length - 1, index + context); k++) keep[k] = true;
+  });
+
+  const folded = [];
+  rows.forEach((row, index) => {
+    if (keep[index]) {
+      folded.push(row);
+    } else if (folded.length > 0 && folded[folded.length - 1].type === 'fold') {
+      folded[folded.length - 1].count += 1;
+    } else {
+      folded.push({ type: 'fold', count: 1 });
+    }
+  });
+  return folded;
+}
@@ -0,0 +1,68 @@
+// Just enough markdown for study notes, parsed into plain data that MarkdownLite renders
+// as React elements (never as HTML, so a note cannot inject markup):
+//   # / ## / ### headings, - or * bullets, 1. numbered items, > quotes, ``` fenced code,
+//   **bold**, *italic*, `code` and [links](https://...) inside a line.
+
+const INLINE = /(\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\))/g;
+
+export function parseInline(text) {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) tokens.push({ type: 'text', value: text.slice(last, match.index) });
+    const [, , bold, italic, code, label, href] = match;
+    if (bold !== undefined) tokens.push({ type: 'bold', value: bold });
+    else if (italic !== undefined) tokens.push({ type: 'italic', value: italic });
+    else if (code !== undefined) tokens.push({ type: 'code', value: code });
+    else tokens.push({ type: 'link', value: label, href });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ type: 'text', value: text.slice(last) });
+  return tokens;
+}
+
+const LIST_ITEM = /^\s*(?:[-*]|(\d+)\.)\s+(.*)$/;
+
+// Returns blocks: { type: 'heading', level, text } | { type: 'code', code } | { type: 'quote', text }
+// | { type: 'list', ordered, items } | { type: 'paragraph', text }
+export function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) code.push(lines[i++]);
+      blocks.push({ type: 'code', code: code.join('\n') });
+      i += 1;
+    } else if (/^#{1,3}\s/.test(line)) {
+      const [, hashes, text] = /^(#{1,3})\s+(.*)$/.exec(line);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      i += 1;
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith('>')) quote.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', text: quote.join(' ') });
+    } else if (LIST_ITEM.test(line)) {
+      const ordered = Boolean(LIST_ITEM.exec(line)[1]);
+      const items = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i]) && Boolean(LIST_ITEM.exec(lines[i])[1]) === ordered) {
+        items.push(LIST_ITEM.exec(lines[i++])[2]);
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (line.trim() === '') {
+      i += 1;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && !/^(#{1,3}\s|>|```)/.test(lines[i]) && !LIST_ITEM.test(lines[i])) {
+        paragraph.push(lines[i++].trim());
+      }
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+  }
+  return blocks;
+}
@@ -0,0 +1,53 @@
+import offlineFixtures from '../data/offlineFixtures';
+
+// The subset of jsonplaceholder.typicode.com the demos use, answered from the bundled records:
+//   GET    /users | /posts | /todos          ?field=value filters, _start, _limit
+//   GET    /users/1 | /posts/1 | /todos/1    404 {} when there is no such record
+//   POST   /posts                            201, the body with the next id (nothing is stored)
+//   PUT    /posts/1, PATCH /posts/1          200, the record merged with the body
+//   DELETE /posts/1                          200 {}
+// Like the real service, writes are faked: the next GET returns the original data.
+const RESOURCES = ['users', 'posts', 'todos'];
+
+const matches = (record, params) =>
+  [...params].every(([field, value]) => field.startsWith('_') || String(record[field]) === value);
+
+const parseBody = (body) => {
+  if (typeof body !== 'string') return {};
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return {};
+  }
+};
+
+export function handleMockRequest({ method, url, body }) {
+  const match = /^\/(\w+)(?:\/(\d+))?\/?$/.exec(url.pathname);
+  if (!match || !RESOURCES.includes(match[1])) return { status: 404, body: {} };
+
+  const records = offlineFixtures[match[1]];
+  const id = match[2] && Number(match[2]);
+  const record = id && records.find((item) => item.id === id);
+
+  if (!id) {
+    if (method === 'POST') return { status: 201, body: { ...parseBody(body), id: records.length + 1 } };
+    if (method !== 'GET') return { status: 404, body: {} };
+    const start = Number(url.searchParams.get('_start')) || 0;
+    const limit = Number(url.searchParams.get('_limit')) || records.length;
+    return { status: 200, body: records.filter((item) => matches(item, url.searchParams)).slice(start, start + limit) };
+  }
+
+  if (!record) return { status: 404, body: {} };
+  switch (method) {
+    case 'GET':
+      return { status: 200, body: record };
+    case 'PUT':
+      return { status: 200, body: { ...parseBody(body), id } };
+    case 'PATCH':
+      return { status: 200, body: { ...record, ...parseBody(body), id } };
+    case 'DELETE':
+      return { status: 200, body: {} };
+    default:
+      return { status: 404, body: {} };
+  }
+}
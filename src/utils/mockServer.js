@@ -0,0 +1,104 @@
+import { handleMockRequest } from './mockApi';
+import { simulateRequest } from './network';
+
+// In-app stand-in for jsonplaceholder.typicode.com: window.fetch is wrapped so requests to that
+// origin are answered by utils/mockApi.js after a configurable server time, and can be made to fail on
+// purpose, so the loading and error states of the data-fetching demos can be seen on demand.
+// Requests travel over the simulated network (utils/network.js), so its profile applies on top.
+// The demos keep their real URLs; switching the mock off sends them to the network again, as does the
+// production build, where main.jsx does not install it.
+
+export const MOCK_API_STORAGE_KEY = 'react-learning:mock-api';
+export const MOCK_ORIGIN = 'https://jsonplaceholder.typicode.com';
+
+// 0 stands for a network failure: fetch() rejects instead of resolving with an error status
+export const ERROR_STATUSES = [500, 503, 404, 429, 401, 0];
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+const DEFAULT_SETTINGS = { enabled: true, latency: 600, errorRate: 0, errorStatus: 500 };
+
+const readSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(window.localStorage.getItem(MOCK_API_STORAGE_KEY)) };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+let state = { settings: DEFAULT_SETTINGS, requests: 0, failures: 0 };
+const listeners = new Set();
+
+const setState = (change) => {
+  state = { ...state, ...change };
+  listeners.forEach((listener) => listener());
+};
+
+export function getMockState() {
+  return state;
+}
+
+export function subscribeMock(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function updateMockSettings(change) {
+  const settings = { ...state.settings, ...change };
+  try {
+    window.localStorage.setItem(MOCK_API_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving mock API settings:', error);
+  }
+  setState({ settings });
+}
+
+export function resetMockStats() {
+  setState({ requests: 0, failures: 0 });
+}
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: { 'Content-Type': 'application/json; charset=utf-8', 'X-Mock-Api': 'true' },
+  });
+
+export function installMockServer() {
+  state = { ...state, settings: readSettings() };
+  const networkFetch = window.fetch.bind(window);
+
+  window.fetch = async function mockFetch(input, init = {}) {
+    const url = new URL(input instanceof Request ? input.url : String(input), window.location.href);
+    if (url.origin !== MOCK_ORIGIN || !state.settings.enabled) return networkFetch(input, init);
+
+    const method = (init.method || (input instanceof Request && input.method) || 'GET').toUpperCase();
+    const signal = init.signal || (input instanceof Request ? input.signal : undefined);
+    const { latency, errorRate, errorStatus } = state.settings;
+
+    setState({ requests: state.requests + 1 });
+    // Server-side failures answer with an error status; network-level ones come from simulateRequest
+    return simulateRequest(`${method} ${url.pathname}${url.search}`, {
+      serverTime: latency,
+      signal,
+      source: 'fetch',
+      respond: () => {
+        if (Math.random() < errorRate) {
+          setState({ failures: state.failures + 1 });
+          if (errorStatus === 0) throw new TypeError('Failed to fetch');
+          return jsonResponse(errorStatus, { error: STATUS_TEXT[errorStatus] });
+        }
+        const { status, body } = handleMockRequest({ method, url, body: init.body });
+        return jsonResponse(status, body);
+      },
+    });
+  };
+}
@@ -0,0 +1,123 @@
+// Simulated network shared by every async demo: the demos' fake server calls and the mock
+// jsonplaceholder (utils/mockServer.js) all go through simulateRequest(), so one profile in the
+// network panel slows down, breaks or disconnects all of them, and each call lands in the request log.
+
+export const NETWORK_STORAGE_KEY = 'react-learning:network';
+
+// Round-trip time added on top of each request's own server time, in ms, and the share of
+// requests the connection itself drops
+export const NETWORK_PROFILES = {
+  fast: { latency: [20, 80], failureRate: 0 },
+  '3g': { latency: [300, 1500], failureRate: 0.02 },
+  flaky: { latency: [50, 3000], failureRate: 0.2 },
+  offline: { latency: [0, 0], failureRate: 1, offline: true },
+};
+
+const DEFAULT_SETTINGS = { profile: 'fast', failureRate: 0, timeoutRate: 0, timeout: 5000 };
+const MAX_LOG_ENTRIES = 50;
+
+const readSettings = () => {
+  try {
+    const stored = { ...DEFAULT_SETTINGS, ...JSON.parse(window.localStorage.getItem(NETWORK_STORAGE_KEY)) };
+    return NETWORK_PROFILES[stored.profile] ? stored : DEFAULT_SETTINGS;
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// log: newest last, [{ id, label, source, start, end, status, code, error }] where `status` is
+// 'pending' | 'ok' | 'failed' | 'timeout' | 'aborted', `code` an HTTP status when there is one,
+// and start/end are performance.now() timestamps
+let state = { settings: readSettings(), log: [] };
+const listeners = new Set();
+let nextId = 1;
+
+const setState = (change) => {
+  state = { ...state, ...change };
+  listeners.forEach((listener) => listener());
+};
+
+const updateEntry = (id, change) => {
+  setState({ log: state.log.map((entry) => (entry.id === id ? { ...entry, ...change } : entry)) });
+};
+
+export function getNetworkState() {
+  return state;
+}
+
+export function subscribeNetwork(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function updateNetworkSettings(change) {
+  const settings = { ...state.settings, ...change };
+  try {
+    window.localStorage.setItem(NETWORK_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving network settings:', error);
+  }
+  setState({ settings });
+}
+
+export function clearNetworkLog() {
+  setState({ log: state.log.filter((entry) => entry.status === 'pending') });
+}
+
+const abortError = (signal) => signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(abortError(signal));
+        },
+        { once: true }
+      );
+    }
+  });
+
+const between = ([min, max]) => min + Math.random() * (max - min);
+
+// Stands in for a round trip to a server. Waits for `serverTime` plus the profile's latency, then
+// resolves with `respond()` (undefined without one). Rejects the way fetch() does instead when the
+// connection drops the request (TypeError), when it hangs past the timeout (TimeoutError) or when
+// `signal` aborts it (AbortError). `label` names the request in the log, e.g. 'GET /status'.
+export async function simulateRequest(label, { serverTime = 0, signal, respond, source = 'demo' } = {}) {
+  const { profile, failureRate, timeoutRate, timeout } = state.settings;
+  const conditions = NETWORK_PROFILES[profile];
+  const id = nextId++;
+  const entry = { id, label, source, start: performance.now(), end: null, status: 'pending', code: null, error: null };
+  setState({ log: [...state.log, entry].slice(-MAX_LOG_ENTRIES) });
+
+  try {
+    if (conditions.offline) {
+      throw new TypeError('Failed to fetch (offline)');
+    }
+    if (Math.random() < timeoutRate) {
+      await wait(timeout, signal);
+      throw new DOMException(`No response within ${timeout} ms`, 'TimeoutError');
+    }
+    await wait(serverTime + between(conditions.latency), signal);
+    if (Math.random() < Math.min(1, conditions.failureRate + failureRate)) {
+      throw new TypeError('Failed to fetch (connection dropped)');
+    }
+
+    const result = respond ? await respond() : undefined;
+    const code = result && typeof result.status === 'number' ? result.status : null;
+    updateEntry(id, { end: performance.now(), status: code !== null && code >= 400 ? 'failed' : 'ok', code });
+    return result;
+  } catch (error) {
+    const status = error.name === 'AbortError' ? 'aborted' : error.name === 'TimeoutError' ? 'timeout' : 'failed';
+    updateEntry(id, { end: performance.now(), status, error: error.message });
+    throw error;
+  }
+}
@@ -0,0 +1,47 @@
+// Reads the teaching content (example titles, CodeBlock snippets, js-concept bullets) out of a
+// section module's raw source, for features that need it without rendering the section.
+import { exampleSlug } from './slug';
+
+const ENTITIES = { '&gt;': '>', '&lt;': '<', '&amp;': '&', '&apos;': "'", '&quot;': '"', '&#39;': "'" };
+
+// Rough JSX-to-text: keeps string expressions, drops tags, decodes the usual entities
+export const jsxToText = (jsx) =>
+  jsx
+    .replace(/\{\s*(['"`])([\s\S]*?)\1\s*\}/g, '$2')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z#0-9]+;/g, (entity) => ENTITIES[entity] || entity)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const unescapeTemplate = (text) => text.replace(/\\`/g, '`').replace(/\\\$\{/g, '${');
+
+const codeBlocks = (jsx) =>
+  [...jsx.matchAll(/<CodeBlock[^>]*>\s*\{`([\s\S]*?)`\}/g)].map((match) =>
+    unescapeTemplate(match[1]).trim()
+  );
+
+export function parseSection(source) {
+  // Tags with a long source list are spread over several lines by the formatter
+  const examples = [...source.matchAll(/<Example\s+title="([^"]+)"(?:\s+source=\{\[([^\]]*)\]\})?\s*>([\s\S]*?)<\/Example>/g)].map(
+    ([, title, names = '', body]) => ({
+      title,
+      id: exampleSlug(title),
+      names: [...names.matchAll(/['"](\w+)['"]/g)].map((match) => match[1]),
+      code: codeBlocks(body),
+    })
+  );
+
+  const withoutExamples = source.replace(/<Example\s[\s\S]*?<\/Example>/g, '');
+  const conceptList = /<div className="js-concept">([\s\S]*?)<\/ul>/.exec(source);
+  const concepts = conceptList
+    ? [...conceptList[1].matchAll(/<li>([\s\S]*?)<\/li>/g)].map(([, item]) => {
+        const term = /<strong>([\s\S]*?)<\/strong>/.exec(item);
+        return {
+          term: term ? jsxToText(term[1]).replace(/:$/, '') : '',
+          explanation: jsxToText(term ? item.replace(term[0], '') : item),
+        };
+      })
+    : [];
+
+  return { examples, concepts, overviewCode: codeBlocks(withoutExamples) };
+}
@@ -0,0 +1,65 @@
+// Render statistics per example, fed by <Profiler onRender> and useTrackRender().
+// Kept outside React state: recording a commit must not itself cause the profiled tree to re-render,
+// so only the overlays subscribe (through useSyncExternalStore) and they render outside the Profiler.
+
+const EMPTY_STATS = {
+  commits: 0,
+  mounts: 0,
+  lastDuration: 0,
+  totalDuration: 0,
+  lastBaseDuration: 0,
+  components: {},
+  lastRendered: [],
+};
+
+let stats = {};
+const listeners = new Set();
+let notifyScheduled = false;
+
+// Many components can report in a single commit; listeners hear about it once
+const notify = () => {
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+  queueMicrotask(() => {
+    notifyScheduled = false;
+    listeners.forEach((listener) => listener());
+  });
+};
+
+const update = (key, change) => {
+  stats = { ...stats, [key]: change(stats[key] || EMPTY_STATS) };
+  notify();
+};
+
+export function recordCommit(key, phase, actualDuration, baseDuration) {
+  update(key, (previous) => ({
+    ...previous,
+    commits: previous.commits + 1,
+    mounts: previous.mounts + (phase === 'mount' ? 1 : 0),
+    lastDuration: actualDuration,
+    totalDuration: previous.totalDuration + actualDuration,
+    lastBaseDuration: baseDuration,
+    lastRendered: [],
+  }));
+}
+
+export function recordComponentRender(key, name) {
+  update(key, (previous) => ({
+    ...previous,
+    components: { ...previous.components, [name]: (previous.components[name] || 0) + 1 },
+    lastRendered: previous.lastRendered.includes(name) ? previous.lastRendered : [...previous.lastRendered, name],
+  }));
+}
+
+export function resetStats(key) {
+  update(key, () => EMPTY_STATS);
+}
+
+export function getStats(key) {
+  return stats[key] || EMPTY_STATS;
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
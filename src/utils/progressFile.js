@@ -0,0 +1,45 @@
+// Progress export format shared between mentees (export) and mentors (import)
+const FORMAT = 'react-learning-progress';
+const VERSION = 1;
+
+export const createProgressFile = (completed) => ({
+  format: FORMAT,
+  version: VERSION,
+  exportedAt: new Date().toISOString(),
+  completed,
+});
+
+const isRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns { completed, exportedAt } for a valid file, or { error, params } where `error` is a key under
+// progress.errors for the caller to translate. Sections this app does not have are left out of `completed`.
+export function parseProgressFile(text, sections) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'invalidJson' };
+  }
+
+  if (!isRecord(data) || data.format !== FORMAT) {
+    return { error: 'wrongFormat' };
+  }
+  if (data.version > VERSION) {
+    return { error: 'newerVersion', params: { version: data.version, supported: VERSION } };
+  }
+
+  const { completed } = data;
+  const isValid =
+    isRecord(completed) &&
+    Object.values(completed).every(
+      (section) => isRecord(section) && Object.values(section).every((date) => typeof date === 'string')
+    );
+  if (!isValid) {
+    return { error: 'malformed' };
+  }
+
+  return {
+    completed: Object.fromEntries(Object.entries(completed).filter(([key]) => Object.hasOwn(sections, key))),
+    exportedAt: data.exportedAt,
+  };
+}
@@ -0,0 +1,55 @@
+// Labels are in the locale catalogs (quiz.types.<type>)
+export const QUESTION_TYPES = {
+  choice: { icon: '❓' },
+  predict: { icon: '🔮' },
+  bug: { icon: '🐛' },
+};
+
+export const SECONDS_PER_QUESTION = 30;
+
+// Fisher-Yates: every permutation is equally likely (unlike sort(() => Math.random() - 0.5))
+export function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Picks `count` random questions from the chosen sections and shuffles their options,
+// remapping `answer` so it still points at the correct option
+export function buildQuiz(bank, sectionKeys, count) {
+  const pool = sectionKeys.flatMap((sectionKey) =>
+    (bank[sectionKey] || []).map((question) => ({ ...question, sectionKey }))
+  );
+
+  return shuffle(pool)
+    .slice(0, count)
+    .map((question) => {
+      const order = shuffle(question.options.map((_, index) => index));
+      return {
+        ...question,
+        options: order.map((index) => question.options[index]),
+        answer: order.indexOf(question.answer),
+      };
+    });
+}
+
+// answers: [{ questionId, sectionKey, choice, correct, timedOut }]
+export function scoreQuiz(answers) {
+  const bySection = {};
+  answers.forEach(({ sectionKey, correct }) => {
+    const section = bySection[sectionKey] || (bySection[sectionKey] = { correct: 0, total: 0 });
+    section.total += 1;
+    if (correct) section.correct += 1;
+  });
+
+  const correct = answers.filter((answer) => answer.correct).length;
+  return {
+    correct,
+    total: answers.length,
+    percent: answers.length ? Math.round((correct / answers.length) * 100) : 0,
+    bySection,
+  };
+}
@@ -0,0 +1,80 @@
+import { extractExampleSource } from './sharedSources';
+import { fuzzyMatch } from './fuzzy';
+import { parseSection } from './parseSection';
+import { keyToSlug } from './slug';
+
+const TYPE_WEIGHT = { section: 8, example: 6, concept: 3, code: 0 };
+
+let pending = null;
+
+// Builds the palette index from every section's source; the sources are fetched once
+export function loadSearchIndex(sections) {
+  if (!pending) {
+    pending = Promise.all(
+      Object.entries(sections).map(async ([key, section]) => {
+        const slug = keyToSlug(key);
+        const source = await section.loadSource();
+        const { examples, concepts, overviewCode } = parseSection(source);
+        const base = { sectionKey: key, sectionTitle: section.title };
+
+        return [
+          { ...base, type: 'section', label: section.title, to: `/${slug}` },
+          ...examples.flatMap((example) => {
+            const to = `/${slug}#${example.id}`;
+            const code = [
+              ...example.code,
+              ...extractExampleSource(source, section.file, example.names)
+                .filter((declaration) => !declaration.missing)
+                .map((declaration) => declaration.code),
+            ];
+            return [
+              { ...base, type: 'example', label: example.title, to, hash: example.id },
+              ...code.map((text) => ({ ...base, type: 'code', label: example.title, text, to, hash: example.id })),
+            ];
+          }),
+          ...concepts.map(({ term, explanation }) => ({
+            ...base,
+            type: 'concept',
+            label: term ? `${term}: ${explanation}` : explanation,
+            to: `/${slug}`,
+          })),
+          ...overviewCode.map((text) => ({ ...base, type: 'code', label: `${section.title} overview`, text, to: `/${slug}` })),
+        ];
+      })
+    ).then((groups) => groups.flat(), (error) => {
+      pending = null;
+      throw error;
+    });
+  }
+  return pending;
+}
+
+// Titles and bullets are fuzzy matched; code is searched for the literal query so a
+// short query does not match every snippet, and the matching line is shown as context
+export function searchIndex(index, query, limit = 50) {
+  const trimmed = query.trim();
+  if (!trimmed) return index.filter((item) => item.type === 'section');
+
+  const lowered = trimmed.toLowerCase();
+  const results = [];
+  const codeMatched = new Set();
+
+  index.forEach((item) => {
+    if (item.type === 'code') {
+      if (codeMatched.has(item.to)) return;
+      const line = item.text.split('\n').find((candidate) => candidate.toLowerCase().includes(lowered));
+      if (line) {
+        codeMatched.add(item.to);
+        results.push({ item, score: TYPE_WEIGHT.code + lowered.length * 5, context: line.trim() });
+      }
+      return;
+    }
+    const match = fuzzyMatch(trimmed, item.label);
+    if (match) results.push({ item, score: match.score + TYPE_WEIGHT[item.type], indices: match.indices });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item, indices, context }) => ({ ...item, indices, context }));
+}
@@ -0,0 +1,57 @@
+export const ALL = 'all';
+
+export const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Every tag used in the registry, alphabetically
+export function collectTags(sections) {
+  const tags = new Set(Object.values(sections).flatMap((section) => section.tags || []));
+  return [...tags].sort();
+}
+
+export function matchesFilter(section, { level = ALL, tag = ALL }) {
+  if (level !== ALL && section.level !== level) return false;
+  if (tag !== ALL && !(section.tags || []).includes(tag)) return false;
+  return true;
+}
+
+// Section keys ordered so that prerequisites always come first. Among the topics that are
+// ready to be studied, easier levels win, then registry order.
+export function learningPath(sections) {
+  const keys = Object.keys(sections);
+  const rank = (key) => LEVELS.indexOf(sections[key].level) * keys.length + keys.indexOf(key);
+  const path = [];
+  const placed = new Set();
+
+  while (path.length < keys.length) {
+    const ready = keys
+      .filter((key) => !placed.has(key))
+      .filter((key) => sections[key].prerequisites.every((prerequisite) => placed.has(prerequisite) || !sections[prerequisite]));
+    if (ready.length === 0) {
+      const stuck = keys.filter((key) => !placed.has(key));
+      throw new Error(`Circular prerequisites between: ${stuck.join(', ')}`);
+    }
+    const next = ready.reduce((best, key) => (rank(key) < rank(best) ? key : best));
+    path.push(next);
+    placed.add(next);
+  }
+  return path;
+}
+
+// The topic to study after `currentKey`, skipping finished ones (`isDone(key)`).
+// Prefers topics that build on the current one, then related ones, then the learning path.
+// Returns { key, reason: 'buildsOn' | 'related' | 'path' } or null when everything else is done.
+export function recommendNext(sections, currentKey, isDone) {
+  const path = learningPath(sections);
+  const isReady = (key) => sections[key].prerequisites.every((prerequisite) => prerequisite === currentKey || isDone(prerequisite));
+  const candidates = path.slice(path.indexOf(currentKey) + 1).concat(path.slice(0, path.indexOf(currentKey)));
+  const open = candidates.filter((key) => key !== currentKey && !isDone(key));
+
+  const unlocked = open.find((key) => sections[key].prerequisites.includes(currentKey) && isReady(key));
+  if (unlocked) return { key: unlocked, reason: 'buildsOn' };
+
+  const related = sections[currentKey].related.find((key) => open.includes(key) && isReady(key));
+  if (related) return { key: related, reason: 'related' };
+
+  const next = open.find(isReady) || open[0];
+  return next ? { key: next, reason: 'path' } : null;
+}
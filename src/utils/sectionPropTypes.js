@@ -0,0 +1,19 @@
+import PropTypes from 'prop-types';
+
+// An entry of the section registry (sections.js), for components that are handed the registry
+export const sectionShape = PropTypes.shape({
+  title: PropTypes.string.isRequired,
+  file: PropTypes.string.isRequired,
+  examples: PropTypes.number.isRequired,
+  level: PropTypes.oneOf(['beginner', 'intermediate', 'advanced']),
+  tags: PropTypes.arrayOf(PropTypes.string),
+  minutes: PropTypes.number,
+  prerequisites: PropTypes.arrayOf(PropTypes.string),
+  related: PropTypes.arrayOf(PropTypes.string),
+  preload: PropTypes.func,
+  loadSource: PropTypes.func,
+  component: PropTypes.object,
+  reload: PropTypes.func,
+});
+
+export const sectionsPropType = PropTypes.objectOf(sectionShape);
@@ -0,0 +1,68 @@
+// Registration state of the offline service worker (src/sw.js), read through useServiceWorker().
+// status: 'idle' | 'offline-ready' (first install finished) | 'update-available' (a new build is waiting)
+
+let state = { status: 'idle', online: typeof navigator === 'undefined' ? true : navigator.onLine };
+let waitingWorker = null;
+let updating = false;
+const listeners = new Set();
+
+const setState = (change) => {
+  state = { ...state, ...change };
+  listeners.forEach((listener) => listener());
+};
+
+const trackInstall = (worker) => {
+  worker.addEventListener('statechange', () => {
+    if (worker.state !== 'installed') return;
+    // With a controller already in place this is a newer build; without one it is the first install
+    if (navigator.serviceWorker.controller) {
+      waitingWorker = worker;
+      setState({ status: 'update-available' });
+    } else {
+      setState({ status: 'offline-ready' });
+    }
+  });
+};
+
+export function registerServiceWorker() {
+  window.addEventListener('online', () => setState({ online: true }));
+  window.addEventListener('offline', () => setState({ online: false }));
+  if (!('serviceWorker' in navigator)) return;
+
+  // The first install claims the page too; only an accepted update should reload it
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updating) window.location.reload();
+  });
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          waitingWorker = registration.waiting;
+          setState({ status: 'update-available' });
+        }
+        registration.addEventListener('updatefound', () => trackInstall(registration.installing));
+      })
+      .catch((error) => console.error('Service worker registration failed:', error));
+  });
+}
+
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  updating = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+export function dismissStatus() {
+  setState({ status: 'idle' });
+}
+
+export function getServiceWorkerState() {
+  return state;
+}
+
+export function subscribeServiceWorker(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,24 @@
+import errorBoundarySource from '../components/ErrorBoundary.jsx?raw';
+import historyStateSource from '../hooks/useHistoryState.js?raw';
+import { extractDeclarations } from './extractSource';
+
+// App modules whose declarations an Example may list in its `source`, next to the section's own.
+// The Error Boundaries section teaches the ErrorBoundary class the app itself uses, which lives in
+// its own file rather than in ErrorBoundaryExamples.jsx, and the useState undo examples show the
+// hooks they share from src/hooks.
+const sharedSources = {
+  ErrorBoundary: { file: 'ErrorBoundary.jsx', source: errorBoundarySource },
+  presentValue: { file: 'useHistoryState.js', source: historyStateSource },
+  useHistoryState: { file: 'useHistoryState.js', source: historyStateSource },
+  useUndoShortcuts: { file: 'useHistoryState.js', source: historyStateSource },
+};
+
+// extractDeclarations() for an Example's `source` list, each declaration with the name of the file it was
+// found in: the section module (`source`, `file`) or the shared module that declares it
+export function extractExampleSource(source, file, names) {
+  return names.map((name) => {
+    const shared = sharedSources[name];
+    const [declaration] = extractDeclarations(shared ? shared.source : source, [name]);
+    return { ...declaration, file: shared ? shared.file : `${file}.jsx` };
+  });
+}
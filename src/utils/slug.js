@@ -0,0 +1,20 @@
+// URL-safe identifiers for sections and examples.
+// "forwardRef" -> "forward-ref", "Example 3: Context Menu with Portal" -> "context-menu-with-portal"
+
+export const keyToSlug = (key) =>
+  key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/&+/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+export const exampleNumber = (title) => {
+  const match = /^Example (\d+):/.exec(title);
+  return match ? Number(match[1]) : null;
+};
+
+export const exampleSlug = (title) =>
+  slugify(title.replace(/^Example \d+:\s*/, ''));
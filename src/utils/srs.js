@@ -0,0 +1,70 @@
+// SM-2 spaced repetition (the SuperMemo 2 algorithm, as used by Anki's ancestors).
+// A card's schedule: { ease, interval (days), repetitions, due ('YYYY-MM-DD'), reviewedAt, firstReviewedAt }.
+// Cards without a schedule are new.
+
+// Labels and hints are in the locale catalogs (review.grades.<key>)
+export const GRADES = [
+  { quality: 1, key: 'again' },
+  { quality: 3, key: 'hard' },
+  { quality: 4, key: 'good' },
+  { quality: 5, key: 'easy' },
+];
+
+export const NEW_CARDS_PER_DAY = 10;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Local calendar day, so "due today" flips at the user's midnight rather than UTC's
+export function dayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// quality: 0-5, below 3 counts as a lapse and starts the card over with its ease unchanged (as in SM-2,
+// which only adjusts the ease after a successful recall)
+export function reviewCard(schedule, quality, now = new Date()) {
+  const previous = schedule || { ease: INITIAL_EASE, interval: 0, repetitions: 0 };
+  let { ease, interval, repetitions } = previous;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  }
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: dayKey(addDays(now, interval)),
+    reviewedAt: now.toISOString(),
+    firstReviewedAt: previous.firstReviewedAt || now.toISOString(),
+  };
+}
+
+export const isDue = (schedule, today = dayKey()) => Boolean(schedule) && schedule.due <= today;
+
+// Today's queue: every due card (most overdue first), then up to the daily
+// allowance of new cards minus the new cards already started today
+export function dailyQueue(cards, schedules, today = dayKey()) {
+  const due = cards
+    .filter((card) => isDue(schedules[card.id], today))
+    .sort((a, b) => schedules[a.id].due.localeCompare(schedules[b.id].due));
+
+  const startedToday = Object.values(schedules).filter(
+    (schedule) => schedule.firstReviewedAt && dayKey(new Date(schedule.firstReviewedAt)) === today
+  ).length;
+  const fresh = cards.filter((card) => !schedules[card.id]).slice(0, Math.max(NEW_CARDS_PER_DAY - startedToday, 0));
+
+  return [...due, ...fresh];
+}
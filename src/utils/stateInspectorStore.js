@@ -0,0 +1,112 @@
+// State transitions reported by useInspectedState(), for the useState section's inspector.
+// Kept outside React state like profilerStore: recording an update must not re-render the demos.
+//
+// Transition: { id, batch, stateKey, example, label, kind: 'functional' | 'direct', snapshot, before,
+// after, event, render, format }. `snapshot` is the value the component rendered with (what a direct
+// update computed from), `before` the value React would hand a functional update (the snapshot plus
+// any updates queued earlier in the same batch), `render` the render the update shows up in.
+// Updates made in the same task belong to one batch, as React 18 renders them together.
+
+const MAX_TRANSITIONS = 200;
+const REPLAY_STEP_MS = 700;
+
+let state = { transitions: [], position: null, replaying: false };
+const listeners = new Set();
+// stateKey -> { initial, restore }
+const registry = new Map();
+// stateKey -> its value after the last transition that is no longer kept (past MAX_TRANSITIONS or
+// cleared), which is where travelling back to the start of the kept ones puts it
+const baselines = new Map();
+let nextId = 1;
+let batch = 0;
+let batchOpen = false;
+let replayTimer = null;
+
+const setState = (change) => {
+  state = { ...state, ...change };
+  listeners.forEach((listener) => listener());
+};
+
+export function getInspectorState() {
+  return state;
+}
+
+export function subscribeInspector(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function registerState(stateKey, initial, restore) {
+  registry.set(stateKey, { initial, restore });
+  return () => {
+    registry.delete(stateKey);
+    baselines.delete(stateKey);
+  };
+}
+
+const foldIntoBaselines = (transitions) =>
+  transitions.forEach((transition) => baselines.set(transition.stateKey, transition.after));
+
+const stopReplay = () => {
+  clearInterval(replayTimer);
+  replayTimer = null;
+};
+
+export function recordTransition(transition) {
+  if (!batchOpen) {
+    batchOpen = true;
+    batch += 1;
+    queueMicrotask(() => {
+      batchOpen = false;
+    });
+  }
+  // A real update while looking at the past goes back to live recording
+  stopReplay();
+  const transitions = [...state.transitions, { ...transition, id: nextId++, batch }];
+  foldIntoBaselines(transitions.slice(0, -MAX_TRANSITIONS));
+  setState({
+    transitions: transitions.slice(-MAX_TRANSITIONS),
+    position: null,
+    replaying: false,
+  });
+}
+
+// Puts every registered state back to its value after the first `position` transitions
+// (0: before any of the kept ones). Restores go straight to React and are not recorded.
+export function travelTo(position) {
+  const applied = state.transitions.slice(0, position);
+  registry.forEach(({ initial, restore }, stateKey) => {
+    const last = applied.filter((transition) => transition.stateKey === stateKey).pop();
+    if (last) restore(last.after);
+    else restore(baselines.has(stateKey) ? baselines.get(stateKey) : initial);
+  });
+  setState({ position: position >= state.transitions.length ? null : position });
+}
+
+export function goLive() {
+  stopReplay();
+  travelTo(state.transitions.length);
+  setState({ replaying: false });
+}
+
+// Steps forward one transition at a time from the current position (or the start, when live)
+export function replay() {
+  stopReplay();
+  travelTo(state.position === null ? 0 : state.position);
+  setState({ replaying: true });
+  replayTimer = setInterval(() => {
+    const next = (state.position === null ? state.transitions.length : state.position) + 1;
+    travelTo(next);
+    if (next >= state.transitions.length) {
+      stopReplay();
+      setState({ replaying: false });
+    }
+  }, REPLAY_STEP_MS);
+}
+
+export function clearTransitions() {
+  stopReplay();
+  // The demos keep showing the step being viewed, so that is where they start from now
+  foldIntoBaselines(state.position === null ? state.transitions : state.transitions.slice(0, state.position));
+  setState({ transitions: [], position: null, replaying: false });
+}
@@ -0,0 +1,52 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+let store;
+
+beforeEach(async () => {
+  vi.resetModules();
+  store = await import('./stateInspectorStore');
+});
+
+// Registers a state whose restores are written to `values[stateKey]`
+const register = (values, stateKey, initial) => {
+  values[stateKey] = initial;
+  store.registerState(stateKey, initial, (value) => {
+    values[stateKey] = value;
+  });
+};
+
+const update = (stateKey, before, after) =>
+  store.recordTransition({ stateKey, label: stateKey, kind: 'direct', snapshot: before, before, after });
+
+describe('travelTo', () => {
+  it('keeps the values of states whose transitions were all dropped past the limit', () => {
+    const values = {};
+    register(values, 'clicked', 0);
+    register(values, 'typed', '');
+    update('clicked', 0, 1);
+    for (let i = 0; i < 250; i += 1) update('typed', String(i), String(i + 1));
+
+    const { transitions } = store.getInspectorState();
+    expect(transitions).toHaveLength(200);
+    expect(transitions.some((transition) => transition.stateKey === 'clicked')).toBe(false);
+
+    store.travelTo(transitions.length);
+    expect(values).toEqual({ clicked: 1, typed: '250' });
+
+    store.travelTo(0);
+    expect(values).toEqual({ clicked: 1, typed: '50' });
+  });
+
+  it('starts from the viewed step after clearing', () => {
+    const values = {};
+    register(values, 'count', 0);
+    update('count', 0, 1);
+    update('count', 1, 2);
+    update('count', 2, 3);
+
+    store.travelTo(2);
+    store.clearTransitions();
+    store.travelTo(0);
+    expect(values.count).toBe(2);
+  });
+});
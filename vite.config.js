@@ -1,11 +1,59 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import offlineFixtures from './src/data/offlineFixtures.js'
+
+const listFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)]
+  )
+
+// Emits sw.js from src/sw.js with every emitted chunk and public file in its precache list,
+// so each lazily loaded section is available offline before it has ever been opened.
+// The cache version is a hash of those files: any change to the build installs a new worker.
+function precacheServiceWorker() {
+  let publicDir
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(options, bundle) {
+      const publicFiles = publicDir
+        ? listFiles(publicDir).map((file) => relative(publicDir, file).split('\\').join('/'))
+        : []
+      const files = [...Object.keys(bundle), ...publicFiles].sort()
+
+      const hash = createHash('sha256')
+      for (const fileName of Object.keys(bundle).sort()) {
+        const output = bundle[fileName]
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      publicFiles.forEach((file) => hash.update(file).update(readFileSync(join(publicDir, file))))
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace(/^\/\* global .*\*\/\n/, '')
+        .replace('__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE_URLS__', JSON.stringify(['./', ...files.map((file) => `./${file}`)]))
+        .replace('__OFFLINE_FIXTURES__', JSON.stringify(offlineFixtures))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
+  resolve: {
+    // The profiling build keeps <Profiler> timings in production for the render profiler overlay
+    alias: [{ find: /^react-dom$/, replacement: 'react-dom/profiling' }]
+  },
   server: {
     port: 3000,
     open: true
   }
-}) 
\ No newline at end of file
+})